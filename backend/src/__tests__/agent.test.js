@@ -94,7 +94,7 @@ describe('Agent Service', () => {
 
         it('should auto-close ticket with high confidence', async () => {
             // Lower threshold to ensure auto-close
-            await Config.findOneAndUpdate({}, { confidenceThreshold: 0.5 });
+            await Config.findOneAndUpdate({}, { 'categoryThresholds.billing': 0.5 });
 
             const result = await agentService.triageTicket(ticket._id.toString());
 
@@ -113,7 +113,7 @@ describe('Agent Service', () => {
 
         it('should assign to human with low confidence', async () => {
             // Raise threshold to prevent auto-close
-            await Config.findOneAndUpdate({}, { confidenceThreshold: 0.9 });
+            await Config.findOneAndUpdate({}, { 'categoryThresholds.billing': 0.9 });
 
             const result = await agentService.triageTicket(ticket._id.toString());
 
@@ -128,6 +128,55 @@ describe('Agent Service', () => {
             const suggestion = await AgentSuggestion.findOne({ ticketId: ticket._id });
             expect(suggestion.autoClosed).toBe(false);
         });
+
+        it('should use the predicted category threshold and record it', async () => {
+            // Global threshold alone would allow auto-close
+            await Config.findOneAndUpdate({}, {
+                confidenceThreshold: 0.1,
+                'categoryThresholds.billing': 0.95
+            });
+
+            const result = await agentService.triageTicket(ticket._id.toString());
+
+            expect(result.decision.action).toBe('assigned_to_human');
+
+            const auditLog = await AuditLog.findOne({ ticketId: ticket._id, action: 'ASSIGNED_TO_HUMAN' });
+            expect(auditLog.meta).toMatchObject({
+                threshold: 0.95,
+                thresholdSource: 'category:billing',
+                reason: 'low_confidence'
+            });
+        });
+
+        it('should let a priority override win over the category threshold', async () => {
+            await Config.findOneAndUpdate({}, {
+                'categoryThresholds.billing': 0.95,
+                'priorityThresholds.medium': 0.5
+            });
+
+            const result = await agentService.triageTicket(ticket._id.toString());
+
+            expect(result.decision.action).toBe('auto_closed');
+
+            const auditLog = await AuditLog.findOne({ ticketId: ticket._id, action: 'AUTO_CLOSED' });
+            expect(auditLog.meta).toMatchObject({
+                threshold: 0.5,
+                thresholdSource: 'priority:medium',
+                reason: 'confidence_above_threshold'
+            });
+        });
+    });
+
+    describe('_resolveThreshold', () => {
+        it('should fall back to the global threshold', () => {
+            const result = agentService._resolveThreshold(
+                { confidenceThreshold: 0.6, categoryThresholds: {}, priorityThresholds: {} },
+                'billing',
+                'low'
+            );
+
+            expect(result).toEqual({ threshold: 0.6, source: 'global' });
+        });
     });
 
     describe('getSuggestion', () => {
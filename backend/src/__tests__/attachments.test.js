@@ -0,0 +1,200 @@
+import fs from 'fs/promises';
+import jwt from 'jsonwebtoken';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import { matchesSignature } from '../middleware/upload.js';
+import { Attachment } from '../models/Attachment.js';
+import { AuditLog } from '../models/AuditLog.js';
+import { Ticket } from '../models/Ticket.js';
+import { User } from '../models/User.js';
+import app from '../server.js';
+import { getStorage } from '../services/storageService.js';
+
+const PNG_BYTES = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00]);
+
+const sign = (user) => jwt.sign(
+    { userId: user._id, email: user.email, role: user.role },
+    process.env.JWT_SECRET || 'test-secret'
+);
+
+describe('Attachments', () => {
+    let storageDir, user, otherUser, agent, ticket;
+    let userToken, otherToken, agentToken;
+
+    beforeAll(async () => {
+        storageDir = await fs.mkdtemp(path.join(os.tmpdir(), 'helpdesk-uploads-'));
+        process.env.STORAGE_DIR = storageDir;
+    });
+
+    afterAll(async () => {
+        delete process.env.STORAGE_DIR;
+        await fs.rm(storageDir, { recursive: true, force: true });
+    });
+
+    beforeEach(async () => {
+        user = await User.create({ name: 'User', email: 'user@example.com', passwordHash: 'hash', role: 'user' });
+        otherUser = await User.create({ name: 'Other', email: 'other@example.com', passwordHash: 'hash', role: 'user' });
+        agent = await User.create({ name: 'Agent', email: 'agent@example.com', passwordHash: 'hash', role: 'agent' });
+
+        userToken = sign(user);
+        otherToken = sign(otherUser);
+        agentToken = sign(agent);
+
+        ticket = await Ticket.create({
+            title: 'Broken upload',
+            description: 'Screenshot attached',
+            createdBy: user._id
+        });
+    });
+
+    describe('POST /api/tickets/:id/attachments', () => {
+        it('should store files and link them to the ticket', async () => {
+            const response = await request(app)
+                .post(`/api/tickets/${ticket._id}/attachments`)
+                .set('Authorization', `Bearer ${userToken}`)
+                .attach('files', Buffer.from('hello world'), { filename: 'notes.txt', contentType: 'text/plain' })
+                .expect(201);
+
+            expect(response.body.attachments).toHaveLength(1);
+            const [attachment] = response.body.attachments;
+            expect(attachment.filename).toBe('notes.txt');
+            expect(attachment.size).toBe(11);
+            expect(attachment.downloadUrl).toBe(`/api/attachments/${attachment._id}/download`);
+            expect(attachment).not.toHaveProperty('storage');
+
+            const updated = await Ticket.findById(ticket._id);
+            expect(updated.attachments[0].attachmentId.toString()).toBe(attachment._id);
+
+            const auditLog = await AuditLog.findOne({ ticketId: ticket._id, action: 'ATTACHMENT_ADDED' });
+            expect(auditLog.meta.files[0].filename).toBe('notes.txt');
+        });
+
+        it('should reject types outside the allowlist', async () => {
+            const response = await request(app)
+                .post(`/api/tickets/${ticket._id}/attachments`)
+                .set('Authorization', `Bearer ${userToken}`)
+                .attach('files', Buffer.from('MZ'), { filename: 'setup.exe', contentType: 'application/x-msdownload' })
+                .expect(400);
+
+            expect(response.body.error).toMatch(/not allowed/);
+            expect(await Attachment.countDocuments()).toBe(0);
+        });
+
+        it('should reject content that does not match the declared type', async () => {
+            await request(app)
+                .post(`/api/tickets/${ticket._id}/attachments`)
+                .set('Authorization', `Bearer ${userToken}`)
+                .attach('files', Buffer.from('not really a png'), { filename: 'image.png', contentType: 'image/png' })
+                .expect(400);
+        });
+
+        it('should reject files over the size limit', async () => {
+            process.env.ATTACHMENT_MAX_BYTES = '8';
+
+            try {
+                await request(app)
+                    .post(`/api/tickets/${ticket._id}/attachments`)
+                    .set('Authorization', `Bearer ${userToken}`)
+                    .attach('files', Buffer.from('more than eight bytes'), { filename: 'big.txt', contentType: 'text/plain' })
+                    .expect(413);
+            } finally {
+                delete process.env.ATTACHMENT_MAX_BYTES;
+            }
+        });
+
+        it('should not let other customers upload to the ticket', async () => {
+            await request(app)
+                .post(`/api/tickets/${ticket._id}/attachments`)
+                .set('Authorization', `Bearer ${otherToken}`)
+                .attach('files', PNG_BYTES, { filename: 'image.png', contentType: 'image/png' })
+                .expect(403);
+        });
+    });
+
+    describe('POST /api/tickets/:id/replies/:replyId/attachments', () => {
+        it('should only let the reply author attach files', async () => {
+            ticket.replies.push({ author: agent._id, content: 'See attached', isInternal: false });
+            await ticket.save();
+            const replyId = ticket.replies[0]._id;
+
+            await request(app)
+                .post(`/api/tickets/${ticket._id}/replies/${replyId}/attachments`)
+                .set('Authorization', `Bearer ${userToken}`)
+                .attach('files', PNG_BYTES, { filename: 'image.png', contentType: 'image/png' })
+                .expect(403);
+
+            const response = await request(app)
+                .post(`/api/tickets/${ticket._id}/replies/${replyId}/attachments`)
+                .set('Authorization', `Bearer ${agentToken}`)
+                .attach('files', PNG_BYTES, { filename: 'image.png', contentType: 'image/png' })
+                .expect(201);
+
+            expect(response.body.attachments[0].replyId).toBe(replyId.toString());
+
+            const updated = await Ticket.findById(ticket._id);
+            expect(updated.replies[0].attachments).toHaveLength(1);
+        });
+    });
+
+    describe('GET /api/attachments/:id/download', () => {
+        it('should stream the file to the ticket owner and staff only', async () => {
+            const upload = await request(app)
+                .post(`/api/tickets/${ticket._id}/attachments`)
+                .set('Authorization', `Bearer ${userToken}`)
+                .attach('files', Buffer.from('hello world'), { filename: 'notes.txt', contentType: 'text/plain' });
+            const attachmentId = upload.body.attachments[0]._id;
+
+            const response = await request(app)
+                .get(`/api/attachments/${attachmentId}/download`)
+                .set('Authorization', `Bearer ${userToken}`)
+                .expect(200);
+
+            expect(response.headers['content-type']).toMatch(/text\/plain/);
+            expect(response.headers['content-disposition']).toMatch(/notes\.txt/);
+            expect(response.text).toBe('hello world');
+
+            await request(app)
+                .get(`/api/attachments/${attachmentId}/download`)
+                .set('Authorization', `Bearer ${agentToken}`)
+                .expect(200);
+
+            await request(app)
+                .get(`/api/attachments/${attachmentId}/download`)
+                .set('Authorization', `Bearer ${otherToken}`)
+                .expect(403);
+
+            await request(app)
+                .get(`/api/attachments/${attachmentId}/download`)
+                .expect(401);
+        });
+
+        it('should hide attachments on internal notes from the customer', async () => {
+            ticket.replies.push({ author: agent._id, content: 'Internal log', isInternal: true });
+            await ticket.save();
+
+            const upload = await request(app)
+                .post(`/api/tickets/${ticket._id}/replies/${ticket.replies[0]._id}/attachments`)
+                .set('Authorization', `Bearer ${agentToken}`)
+                .attach('files', Buffer.from('stack trace'), { filename: 'log.txt', contentType: 'text/plain' });
+
+            await request(app)
+                .get(`/api/attachments/${upload.body.attachments[0]._id}/download`)
+                .set('Authorization', `Bearer ${userToken}`)
+                .expect(403);
+        });
+    });
+
+    describe('Upload helpers', () => {
+        it('should match file signatures for binary types', () => {
+            expect(matchesSignature('image/png', PNG_BYTES)).toBe(true);
+            expect(matchesSignature('image/png', Buffer.from('GIF89a'))).toBe(false);
+            expect(matchesSignature('text/plain', Buffer.from('anything'))).toBe(true);
+        });
+
+        it('should refuse storage keys outside the storage directory', async () => {
+            await expect(getStorage('local').put('../escape.txt', Buffer.from('x')))
+                .rejects.toThrow('Invalid storage key');
+        });
+    });
+});
@@ -0,0 +1,83 @@
+import { addBusinessTime, businessTimeBetween, isValidTimeZone } from '../utils/businessTime.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('Business Time', () => {
+    const calendar = {
+        enabled: true,
+        timezone: 'UTC',
+        workingHours: [1, 2, 3, 4, 5].map(day => ({ day, start: '09:00', end: '17:00' })),
+        holidays: [{ date: '2024-12-25', name: 'Christmas Day' }]
+    };
+
+    describe('addBusinessTime', () => {
+        it('should add wall-clock time when the calendar is disabled', () => {
+            const start = new Date('2024-01-05T16:00:00Z');
+
+            const result = addBusinessTime(start, 24 * HOUR_MS, { ...calendar, enabled: false });
+
+            expect(result).toEqual(new Date('2024-01-06T16:00:00Z'));
+        });
+
+        it('should skip nights and weekends', () => {
+            // Friday 16:00 + 3 business hours = Monday 11:00
+            const result = addBusinessTime(new Date('2024-01-05T16:00:00Z'), 3 * HOUR_MS, calendar);
+
+            expect(result).toEqual(new Date('2024-01-08T11:00:00Z'));
+        });
+
+        it('should start counting at the next opening when created out of hours', () => {
+            // Saturday 12:00 + 1 business hour = Monday 10:00
+            const result = addBusinessTime(new Date('2024-01-06T12:00:00Z'), HOUR_MS, calendar);
+
+            expect(result).toEqual(new Date('2024-01-08T10:00:00Z'));
+        });
+
+        it('should skip holidays', () => {
+            // Tuesday 24 Dec 16:00 + 2 business hours skips Christmas = Thursday 10:00
+            const result = addBusinessTime(new Date('2024-12-24T16:00:00Z'), 2 * HOUR_MS, calendar);
+
+            expect(result).toEqual(new Date('2024-12-26T10:00:00Z'));
+        });
+
+        it('should honour the calendar timezone', () => {
+            const tokyo = { ...calendar, timezone: 'Asia/Tokyo' };
+
+            // Monday 08:00 UTC is 17:00 in Tokyo, so 1 business hour lands Tuesday 10:00 JST
+            const result = addBusinessTime(new Date('2024-01-08T08:00:00Z'), HOUR_MS, tokyo);
+
+            expect(result).toEqual(new Date('2024-01-09T01:00:00Z'));
+        });
+
+        it('should throw when the calendar has no working time', () => {
+            expect(() => addBusinessTime(new Date(), HOUR_MS, { ...calendar, workingHours: [{ day: 1, start: '09:00', end: '09:00' }] }))
+                .toThrow('Business calendar has no working time within range');
+        });
+    });
+
+    describe('businessTimeBetween', () => {
+        it('should only count working hours', () => {
+            // Friday 15:00 to Monday 10:00 = 2h Friday + 1h Monday
+            const result = businessTimeBetween(
+                new Date('2024-01-05T15:00:00Z'),
+                new Date('2024-01-08T10:00:00Z'),
+                calendar
+            );
+
+            expect(result).toBe(3 * HOUR_MS);
+        });
+
+        it('should return zero for reversed ranges', () => {
+            const now = new Date();
+
+            expect(businessTimeBetween(now, new Date(now.getTime() - HOUR_MS), calendar)).toBe(0);
+        });
+    });
+
+    describe('isValidTimeZone', () => {
+        it('should validate IANA timezone names', () => {
+            expect(isValidTimeZone('Europe/London')).toBe(true);
+            expect(isValidTimeZone('Mars/Olympus')).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,277 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import { AuditLog } from '../models/AuditLog.js';
+import { InboundEmail } from '../models/InboundEmail.js';
+import { Ticket } from '../models/Ticket.js';
+import { User } from '../models/User.js';
+import app from '../server.js';
+import attachmentService from '../services/attachmentService.js';
+import emailIngestService from '../services/emailIngestService.js';
+import {
+    buildMessageId,
+    cleanSubject,
+    findTicketReference,
+    formatSubjectToken,
+    stripQuotedReply
+} from '../utils/emailThreading.js';
+
+const SECRET = 'test-inbound-secret';
+
+const buildEmail = ({ from, subject, messageId, body, headers = [] }) => [
+    `From: ${from}`,
+    'To: support@helpdesk.local',
+    `Subject: ${subject}`,
+    `Message-ID: ${messageId}`,
+    ...headers,
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    body,
+    ''
+].join('\r\n');
+
+const postEmail = (raw) => request(app)
+    .post('/api/email/inbound')
+    .set('X-Inbound-Secret', SECRET)
+    .set('Content-Type', 'message/rfc822')
+    .send(raw);
+
+describe('Inbound email', () => {
+    beforeAll(() => {
+        process.env.INBOUND_EMAIL_SECRET = SECRET;
+    });
+
+    afterAll(() => {
+        delete process.env.INBOUND_EMAIL_SECRET;
+    });
+
+    describe('POST /api/email/inbound', () => {
+        it('should create a ticket and provision the sender', async () => {
+            const response = await postEmail(buildEmail({
+                from: '"Jane Doe" <Jane@Example.com>',
+                subject: 'Refund for order 123',
+                messageId: '<first@example.com>',
+                body: 'I was charged twice.'
+            })).expect(202);
+
+            expect(response.body.status).toBe('processed');
+            expect(response.body.outcome).toBe('ticket_created');
+
+            const user = await User.findOne({ email: 'jane@example.com' });
+            expect(user.name).toBe('Jane Doe');
+            expect(user.role).toBe('user');
+
+            const ticket = await Ticket.findById(response.body.ticketId);
+            expect(ticket.title).toBe('Refund for order 123');
+            expect(ticket.description).toBe('I was charged twice.');
+            expect(ticket.createdBy.toString()).toBe(user._id.toString());
+
+            const created = await AuditLog.findOne({ ticketId: ticket._id, action: 'TICKET_CREATED' });
+            expect(created.meta.source).toBe('email');
+
+            const provisioned = await AuditLog.findOne({ targetUserId: user._id, action: 'USER_CREATED' });
+            expect(provisioned.actor).toBe('system');
+        });
+
+        it('should thread a reply onto the referenced ticket', async () => {
+            const customer = await User.create({
+                name: 'Customer',
+                email: 'customer@example.com',
+                passwordHash: 'hash',
+                role: 'user'
+            });
+            const ticket = await Ticket.create({
+                title: 'Login issue',
+                description: 'Cannot log in',
+                createdBy: customer._id,
+                status: 'waiting_customer'
+            });
+
+            const response = await postEmail(buildEmail({
+                from: 'customer@example.com',
+                subject: `Re: ${formatSubjectToken(ticket._id)} Login issue`,
+                messageId: '<reply@example.com>',
+                body: 'Still failing.\r\n\r\nOn Mon, 1 Jan 2024 Support wrote:\r\n> Did you try again?'
+            })).expect(202);
+
+            expect(response.body.outcome).toBe('reply_added');
+            expect(response.body.ticketId).toBe(ticket._id.toString());
+
+            const updated = await Ticket.findById(ticket._id);
+            expect(updated.replies).toHaveLength(1);
+            expect(updated.replies[0].content).toBe('Still failing.');
+            expect(updated.status).toBe('waiting_human');
+            expect(await Ticket.countDocuments()).toBe(1);
+        });
+
+        it('should open a new ticket when the sender does not own the referenced ticket', async () => {
+            const owner = await User.create({ name: 'Owner', email: 'owner@example.com', passwordHash: 'hash', role: 'user' });
+            const ticket = await Ticket.create({ title: 'Private', description: 'Mine', createdBy: owner._id });
+
+            const response = await postEmail(buildEmail({
+                from: 'stranger@example.com',
+                subject: `Re: ${formatSubjectToken(ticket._id)} Private`,
+                messageId: '<stranger@example.com>',
+                body: 'Let me in'
+            })).expect(202);
+
+            expect(response.body.outcome).toBe('ticket_created');
+            expect(response.body.ticketId).not.toBe(ticket._id.toString());
+            expect((await Ticket.findById(ticket._id)).replies).toHaveLength(0);
+        });
+
+        it('should not let a staff address reply by email', async () => {
+            const customer = await User.create({ name: 'Customer', email: 'customer@example.com', passwordHash: 'hash', role: 'user' });
+            await User.create({ name: 'Admin', email: 'admin@example.com', passwordHash: 'hash', role: 'admin' });
+            const ticket = await Ticket.create({ title: 'Login issue', description: 'Cannot log in', createdBy: customer._id });
+
+            // Anyone can put a staff address in From:
+            const response = await postEmail(buildEmail({
+                from: 'admin@example.com',
+                subject: `Re: ${formatSubjectToken(ticket._id)} Login issue`,
+                messageId: '<spoofed@example.com>',
+                body: 'Please send us your password.'
+            })).expect(202);
+
+            expect(response.body.status).toBe('ignored');
+            expect(response.body.reason).toBe('staff_sender');
+            expect((await Ticket.findById(ticket._id)).replies).toHaveLength(0);
+            expect(await Ticket.countDocuments()).toBe(1);
+        });
+
+        it('should process each Message-ID once', async () => {
+            const raw = buildEmail({
+                from: 'dup@example.com',
+                subject: 'Duplicate',
+                messageId: '<dup@example.com>',
+                body: 'Hello'
+            });
+
+            await postEmail(raw).expect(202);
+            const second = await postEmail(raw).expect(200);
+
+            expect(second.body.duplicate).toBe(true);
+            expect(await Ticket.countDocuments()).toBe(1);
+        });
+
+        it('should only retry the attachments when a redelivery follows a failure', async () => {
+            const storageDir = await fs.mkdtemp(path.join(os.tmpdir(), 'helpdesk-uploads-'));
+            process.env.STORAGE_DIR = storageDir;
+            const saveUploads = attachmentService.saveUploads;
+            attachmentService.saveUploads = async () => {
+                attachmentService.saveUploads = saveUploads;
+                throw new Error('Storage unavailable');
+            };
+            const raw = [
+                'From: files@example.com',
+                'To: support@helpdesk.local',
+                'Subject: Invoice attached',
+                'Message-ID: <files@example.com>',
+                'Content-Type: multipart/mixed; boundary="b1"',
+                '',
+                '--b1',
+                'Content-Type: text/plain; charset=utf-8',
+                '',
+                'The invoice is wrong.',
+                '--b1',
+                'Content-Type: text/plain; name="invoice.txt"',
+                'Content-Disposition: attachment; filename="invoice.txt"',
+                '',
+                'Total: 20 EUR',
+                '--b1--',
+                ''
+            ].join('\r\n');
+
+            try {
+                await postEmail(raw).expect(500);
+                const failed = await InboundEmail.findOne({ messageId: '<files@example.com>' });
+                expect(failed).toMatchObject({ status: 'failed', outcome: 'ticket_created' });
+
+                const retried = await postEmail(raw).expect(202);
+
+                expect(retried.body.ticketId).toBe(failed.ticketId.toString());
+                expect(await Ticket.countDocuments()).toBe(1);
+                const ticket = await Ticket.findById(failed.ticketId);
+                expect(ticket.attachments.map(attachment => attachment.filename)).toEqual(['invoice.txt']);
+            } finally {
+                attachmentService.saveUploads = saveUploads;
+                delete process.env.STORAGE_DIR;
+                await fs.rm(storageDir, { recursive: true, force: true });
+            }
+        });
+
+        it('should ignore auto-replies', async () => {
+            const response = await postEmail(buildEmail({
+                from: 'away@example.com',
+                subject: 'Out of office',
+                messageId: '<ooo@example.com>',
+                body: 'I am away',
+                headers: ['Auto-Submitted: auto-replied']
+            })).expect(202);
+
+            expect(response.body.status).toBe('ignored');
+            expect(response.body.reason).toBe('auto_submitted');
+            expect(await Ticket.countDocuments()).toBe(0);
+        });
+
+        it('should reject requests without the shared secret', async () => {
+            await request(app)
+                .post('/api/email/inbound')
+                .set('Content-Type', 'message/rfc822')
+                .send('From: a@example.com\r\n\r\nhi')
+                .expect(401);
+        });
+    });
+
+    describe('Maildir polling', () => {
+        let maildir;
+
+        beforeEach(async () => {
+            maildir = await fs.mkdtemp(path.join(os.tmpdir(), 'helpdesk-maildir-'));
+            await fs.mkdir(path.join(maildir, 'new'));
+        });
+
+        afterEach(async () => {
+            await fs.rm(maildir, { recursive: true, force: true });
+        });
+
+        it('should ingest new messages and move them to cur', async () => {
+            await fs.writeFile(path.join(maildir, 'new', '1700000000.M1.host'), buildEmail({
+                from: 'maildir@example.com',
+                subject: 'From the maildir',
+                messageId: '<maildir@example.com>',
+                body: 'Polled message'
+            }));
+
+            const result = await emailIngestService.pollMaildir(maildir);
+
+            expect(result).toEqual({ processed: 1, failed: 0 });
+            expect(await fs.readdir(path.join(maildir, 'new'))).toHaveLength(0);
+            expect(await fs.readdir(path.join(maildir, 'cur'))).toEqual(['1700000000.M1.host:2,S']);
+
+            const record = await InboundEmail.findOne({ messageId: '<maildir@example.com>' });
+            expect(record.source).toBe('maildir');
+            expect(record.outcome).toBe('ticket_created');
+        });
+    });
+
+    describe('Threading helpers', () => {
+        const ticketId = '64b7f0c2a1b2c3d4e5f60718';
+
+        it('should find the ticket from headers before the subject', () => {
+            const headers = new Map([['x-helpdesk-ticket', ticketId]]);
+            expect(findTicketReference({ subject: 'Re: [HD-64b7f0c2a1b2c3d4e5f60719] Hi', headers })).toBe(ticketId);
+
+            expect(findTicketReference({ inReplyTo: buildMessageId(ticketId, 'reply-1') })).toBe(ticketId);
+            expect(findTicketReference({ subject: `Re: ${formatSubjectToken(ticketId)} Hi` })).toBe(ticketId);
+            expect(findTicketReference({ subject: 'No token here' })).toBeNull();
+        });
+
+        it('should clean subjects and strip quoted history', () => {
+            expect(cleanSubject(`RE: Fwd: ${formatSubjectToken(ticketId)} Broken  login`)).toBe('Broken login');
+            expect(stripQuotedReply('New text\n\nOn Tue, Bob wrote:\n> old')).toBe('New text');
+            expect(stripQuotedReply('Line one\n> quoted\nLine two')).toBe('Line one\nLine two');
+        });
+    });
+});
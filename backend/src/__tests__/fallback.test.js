@@ -0,0 +1,75 @@
+import { AuditLog } from '../models/AuditLog.js';
+import { Config } from '../models/Config.js';
+import { Ticket } from '../models/Ticket.js';
+import { User } from '../models/User.js';
+import agentService from '../services/agentService.js';
+import llmService from '../services/llmService.js';
+
+describe('LLM fallback', () => {
+    const originalFetch = global.fetch;
+    const originalStubDraft = llmService._stubDraft;
+    let ticket;
+
+    beforeEach(async () => {
+        // The configured provider is down for every request
+        global.fetch = async () => ({ ok: false, status: 503, text: async () => 'overloaded' });
+
+        const config = await Config.create({ autoCloseEnabled: true, confidenceThreshold: 0 });
+        config.set('llmSettings.classify.provider', 'openai');
+        config.set('llmSettings.draft.provider', 'openai');
+        config.set('agentSettings.maxRetries', 1);
+        await config.save();
+
+        const customer = await User.create({ name: 'Customer', email: 'customer@example.com', passwordHash: 'hash', role: 'user' });
+        ticket = await Ticket.create({
+            title: 'Refund request',
+            description: 'I would like a refund for my last invoice',
+            category: 'other',
+            createdBy: customer._id
+        });
+    });
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+        llmService._stubDraft = originalStubDraft;
+    });
+
+    it('should fall back to the stub and hand the answer to a human', async () => {
+        const result = await agentService.triageTicket(ticket._id.toString());
+
+        expect(result.decision.action).toBe('assigned_to_human');
+        expect(result.fallbacks.map(fallback => fallback.step)).toEqual(expect.arrayContaining(['classify', 'draft']));
+
+        const used = await AuditLog.find({ ticketId: ticket._id, action: 'LLM_FALLBACK_USED' });
+        expect(used.map(log => log.meta)).toEqual(expect.arrayContaining([
+            expect.objectContaining({ step: 'classify', stage: 'stub', provider: 'stub' })
+        ]));
+        // No agents exist, so the ticket waits in the queue
+        const assigned = await AuditLog.findOne({ ticketId: ticket._id, action: 'ASSIGNED_TO_HUMAN' });
+        expect(assigned.meta.decisionReason).toBe('llm_fallback');
+    });
+
+    it('should route straight to a human when every provider fails', async () => {
+        llmService._stubDraft = () => {
+            throw new Error('stub broken');
+        };
+
+        const result = await agentService.triageTicket(ticket._id.toString());
+
+        expect(result.decision).toMatchObject({ action: 'assigned_to_human', suggestion: null, failedStep: 'draft' });
+        const updated = await Ticket.findById(ticket._id);
+        expect(updated.status).toBe('waiting_human');
+
+        const assigned = await AuditLog.findOne({ ticketId: ticket._id, action: 'ASSIGNED_TO_HUMAN' });
+        expect(assigned.meta).toMatchObject({ reason: 'triage_failed', failedStep: 'draft' });
+    });
+
+    it('should fail the triage when the fallback is disabled', async () => {
+        await Config.updateOne({}, { 'agentSettings.enableFallback': false });
+
+        await expect(agentService.triageTicket(ticket._id.toString())).rejects.toThrow();
+
+        expect(await AuditLog.exists({ ticketId: ticket._id, action: 'TRIAGE_FAILED' })).toBeTruthy();
+        expect(await AuditLog.exists({ ticketId: ticket._id, action: 'LLM_FALLBACK_USED' })).toBeNull();
+    });
+});
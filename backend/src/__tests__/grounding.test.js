@@ -0,0 +1,167 @@
+import { Article } from '../models/Article.js';
+import { AuditLog } from '../models/AuditLog.js';
+import { Config } from '../models/Config.js';
+import { Ticket } from '../models/Ticket.js';
+import { User } from '../models/User.js';
+import agentService from '../services/agentService.js';
+import groundingService from '../services/groundingService.js';
+import llmService from '../services/llmService.js';
+
+describe('Citation grounding', () => {
+    const originalStubDraft = llmService._stubDraft;
+    const body = 'Refunds are issued to the original payment method within 5 business days of approval.';
+    const article = { _id: 'a1', title: 'Refund policy', body };
+    const citation = { number: 1, articleId: 'a1', articleTitle: 'Refund policy', passageIndex: 0, start: 0, end: body.length, text: body };
+
+    afterEach(() => {
+        llmService._stubDraft = originalStubDraft;
+    });
+
+    describe('verify', () => {
+        it('should score supported sentences above unsupported ones', async () => {
+            const { report } = await groundingService.verify({
+                draftReply: 'Refunds go back to the original payment method within 5 business days [1]. We will also send you a new laptop [1].',
+                citations: [citation]
+            }, [article]);
+
+            expect(report.citedSentences).toBe(2);
+            expect(report.sentences[0].support).toBeGreaterThan(0.5);
+            expect(report.sentences[1].support).toBeLessThan(0.5);
+        });
+
+        it('should reject citations to articles retrieval did not return', async () => {
+            const { citations, report } = await groundingService.verify({
+                draftReply: 'Refunds take 5 business days [1]. Shipping is free [2]. Gift cards never expire [3].',
+                citations: [citation, { ...citation, number: 2, articleId: 'other' }]
+            }, [article]);
+
+            expect(citations).toEqual([citation]);
+            expect(report.rejectedCitations).toEqual([
+                { number: 2, articleId: 'other', reason: 'unknown_article' },
+                { number: 3, articleId: null, reason: 'unknown_citation' }
+            ]);
+            expect(report.sentences.map(sentence => sentence.support)).toEqual([expect.any(Number), 0, 0]);
+        });
+
+        it('should reject a passage that is not in the article', async () => {
+            const { report } = await groundingService.verify({
+                draftReply: 'Refunds are instant [1].',
+                citations: [{ ...citation, text: 'Refunds are instant.' }]
+            }, [article]);
+
+            expect(report.rejectedCitations).toEqual([{ number: 1, articleId: 'a1', reason: 'passage_mismatch' }]);
+            expect(report.score).toBe(0);
+        });
+
+        it('should score a draft that cites nothing as unsupported', async () => {
+            const { report } = await groundingService.verify({
+                draftReply: 'Refunds are instant. We will also send you a new laptop.',
+                citations: [citation]
+            }, [article]);
+
+            expect(report).toMatchObject({ score: 0, citedSentences: 0, uncitedSentences: 2, citedShare: 0 });
+        });
+
+        it('should not score a draft when no article was retrieved', async () => {
+            const { citations, report } = await groundingService.verify({
+                draftReply: 'Thanks for reaching out. An agent will follow up shortly.',
+                citations: []
+            }, []);
+
+            expect(citations).toEqual([]);
+            expect(report).toMatchObject({ score: null, citedSentences: 0, uncitedSentences: 2 });
+        });
+    });
+
+    describe('triage', () => {
+        let ticket;
+
+        beforeEach(async () => {
+            await Config.create({ autoCloseEnabled: true, categoryThresholds: { billing: 0.1 } });
+            const customer = await User.create({ name: 'Customer', email: 'customer@example.com', passwordHash: 'hash', role: 'user' });
+            await User.create({ name: 'Agent', email: 'agent@example.com', passwordHash: 'hash', role: 'agent' });
+            await Article.create({ title: 'Refund policy', body, tags: ['billing'], status: 'published', author: customer._id });
+
+            ticket = await Ticket.create({
+                title: 'Refund for a double charge',
+                description: 'I was charged twice and want a refund to my card',
+                category: 'billing',
+                createdBy: customer._id
+            });
+        });
+
+        it('should auto-close a draft that quotes its passages', async () => {
+            const result = await agentService.triageTicket(ticket._id.toString());
+
+            expect(result.decision.action).toBe('auto_closed');
+            const verified = await AuditLog.findOne({ ticketId: ticket._id, action: 'GROUNDING_VERIFIED' });
+            expect(verified.meta).toMatchObject({ score: 1, threshold: 0.5, passed: true });
+        });
+
+        it('should hand a poorly grounded draft to a human', async () => {
+            llmService._stubDraft = (text, articles) => ({
+                draftReply: 'We will ship you a replacement laptop tomorrow [1].',
+                citations: llmService.numberPassages(articles).slice(0, 1)
+            });
+
+            const result = await agentService.triageTicket(ticket._id.toString());
+
+            expect(result.decision.action).toBe('assigned_to_human');
+            expect(result.grounding.passed).toBe(false);
+            const assigned = await AuditLog.findOne({ ticketId: ticket._id, action: 'ASSIGNED_TO_HUMAN' });
+            expect(assigned.meta).toMatchObject({ reason: 'low_grounding', groundingScore: result.grounding.score });
+        });
+
+        it('should hand a draft that cites nothing to a human', async () => {
+            // Citations only in the JSON list, none in the reply itself
+            llmService._stubDraft = (text, articles) => ({
+                draftReply: 'Your refund was approved and will reach your card tomorrow.',
+                citations: llmService.numberPassages(articles).slice(0, 1)
+            });
+
+            const result = await agentService.triageTicket(ticket._id.toString());
+
+            expect(result.grounding).toMatchObject({ score: 0, citedSentences: 0, passed: false });
+            expect(result.decision.action).toBe('assigned_to_human');
+            const assigned = await AuditLog.findOne({ ticketId: ticket._id, action: 'ASSIGNED_TO_HUMAN' });
+            expect(assigned.meta).toMatchObject({ reason: 'low_grounding' });
+        });
+
+        it('should hand a draft with mostly uncited sentences to a human', async () => {
+            llmService._stubDraft = (text, articles) => ({
+                draftReply: [
+                    `${articles[0].body} [1]`,
+                    'We will ship you a replacement laptop tomorrow.',
+                    'Your account has been upgraded to premium.',
+                    'A $500 credit was added to your card.',
+                    'Your next three orders ship free.',
+                    'We have also refunded last year\'s invoices.',
+                    'Your warranty now covers accidental damage.',
+                    'A technician will visit you on Monday.',
+                    'Your loyalty points were doubled.',
+                    'We have waived all future fees.',
+                    'You will receive a gift card by email.'
+                ].join(' '),
+                citations: llmService.numberPassages(articles).slice(0, 1)
+            });
+
+            const result = await agentService.triageTicket(ticket._id.toString());
+
+            expect(result.grounding.score).toBe(1);
+            expect(result.grounding.citedShare).toBeLessThan(0.1);
+            expect(result.grounding.passed).toBe(false);
+            expect(result.decision.action).toBe('assigned_to_human');
+        });
+
+        it('should not gate auto-close on grounding when no article was found', async () => {
+            await Article.deleteMany({});
+
+            const result = await agentService.triageTicket(ticket._id.toString());
+
+            expect(result.grounding).toMatchObject({ score: null, passed: null });
+            expect(result.decision.action).toBe('auto_closed');
+            const verified = await AuditLog.findOne({ ticketId: ticket._id, action: 'GROUNDING_VERIFIED' });
+            expect(verified.meta).toMatchObject({ score: null, passed: null });
+        });
+    });
+});
@@ -94,7 +94,7 @@ describe('Knowledge Base', () => {
     });
 
     describe('POST /api/kb', () => {
-        it('should create article as admin', async () => {
+        it('should create article as a draft', async () => {
             const articleData = {
                 title: 'New Article',
                 body: 'Article content',
@@ -109,6 +109,7 @@ describe('Knowledge Base', () => {
                 .expect(201);
 
             expect(response.body.article.title).toBe('New Article');
+            expect(response.body.article.status).toBe('draft');
             expect(response.body.article.author._id).toBe(adminUser._id.toString());
         });
 
@@ -162,7 +163,18 @@ describe('Knowledge Base', () => {
                 .expect(200);
 
             expect(response.body.article.title).toBe('Updated Title');
-            expect(response.body.article.status).toBe('published');
+            // Status only changes through the review workflow
+            expect(response.body.article.status).toBe('draft');
+        });
+
+        it('should not edit an article that is in review', async () => {
+            await Article.updateOne({ _id: article._id }, { status: 'in_review' });
+
+            await request(app)
+                .put(`/api/kb/${article._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ title: 'Updated' })
+                .expect(409);
         });
 
         it('should reject update by non-admin', async () => {
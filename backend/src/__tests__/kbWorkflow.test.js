@@ -0,0 +1,271 @@
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import { Article } from '../models/Article.js';
+import { User } from '../models/User.js';
+import app from '../server.js';
+import kbService from '../services/kbService.js';
+import kbWorkflowService from '../services/kbWorkflowService.js';
+
+describe('KB editorial workflow', () => {
+    let admin, reviewer, agent, adminToken, reviewerToken, agentToken;
+
+    const tokenFor = (user) => jwt.sign(
+        { userId: user._id, email: user.email, role: user.role },
+        process.env.JWT_SECRET || 'test-secret'
+    );
+
+    beforeEach(async () => {
+        admin = await User.create({ name: 'Admin', email: 'admin@example.com', passwordHash: 'hash', role: 'admin' });
+        reviewer = await User.create({ name: 'Reviewer', email: 'reviewer@example.com', passwordHash: 'hash', role: 'agent' });
+        agent = await User.create({ name: 'Agent', email: 'agent@example.com', passwordHash: 'hash', role: 'agent' });
+        adminToken = tokenFor(admin);
+        reviewerToken = tokenFor(reviewer);
+        agentToken = tokenFor(agent);
+    });
+
+    const createDraft = async () => {
+        const response = await request(app)
+            .post('/api/kb')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ title: 'Refund policy', body: 'Refunds are issued to your card within 5 days.', tags: ['billing'] })
+            .expect(201);
+        return response.body.article._id;
+    };
+
+    const transition = (articleId, token, status, expected = 200) => request(app)
+        .post(`/api/kb/${articleId}/transition`)
+        .set('Authorization', `Bearer ${token}`)
+        .send({ status })
+        .expect(expected);
+
+    const assignReviewer = (articleId) => request(app)
+        .put(`/api/kb/${articleId}/reviewers`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ reviewers: [reviewer._id.toString()] })
+        .expect(200);
+
+    const approve = async () => {
+        const articleId = await createDraft();
+        await assignReviewer(articleId);
+        await transition(articleId, adminToken, 'in_review');
+        await transition(articleId, reviewerToken, 'approved');
+        return articleId;
+    };
+
+    it('should take an article from draft to published through review', async () => {
+        const articleId = await createDraft();
+        await transition(articleId, adminToken, 'in_review', 409);
+
+        await assignReviewer(articleId);
+        await transition(articleId, adminToken, 'in_review');
+        await transition(articleId, adminToken, 'approved', 403);
+        await transition(articleId, reviewerToken, 'approved');
+        const response = await transition(articleId, adminToken, 'published');
+
+        expect(response.body.article.status).toBe('published');
+        expect(response.body.article.publishedAt).toBeTruthy();
+        expect(response.body.article.reviewers[0].decision).toBe('approved');
+        expect(response.body.article.statusHistory.map(change => change.to)).toEqual(['in_review', 'approved', 'published']);
+    });
+
+    it('should reject transitions the workflow does not allow', async () => {
+        const articleId = await createDraft();
+
+        await transition(articleId, adminToken, 'published', 409);
+    });
+
+    it('should let a reviewer request changes with a comment', async () => {
+        const articleId = await createDraft();
+        await assignReviewer(articleId);
+        await transition(articleId, adminToken, 'in_review');
+
+        await request(app)
+            .post(`/api/kb/${articleId}/transition`)
+            .set('Authorization', `Bearer ${reviewerToken}`)
+            .send({ status: 'draft', comment: 'Mention the refund form.' })
+            .expect(200);
+
+        const response = await request(app)
+            .get(`/api/kb/${articleId}/workflow`)
+            .set('Authorization', `Bearer ${reviewerToken}`)
+            .expect(200);
+        expect(response.body.article.status).toBe('draft');
+        expect(response.body.article.reviewers[0]).toMatchObject({ decision: 'changes_requested' });
+        expect(response.body.article.comments[0]).toMatchObject({ body: 'Mention the refund form.' });
+        expect(response.body.article.comments[0].author.email).toBe('reviewer@example.com');
+    });
+
+    it('should keep comments and the workflow to admins and reviewers', async () => {
+        const articleId = await createDraft();
+        await assignReviewer(articleId);
+
+        await request(app)
+            .post(`/api/kb/${articleId}/comments`)
+            .set('Authorization', `Bearer ${reviewerToken}`)
+            .send({ body: 'Looks good so far.' })
+            .expect(201);
+        await request(app)
+            .post(`/api/kb/${articleId}/comments`)
+            .set('Authorization', `Bearer ${agentToken}`)
+            .send({ body: 'Drive-by comment.' })
+            .expect(403);
+        await request(app)
+            .get(`/api/kb/${articleId}/workflow`)
+            .set('Authorization', `Bearer ${agentToken}`)
+            .expect(403);
+    });
+
+    it('should only assign active agents and admins as reviewers', async () => {
+        const articleId = await createDraft();
+        const customer = await User.create({ name: 'User', email: 'user@example.com', passwordHash: 'hash', role: 'user' });
+
+        await request(app)
+            .put(`/api/kb/${articleId}/reviewers`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ reviewers: [customer._id.toString()] })
+            .expect(400);
+    });
+
+    it('should only edit drafts', async () => {
+        const articleId = await approve();
+
+        await request(app)
+            .put(`/api/kb/${articleId}`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ body: 'Refunds are never given.' })
+            .expect(409);
+    });
+
+    it('should review edits to a published article while the published text stays live', async () => {
+        const articleId = await approve();
+        await transition(articleId, adminToken, 'published');
+
+        const edited = await request(app)
+            .put(`/api/kb/${articleId}`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ body: 'Refunds are issued to your card within 10 days.' })
+            .expect(200);
+        expect(edited.body.article.body).toBe('Refunds are issued to your card within 5 days.');
+        expect(edited.body.article.revisionDraft).toMatchObject({ status: 'draft', basedOn: 1 });
+
+        const live = await kbService.searchArticles('refund to my card', { status: 'published' });
+        expect(live.map(article => article.body)).toEqual(['Refunds are issued to your card within 5 days.']);
+
+        await transition(articleId, adminToken, 'in_review');
+        await request(app)
+            .put(`/api/kb/${articleId}`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ body: 'Sneaking in another change.' })
+            .expect(409);
+        await transition(articleId, reviewerToken, 'approved');
+        const response = await transition(articleId, adminToken, 'published');
+
+        expect(response.body.article).toMatchObject({
+            status: 'published',
+            body: 'Refunds are issued to your card within 10 days.',
+            revision: 2
+        });
+        expect(response.body.article.revisionDraft).toBeUndefined();
+        expect(response.body.article.statusHistory.filter(change => change.revisionDraft).map(change => change.to))
+            .toEqual(['in_review', 'approved', 'published']);
+    });
+
+    it('should let an admin roll back a published article straight away', async () => {
+        const articleId = await createDraft();
+        await request(app)
+            .put(`/api/kb/${articleId}`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ body: 'Refunds are never given.' })
+            .expect(200);
+        await assignReviewer(articleId);
+        await transition(articleId, adminToken, 'in_review');
+        await transition(articleId, reviewerToken, 'approved');
+        await transition(articleId, adminToken, 'published');
+
+        const response = await request(app)
+            .post(`/api/kb/${articleId}/rollback`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ revision: 1 })
+            .expect(200);
+
+        expect(response.body.article).toMatchObject({
+            status: 'published',
+            body: 'Refunds are issued to your card within 5 days.',
+            revision: 3
+        });
+        const live = await kbService.searchArticles('refund to my card', { status: 'published' });
+        expect(live.map(article => article.body)).toEqual(['Refunds are issued to your card within 5 days.']);
+    });
+
+    it('should hide review details from customers', async () => {
+        const articleId = await approve();
+        await transition(articleId, adminToken, 'published');
+        const customer = await User.create({ name: 'User', email: 'user@example.com', passwordHash: 'hash', role: 'user' });
+
+        const response = await request(app)
+            .get(`/api/kb/${articleId}`)
+            .set('Authorization', `Bearer ${tokenFor(customer)}`)
+            .expect(200);
+
+        expect(response.body.title).toBe('Refund policy');
+        expect(response.body.reviewers).toBeUndefined();
+        expect(response.body.statusHistory).toBeUndefined();
+    });
+
+    it('should publish and unpublish on schedule', async () => {
+        const articleId = await approve();
+        const publishAt = new Date(Date.now() + 60 * 60 * 1000);
+        const unpublishAt = new Date(Date.now() + 2 * 60 * 60 * 1000);
+
+        await request(app)
+            .put(`/api/kb/${articleId}/schedule`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ publishAt: unpublishAt, unpublishAt: publishAt })
+            .expect(400);
+        await request(app)
+            .put(`/api/kb/${articleId}/schedule`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ publishAt, unpublishAt })
+            .expect(200);
+
+        expect(await kbWorkflowService.runDueSchedules(new Date())).toEqual({ published: [], archived: [] });
+
+        const published = await kbWorkflowService.runDueSchedules(new Date(publishAt.getTime() + 1000));
+        expect(published.published.map(String)).toEqual([articleId]);
+        let article = await Article.findById(articleId);
+        expect(article.status).toBe('published');
+        expect(article.publishAt).toBeUndefined();
+
+        await kbWorkflowService.runDueSchedules(new Date(unpublishAt.getTime() + 1000));
+        article = await Article.findById(articleId);
+        expect(article.status).toBe('archived');
+        expect(article.statusHistory.filter(change => change.scheduled).map(change => change.to)).toEqual(['published', 'archived']);
+    });
+
+    it('should only schedule publishing approved articles', async () => {
+        const articleId = await createDraft();
+
+        await request(app)
+            .put(`/api/kb/${articleId}/schedule`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ publishAt: new Date(Date.now() + 60 * 1000) })
+            .expect(409);
+    });
+
+    it('should only find published articles for triage', async () => {
+        const draftId = await createDraft();
+        const approvedId = await approve();
+        const publishedId = await approve();
+        await transition(publishedId, adminToken, 'published');
+        const expiredId = await approve();
+        await transition(expiredId, adminToken, 'published');
+        await Article.updateOne({ _id: expiredId }, { unpublishAt: new Date(Date.now() - 1000) });
+
+        const results = await kbService.searchArticles('refund to my card', { limit: 10, status: 'published' });
+
+        const ids = results.map(article => article._id.toString());
+        expect(ids).toEqual([publishedId]);
+        expect(ids).not.toContain(draftId);
+        expect(ids).not.toContain(approvedId);
+    });
+});
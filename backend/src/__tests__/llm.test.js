@@ -0,0 +1,193 @@
+import { LLMProvider } from '../services/llmService.js';
+
+describe('LLM Service', () => {
+    const originalFetch = global.fetch;
+    const originalEnv = { ...process.env };
+    let requests;
+
+    const mockCompletion = (content, usage = { prompt_tokens: 12, completion_tokens: 8, total_tokens: 20 }) => {
+        global.fetch = async (url, options) => {
+            requests.push({ url, body: JSON.parse(options.body), headers: options.headers });
+            return {
+                ok: true,
+                status: 200,
+                json: async () => ({ choices: [{ message: { content } }], usage })
+            };
+        };
+    };
+
+    beforeEach(() => {
+        requests = [];
+        process.env.STUB_MODE = 'false';
+        process.env.LLM_BASE_URL = 'http://localhost:11434/v1/';
+        process.env.LLM_MODEL = 'test-model';
+        process.env.OPENAI_API_KEY = 'test-key';
+    });
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+        process.env = { ...originalEnv };
+    });
+
+    describe('classify', () => {
+        it('should call the configured chat-completions endpoint', async () => {
+            mockCompletion('{"predictedCategory": "billing", "confidence": 0.912}');
+            const llm = new LLMProvider();
+
+            const result = await llm.classify('I was charged twice');
+
+            expect(requests[0].url).toBe('http://localhost:11434/v1/chat/completions');
+            expect(requests[0].body.model).toBe('test-model');
+            expect(requests[0].headers.Authorization).toBe('Bearer test-key');
+            expect(result.predictedCategory).toBe('billing');
+            expect(result.confidence).toBe(0.91);
+            expect(result.usage.totalTokens).toBe(20);
+            expect(result.latencyMs).toBeGreaterThanOrEqual(0);
+        });
+
+        it('should accept JSON wrapped in a markdown fence', async () => {
+            mockCompletion('```json\n{"predictedCategory": "tech", "confidence": 0.7}\n```');
+            const llm = new LLMProvider();
+
+            const result = await llm.classify('App crashes on login');
+
+            expect(result.predictedCategory).toBe('tech');
+        });
+
+        it('should reject responses that fail validation', async () => {
+            mockCompletion('{"predictedCategory": "legal", "confidence": 2}');
+            const llm = new LLMProvider();
+
+            await expect(llm.classify('Something')).rejects.toThrow('Classification service unavailable');
+        });
+
+        it('should reject non-2xx responses', async () => {
+            global.fetch = async () => ({ ok: false, status: 503, text: async () => 'overloaded' });
+            const llm = new LLMProvider();
+
+            await expect(llm.classify('Something')).rejects.toThrow('Classification service unavailable');
+        });
+    });
+
+    describe('draft', () => {
+        const articles = [
+            { _id: 'a1', title: 'Refund policy', body: 'Refunds are issued within 5 days.' },
+            { _id: 'a2', title: 'Invoices', body: 'Download invoices from the billing page.' }
+        ];
+
+        it('should map numbered citations back to article passages', async () => {
+            mockCompletion('{"draftReply": "Refunds take 5 days [1].", "citations": [1, 7]}');
+            const llm = new LLMProvider();
+
+            const result = await llm.draft('Where is my refund?', articles);
+
+            expect(result.draftReply).toBe('Refunds take 5 days [1].');
+            expect(result.citations).toEqual([{
+                number: 1,
+                articleId: 'a1',
+                articleTitle: 'Refund policy',
+                passageIndex: 0,
+                start: 0,
+                end: articles[0].body.length,
+                text: articles[0].body
+            }]);
+            expect(result.usage.promptTokens).toBe(12);
+        });
+
+        it('should number retrieved passages and pick up inline citations', async () => {
+            mockCompletion('{"draftReply": "See [2, 3] for invoices.", "citations": []}');
+            const llm = new LLMProvider();
+            const withPassages = [
+                { ...articles[0], passages: [{ index: 1, start: 10, end: 20, text: 'issued within' }] },
+                articles[1]
+            ];
+
+            const result = await llm.draft('Where is my invoice?', withPassages);
+
+            expect(requests[0].body.messages.at(-1).content).toContain('[1] Refund policy: "issued within"');
+            expect(result.citations.map(citation => [citation.number, citation.articleId])).toEqual([[2, 'a2']]);
+        });
+    });
+
+    describe('provider selection', () => {
+        it('should use the Anthropic messages API when selected', async () => {
+            process.env.ANTHROPIC_API_KEY = 'anthropic-key';
+            process.env.ANTHROPIC_BASE_URL = 'http://localhost:8081';
+            global.fetch = async (url, options) => {
+                requests.push({ url, body: JSON.parse(options.body), headers: options.headers });
+                return {
+                    ok: true,
+                    status: 200,
+                    json: async () => ({
+                        content: [{ type: 'text', text: '{"predictedCategory": "shipping", "confidence": 0.8}' }],
+                        usage: { input_tokens: 30, output_tokens: 10 }
+                    })
+                };
+            };
+            const llm = new LLMProvider();
+
+            const result = await llm.classify('Package never arrived', { provider: 'anthropic', model: 'claude-test' });
+
+            expect(requests[0].url).toBe('http://localhost:8081/v1/messages');
+            expect(requests[0].headers['x-api-key']).toBe('anthropic-key');
+            expect(requests[0].body.system).toBeTruthy();
+            expect(requests[0].body.messages.every(m => m.role !== 'system')).toBe(true);
+            expect(result).toMatchObject({ predictedCategory: 'shipping', provider: 'anthropic', model: 'claude-test' });
+            expect(result.usage.totalTokens).toBe(40);
+        });
+
+        it('should use the Ollama chat API with its default model', async () => {
+            process.env.OLLAMA_BASE_URL = 'http://localhost:11434';
+            process.env.OLLAMA_MODEL = 'mistral';
+            global.fetch = async (url, options) => {
+                requests.push({ url, body: JSON.parse(options.body) });
+                return {
+                    ok: true,
+                    status: 200,
+                    json: async () => ({
+                        message: { content: '{"predictedCategory": "other", "confidence": 0.6}' },
+                        prompt_eval_count: 5,
+                        eval_count: 3
+                    })
+                };
+            };
+            const llm = new LLMProvider();
+
+            const result = await llm.classify('Hello', { provider: 'ollama' });
+
+            expect(requests[0].url).toBe('http://localhost:11434/api/chat');
+            expect(requests[0].body.model).toBe('mistral');
+            expect(result.model).toBe('mistral');
+        });
+
+        it('should use the stub without any network call', async () => {
+            global.fetch = async () => {
+                throw new Error('network should not be used');
+            };
+            const llm = new LLMProvider();
+
+            const result = await llm.classify('I need a refund for this charge', { provider: 'stub' });
+
+            expect(result).toMatchObject({ predictedCategory: 'billing', provider: 'stub', model: 'deterministic-v1' });
+        });
+    });
+
+    describe('getModelInfo', () => {
+        it('should record provider, model, latency and usage per step', () => {
+            const llm = new LLMProvider();
+
+            const info = llm.getModelInfo({
+                classify: { provider: 'stub', model: 'deterministic-v1', latencyMs: 2, usage: { totalTokens: 0 } },
+                draft: { provider: 'openai', model: 'test-model', latencyMs: 150, usage: { promptTokens: 10, completionTokens: 5, totalTokens: 15 } }
+            });
+
+            expect(info).toMatchObject({
+                provider: 'stub',
+                model: 'deterministic-v1',
+                latencyMs: 152,
+                totalTokens: 15
+            });
+            expect(info.steps.draft).toMatchObject({ provider: 'openai', model: 'test-model', totalTokens: 15 });
+        });
+    });
+});
@@ -0,0 +1,113 @@
+import { QueueJob } from '../models/QueueJob.js';
+import { MongoQueue } from '../services/mongoQueue.js';
+
+const waitFor = async (check, timeoutMs = 5000) => {
+    const startedAt = Date.now();
+    while (Date.now() - startedAt < timeoutMs) {
+        const result = await check();
+        if (result) return result;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error('Timed out waiting for condition');
+};
+
+describe('MongoQueue', () => {
+    const options = { pollIntervalMs: 20, backoffMs: 10, leaseMs: 2000 };
+    let queues;
+
+    const createQueue = (processor, overrides = {}) => {
+        const queue = new MongoQueue('test', processor, { ...options, ...overrides });
+        queues.push(queue);
+        return queue;
+    };
+
+    beforeEach(() => {
+        queues = [];
+    });
+
+    afterEach(async () => {
+        await Promise.all(queues.map(queue => queue.close()));
+    });
+
+    it('should process a job in the background', async () => {
+        const processed = [];
+        const queue = createQueue(async (job) => processed.push(job.data.ticketId));
+
+        const job = await queue.add('process-ticket', { ticketId: 't1', traceId: 'trace-1' });
+        expect(processed).toEqual([]);
+        await queue.start();
+
+        await waitFor(async () => (await QueueJob.findById(job.id)).status === 'completed');
+        expect(processed).toEqual(['t1']);
+    });
+
+    it('should retry with backoff and then fail the job', async () => {
+        let calls = 0;
+        const queue = createQueue(async () => {
+            calls++;
+            throw new Error('LLM unavailable');
+        }, { attempts: 2 });
+        await queue.start();
+
+        const job = await queue.add('process-ticket', { ticketId: 't1' });
+        await waitFor(async () => (await queue.getJob(job.id)).status === 'failed');
+
+        const failed = await queue.getJob(job.id);
+        expect(calls).toBe(2);
+        expect(failed.attemptsMade).toBe(2);
+        expect(failed.failedReason).toBe('LLM unavailable');
+        expect(await queue.getFailedCount()).toBe(1);
+
+        await queue.close();
+        await failed.retry();
+        const retried = await queue.getJob(job.id);
+        expect(await retried.getState()).toBe('waiting');
+        expect(retried.attemptsMade).toBe(0);
+    });
+
+    it('should never hand a job to two workers', async () => {
+        const calls = new Map();
+        const processor = async (job) => {
+            calls.set(job.id, (calls.get(job.id) || 0) + 1);
+            await new Promise(resolve => setTimeout(resolve, 30));
+        };
+        const first = createQueue(processor, { concurrency: 2 });
+        const second = createQueue(processor, { concurrency: 2 });
+
+        const jobs = await Promise.all([1, 2, 3, 4, 5, 6].map(n => first.add('process-ticket', { ticketId: `t${n}` })));
+        await Promise.all([first.start(), second.start()]);
+
+        await waitFor(async () => (await QueueJob.countDocuments({ status: 'completed' })) === jobs.length);
+        expect([...calls.values()]).toEqual(jobs.map(() => 1));
+    });
+
+    it('should recover a job left active by a stopped worker', async () => {
+        // A previous process claimed the job and died without finishing it
+        const orphan = await QueueJob.create({
+            queue: 'test',
+            name: 'process-ticket',
+            data: { ticketId: 't1' },
+            status: 'active',
+            attemptsMade: 1,
+            lockedBy: 'old-host:1234',
+            lockedUntil: new Date(Date.now() - 1000)
+        });
+        const processed = [];
+        const queue = createQueue(async (job) => processed.push(job.id));
+        await queue.start();
+
+        await waitFor(async () => (await QueueJob.findById(orphan._id)).status === 'completed');
+        expect(processed).toEqual([orphan._id.toString()]);
+        expect((await QueueJob.findById(orphan._id)).attemptsMade).toBe(2);
+    });
+
+    it('should leave delayed jobs until they are due', async () => {
+        const queue = createQueue(async () => {});
+        const job = await queue.add('process-ticket', { ticketId: 't1' }, { delay: 60000 });
+        await queue.start();
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        expect(await (await queue.getJob(job.id)).getState()).toBe('delayed');
+        expect(await queue.getJobCounts('waiting', 'delayed')).toEqual({ waiting: 0, delayed: 1 });
+    });
+});
@@ -0,0 +1,189 @@
+import jwt from 'jsonwebtoken';
+import nodemailer from 'nodemailer';
+import request from 'supertest';
+import { Ticket } from '../models/Ticket.js';
+import { User } from '../models/User.js';
+import app from '../server.js';
+import notificationService from '../services/notificationService.js';
+import { renderNotification } from '../utils/emailTemplates.js';
+import { findTicketReference } from '../utils/emailThreading.js';
+
+describe('Notifications', () => {
+    let sent, customer, agent, customerToken, agentToken, ticket;
+
+    beforeEach(async () => {
+        // Capture outgoing mail instead of talking to SMTP
+        sent = [];
+        notificationService.setTransport({
+            sendMail: async (message) => {
+                sent.push(message);
+                return { messageId: message.messageId };
+            }
+        });
+
+        customer = await User.create({ name: 'Customer', email: 'customer@example.com', passwordHash: 'hash', role: 'user' });
+        agent = await User.create({ name: 'Agent', email: 'agent@example.com', passwordHash: 'hash', role: 'agent' });
+
+        customerToken = jwt.sign(
+            { userId: customer._id, email: customer.email, role: customer.role },
+            process.env.JWT_SECRET || 'test-secret'
+        );
+        agentToken = jwt.sign(
+            { userId: agent._id, email: agent.email, role: agent.role },
+            process.env.JWT_SECRET || 'test-secret'
+        );
+
+        ticket = await Ticket.create({
+            title: 'Printer on fire',
+            description: 'Smoke everywhere',
+            createdBy: customer._id,
+            assignee: agent._id,
+            status: 'waiting_human'
+        });
+    });
+
+    afterAll(() => {
+        notificationService.setTransport(null);
+    });
+
+    describe('Lifecycle events', () => {
+        it('should email the customer when an agent replies', async () => {
+            await request(app)
+                .post(`/api/tickets/${ticket._id}/reply`)
+                .set('Authorization', `Bearer ${agentToken}`)
+                .send({ content: 'Please unplug it.' })
+                .expect(200);
+
+            expect(sent).toHaveLength(1);
+            expect(sent[0].to.address).toBe('customer@example.com');
+            expect(sent[0].text).toContain('Please unplug it.');
+            expect(sent[0].headers['Auto-Submitted']).toBe('auto-generated');
+
+            // Replies to the notification thread back onto the ticket
+            expect(findTicketReference({ subject: sent[0].subject })).toBe(ticket._id.toString());
+            expect(findTicketReference({ inReplyTo: sent[0].inReplyTo })).toBe(ticket._id.toString());
+        });
+
+        it('should not email the customer about internal notes', async () => {
+            await request(app)
+                .post(`/api/tickets/${ticket._id}/reply`)
+                .set('Authorization', `Bearer ${agentToken}`)
+                .send({ content: 'Customer seems confused', isInternal: true })
+                .expect(200);
+
+            expect(sent).toHaveLength(0);
+        });
+
+        it('should email the assignee but not the actor when a ticket is reopened', async () => {
+            await Ticket.updateOne({ _id: ticket._id }, { status: 'resolved' });
+
+            await request(app)
+                .post(`/api/tickets/${ticket._id}/reopen`)
+                .set('Authorization', `Bearer ${customerToken}`)
+                .send({ reason: 'Still burning' })
+                .expect(200);
+
+            expect(sent.map(m => m.to.address)).toEqual(['agent@example.com']);
+            expect(sent[0].text).toContain('Still burning');
+        });
+
+        it('should respect per-user preferences', async () => {
+            await request(app)
+                .put('/api/notifications/preferences')
+                .set('Authorization', `Bearer ${customerToken}`)
+                .send({ email: { agent_replied: false } })
+                .expect(200);
+
+            await request(app)
+                .post(`/api/tickets/${ticket._id}/reply`)
+                .set('Authorization', `Bearer ${agentToken}`)
+                .send({ content: 'Any update?' })
+                .expect(200);
+
+            expect(sent).toHaveLength(0);
+        });
+    });
+
+    describe('Preferences API', () => {
+        it('should default every event to enabled', async () => {
+            const response = await request(app)
+                .get('/api/notifications/preferences')
+                .set('Authorization', `Bearer ${customerToken}`)
+                .expect(200);
+
+            expect(response.body.preferences.email).toEqual({
+                ticket_created: true,
+                agent_replied: true,
+                auto_resolved: true,
+                reopened: true,
+                sla_breached: true
+            });
+        });
+
+        it('should reject unknown events', async () => {
+            await request(app)
+                .put('/api/notifications/preferences')
+                .set('Authorization', `Bearer ${customerToken}`)
+                .send({ email: { marketing: true } })
+                .expect(400);
+        });
+    });
+
+    describe('Delivery', () => {
+        it('should skip users who opted out after the job was queued', async () => {
+            await User.updateOne({ _id: customer._id }, { 'notificationPreferences.email.auto_resolved': false });
+
+            const result = await notificationService.deliver({
+                event: 'auto_resolved',
+                ticketId: ticket._id.toString(),
+                userId: customer._id.toString(),
+                context: { content: 'Try turning it off and on again.' }
+            });
+
+            expect(result.skipped).toBe(true);
+            expect(sent).toHaveLength(0);
+        });
+
+        it('should send through a real nodemailer transport', async () => {
+            notificationService.setTransport(nodemailer.createTransport({ jsonTransport: true }));
+
+            const result = await notificationService.deliver({
+                event: 'ticket_created',
+                ticketId: ticket._id.toString(),
+                userId: customer._id.toString()
+            });
+
+            const message = JSON.parse(result.message);
+            expect(message.to[0].address).toBe('customer@example.com');
+            expect(message.subject).toContain('Printer on fire');
+        });
+    });
+
+    describe('Templates', () => {
+        const recipient = { name: 'Jane <script>' };
+        const templateTicket = {
+            _id: '64b7f0c2a1b2c3d4e5f60718',
+            title: 'Refund',
+            description: 'Charged twice',
+            priority: 'high',
+            slaDeadline: new Date('2024-01-01T12:00:00Z')
+        };
+
+        it('should render every event with the thread token', () => {
+            for (const event of ['ticket_created', 'agent_replied', 'auto_resolved', 'reopened', 'sla_breached']) {
+                const { subject, text, html } = renderNotification(event, {
+                    recipient,
+                    ticket: templateTicket,
+                    context: {}
+                });
+                expect(subject).toMatch(/^\[HD-64b7f0c2a1b2c3d4e5f60718\] /);
+                expect(text).toContain('/tickets/64b7f0c2a1b2c3d4e5f60718');
+                expect(html).not.toContain('<script>');
+            }
+        });
+
+        it('should reject unknown events', () => {
+            expect(() => renderNotification('unknown', {})).toThrow('Unknown notification event');
+        });
+    });
+});
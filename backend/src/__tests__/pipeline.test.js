@@ -0,0 +1,237 @@
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import { AuditLog } from '../models/AuditLog.js';
+import { Config } from '../models/Config.js';
+import { Ticket } from '../models/Ticket.js';
+import { User } from '../models/User.js';
+import app from '../server.js';
+import agentService from '../services/agentService.js';
+import triagePipeline from '../services/triagePipeline.js';
+import { detectLanguage } from '../utils/languageDetection.js';
+import { redactPii } from '../utils/piiRedaction.js';
+
+describe('Triage pipeline', () => {
+    describe('redactPii', () => {
+        it('should mask emails, phones, card numbers and SSNs', () => {
+            const { text, counts } = redactPii(
+                'Reach me at jane@example.com or +1 (555) 123-4567. Card 4111 1111 1111 1111, SSN 123-45-6789.'
+            );
+
+            expect(text).toBe('Reach me at [EMAIL] or [PHONE]. Card [CARD], SSN [SSN].');
+            expect(counts).toEqual({ email: 1, phone: 1, card: 1, ssn: 1 });
+        });
+
+        it('should leave order numbers and dates alone', () => {
+            const input = 'Order 1234567890123 placed on 2024-05-01, reference 12-345';
+
+            expect(redactPii(input)).toEqual({ text: input, counts: {} });
+        });
+    });
+
+    describe('detectLanguage', () => {
+        it('should detect common support languages', () => {
+            expect(detectLanguage('Hola, me cobraron dos veces el pedido y quiero que me devuelvan el dinero').language).toBe('es');
+            expect(detectLanguage('Hallo, ich kann mich nicht in mein Konto einloggen, bitte helfen').language).toBe('de');
+            expect(detectLanguage('I was charged twice for my order and I want a refund please').language).toBe('en');
+        });
+
+        it('should return null for text that is too short to call', () => {
+            expect(detectLanguage('Refund')).toBeNull();
+        });
+    });
+
+    describe('Running triage', () => {
+        let customer, config;
+
+        const createTicket = (fields = {}) => Ticket.create({
+            title: 'Cobro duplicado',
+            description: 'Hola, me cobraron dos veces el pedido y quiero que me devuelvan el dinero. Mi email es ana@example.com',
+            category: 'billing',
+            createdBy: customer._id,
+            ...fields
+        });
+
+        beforeEach(async () => {
+            customer = await User.create({ name: 'Customer', email: 'customer@example.com', passwordHash: 'hash', role: 'user' });
+            config = await Config.create({});
+        });
+
+        afterEach(() => {
+            triagePipeline.steps.delete('flaky');
+        });
+
+        it('should run the category pipeline with optional steps', async () => {
+            config.set('triagePipeline.categories.billing', [
+                { step: 'redact_pii' },
+                { step: 'detect_language' },
+                { step: 'classify' },
+                { step: 'retrieve', enabled: false },
+                { step: 'draft' },
+                { step: 'decide' }
+            ]);
+            await config.save();
+            const ticket = await createTicket();
+
+            await agentService.triageTicket(ticket._id.toString());
+
+            const updated = await Ticket.findById(ticket._id);
+            expect(updated.language).toBe('es');
+
+            const actions = (await AuditLog.find({ ticketId: ticket._id }).sort({ timestamp: 1 })).map(log => log.action);
+            expect(actions).toEqual(expect.arrayContaining(['PII_REDACTED', 'LANGUAGE_DETECTED', 'AGENT_CLASSIFIED']));
+            expect(actions).not.toContain('KB_RETRIEVED');
+
+            const started = await AuditLog.findOne({ ticketId: ticket._id, action: 'TRIAGE_STARTED' });
+            expect(started.meta.pipeline).toEqual(['redact_pii', 'detect_language', 'classify', 'draft', 'decide']);
+        });
+
+        it('should keep the default pipeline for other categories', async () => {
+            config.set('triagePipeline.categories.billing', [{ step: 'classify' }, { step: 'draft' }, { step: 'decide' }]);
+            await config.save();
+            const ticket = await createTicket({ category: 'tech' });
+
+            await agentService.triageTicket(ticket._id.toString());
+
+            expect(await AuditLog.exists({ ticketId: ticket._id, action: 'KB_RETRIEVED' })).toBeTruthy();
+        });
+
+        it('should retry a failing optional step and then carry on', async () => {
+            let attempts = 0;
+            triagePipeline.register('flaky', {
+                description: 'Always fails',
+                run: async () => {
+                    attempts++;
+                    throw new Error('flaky step');
+                }
+            });
+            config.set('triagePipeline.default', [
+                { step: 'flaky', maxRetries: 1 },
+                { step: 'classify' },
+                { step: 'draft' },
+                { step: 'decide' }
+            ]);
+            await config.save();
+            const ticket = await createTicket({ category: 'other' });
+
+            const result = await agentService.triageTicket(ticket._id.toString());
+
+            expect(attempts).toBe(2);
+            expect(result.decision).toBeDefined();
+            const failure = await AuditLog.findOne({ ticketId: ticket._id, action: 'TRIAGE_STEP_FAILED' });
+            expect(failure.meta).toMatchObject({ step: 'flaky', required: false, error: 'flaky step' });
+        });
+
+        it('should time out a slow step', async () => {
+            triagePipeline.register('flaky', {
+                description: 'Never finishes in time',
+                run: () => new Promise(resolve => setTimeout(resolve, 2000))
+            });
+            config.set('triagePipeline.default', [
+                { step: 'flaky', timeoutMs: 1000, maxRetries: 0 },
+                { step: 'classify' },
+                { step: 'draft' },
+                { step: 'decide' }
+            ]);
+            await config.save();
+            const ticket = await createTicket({ category: 'other' });
+
+            await agentService.triageTicket(ticket._id.toString());
+
+            const failure = await AuditLog.findOne({ ticketId: ticket._id, action: 'TRIAGE_STEP_FAILED' });
+            expect(failure.meta.error).toBe('Step flaky timed out after 1000ms');
+        });
+
+        it('should drop the writes of a step that finishes after its timeout', async () => {
+            let finishedLate;
+            const lateRun = new Promise(resolve => {
+                finishedLate = resolve;
+            });
+            triagePipeline.register('flaky', {
+                description: 'Finishes after its timeout',
+                run: async (ctx) => {
+                    await new Promise(resolve => setTimeout(resolve, 1500));
+                    ctx.duplicateOf = 'late';
+                    try {
+                        await ctx.log('DUPLICATE_DETECTED', { late: true });
+                        ctx.signal.throwIfAborted();
+                        ctx.ticket.tags.push('late');
+                        await ctx.ticket.save();
+                    } finally {
+                        finishedLate(ctx.signal.aborted);
+                    }
+                }
+            });
+            config.set('triagePipeline.default', [
+                { step: 'flaky', timeoutMs: 1000, maxRetries: 0 },
+                { step: 'classify' },
+                { step: 'draft' },
+                { step: 'decide' }
+            ]);
+            await config.save();
+            const ticket = await createTicket({ category: 'other' });
+
+            const result = await agentService.triageTicket(ticket._id.toString());
+
+            expect(await lateRun).toBe(true);
+            expect(result.duplicateOf).toBeUndefined();
+            expect((await Ticket.findById(ticket._id)).tags).not.toContain('late');
+            expect(await AuditLog.exists({ ticketId: ticket._id, action: 'DUPLICATE_DETECTED' })).toBeNull();
+        });
+    });
+
+    describe('Pipeline API', () => {
+        let adminToken;
+
+        beforeEach(async () => {
+            const admin = await User.create({ name: 'Admin', email: 'admin@example.com', passwordHash: 'hash', role: 'admin' });
+            adminToken = jwt.sign(
+                { userId: admin._id, email: admin.email, role: admin.role },
+                process.env.JWT_SECRET || 'test-secret'
+            );
+            await Config.create({});
+        });
+
+        it('should list the registered steps', async () => {
+            const response = await request(app)
+                .get('/api/config/pipeline')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            expect(response.body.pipeline.default.map(entry => entry.step)).toEqual(['classify', 'predict_priority', 'retrieve', 'draft', 'verify_citations', 'decide']);
+            expect(response.body.steps.map(step => step.name)).toEqual(
+                expect.arrayContaining(['redact_pii', 'detect_language', 'predict_priority', 'check_duplicates'])
+            );
+        });
+
+        it('should save a category pipeline and clear it with null', async () => {
+            const pipeline = [{ step: 'classify' }, { step: 'predict_priority' }, { step: 'draft' }, { step: 'decide' }];
+
+            const saved = await request(app)
+                .put('/api/config/pipeline')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ categories: { tech: pipeline } })
+                .expect(200);
+            expect(saved.body.pipeline.categories.tech.map(entry => entry.step)).toEqual(pipeline.map(entry => entry.step));
+
+            const cleared = await request(app)
+                .put('/api/config/pipeline')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ categories: { tech: null } })
+                .expect(200);
+            expect(cleared.body.pipeline.categories.tech).toBeNull();
+        });
+
+        it('should reject pipelines that skip required steps or misorder them', async () => {
+            const response = await request(app)
+                .put('/api/config/pipeline')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ default: [{ step: 'decide' }, { step: 'draft' }, { step: 'classify', enabled: false }] })
+                .expect(400);
+
+            expect(response.body.details.map(detail => detail.message)).toEqual(expect.arrayContaining([
+                'Step classify is required and cannot be skipped',
+                'Step decide must be last'
+            ]));
+        });
+    });
+});
@@ -0,0 +1,146 @@
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import { AuditLog } from '../models/AuditLog.js';
+import { Config } from '../models/Config.js';
+import { Ticket } from '../models/Ticket.js';
+import { User } from '../models/User.js';
+import app from '../server.js';
+import agentService from '../services/agentService.js';
+import llmService from '../services/llmService.js';
+
+describe('Priority prediction', () => {
+    describe('stub predictor', () => {
+        const predict = (text, category = 'other', customerTier = 'standard') =>
+            llmService._stubPredictPriority(text, { category, customerTier });
+
+        it('should mark outages as urgent', () => {
+            const result = predict('URGENT: production down for every user', 'tech');
+
+            expect(result.priority).toBe('urgent');
+            expect(result.reasons[0]).toMatch(/urgent cues/);
+        });
+
+        it('should raise priority for higher customer tiers', () => {
+            expect(predict('The app is not working', 'other', 'standard').priority).toBe('medium');
+            expect(predict('The app is not working', 'other', 'enterprise').priority).toBe('high');
+        });
+
+        it('should lower priority for casual questions', () => {
+            const result = predict('Just a question, how do I change my address?', 'other');
+
+            expect(result.priority).toBe('low');
+            expect(result.confidence).toBeGreaterThan(0.5);
+        });
+
+        it('should be deterministic', () => {
+            expect(predict('I was charged twice', 'billing')).toEqual(predict('I was charged twice', 'billing'));
+        });
+    });
+
+    describe('during triage', () => {
+        let customer, agent, agentToken, ticket;
+
+        beforeEach(async () => {
+            await Config.create({});
+            customer = await User.create({
+                name: 'Customer',
+                email: 'customer@example.com',
+                passwordHash: 'hash',
+                role: 'user',
+                customerTier: 'enterprise'
+            });
+            agent = await User.create({ name: 'Agent', email: 'agent@example.com', passwordHash: 'hash', role: 'agent' });
+            agentToken = jwt.sign(
+                { userId: agent._id, email: agent.email, role: agent.role },
+                process.env.JWT_SECRET || 'test-secret'
+            );
+            ticket = await Ticket.create({
+                title: 'Charged twice',
+                description: 'I was charged twice for my subscription and cannot get a refund',
+                category: 'billing',
+                createdBy: customer._id
+            });
+        });
+
+        it('should set the predicted priority and audit it', async () => {
+            await agentService.triageTicket(ticket._id.toString());
+
+            const updated = await Ticket.findById(ticket._id);
+            expect(updated.priority).toBe('urgent');
+            expect(updated.prioritySource).toBe('predicted');
+            expect(updated.priorityPrediction.confidence).toBeGreaterThan(0);
+
+            const audit = await AuditLog.findOne({ ticketId: ticket._id, action: 'PRIORITY_PREDICTED' });
+            expect(audit.meta).toMatchObject({
+                previousPriority: 'medium',
+                predictedPriority: 'urgent',
+                customerTier: 'enterprise',
+                applied: true
+            });
+        });
+
+        it('should track agent overrides and keep them through re-triage', async () => {
+            await agentService.triageTicket(ticket._id.toString());
+
+            const response = await request(app)
+                .patch(`/api/tickets/${ticket._id}/priority`)
+                .set('Authorization', `Bearer ${agentToken}`)
+                .send({ priority: 'low', reason: 'Duplicate of a resolved refund' })
+                .expect(200);
+            expect(response.body.ticket.prioritySource).toBe('agent');
+
+            const override = await AuditLog.findOne({ ticketId: ticket._id, action: 'PRIORITY_OVERRIDDEN' });
+            expect(override.meta).toMatchObject({
+                previousPriority: 'urgent',
+                priority: 'low',
+                predictedPriority: 'urgent',
+                agreesWithPrediction: false,
+                reason: 'Duplicate of a resolved refund'
+            });
+
+            await agentService.triageTicket(ticket._id.toString(), null, { mode: 'replace' });
+
+            const updated = await Ticket.findById(ticket._id);
+            expect(updated.priority).toBe('low');
+            const predictions = await AuditLog.find({ ticketId: ticket._id, action: 'PRIORITY_PREDICTED' }).sort({ timestamp: -1 });
+            expect(predictions[0].meta.applied).toBe(false);
+        });
+
+        it('should report the override rate', async () => {
+            await agentService.triageTicket(ticket._id.toString());
+            await request(app)
+                .patch(`/api/tickets/${ticket._id}/priority`)
+                .set('Authorization', `Bearer ${agentToken}`)
+                .send({ priority: 'high' })
+                .expect(200);
+
+            const response = await request(app)
+                .get('/api/analytics/priority')
+                .set('Authorization', `Bearer ${agentToken}`)
+                .expect(200);
+
+            expect(response.body).toMatchObject({ predicted: 1, overridden: 1, overrideRate: 1 });
+            expect(response.body.transitions[0]).toMatchObject({ predicted: 'urgent', final: 'high', overridden: true });
+        });
+    });
+
+    describe('customer tiers', () => {
+        it('should let admins change a customer tier', async () => {
+            const admin = await User.create({ name: 'Admin', email: 'admin@example.com', passwordHash: 'hash', role: 'admin' });
+            const customer = await User.create({ name: 'Customer', email: 'customer@example.com', passwordHash: 'hash', role: 'user' });
+            const adminToken = jwt.sign(
+                { userId: admin._id, email: admin.email, role: admin.role },
+                process.env.JWT_SECRET || 'test-secret'
+            );
+
+            const response = await request(app)
+                .patch(`/api/users/${customer._id}/tier`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ customerTier: 'premium' })
+                .expect(200);
+
+            expect(response.body.user.customerTier).toBe('premium');
+            expect(await AuditLog.exists({ targetUserId: customer._id, action: 'CUSTOMER_TIER_CHANGED' })).toBeTruthy();
+        });
+    });
+});
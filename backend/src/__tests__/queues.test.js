@@ -0,0 +1,91 @@
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import { AuditLog } from '../models/AuditLog.js';
+import { Config } from '../models/Config.js';
+import { Ticket } from '../models/Ticket.js';
+import { User } from '../models/User.js';
+import app from '../server.js';
+
+describe('Triage queue admin', () => {
+    let admin, adminToken, agentToken, ticket;
+
+    const tokenFor = (user) => jwt.sign(
+        { userId: user._id, email: user.email, role: user.role },
+        process.env.JWT_SECRET || 'test-secret'
+    );
+
+    beforeEach(async () => {
+        await Config.create({});
+        admin = await User.create({ name: 'Admin', email: 'admin@example.com', passwordHash: 'hash', role: 'admin' });
+        const agent = await User.create({ name: 'Agent', email: 'agent@example.com', passwordHash: 'hash', role: 'agent' });
+        const customer = await User.create({ name: 'Customer', email: 'customer@example.com', passwordHash: 'hash', role: 'user' });
+        adminToken = tokenFor(admin);
+        agentToken = tokenFor(agent);
+
+        ticket = await Ticket.create({
+            title: 'Refund request',
+            description: 'I would like a refund for my last invoice',
+            category: 'billing',
+            createdBy: customer._id
+        });
+    });
+
+    // Tests run without Redis, so triage is synchronous and there is no job store
+    it('should report synchronous mode in the health summary', async () => {
+        const response = await request(app)
+            .get('/api/queues/triage/health')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(200);
+
+        expect(response.body.health).toEqual({ available: false, mode: 'synchronous' });
+    });
+
+    it('should return 503 for job endpoints without a queue', async () => {
+        await request(app)
+            .get('/api/queues/triage/jobs?page=1&limit=10')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(503);
+
+        await request(app)
+            .post('/api/queues/triage/jobs/retry')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({})
+            .expect(503);
+    });
+
+    it('should re-triage a ticket and audit who asked for it', async () => {
+        const response = await request(app)
+            .post(`/api/queues/triage/tickets/${ticket._id}/retriage`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(202);
+
+        expect(response.body.jobId).toBeNull();
+        const requeued = await AuditLog.findOne({ ticketId: ticket._id, action: 'TRIAGE_REQUEUED' });
+        expect(requeued.meta).toMatchObject({ reason: 'retriage', requeuedBy: 'Admin' });
+        expect(requeued.traceId).toBe(response.body.traceId);
+        expect(await AuditLog.exists({ traceId: response.body.traceId, action: 'TRIAGE_STARTED' })).toBeTruthy();
+    });
+
+    it('should reject an over-long Idempotency-Key when re-triaging', async () => {
+        await request(app)
+            .post(`/api/queues/triage/tickets/${ticket._id}/retriage`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .set('Idempotency-Key', 'k'.repeat(201))
+            .expect(400);
+        expect(await AuditLog.exists({ ticketId: ticket._id, action: 'TRIAGE_REQUEUED' })).toBeNull();
+    });
+
+    it('should return 404 when re-triaging an unknown ticket', async () => {
+        await request(app)
+            .post('/api/queues/triage/tickets/507f1f77bcf86cd799439011/retriage')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(404);
+    });
+
+    it('should be admin only', async () => {
+        await request(app)
+            .get('/api/queues/triage/health')
+            .set('Authorization', `Bearer ${agentToken}`)
+            .expect(403);
+    });
+});
@@ -0,0 +1,148 @@
+import http from 'http';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import { Ticket } from '../models/Ticket.js';
+import { User } from '../models/User.js';
+import app from '../server.js';
+import realtimeService from '../services/realtimeService.js';
+
+/**
+ * Open an SSE connection and collect parsed events until closed
+ */
+const openStream = (port, token, query = '') => new Promise((resolve, reject) => {
+    const events = [];
+    const req = http.get({
+        port,
+        path: `/api/events/stream${query}`,
+        headers: { Authorization: `Bearer ${token}` }
+    }, (res) => {
+        let buffer = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+            buffer += chunk;
+            const frames = buffer.split('\n\n');
+            buffer = frames.pop();
+            for (const frame of frames) {
+                const type = frame.match(/^event: (.+)$/m)?.[1];
+                const data = frame.match(/^data: (.+)$/m)?.[1];
+                if (type && data) events.push({ type, ...JSON.parse(data) });
+            }
+        });
+        resolve({ events, close: () => req.destroy() });
+    });
+    req.on('error', reject);
+});
+
+const settle = () => new Promise(resolve => setTimeout(resolve, 100));
+
+describe('Realtime events', () => {
+    let server, port, customer, otherCustomer, customerToken, agentToken, ticket, otherTicket;
+
+    beforeAll(async () => {
+        server = app.listen(0);
+        port = server.address().port;
+    });
+
+    afterAll(async () => {
+        await realtimeService.stop();
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    beforeEach(async () => {
+        customer = await User.create({ name: 'Customer', email: 'customer@example.com', passwordHash: 'hash', role: 'user' });
+        otherCustomer = await User.create({ name: 'Other', email: 'other@example.com', passwordHash: 'hash', role: 'user' });
+        const agent = await User.create({ name: 'Agent', email: 'agent@example.com', passwordHash: 'hash', role: 'agent' });
+
+        customerToken = jwt.sign(
+            { userId: customer._id, email: customer.email, role: customer.role },
+            process.env.JWT_SECRET || 'test-secret'
+        );
+        agentToken = jwt.sign(
+            { userId: agent._id, email: agent.email, role: agent.role },
+            process.env.JWT_SECRET || 'test-secret'
+        );
+
+        ticket = await Ticket.create({
+            title: 'My ticket',
+            description: 'Help',
+            createdBy: customer._id,
+            status: 'waiting_human'
+        });
+        otherTicket = await Ticket.create({
+            title: 'Someone else',
+            description: 'Help',
+            createdBy: otherCustomer._id,
+            status: 'waiting_human'
+        });
+    });
+
+    it('should stream replies and status changes to the ticket owner', async () => {
+        const stream = await openStream(port, customerToken);
+
+        await request(app)
+            .post(`/api/tickets/${ticket._id}/reply`)
+            .set('Authorization', `Bearer ${agentToken}`)
+            .send({ content: 'On it' })
+            .expect(200);
+
+        await request(app)
+            .patch(`/api/tickets/${ticket._id}/status`)
+            .set('Authorization', `Bearer ${agentToken}`)
+            .send({ status: 'resolved' })
+            .expect(200);
+
+        await settle();
+        stream.close();
+
+        expect(stream.events.map(e => e.type)).toEqual(['reply', 'status']);
+        expect(stream.events[0].ticketId).toBe(ticket._id.toString());
+        expect(stream.events[0].reply.content).toBe('On it');
+        expect(stream.events[1]).toMatchObject({ oldStatus: 'waiting_human', newStatus: 'resolved' });
+    });
+
+    it('should not send customers internal notes or other customers\' tickets', async () => {
+        const stream = await openStream(port, customerToken);
+
+        await request(app)
+            .post(`/api/tickets/${ticket._id}/reply`)
+            .set('Authorization', `Bearer ${agentToken}`)
+            .send({ content: 'Internal', isInternal: true })
+            .expect(200);
+
+        await request(app)
+            .post(`/api/tickets/${otherTicket._id}/reply`)
+            .set('Authorization', `Bearer ${agentToken}`)
+            .send({ content: 'Not yours' })
+            .expect(200);
+
+        await settle();
+        stream.close();
+
+        expect(stream.events).toHaveLength(0);
+    });
+
+    it('should send staff every ticket, filtered by ticketId when given', async () => {
+        const all = await openStream(port, agentToken);
+        const one = await openStream(port, agentToken, `?ticketId=${ticket._id}`);
+
+        await request(app)
+            .post(`/api/tickets/${otherTicket._id}/reply`)
+            .set('Authorization', `Bearer ${agentToken}`)
+            .send({ content: 'Note', isInternal: true })
+            .expect(200);
+
+        await settle();
+        all.close();
+        one.close();
+
+        expect(all.events).toHaveLength(1);
+        expect(one.events).toHaveLength(0);
+    });
+
+    it('should refuse a stream for another customer\'s ticket', async () => {
+        await request(app)
+            .get(`/api/events/stream?ticketId=${otherTicket._id}`)
+            .set('Authorization', `Bearer ${customerToken}`)
+            .expect(403);
+    });
+});
@@ -0,0 +1,123 @@
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import { AgentSuggestion } from '../models/AgentSuggestion.js';
+import { AuditLog } from '../models/AuditLog.js';
+import { Config } from '../models/Config.js';
+import { Ticket } from '../models/Ticket.js';
+import { SYSTEM_USER_EMAIL, User } from '../models/User.js';
+import agentService, { TriageInProgressError } from '../services/agentService.js';
+import app from '../server.js';
+
+describe('Re-triage', () => {
+    let agentToken, ticket;
+
+    beforeEach(async () => {
+        await Config.create({ autoCloseEnabled: false });
+        const agent = await User.create({ name: 'Agent', email: 'agent@example.com', passwordHash: 'hash', role: 'agent' });
+        const customer = await User.create({ name: 'Customer', email: 'customer@example.com', passwordHash: 'hash', role: 'user' });
+        agentToken = jwt.sign(
+            { userId: agent._id, email: agent.email, role: agent.role },
+            process.env.JWT_SECRET || 'test-secret'
+        );
+
+        ticket = await Ticket.create({
+            title: 'Refund request',
+            description: 'I would like a refund for my last invoice',
+            category: 'billing',
+            createdBy: customer._id
+        });
+    });
+
+    const systemReplies = async () => {
+        const updated = await Ticket.findById(ticket._id).populate('replies.author');
+        return updated.replies.filter(reply => reply.author.email === SYSTEM_USER_EMAIL);
+    };
+
+    it('should skip an initial triage of a ticket that was already triaged', async () => {
+        await agentService.triageTicket(ticket._id.toString());
+        const result = await agentService.triageTicket(ticket._id.toString());
+
+        expect(result).toMatchObject({ skipped: true, reason: 'already_triaged' });
+        expect(await AgentSuggestion.countDocuments({ ticketId: ticket._id })).toBe(1);
+        expect(await systemReplies()).toHaveLength(1);
+        expect(await AuditLog.exists({ ticketId: ticket._id, action: 'TRIAGE_SKIPPED' })).toBeTruthy();
+    });
+
+    it('should replace the suggestion and its reply when re-triaging', async () => {
+        const first = await agentService.triageTicket(ticket._id.toString());
+        const second = await agentService.triageTicket(ticket._id.toString(), null, { mode: 'replace' });
+
+        const history = await AgentSuggestion.find({ ticketId: ticket._id }).sort({ version: 1 });
+        expect(history.map(suggestion => suggestion.version)).toEqual([1, 2]);
+        expect(history[0].supersededBy).toEqual(second.decision.suggestion._id);
+        expect(history[1].previousSuggestionId).toEqual(first.decision.suggestion._id);
+
+        const replies = await systemReplies();
+        expect(replies).toHaveLength(1);
+        expect(replies[0]._id).toEqual(history[1].replyId);
+        expect((await Ticket.findById(ticket._id)).triageLock?.owner).toBeUndefined();
+    });
+
+    it('should refuse to triage a ticket another triage holds', async () => {
+        await Ticket.updateOne(
+            { _id: ticket._id },
+            { triageLock: { owner: 'other-trace', expiresAt: new Date(Date.now() + 60000) } }
+        );
+
+        await expect(agentService.triageTicket(ticket._id.toString())).rejects.toBeInstanceOf(TriageInProgressError);
+        await request(app)
+            .post('/api/agent/triage')
+            .set('Authorization', `Bearer ${agentToken}`)
+            .send({ ticketId: ticket._id.toString() })
+            .expect(409);
+        expect(await AgentSuggestion.countDocuments({ ticketId: ticket._id })).toBe(0);
+    });
+
+    it('should require replace mode for a triaged ticket', async () => {
+        await agentService.triageTicket(ticket._id.toString());
+
+        await request(app)
+            .post('/api/agent/triage')
+            .set('Authorization', `Bearer ${agentToken}`)
+            .send({ ticketId: ticket._id.toString() })
+            .expect(409);
+
+        await request(app)
+            .post('/api/agent/triage')
+            .set('Authorization', `Bearer ${agentToken}`)
+            .send({ ticketId: ticket._id.toString(), mode: 'replace' })
+            .expect(200);
+
+        const history = await request(app)
+            .get(`/api/agent/suggestion/${ticket._id}/history`)
+            .set('Authorization', `Bearer ${agentToken}`)
+            .expect(200);
+        expect(history.body.suggestions.map(suggestion => suggestion.version)).toEqual([2, 1]);
+    });
+
+    it('should replay a request with the same idempotency key', async () => {
+        const send = (key, mode = 'initial') => request(app)
+            .post('/api/agent/triage')
+            .set('Authorization', `Bearer ${agentToken}`)
+            .set('Idempotency-Key', key)
+            .send({ ticketId: ticket._id.toString(), mode });
+
+        const first = await send('key-1').expect(200);
+        const repeat = await send('key-1').expect(200);
+
+        expect(repeat.body).toMatchObject({ replayed: true, traceId: first.body.traceId });
+        expect(await AgentSuggestion.countDocuments({ ticketId: ticket._id })).toBe(1);
+
+        await send('key-1', 'replace').expect(422);
+    });
+
+    it('should not accept a superseded suggestion', async () => {
+        const first = await agentService.triageTicket(ticket._id.toString());
+        await agentService.triageTicket(ticket._id.toString(), null, { mode: 'replace' });
+
+        await request(app)
+            .post(`/api/agent/suggestion/${first.decision.suggestion._id}/accept`)
+            .set('Authorization', `Bearer ${agentToken}`)
+            .expect(409);
+    });
+});
@@ -0,0 +1,139 @@
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import { Article } from '../models/Article.js';
+import { ArticleChunk } from '../models/ArticleChunk.js';
+import { User } from '../models/User.js';
+import app from '../server.js';
+import { getEmbedder } from '../services/embedders.js';
+import kbIndexService from '../services/kbIndexService.js';
+import kbService from '../services/kbService.js';
+import llmService from '../services/llmService.js';
+
+describe('Semantic KB retrieval', () => {
+    let admin, adminToken;
+
+    beforeEach(async () => {
+        admin = await User.create({ name: 'Admin', email: 'admin@example.com', passwordHash: 'hash', role: 'admin' });
+        adminToken = jwt.sign(
+            { userId: admin._id, email: admin.email, role: admin.role },
+            process.env.JWT_SECRET || 'test-secret'
+        );
+    });
+
+    const createArticles = () => Article.create([
+        {
+            title: 'Refund policy',
+            body: 'Refunds are issued to the original payment method within 5 business days of approval.',
+            tags: ['billing'],
+            status: 'published',
+            author: admin._id
+        },
+        {
+            title: 'Resetting your password',
+            body: 'Use the forgot password link on the sign in page to choose a new password.',
+            tags: ['tech'],
+            status: 'published',
+            author: admin._id
+        }
+    ]);
+
+    describe('local embedder', () => {
+        it('should place paraphrases closer than unrelated text', async () => {
+            const [moneyBack, refund, password] = await getEmbedder('local').embed([
+                'I want my money back',
+                'How refunds work',
+                'Reset a forgotten password'
+            ]);
+            const similarity = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+
+            expect(moneyBack).toHaveLength(getEmbedder('local').dimensions);
+            expect(similarity(moneyBack, refund)).toBeGreaterThan(similarity(moneyBack, password));
+        });
+    });
+
+    describe('passages', () => {
+        it('should split a body into passages with offsets into it', () => {
+            const body = '# Returns\n\n' + 'Items can be returned within 30 days. '.repeat(30) + '\n\nContact support to start a return.';
+
+            const passages = kbIndexService.splitPassages(body);
+
+            expect(passages.length).toBeGreaterThan(1);
+            passages.forEach(passage => expect(body.slice(passage.start, passage.end)).toBe(passage.text));
+            expect(passages[0].text.startsWith('# Returns')).toBe(true);
+        });
+
+        it('should return the best passages and cite them in stub drafts', async () => {
+            await createArticles();
+
+            const [refund] = await kbService.searchArticles('refund to my card', { limit: 1 });
+            expect(refund.passages[0].text).toContain('original payment method');
+
+            const draft = await llmService.draft('refund to my card', [refund]);
+            expect(draft.draftReply).toContain('[1]');
+            expect(draft.citations[0]).toMatchObject({
+                number: 1,
+                articleId: refund._id.toString(),
+                start: refund.passages[0].start,
+                end: refund.passages[0].end
+            });
+        });
+    });
+
+    describe('searchArticles', () => {
+        it('should find a paraphrase that keyword search misses', async () => {
+            await createArticles();
+
+            const hybrid = await kbService.searchArticles('I want my money back', { limit: 2 });
+            expect(hybrid[0].title).toBe('Refund policy');
+            expect(hybrid[0].vectorScore).toBeGreaterThan(0);
+
+            const keyword = await kbService.searchArticles('I want my money back', { limit: 2, mode: 'keyword' });
+            expect(keyword.map(article => article.title)).not.toContain('Refund policy');
+        });
+
+        it('should index articles saved outside the API on first search', async () => {
+            const [refund] = await createArticles();
+            expect(await ArticleChunk.countDocuments({ articleId: refund._id })).toBe(0);
+
+            await kbService.searchArticles('refund', { mode: 'vector' });
+
+            const chunks = await ArticleChunk.find({ articleId: refund._id });
+            expect(chunks.length).toBeGreaterThan(0);
+            expect(chunks[0].embedder).toBe(getEmbedder().id);
+        });
+
+        it('should respect the category filter', async () => {
+            await createArticles();
+
+            const results = await kbService.searchArticles('refund for my password reset', { category: 'tech' });
+            expect(results.map(article => article.title)).toEqual(['Resetting your password']);
+        });
+    });
+
+    describe('indexing through the API', () => {
+        it('should re-index on update and drop chunks on delete', async () => {
+            const created = await request(app)
+                .post('/api/kb')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ title: 'Shipping times', body: 'Orders ship within two days.' })
+                .expect(201);
+            const articleId = created.body.article._id;
+            const [before] = await ArticleChunk.find({ articleId });
+
+            await request(app)
+                .put(`/api/kb/${articleId}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ body: 'Orders ship within five days.' })
+                .expect(200);
+            const [after] = await ArticleChunk.find({ articleId });
+            expect(after.text).toContain('five days');
+            expect(after.contentHash).not.toBe(before.contentHash);
+
+            await request(app)
+                .delete(`/api/kb/${articleId}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+            expect(await ArticleChunk.countDocuments({ articleId })).toBe(0);
+        });
+    });
+});
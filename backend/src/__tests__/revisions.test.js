@@ -0,0 +1,159 @@
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import { AgentSuggestion } from '../models/AgentSuggestion.js';
+import { Article } from '../models/Article.js';
+import { ArticleRevision } from '../models/ArticleRevision.js';
+import { Config } from '../models/Config.js';
+import { Ticket } from '../models/Ticket.js';
+import { User } from '../models/User.js';
+import app from '../server.js';
+import agentService from '../services/agentService.js';
+import { diffLines } from '../utils/textDiff.js';
+
+describe('KB article revisions', () => {
+    let admin, editor, adminToken, editorToken;
+
+    beforeEach(async () => {
+        admin = await User.create({ name: 'Admin', email: 'admin@example.com', passwordHash: 'hash', role: 'admin' });
+        editor = await User.create({ name: 'Editor', email: 'editor@example.com', passwordHash: 'hash', role: 'admin' });
+        adminToken = jwt.sign(
+            { userId: admin._id, email: admin.email, role: admin.role },
+            process.env.JWT_SECRET || 'test-secret'
+        );
+        editorToken = jwt.sign(
+            { userId: editor._id, email: editor.email, role: editor.role },
+            process.env.JWT_SECRET || 'test-secret'
+        );
+    });
+
+    const createArticle = async () => {
+        const response = await request(app)
+            .post('/api/kb')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ title: 'Refund policy', body: 'Refunds take 5 days.\nContact billing.', tags: ['billing'] })
+            .expect(201);
+        return response.body.article._id;
+    };
+
+    const update = (articleId, token, changes) => request(app)
+        .put(`/api/kb/${articleId}`)
+        .set('Authorization', `Bearer ${token}`)
+        .send(changes)
+        .expect(200);
+
+    describe('diffLines', () => {
+        it('should mark removed and added lines between equal ones', () => {
+            expect(diffLines('a\nb\nc', 'a\nB\nc\nd')).toEqual([
+                { type: 'equal', lines: ['a'] },
+                { type: 'removed', lines: ['b'] },
+                { type: 'added', lines: ['B'] },
+                { type: 'equal', lines: ['c'] },
+                { type: 'added', lines: ['d'] }
+            ]);
+        });
+    });
+
+    it('should record every save as a revision with its author', async () => {
+        const articleId = await createArticle();
+        const updated = await update(articleId, editorToken, { body: 'Refunds take 10 days.\nContact billing.' });
+        expect(updated.body.article.revision).toBe(2);
+
+        const response = await request(app)
+            .get(`/api/kb/${articleId}/revisions`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(200);
+
+        expect(response.body.revisions.map(revision => [revision.revision, revision.author.email])).toEqual([
+            [2, 'editor@example.com'],
+            [1, 'admin@example.com']
+        ]);
+        expect(response.body.revisions[0].createdAt).toBeTruthy();
+    });
+
+    it('should diff two revisions', async () => {
+        const articleId = await createArticle();
+        await update(articleId, editorToken, { title: 'Refunds', body: 'Refunds take 10 days.\nContact billing.' });
+
+        const response = await request(app)
+            .get(`/api/kb/${articleId}/revisions/diff?from=1&to=2`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(200);
+
+        expect(response.body.changes).toEqual({ title: { from: 'Refund policy', to: 'Refunds' } });
+        expect(response.body.body).toEqual([
+            { type: 'removed', lines: ['Refunds take 5 days.'] },
+            { type: 'added', lines: ['Refunds take 10 days.'] },
+            { type: 'equal', lines: ['Contact billing.'] }
+        ]);
+
+        await request(app)
+            .get(`/api/kb/${articleId}/revisions/diff?from=1&to=9`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .expect(404);
+    });
+
+    it('should roll back to an earlier revision as a new revision', async () => {
+        const articleId = await createArticle();
+        await update(articleId, editorToken, { body: 'Refunds are never given.' });
+
+        const response = await request(app)
+            .post(`/api/kb/${articleId}/rollback`)
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ revision: 1 })
+            .expect(200);
+
+        expect(response.body.article).toMatchObject({ revision: 3, body: 'Refunds take 5 days.\nContact billing.' });
+        const latest = await ArticleRevision.findOne({ articleId, revision: 3 });
+        expect(latest.restoredFrom).toBe(1);
+        expect(await ArticleRevision.countDocuments({ articleId })).toBe(3);
+    });
+
+    it('should start the history of an article saved outside the API', async () => {
+        const article = await Article.create({ title: 'Seeded', body: 'Old text', status: 'draft', author: admin._id });
+
+        await update(article._id, editorToken, { body: 'New text' });
+
+        const revisions = await ArticleRevision.find({ articleId: article._id }).sort({ revision: 1 });
+        expect(revisions.map(revision => [revision.revision, revision.body])).toEqual([[1, 'Old text'], [2, 'New text']]);
+        expect(revisions[0].author).toEqual(admin._id);
+    });
+
+    it('should not let a revision be changed', async () => {
+        const articleId = await createArticle();
+
+        await expect(ArticleRevision.updateOne({ articleId }, { body: 'Rewritten' })).rejects.toThrow('cannot be changed');
+    });
+
+    it('should record the revision a suggestion cited', async () => {
+        await Config.create({ autoCloseEnabled: false });
+        const articleId = await createArticle();
+        await update(articleId, editorToken, { body: 'Refunds are issued to your card within 5 days.' });
+        await Article.updateOne({ _id: articleId }, { status: 'published' });
+        const ticket = await Ticket.create({
+            title: 'Refund',
+            description: 'When will my refund reach my card?',
+            category: 'billing',
+            createdBy: admin._id
+        });
+
+        await agentService.triageTicket(ticket._id.toString());
+
+        const suggestion = await AgentSuggestion.findOne({ ticketId: ticket._id });
+        expect(suggestion.passages[0]).toMatchObject({ articleRevision: 2 });
+        expect(suggestion.passages[0].articleId.toString()).toBe(articleId);
+    });
+
+    it('should keep revisions admin only', async () => {
+        const articleId = await createArticle();
+        const user = await User.create({ name: 'User', email: 'user@example.com', passwordHash: 'hash', role: 'user' });
+        const userToken = jwt.sign(
+            { userId: user._id, email: user.email, role: user.role },
+            process.env.JWT_SECRET || 'test-secret'
+        );
+
+        await request(app)
+            .get(`/api/kb/${articleId}/revisions`)
+            .set('Authorization', `Bearer ${userToken}`)
+            .expect(403);
+    });
+});
@@ -0,0 +1,176 @@
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import { Config } from '../models/Config.js';
+import { Ticket } from '../models/Ticket.js';
+import { User } from '../models/User.js';
+import app from '../server.js';
+import routingService from '../services/routingService.js';
+
+describe('Agent routing', () => {
+    let customer, config;
+
+    const createAgent = (name, agentProfile = {}, role = 'agent') => User.create({
+        name,
+        email: `${name.toLowerCase()}@example.com`,
+        passwordHash: 'hash',
+        role,
+        agentProfile
+    });
+
+    const assignTickets = (agent, count, status = 'waiting_human') => Ticket.create(
+        Array.from({ length: count }, (_, i) => ({
+            title: `Existing ${i}`,
+            description: 'Existing ticket',
+            createdBy: customer._id,
+            assignee: agent._id,
+            status
+        }))
+    );
+
+    const newTicket = (fields = {}) => new Ticket({
+        title: 'Refund please',
+        description: 'Charged twice',
+        category: 'billing',
+        createdBy: customer._id,
+        ...fields
+    });
+
+    beforeEach(async () => {
+        customer = await User.create({ name: 'Customer', email: 'customer@example.com', passwordHash: 'hash', role: 'user' });
+        config = await Config.create({});
+    });
+
+    describe('routingService.route', () => {
+        it('should prefer the agent with the highest skill in the category', async () => {
+            await createAgent('Generalist');
+            await createAgent('Novice', { skills: [{ category: 'billing', level: 2 }] });
+            const expert = await createAgent('Expert', { skills: [{ category: 'billing', level: 5 }] });
+
+            const { agent, queue } = await routingService.route(newTicket(), config);
+
+            expect(agent._id.toString()).toBe(expert._id.toString());
+            expect(agent.skillLevel).toBe(5);
+            expect(queue).toBeNull();
+        });
+
+        it('should skip agents who are unavailable, inactive or at capacity', async () => {
+            await createAgent('Away', { skills: [{ category: 'billing', level: 5 }], availability: 'away' });
+            const full = await createAgent('Full', { skills: [{ category: 'billing', level: 5 }], maxConcurrentTickets: 2 });
+            await assignTickets(full, 2);
+            const inactive = await createAgent('Inactive', { skills: [{ category: 'billing', level: 5 }] });
+            await User.updateOne({ _id: inactive._id }, { isActive: false });
+            const free = await createAgent('Free', { skills: [{ category: 'billing', level: 1 }] });
+
+            const { agent } = await routingService.route(newTicket(), config);
+
+            expect(agent._id.toString()).toBe(free._id.toString());
+        });
+
+        it('should balance load between equally skilled agents', async () => {
+            const busy = await createAgent('Busy', { skills: [{ category: 'billing', level: 3 }] });
+            const quiet = await createAgent('Quiet', { skills: [{ category: 'billing', level: 3 }] });
+            await assignTickets(busy, 3);
+            await assignTickets(quiet, 1);
+            // Resolved tickets do not count as load
+            await assignTickets(quiet, 5, 'resolved');
+
+            const { agent } = await routingService.route(newTicket(), config);
+
+            expect(agent._id.toString()).toBe(quiet._id.toString());
+            expect(agent.openTickets).toBe(1);
+        });
+
+        it('should match the ticket language when it is known', async () => {
+            await createAgent('English', { languages: ['en'] });
+            const spanish = await createAgent('Spanish', { languages: ['es', 'en'] });
+
+            const { agent } = await routingService.route(newTicket({ language: 'es' }), config);
+
+            expect(agent._id.toString()).toBe(spanish._id.toString());
+        });
+
+        it('should fall back to the configured queue when nobody qualifies', async () => {
+            await createAgent('Shipping', { skills: [{ category: 'shipping', level: 5 }] });
+            config.routing.fallbackQueue = 'billing-overflow';
+
+            const { agent, queue } = await routingService.route(newTicket(), config);
+
+            expect(agent).toBeNull();
+            expect(queue).toBe('billing-overflow');
+        });
+
+        it('should not route to generalists when they are disallowed', async () => {
+            await createAgent('Generalist');
+            config.routing.allowGeneralists = false;
+
+            const { agent } = await routingService.route(newTicket(), config);
+
+            expect(agent).toBeNull();
+        });
+
+        it('should never route to the AI Assistant account', async () => {
+            await User.create({ name: 'AI Assistant', email: 'system@helpdesk.ai', passwordHash: 'system', role: 'agent' });
+
+            const { agent } = await routingService.route(newTicket(), config);
+
+            expect(agent).toBeNull();
+        });
+    });
+
+    describe('Profile API', () => {
+        let admin, agent, adminToken, agentToken;
+
+        beforeEach(async () => {
+            admin = await createAgent('Admin', {}, 'admin');
+            agent = await createAgent('Agent');
+            adminToken = jwt.sign(
+                { userId: admin._id, email: admin.email, role: admin.role },
+                process.env.JWT_SECRET || 'test-secret'
+            );
+            agentToken = jwt.sign(
+                { userId: agent._id, email: agent.email, role: agent.role },
+                process.env.JWT_SECRET || 'test-secret'
+            );
+        });
+
+        it('should let admins set skills and limits', async () => {
+            const response = await request(app)
+                .patch(`/api/users/${agent._id}/agent-profile`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ skills: [{ category: 'tech', level: 4 }], maxConcurrentTickets: 3 })
+                .expect(200);
+
+            expect(response.body.user.agentProfile.skills).toEqual([{ category: 'tech', level: 4 }]);
+            expect(response.body.user.agentProfile.maxConcurrentTickets).toBe(3);
+        });
+
+        it('should reject duplicate skill categories', async () => {
+            await request(app)
+                .patch(`/api/users/${agent._id}/agent-profile`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ skills: [{ category: 'tech' }, { category: 'tech', level: 5 }] })
+                .expect(400);
+        });
+
+        it('should let agents change their own availability', async () => {
+            await request(app)
+                .patch('/api/users/me/availability')
+                .set('Authorization', `Bearer ${agentToken}`)
+                .send({ availability: 'offline' })
+                .expect(200);
+
+            const updated = await User.findById(agent._id);
+            expect(updated.agentProfile.availability).toBe('offline');
+        });
+
+        it('should update the fallback queue', async () => {
+            const response = await request(app)
+                .put('/api/config/routing')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ fallbackQueue: 'tier-2' })
+                .expect(200);
+
+            expect(response.body.routing.fallbackQueue).toBe('tier-2');
+        });
+    });
+});
@@ -0,0 +1,231 @@
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import { AuditLog } from '../models/AuditLog.js';
+import { Config } from '../models/Config.js';
+import { Ticket } from '../models/Ticket.js';
+import { User } from '../models/User.js';
+import app from '../server.js';
+import { initializeLocalQueues, shutdownQueues } from '../services/queueService.js';
+import slaService from '../services/slaService.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('SLA', () => {
+    describe('resolveSlaHours', () => {
+        const config = {
+            slaHours: 24,
+            slaPolicies: {
+                priorities: { urgent: 2 },
+                categories: { billing: 8 }
+            }
+        };
+
+        it('should prefer the priority policy', () => {
+            expect(slaService.resolveSlaHours(config, 'billing', 'urgent')).toEqual({ hours: 2, source: 'priority:urgent' });
+        });
+
+        it('should use the category policy when no priority policy applies', () => {
+            expect(slaService.resolveSlaHours(config, 'billing', 'low')).toEqual({ hours: 8, source: 'category:billing' });
+        });
+
+        it('should fall back to the global slaHours', () => {
+            expect(slaService.resolveSlaHours(config, 'tech', 'low')).toEqual({ hours: 24, source: 'global' });
+        });
+    });
+
+    describe('pause and resume', () => {
+        it('should push the deadline out by the time spent waiting on the customer', () => {
+            const start = new Date('2024-01-01T10:00:00Z');
+            const ticket = {
+                slaDeadline: new Date(start.getTime() + 4 * HOUR_MS),
+                slaPausedMs: 0
+            };
+
+            slaService.pauseClock(ticket, start);
+            expect(ticket.slaPausedAt).toEqual(start);
+
+            slaService.resumeClock(ticket, new Date(start.getTime() + 3 * HOUR_MS));
+
+            expect(ticket.slaPausedAt).toBeUndefined();
+            expect(ticket.slaPausedMs).toBe(3 * HOUR_MS);
+            expect(ticket.slaDeadline).toEqual(new Date(start.getTime() + 7 * HOUR_MS));
+        });
+    });
+
+    describe('business calendar', () => {
+        const calendar = {
+            enabled: true,
+            timezone: 'America/New_York',
+            workingHours: [1, 2, 3, 4, 5].map(day => ({ day, start: '09:00', end: '17:00' })),
+            holidays: []
+        };
+
+        it('should resume with the business time left at pause', () => {
+            // Paused Friday 16:00 New York (21:00 UTC) with 2 business hours left
+            const pausedAt = new Date('2024-03-08T21:00:00Z');
+            const ticket = {
+                slaDeadline: new Date('2024-03-11T14:00:00Z'), // Monday 10:00 EDT
+                slaPausedAt: pausedAt,
+                slaPausedMs: 0
+            };
+
+            // Resumed Monday 09:00 EDT
+            slaService.resumeClock(ticket, new Date('2024-03-11T13:00:00Z'), calendar);
+
+            expect(ticket.slaDeadline).toEqual(new Date('2024-03-11T15:00:00Z'));
+        });
+    });
+
+    describe('escalatePriority', () => {
+        it('should step priority up and cap at urgent', () => {
+            expect(slaService.escalatePriority('medium')).toBe('high');
+            expect(slaService.escalatePriority('urgent')).toBe('urgent');
+        });
+    });
+
+    describe('with database', () => {
+        let user, userToken;
+
+        beforeEach(async () => {
+            user = await User.create({
+                name: 'User',
+                email: 'user@example.com',
+                passwordHash: 'hashedpassword',
+                role: 'user'
+            });
+
+            userToken = jwt.sign(
+                { userId: user._id, email: user.email, role: user.role },
+                process.env.JWT_SECRET || 'test-secret'
+            );
+
+            await Config.create({ slaHours: 24, slaPolicies: { categories: { billing: 4 } } });
+        });
+
+        it('should set slaDeadline when a ticket is created', async () => {
+            const before = Date.now();
+
+            const response = await request(app)
+                .post('/api/tickets')
+                .set('Authorization', `Bearer ${userToken}`)
+                .send({ title: 'Invoice question', description: 'Where is my invoice?', category: 'billing' })
+                .expect(201);
+
+            const ticket = await Ticket.findById(response.body.ticket._id);
+            const deadline = ticket.slaDeadline.getTime();
+            expect(deadline).toBeGreaterThanOrEqual(before + 4 * HOUR_MS);
+            expect(deadline).toBeLessThan(before + 5 * HOUR_MS);
+        });
+
+        it('should flag breached tickets, escalate priority and audit', async () => {
+            const overdue = await Ticket.create({
+                title: 'Overdue',
+                description: 'Past deadline',
+                createdBy: user._id,
+                status: 'waiting_human',
+                priority: 'medium',
+                slaDeadline: new Date(Date.now() - HOUR_MS)
+            });
+            await Ticket.create({
+                title: 'Paused',
+                description: 'Waiting on customer',
+                createdBy: user._id,
+                status: 'waiting_customer',
+                slaDeadline: new Date(Date.now() - HOUR_MS),
+                slaPausedAt: new Date(Date.now() - 2 * HOUR_MS)
+            });
+
+            const result = await slaService.checkBreaches();
+
+            expect(result.breached).toBe(1);
+
+            const updated = await Ticket.findById(overdue._id);
+            expect(updated.slaBreached).toBe(true);
+            expect(updated.priority).toBe('high');
+
+            const auditLog = await AuditLog.findOne({ ticketId: overdue._id, action: 'SLA_BREACHED' });
+            expect(auditLog.meta).toMatchObject({ oldPriority: 'medium', newPriority: 'high' });
+
+            // Running again must not double-flag
+            const second = await slaService.checkBreaches();
+            expect(second.breached).toBe(0);
+        });
+
+        it('should check for breaches on a timer without Redis', async () => {
+            process.env.SLA_CHECK_INTERVAL_MS = '50';
+            const overdue = await Ticket.create({
+                title: 'Overdue',
+                description: 'Past deadline',
+                createdBy: user._id,
+                status: 'waiting_human',
+                slaDeadline: new Date(Date.now() - HOUR_MS)
+            });
+
+            try {
+                await initializeLocalQueues();
+                await new Promise(resolve => setTimeout(resolve, 300));
+            } finally {
+                await shutdownQueues();
+                delete process.env.SLA_CHECK_INTERVAL_MS;
+            }
+
+            expect((await Ticket.findById(overdue._id)).slaBreached).toBe(true);
+        });
+
+        it('should restart the clock when a resolved ticket is reopened', async () => {
+            const resolved = await Ticket.create({
+                title: 'Resolved last week',
+                description: 'It broke again',
+                createdBy: user._id,
+                status: 'resolved',
+                resolvedAt: new Date(Date.now() - 7 * 24 * HOUR_MS),
+                slaDeadline: new Date(Date.now() - 6 * 24 * HOUR_MS),
+                slaBreached: true
+            });
+            const before = Date.now();
+
+            await request(app)
+                .post(`/api/tickets/${resolved._id}/reopen`)
+                .set('Authorization', `Bearer ${userToken}`)
+                .send({ reason: 'Still broken' })
+                .expect(200);
+
+            const reopened = await Ticket.findById(resolved._id);
+            expect(reopened.status).toBe('waiting_human');
+            expect(reopened.slaBreached).toBe(false);
+            expect(reopened.slaDeadline.getTime()).toBeGreaterThanOrEqual(before + 24 * HOUR_MS);
+            expect((await slaService.checkBreaches()).breached).toBe(0);
+        });
+
+        it('should record the resolution time in business hours for the dashboard', async () => {
+            await Config.updateOne({}, {
+                businessCalendar: {
+                    enabled: true,
+                    timezone: 'America/New_York',
+                    workingHours: [1, 2, 3, 4, 5].map(day => ({ day, start: '09:00', end: '17:00' })),
+                    holidays: []
+                }
+            });
+            // Opened Friday 15:00 EST, resolved Monday 10:00 EDT
+            const ticket = { status: 'resolved', createdAt: new Date('2024-03-08T20:00:00Z') };
+
+            await slaService.handleStatusChange(ticket, 'waiting_human', new Date('2024-03-11T14:00:00Z'));
+
+            expect(ticket.resolutionMs).toBe(3 * HOUR_MS);
+
+            await Ticket.create({
+                title: 'Resolved',
+                description: 'Done',
+                createdBy: user._id,
+                status: 'resolved',
+                resolvedAt: new Date(),
+                resolutionMs: ticket.resolutionMs
+            });
+            const response = await request(app)
+                .get('/api/analytics/dashboard')
+                .set('Authorization', `Bearer ${userToken}`)
+                .expect(200);
+            expect(response.body.averageResolutionTime).toBe('3 hours');
+        });
+    });
+});
@@ -0,0 +1,227 @@
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import { AuditLog } from '../models/AuditLog.js';
+import { Config } from '../models/Config.js';
+import { Team } from '../models/Team.js';
+import { Ticket } from '../models/Ticket.js';
+import { User } from '../models/User.js';
+import app from '../server.js';
+
+describe('Team queues', () => {
+    let admin, member, outsider, customer, adminToken, memberToken, outsiderToken, team, ticket;
+
+    const tokenFor = (user) => jwt.sign(
+        { userId: user._id, email: user.email, role: user.role },
+        process.env.JWT_SECRET || 'test-secret'
+    );
+
+    const createStaff = (name, role = 'agent', agentProfile = {}) => User.create({
+        name,
+        email: `${name.toLowerCase()}@example.com`,
+        passwordHash: 'hash',
+        role,
+        agentProfile
+    });
+
+    beforeEach(async () => {
+        await Config.create({});
+        admin = await createStaff('Admin', 'admin');
+        member = await createStaff('Member');
+        outsider = await createStaff('Outsider');
+        customer = await User.create({ name: 'Customer', email: 'customer@example.com', passwordHash: 'hash', role: 'user' });
+
+        adminToken = tokenFor(admin);
+        memberToken = tokenFor(member);
+        outsiderToken = tokenFor(outsider);
+
+        team = await Team.create({ name: 'Billing Desk', members: [member._id] });
+        ticket = await Ticket.create({
+            title: 'Double charge',
+            description: 'Charged twice',
+            category: 'billing',
+            createdBy: customer._id,
+            status: 'waiting_human'
+        });
+    });
+
+    describe('Team API', () => {
+        it('should let admins create teams with staff members', async () => {
+            const response = await request(app)
+                .post('/api/teams')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ name: 'Tier-2 Tech', members: [member._id.toString()], strategy: 'least_loaded' })
+                .expect(201);
+
+            expect(response.body.team.strategy).toBe('least_loaded');
+            expect(response.body.team.members).toEqual([member._id.toString()]);
+        });
+
+        it('should reject customers as members', async () => {
+            const response = await request(app)
+                .post('/api/teams')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ name: 'Tier-2 Tech', members: [customer._id.toString()] })
+                .expect(400);
+
+            expect(response.body.userIds).toEqual([customer._id.toString()]);
+        });
+
+        it('should reject duplicate team names', async () => {
+            await request(app)
+                .post('/api/teams')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ name: 'Billing Desk' })
+                .expect(409);
+        });
+
+        it('should not let agents create teams', async () => {
+            await request(app)
+                .post('/api/teams')
+                .set('Authorization', `Bearer ${memberToken}`)
+                .send({ name: 'Rogue team' })
+                .expect(403);
+        });
+
+        it('should list teams with their queue size', async () => {
+            await Ticket.updateOne({ _id: ticket._id }, { team: team._id });
+
+            const response = await request(app)
+                .get('/api/teams')
+                .set('Authorization', `Bearer ${memberToken}`)
+                .expect(200);
+
+            expect(response.body.teams).toHaveLength(1);
+            expect(response.body.teams[0].queueSize).toBe(1);
+        });
+
+        it('should refuse to delete a team with queued tickets', async () => {
+            await Ticket.updateOne({ _id: ticket._id }, { team: team._id });
+
+            await request(app)
+                .delete(`/api/teams/${team._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(409);
+        });
+    });
+
+    describe('Sending tickets to a team', () => {
+        it('should leave the ticket in the queue for manual teams', async () => {
+            const response = await request(app)
+                .post(`/api/tickets/${ticket._id}/team`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ teamId: team._id.toString() })
+                .expect(200);
+
+            expect(response.body.ticket.assignee).toBeNull();
+
+            const updated = await Ticket.findById(ticket._id);
+            expect(updated.team.toString()).toBe(team._id.toString());
+            expect(updated.assignee).toBeUndefined();
+
+            const audit = await AuditLog.findOne({ ticketId: ticket._id, action: 'TEAM_ASSIGNED' });
+            expect(audit.meta.teamName).toBe('Billing Desk');
+        });
+
+        it('should assign the least loaded member for least_loaded teams', async () => {
+            const busy = await createStaff('Busy');
+            await Ticket.create({ title: 'Other', description: 'Other', createdBy: customer._id, assignee: busy._id, status: 'waiting_human' });
+            team.members.push(busy._id);
+            team.strategy = 'least_loaded';
+            await team.save();
+
+            const response = await request(app)
+                .post(`/api/tickets/${ticket._id}/team`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ teamId: team._id.toString() })
+                .expect(200);
+
+            expect(response.body.ticket.assignee._id).toBe(member._id.toString());
+        });
+
+        it('should only pick team members for skill_based teams', async () => {
+            await createStaff('Expert', 'agent', { skills: [{ category: 'billing', level: 5 }] });
+            team.strategy = 'skill_based';
+            await team.save();
+
+            const response = await request(app)
+                .post(`/api/tickets/${ticket._id}/team`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ teamId: team._id.toString() })
+                .expect(200);
+
+            expect(response.body.ticket.assignee._id).toBe(member._id.toString());
+        });
+
+        it('should filter the ticket list by team', async () => {
+            await Ticket.updateOne({ _id: ticket._id }, { team: team._id });
+            await Ticket.create({ title: 'Elsewhere', description: 'No team', createdBy: customer._id });
+
+            const byId = await request(app)
+                .get(`/api/tickets?page=1&limit=10&team=${team._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+            expect(byId.body.tickets.map(t => t._id)).toEqual([ticket._id.toString()]);
+            expect(byId.body.tickets[0].team.name).toBe('Billing Desk');
+
+            const mine = await request(app)
+                .get('/api/tickets?page=1&limit=10&team=mine&unassigned=true')
+                .set('Authorization', `Bearer ${memberToken}`)
+                .expect(200);
+            expect(mine.body.tickets).toHaveLength(1);
+
+            const notMine = await request(app)
+                .get('/api/tickets?page=1&limit=10&team=mine')
+                .set('Authorization', `Bearer ${outsiderToken}`)
+                .expect(200);
+            expect(notMine.body.tickets).toHaveLength(0);
+        });
+    });
+
+    describe('Claiming', () => {
+        beforeEach(async () => {
+            await Ticket.updateOne({ _id: ticket._id }, { team: team._id, queue: 'general' });
+        });
+
+        it('should let a member claim a queued ticket', async () => {
+            const response = await request(app)
+                .post(`/api/tickets/${ticket._id}/claim`)
+                .set('Authorization', `Bearer ${memberToken}`)
+                .expect(200);
+
+            expect(response.body.ticket.assignee._id).toBe(member._id.toString());
+
+            const updated = await Ticket.findById(ticket._id);
+            expect(updated.assignee.toString()).toBe(member._id.toString());
+            expect(updated.queue).toBeUndefined();
+            expect(await AuditLog.exists({ ticketId: ticket._id, action: 'TICKET_CLAIMED' })).toBeTruthy();
+        });
+
+        it('should stop non-members from claiming', async () => {
+            await request(app)
+                .post(`/api/tickets/${ticket._id}/claim`)
+                .set('Authorization', `Bearer ${outsiderToken}`)
+                .expect(403);
+        });
+
+        it('should let only one of two simultaneous claims win', async () => {
+            const second = await createStaff('Second');
+            await Team.updateOne({ _id: team._id }, { $push: { members: second._id } });
+
+            const responses = await Promise.all([
+                request(app).post(`/api/tickets/${ticket._id}/claim`).set('Authorization', `Bearer ${memberToken}`),
+                request(app).post(`/api/tickets/${ticket._id}/claim`).set('Authorization', `Bearer ${tokenFor(second)}`)
+            ]);
+
+            expect(responses.map(r => r.status).sort()).toEqual([200, 409]);
+        });
+
+        it('should reject claims on tickets outside a team queue', async () => {
+            await Ticket.updateOne({ _id: ticket._id }, { $unset: { team: 1 } });
+
+            await request(app)
+                .post(`/api/tickets/${ticket._id}/claim`)
+                .set('Authorization', `Bearer ${memberToken}`)
+                .expect(400);
+        });
+    });
+});
@@ -256,6 +256,90 @@ describe('Tickets', () => {
         });
     });
 
+    describe('POST /api/tickets/:id/customer-reply', () => {
+        let ticket;
+
+        beforeEach(async () => {
+            ticket = await Ticket.create({
+                title: 'Test Ticket',
+                description: 'Test description',
+                createdBy: user._id,
+                status: 'waiting_customer'
+            });
+        });
+
+        it('should add reply from ticket owner and hand back to an agent', async () => {
+            const response = await request(app)
+                .post(`/api/tickets/${ticket._id}/customer-reply`)
+                .set('Authorization', `Bearer ${userToken}`)
+                .send({ content: 'Here is the order number you asked for' })
+                .expect(200);
+
+            expect(response.body.reply.isInternal).toBe(false);
+            expect(response.body.ticket.status).toBe('waiting_human');
+
+            const auditLog = await AuditLog.findOne({
+                ticketId: ticket._id,
+                action: 'CUSTOMER_REPLIED'
+            });
+            expect(auditLog.meta).toMatchObject({ oldStatus: 'waiting_customer', newStatus: 'waiting_human' });
+        });
+
+        it('should reopen a resolved ticket', async () => {
+            await Ticket.findByIdAndUpdate(ticket._id, { status: 'resolved', resolvedAt: new Date() });
+
+            await request(app)
+                .post(`/api/tickets/${ticket._id}/customer-reply`)
+                .set('Authorization', `Bearer ${userToken}`)
+                .send({ content: 'This is still not working' })
+                .expect(200);
+
+            const updatedTicket = await Ticket.findById(ticket._id);
+            expect(updatedTicket.status).toBe('waiting_human');
+            expect(updatedTicket.resolvedAt).toBeUndefined();
+
+            const auditLog = await AuditLog.findOne({ ticketId: ticket._id, action: 'TICKET_REOPENED' });
+            expect(auditLog).toBeTruthy();
+        });
+
+        it('should reject isInternal from customers', async () => {
+            const response = await request(app)
+                .post(`/api/tickets/${ticket._id}/customer-reply`)
+                .set('Authorization', `Bearer ${userToken}`)
+                .send({ content: 'Sneaky note', isInternal: true })
+                .expect(400);
+
+            expect(response.body.error).toBe('Validation failed');
+        });
+
+        it('should reject replies on tickets the user did not create', async () => {
+            await request(app)
+                .post(`/api/tickets/${ticket._id}/customer-reply`)
+                .set('Authorization', `Bearer ${agentToken}`)
+                .send({ content: 'Not my ticket' })
+                .expect(403);
+        });
+
+        it('should hide internal notes from the customer', async () => {
+            await Ticket.findByIdAndUpdate(ticket._id, {
+                $push: {
+                    replies: [
+                        { author: agent._id, content: 'Internal note', isInternal: true },
+                        { author: agent._id, content: 'Public reply', isInternal: false }
+                    ]
+                }
+            });
+
+            const response = await request(app)
+                .get(`/api/tickets/${ticket._id}`)
+                .set('Authorization', `Bearer ${userToken}`)
+                .expect(200);
+
+            expect(response.body.replies).toHaveLength(1);
+            expect(response.body.replies[0].content).toBe('Public reply');
+        });
+    });
+
     describe('POST /api/tickets/:id/assign', () => {
         let ticket;
 
@@ -0,0 +1,237 @@
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import { AuditLog } from '../models/AuditLog.js';
+import { Ticket } from '../models/Ticket.js';
+import { User } from '../models/User.js';
+import app from '../server.js';
+
+describe('Users', () => {
+    let adminToken, agentToken, admin, agent, user;
+
+    beforeEach(async () => {
+        admin = await User.create({
+            name: 'Admin',
+            email: 'admin@example.com',
+            passwordHash: 'hashedpassword',
+            role: 'admin'
+        });
+
+        agent = await User.create({
+            name: 'Agent Smith',
+            email: 'agent@example.com',
+            passwordHash: 'hashedpassword',
+            role: 'agent'
+        });
+
+        user = await User.create({
+            name: 'Customer',
+            email: 'customer@example.com',
+            passwordHash: 'hashedpassword',
+            role: 'user'
+        });
+
+        adminToken = jwt.sign(
+            { userId: admin._id, email: admin.email, role: admin.role },
+            process.env.JWT_SECRET || 'test-secret'
+        );
+
+        agentToken = jwt.sign(
+            { userId: agent._id, email: agent.email, role: agent.role },
+            process.env.JWT_SECRET || 'test-secret'
+        );
+    });
+
+    describe('GET /api/users', () => {
+        it('should list users with pagination', async () => {
+            const response = await request(app)
+                .get('/api/users?page=1&limit=2')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            expect(response.body.users).toHaveLength(2);
+            expect(response.body.pagination.total).toBe(3);
+            expect(response.body.pagination.pages).toBe(2);
+            expect(response.body.users[0]).not.toHaveProperty('passwordHash');
+        });
+
+        it('should search by name or email and filter by role', async () => {
+            const response = await request(app)
+                .get('/api/users?page=1&limit=10&search=smith&role=agent')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            expect(response.body.users).toHaveLength(1);
+            expect(response.body.users[0].email).toBe('agent@example.com');
+        });
+
+        it('should filter by active status', async () => {
+            await User.updateOne({ _id: user._id }, { isActive: false });
+
+            const response = await request(app)
+                .get('/api/users?page=1&limit=10&isActive=false')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            expect(response.body.users).toHaveLength(1);
+            expect(response.body.users[0]._id).toBe(user._id.toString());
+        });
+
+        it('should reject non-admin users', async () => {
+            await request(app)
+                .get('/api/users?page=1&limit=10')
+                .set('Authorization', `Bearer ${agentToken}`)
+                .expect(403);
+        });
+    });
+
+    describe('GET /api/users/workload', () => {
+        it('should count open tickets per agent', async () => {
+            await Ticket.create([
+                { title: 'One', description: 'First open ticket', createdBy: user._id, assignee: agent._id, status: 'waiting_human' },
+                { title: 'Two', description: 'Second open ticket', createdBy: user._id, assignee: agent._id, status: 'waiting_customer' },
+                { title: 'Three', description: 'Resolved ticket', createdBy: user._id, assignee: agent._id, status: 'resolved' }
+            ]);
+
+            const response = await request(app)
+                .get('/api/users/workload')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            const agentRow = response.body.agents.find(a => a._id === agent._id.toString());
+            expect(agentRow.workload.open).toBe(2);
+            expect(agentRow.workload.byStatus).toEqual({ waiting_human: 1, waiting_customer: 1 });
+
+            const adminRow = response.body.agents.find(a => a._id === admin._id.toString());
+            expect(adminRow.workload.open).toBe(0);
+
+            expect(response.body.agents.find(a => a._id === user._id.toString())).toBeUndefined();
+        });
+    });
+
+    describe('POST /api/users', () => {
+        it('should create a user and audit it', async () => {
+            const response = await request(app)
+                .post('/api/users')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({
+                    name: 'New Agent',
+                    email: 'new.agent@example.com',
+                    password: 'Password123',
+                    role: 'agent'
+                })
+                .expect(201);
+
+            expect(response.body.user.role).toBe('agent');
+            expect(response.body.user).not.toHaveProperty('passwordHash');
+
+            const auditLog = await AuditLog.findOne({
+                targetUserId: response.body.user._id,
+                action: 'USER_CREATED'
+            });
+            expect(auditLog).toBeTruthy();
+            expect(auditLog.actorId.toString()).toBe(admin._id.toString());
+        });
+
+        it('should reject duplicate emails', async () => {
+            await request(app)
+                .post('/api/users')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({
+                    name: 'Duplicate',
+                    email: 'agent@example.com',
+                    password: 'Password123',
+                    role: 'agent'
+                })
+                .expect(409);
+        });
+    });
+
+    describe('PATCH /api/users/:id/role', () => {
+        it('should change a role and audit the change', async () => {
+            const response = await request(app)
+                .patch(`/api/users/${user._id}/role`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ role: 'agent' })
+                .expect(200);
+
+            expect(response.body.user.role).toBe('agent');
+
+            const auditLog = await AuditLog.findOne({
+                targetUserId: user._id,
+                action: 'USER_ROLE_CHANGED'
+            });
+            expect(auditLog.meta.oldRole).toBe('user');
+            expect(auditLog.meta.newRole).toBe('agent');
+        });
+
+        it('should not let admins change their own role', async () => {
+            await request(app)
+                .patch(`/api/users/${admin._id}/role`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ role: 'user' })
+                .expect(400);
+        });
+
+        it('should validate the role', async () => {
+            await request(app)
+                .patch(`/api/users/${user._id}/role`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ role: 'superuser' })
+                .expect(400);
+        });
+    });
+
+    describe('POST /api/users/:id/deactivate', () => {
+        it('should deactivate and reactivate a user', async () => {
+            const deactivated = await request(app)
+                .post(`/api/users/${agent._id}/deactivate`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ reason: 'Left the team' })
+                .expect(200);
+
+            expect(deactivated.body.user.isActive).toBe(false);
+
+            // Deactivated accounts can no longer authenticate
+            await request(app)
+                .get('/api/tickets?page=1&limit=10')
+                .set('Authorization', `Bearer ${agentToken}`)
+                .expect(401);
+
+            const reactivated = await request(app)
+                .post(`/api/users/${agent._id}/reactivate`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            expect(reactivated.body.user.isActive).toBe(true);
+
+            const actions = (await AuditLog.find({ targetUserId: agent._id }).sort({ timestamp: 1 }))
+                .map(log => log.action);
+            expect(actions).toEqual(['USER_DEACTIVATED', 'USER_REACTIVATED']);
+        });
+
+        it('should not let admins deactivate themselves', async () => {
+            await request(app)
+                .post(`/api/users/${admin._id}/deactivate`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(400);
+        });
+    });
+
+    describe('GET /api/users/:id/audit', () => {
+        it('should return the account change history', async () => {
+            await request(app)
+                .patch(`/api/users/${user._id}/role`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ role: 'agent' });
+
+            const response = await request(app)
+                .get(`/api/users/${user._id}/audit?page=1&limit=10`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            expect(response.body.auditLogs).toHaveLength(1);
+            expect(response.body.auditLogs[0].action).toBe('USER_ROLE_CHANGED');
+            expect(response.body.auditLogs[0].actorId.email).toBe('admin@example.com');
+        });
+    });
+});
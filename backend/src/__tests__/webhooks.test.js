@@ -0,0 +1,191 @@
+import crypto from 'crypto';
+import http from 'http';
+import jwt from 'jsonwebtoken';
+import request from 'supertest';
+import { v4 as uuidv4 } from 'uuid';
+import { AuditLog } from '../models/AuditLog.js';
+import { Ticket } from '../models/Ticket.js';
+import { User } from '../models/User.js';
+import { WebhookDelivery } from '../models/WebhookDelivery.js';
+import app from '../server.js';
+import { signPayload } from '../services/webhookService.js';
+
+const waitFor = async (check, timeoutMs = 5000) => {
+    const startedAt = Date.now();
+    while (Date.now() - startedAt < timeoutMs) {
+        const result = await check();
+        if (result) return result;
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    throw new Error('Timed out waiting for condition');
+};
+
+describe('Webhooks', () => {
+    let receiver, receiverUrl, received, responseStatus;
+    let admin, adminToken, agentToken, ticket;
+
+    beforeAll(async () => {
+        receiver = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ headers: req.headers, body });
+                res.writeHead(responseStatus);
+                res.end('ok');
+            });
+        });
+        await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+        receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+    });
+
+    afterAll(async () => {
+        await new Promise(resolve => receiver.close(resolve));
+    });
+
+    beforeEach(async () => {
+        received = [];
+        responseStatus = 200;
+
+        admin = await User.create({ name: 'Admin', email: 'admin@example.com', passwordHash: 'hash', role: 'admin' });
+        const agent = await User.create({ name: 'Agent', email: 'agent@example.com', passwordHash: 'hash', role: 'agent' });
+
+        adminToken = jwt.sign(
+            { userId: admin._id, email: admin.email, role: admin.role },
+            process.env.JWT_SECRET || 'test-secret'
+        );
+        agentToken = jwt.sign(
+            { userId: agent._id, email: agent.email, role: agent.role },
+            process.env.JWT_SECRET || 'test-secret'
+        );
+
+        ticket = await Ticket.create({ title: 'Webhook ticket', description: 'Test', createdBy: admin._id });
+    });
+
+    const createWebhook = async (actions = ['AUTO_CLOSED']) => {
+        const response = await request(app)
+            .post('/api/webhooks')
+            .set('Authorization', `Bearer ${adminToken}`)
+            .send({ name: 'CRM', url: receiverUrl, actions })
+            .expect(201);
+        return response.body;
+    };
+
+    const logAction = (action) => AuditLog.create({
+        ticketId: ticket._id,
+        traceId: uuidv4(),
+        actor: 'system',
+        action,
+        meta: { reason: 'test' }
+    });
+
+    describe('Subscriptions', () => {
+        it('should return the secret only on creation', async () => {
+            const { webhook, secret } = await createWebhook();
+
+            expect(secret).toMatch(/^whsec_/);
+            expect(webhook.secret).toBeUndefined();
+
+            const response = await request(app)
+                .get(`/api/webhooks/${webhook._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            expect(response.body.webhook.secret).toBeUndefined();
+        });
+
+        it('should reject unknown actions', async () => {
+            await request(app)
+                .post('/api/webhooks')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ name: 'CRM', url: receiverUrl, actions: ['NOT_AN_ACTION'] })
+                .expect(400);
+        });
+
+        it('should be admin only', async () => {
+            await request(app)
+                .get('/api/webhooks?page=1&limit=10')
+                .set('Authorization', `Bearer ${agentToken}`)
+                .expect(403);
+        });
+    });
+
+    describe('Delivery', () => {
+        it('should POST a signed payload for subscribed actions', async () => {
+            const { webhook, secret } = await createWebhook(['AUTO_CLOSED']);
+            const auditLog = await logAction('AUTO_CLOSED');
+
+            const delivery = await waitFor(() => WebhookDelivery.findOne({ status: 'succeeded' }));
+            expect(delivery.subscriptionId.toString()).toBe(webhook._id);
+            expect(delivery.attempts).toHaveLength(1);
+            expect(delivery.attempts[0].responseStatus).toBe(200);
+
+            expect(received).toHaveLength(1);
+            const { headers, body } = received[0];
+            const payload = JSON.parse(body);
+            expect(payload.id).toBe(auditLog._id.toString());
+            expect(payload.event).toBe('AUTO_CLOSED');
+            expect(payload.data.ticketId).toBe(ticket._id.toString());
+            expect(headers['x-helpdesk-event']).toBe('AUTO_CLOSED');
+
+            // Receivers can verify the body with the shared secret
+            const timestamp = headers['x-helpdesk-signature'].match(/t=(\d+)/)[1];
+            const expected = signPayload(secret, timestamp, body);
+            expect(crypto.timingSafeEqual(
+                Buffer.from(headers['x-helpdesk-signature']),
+                Buffer.from(expected)
+            )).toBe(true);
+        });
+
+        it('should ignore actions the subscription does not listen to', async () => {
+            await createWebhook(['AUTO_CLOSED']);
+            await logAction('TRIAGE_STARTED');
+
+            await new Promise(resolve => setTimeout(resolve, 200));
+            expect(await WebhookDelivery.countDocuments()).toBe(0);
+            expect(received).toHaveLength(0);
+        });
+
+        it('should record failures and allow manual redelivery', async () => {
+            responseStatus = 500;
+            const { webhook } = await createWebhook(['ASSIGNED_TO_HUMAN']);
+            await logAction('ASSIGNED_TO_HUMAN');
+
+            const failed = await waitFor(() => WebhookDelivery.findOne({ status: 'failed' }));
+            expect(failed.attempts[0].responseStatus).toBe(500);
+            expect(failed.attempts[0].error).toContain('500');
+
+            const log = await request(app)
+                .get(`/api/webhooks/${webhook._id}/deliveries?page=1&limit=10&status=failed`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+            expect(log.body.deliveries).toHaveLength(1);
+
+            responseStatus = 204;
+            const response = await request(app)
+                .post(`/api/webhooks/deliveries/${failed._id}/redeliver`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(202);
+
+            expect(response.body.delivery.redeliveryOf).toBe(failed._id.toString());
+            expect(response.body.delivery.status).toBe('succeeded');
+            expect(received).toHaveLength(2);
+            expect(received[1].body).toBe(received[0].body);
+        });
+
+        it('should refuse to redeliver for a deleted webhook', async () => {
+            const { webhook } = await createWebhook(['AUTO_CLOSED']);
+            await logAction('AUTO_CLOSED');
+            const delivery = await waitFor(() => WebhookDelivery.findOne({ status: 'succeeded' }));
+
+            await request(app)
+                .delete(`/api/webhooks/${webhook._id}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(200);
+
+            await request(app)
+                .post(`/api/webhooks/deliveries/${delivery._id}/redeliver`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .expect(409);
+        });
+    });
+});
@@ -0,0 +1,100 @@
+import multer from 'multer';
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+
+const DEFAULT_ALLOWED_TYPES = [
+    'image/png',
+    'image/jpeg',
+    'image/gif',
+    'image/webp',
+    'application/pdf',
+    'text/plain',
+    'text/csv',
+    'application/json',
+    'application/zip',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+
+const ZIP_SIGNATURE = [0x50, 0x4b, 0x03, 0x04];
+
+// Leading bytes expected for binary types, so a renamed file can't slip through
+const SIGNATURES = {
+    'image/png': [[0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+    'image/jpeg': [[0xff, 0xd8, 0xff]],
+    'image/gif': [[0x47, 0x49, 0x46, 0x38]],
+    'image/webp': [[0x52, 0x49, 0x46, 0x46]],
+    'application/pdf': [[0x25, 0x50, 0x44, 0x46]],
+    'application/zip': [ZIP_SIGNATURE],
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': [ZIP_SIGNATURE],
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': [ZIP_SIGNATURE]
+};
+
+export const getUploadLimits = () => ({
+    maxBytes: parseInt(process.env.ATTACHMENT_MAX_BYTES) || DEFAULT_MAX_BYTES,
+    maxFiles: parseInt(process.env.ATTACHMENT_MAX_FILES) || DEFAULT_MAX_FILES,
+    allowedTypes: process.env.ATTACHMENT_ALLOWED_TYPES
+        ? process.env.ATTACHMENT_ALLOWED_TYPES.split(',').map(t => t.trim().toLowerCase()).filter(Boolean)
+        : DEFAULT_ALLOWED_TYPES
+});
+
+/**
+ * Check that the file content starts with the bytes its declared type requires
+ */
+export const matchesSignature = (contentType, buffer) => {
+    const signatures = SIGNATURES[contentType];
+    if (!signatures) return true;
+    return signatures.some(signature =>
+        buffer.length >= signature.length && signature.every((byte, i) => buffer[i] === byte)
+    );
+};
+
+/**
+ * Parse multipart uploads from the `files` field into memory, enforcing
+ * size, count and MIME allowlists. Responds 400/413 itself on rejection.
+ */
+export const uploadAttachments = (req, res, next) => {
+    const { maxBytes, maxFiles, allowedTypes } = getUploadLimits();
+
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxBytes, files: maxFiles },
+        fileFilter: (req, file, cb) => {
+            if (!allowedTypes.includes(file.mimetype.toLowerCase())) {
+                const error = new Error(`File type not allowed: ${file.mimetype}`);
+                error.code = 'UNSUPPORTED_TYPE';
+                return cb(error);
+            }
+            cb(null, true);
+        }
+    }).array('files', maxFiles);
+
+    upload(req, res, (error) => {
+        if (error) {
+            if (error.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({ error: `File exceeds the ${maxBytes} byte limit` });
+            }
+            if (error.code === 'UNSUPPORTED_TYPE') {
+                return res.status(400).json({ error: error.message, allowedTypes });
+            }
+            if (error instanceof multer.MulterError) {
+                return res.status(400).json({ error: error.message });
+            }
+            return next(error);
+        }
+
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ error: 'No files uploaded' });
+        }
+
+        const mismatched = req.files.find(file => !matchesSignature(file.mimetype.toLowerCase(), file.buffer));
+        if (mismatched) {
+            return res.status(400).json({
+                error: `File content does not match its type: ${mismatched.originalname}`
+            });
+        }
+
+        next();
+    });
+};
@@ -1,5 +1,49 @@
 import mongoose from 'mongoose';
 
+// Provider/model used for an individual LLM step (classify, draft)
+const stepModelInfoSchema = new mongoose.Schema({
+    provider: String,
+    model: String,
+    latencyMs: {
+        type: Number,
+        default: 0
+    },
+    promptTokens: {
+        type: Number,
+        default: 0
+    },
+    completionTokens: {
+        type: Number,
+        default: 0
+    },
+    totalTokens: {
+        type: Number,
+        default: 0
+    }
+}, { _id: false });
+
+// A knowledge base passage the draft cites inline as [number]
+const citedPassageSchema = new mongoose.Schema({
+    number: {
+        type: Number,
+        required: true
+    },
+    articleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Article',
+        required: true
+    },
+    articleTitle: String,
+    // The article revision the passage was taken from
+    articleRevision: Number,
+    passageIndex: Number,
+    // Character offsets of the passage in the article body
+    start: Number,
+    end: Number,
+    // The passage exactly as the draft saw it
+    text: String
+}, { _id: false });
+
 const agentSuggestionSchema = new mongoose.Schema({
     ticketId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -24,6 +68,7 @@ const agentSuggestionSchema = new mongoose.Schema({
         required: true,
         maxlength: 5000
     },
+    passages: [citedPassageSchema],
     confidence: {
         type: Number,
         required: true,
@@ -34,6 +79,27 @@ const agentSuggestionSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    // Each re-triage adds a version and supersedes the previous one
+    version: {
+        type: Number,
+        default: 1
+    },
+    previousSuggestionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AgentSuggestion'
+    },
+    supersededBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AgentSuggestion'
+    },
+    supersededAt: {
+        type: Date,
+        default: null
+    },
+    // The system reply on the ticket, rewritten in place by the next version
+    replyId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
     modelInfo: {
         provider: {
             type: String,
@@ -50,6 +116,23 @@ const agentSuggestionSchema = new mongoose.Schema({
         latencyMs: {
             type: Number,
             default: 0
+        },
+        promptTokens: {
+            type: Number,
+            default: 0
+        },
+        completionTokens: {
+            type: Number,
+            default: 0
+        },
+        totalTokens: {
+            type: Number,
+            default: 0
+        },
+        steps: {
+            classify: stepModelInfoSchema,
+            draft: stepModelInfoSchema,
+            priority: stepModelInfoSchema
         }
     },
     accepted: {
@@ -68,7 +151,7 @@ const agentSuggestionSchema = new mongoose.Schema({
 });
 
 // Indexes
-agentSuggestionSchema.index({ ticketId: 1 });
+agentSuggestionSchema.index({ ticketId: 1, version: -1 });
 agentSuggestionSchema.index({ traceId: 1 });
 agentSuggestionSchema.index({ confidence: -1 });
 agentSuggestionSchema.index({ createdAt: -1 });
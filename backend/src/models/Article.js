@@ -1,5 +1,99 @@
 import mongoose from 'mongoose';
 
+// Editorial workflow: draft -> in_review -> approved -> published -> archived
+export const ARTICLE_STATUSES = ['draft', 'in_review', 'approved', 'published', 'archived'];
+
+const reviewerSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    decision: {
+        type: String,
+        enum: ['pending', 'approved', 'changes_requested'],
+        default: 'pending'
+    },
+    decidedAt: Date
+}, { _id: false });
+
+const reviewCommentSchema = new mongoose.Schema({
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    body: {
+        type: String,
+        required: true,
+        maxlength: 2000
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const statusChangeSchema = new mongoose.Schema({
+    from: String,
+    to: String,
+    // Unset for changes made by the schedule
+    by: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    at: {
+        type: Date,
+        default: Date.now
+    },
+    scheduled: {
+        type: Boolean,
+        default: false
+    },
+    // Set when the change moved the revision draft, not the article
+    revisionDraft: {
+        type: Boolean,
+        default: false
+    }
+}, { _id: false });
+
+// Edits to a published article, reviewed before they replace the published text
+const revisionDraftSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 200
+    },
+    body: {
+        type: String,
+        required: true,
+        maxlength: 10000
+    },
+    tags: [{
+        type: String,
+        trim: true,
+        lowercase: true,
+        maxlength: 50
+    }],
+    status: {
+        type: String,
+        enum: ['draft', 'in_review', 'approved'],
+        default: 'draft'
+    },
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    // The published revision the edits started from
+    basedOn: Number,
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
 const articleSchema = new mongoose.Schema({
     title: {
         type: String,
@@ -18,16 +112,43 @@ const articleSchema = new mongoose.Schema({
         lowercase: true,
         maxlength: 50
     }],
+    // Only published articles are shown to customers and used by triage
     status: {
         type: String,
-        enum: ['draft', 'published'],
+        enum: ARTICLE_STATUSES,
         default: 'draft'
     },
+    reviewers: {
+        type: [reviewerSchema],
+        default: []
+    },
+    comments: {
+        type: [reviewCommentSchema],
+        default: []
+    },
+    statusHistory: {
+        type: [statusChangeSchema],
+        default: []
+    },
+    revisionDraft: {
+        type: revisionDraftSchema,
+        default: undefined
+    },
+    // Run by the kb-schedule queue: publish once approved, archive once published
+    publishAt: Date,
+    unpublishAt: Date,
+    publishedAt: Date,
+    archivedAt: Date,
     author: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
         required: true
     },
+    // Number of the latest ArticleRevision; bumped on every save through the API
+    revision: {
+        type: Number,
+        default: 1
+    },
     views: {
         type: Number,
         default: 0
@@ -53,6 +174,7 @@ articleSchema.index({
 
 // Other indexes
 articleSchema.index({ status: 1 });
+articleSchema.index({ 'reviewers.user': 1, status: 1 });
 articleSchema.index({ tags: 1 });
 articleSchema.index({ createdAt: -1 });
 
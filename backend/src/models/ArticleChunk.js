@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+/**
+ * A passage of a KB article with its embedding, used for semantic retrieval
+ * and cited by drafts. Rebuilt whenever the article text or the embedder changes.
+ */
+const articleChunkSchema = new mongoose.Schema({
+    articleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Article',
+        required: true
+    },
+    index: {
+        type: Number,
+        required: true
+    },
+    text: {
+        type: String,
+        required: true
+    },
+    // Character offsets of the passage in the article body
+    start: {
+        type: Number,
+        required: true
+    },
+    end: {
+        type: Number,
+        required: true
+    },
+    embedding: {
+        type: [Number],
+        required: true
+    },
+    embedder: {
+        type: String,
+        required: true
+    },
+    // Hash of the article text and embedder the chunks were built from
+    contentHash: {
+        type: String,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+articleChunkSchema.index({ articleId: 1, index: 1 }, { unique: true });
+
+export const ArticleChunk = mongoose.model('ArticleChunk', articleChunkSchema);
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+/**
+ * One saved version of a KB article. Written once per save and never
+ * changed, so an article's history shows who changed what and when.
+ */
+const articleRevisionSchema = new mongoose.Schema({
+    articleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Article',
+        required: true,
+        immutable: true
+    },
+    revision: {
+        type: Number,
+        required: true,
+        immutable: true
+    },
+    title: {
+        type: String,
+        required: true,
+        immutable: true
+    },
+    body: {
+        type: String,
+        required: true,
+        immutable: true
+    },
+    tags: {
+        type: [String],
+        immutable: true
+    },
+    status: {
+        type: String,
+        immutable: true
+    },
+    // Who saved this revision
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        immutable: true
+    },
+    // Set when the revision restores an earlier one
+    restoredFrom: {
+        type: Number,
+        immutable: true
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+articleRevisionSchema.index({ articleId: 1, revision: -1 }, { unique: true });
+
+// Revisions are append-only
+const rejectChange = function () {
+    throw new Error('Article revisions cannot be changed');
+};
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'].forEach(operation => {
+    articleRevisionSchema.pre(operation, rejectChange);
+});
+articleRevisionSchema.pre('save', function () {
+    if (!this.isNew) {
+        rejectChange();
+    }
+});
+
+export const ArticleRevision = mongoose.model('ArticleRevision', articleRevisionSchema);
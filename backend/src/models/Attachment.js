@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+const attachmentSchema = new mongoose.Schema({
+    ticketId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Ticket',
+        required: true
+    },
+    // Set when the file belongs to a reply rather than the ticket itself
+    replyId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    uploadedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    filename: {
+        type: String,
+        required: true,
+        maxlength: 255
+    },
+    contentType: {
+        type: String,
+        required: true
+    },
+    size: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    checksum: {
+        type: String
+    },
+    storage: {
+        driver: {
+            type: String,
+            required: true
+        },
+        key: {
+            type: String,
+            required: true
+        }
+    }
+}, {
+    timestamps: true
+});
+
+attachmentSchema.index({ ticketId: 1, createdAt: 1 });
+
+attachmentSchema.virtual('downloadUrl').get(function () {
+    return `/api/attachments/${this._id}/download`;
+});
+
+attachmentSchema.set('toJSON', {
+    virtuals: true,
+    transform: function (doc, ret) {
+        delete ret.storage;
+        delete ret.__v;
+        return ret;
+    }
+});
+
+export const Attachment = mongoose.model('Attachment', attachmentSchema);
@@ -1,10 +1,57 @@
+import { EventEmitter } from 'events';
 import mongoose from 'mongoose';
 
+export const AUDIT_ACTIONS = [
+    'TICKET_CREATED',
+    'TRIAGE_STARTED',
+    'PII_REDACTED',
+    'LANGUAGE_DETECTED',
+    'PRIORITY_PREDICTED',
+    'PRIORITY_OVERRIDDEN',
+    'DUPLICATE_DETECTED',
+    'AGENT_CLASSIFIED',
+    'KB_RETRIEVED',
+    'DRAFT_GENERATED',
+    'GROUNDING_VERIFIED',
+    'AUTO_CLOSED',
+    'SUGGESTION_SUPERSEDED',
+    'ASSIGNED_TO_HUMAN',
+    'REPLY_SENT',
+    'STATUS_CHANGED',
+    'TICKET_ASSIGNED',
+    'TEAM_ASSIGNED',
+    'TICKET_CLAIMED',
+    'TICKET_REOPENED',
+    'SUGGESTION_ACCEPTED',
+    'SUGGESTION_REJECTED',
+    'TRIAGE_STEP_FAILED',
+    'LLM_FALLBACK_USED',
+    'TRIAGE_FAILED',
+    'TRIAGE_REQUEUED',
+    'TRIAGE_SKIPPED',
+    'SLA_BREACHED',
+    'CUSTOMER_REPLIED',
+    'USER_CREATED',
+    'USER_ROLE_CHANGED',
+    'USER_DEACTIVATED',
+    'USER_REACTIVATED',
+    'AGENT_PROFILE_UPDATED',
+    'CUSTOMER_TIER_CHANGED',
+    'ATTACHMENT_ADDED'
+];
+
 const auditLogSchema = new mongoose.Schema({
     ticketId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Ticket',
-        required: true
+        // Account changes are logged against a user instead of a ticket
+        required: function () {
+            return !this.targetUserId;
+        }
+    },
+    targetUserId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
     },
     traceId: {
         type: String,
@@ -22,22 +69,7 @@ const auditLogSchema = new mongoose.Schema({
     action: {
         type: String,
         required: true,
-        enum: [
-            'TICKET_CREATED',
-            'TRIAGE_STARTED',
-            'AGENT_CLASSIFIED',
-            'KB_RETRIEVED',
-            'DRAFT_GENERATED',
-            'AUTO_CLOSED',
-            'ASSIGNED_TO_HUMAN',
-            'REPLY_SENT',
-            'STATUS_CHANGED',
-            'TICKET_ASSIGNED',
-            'TICKET_REOPENED',
-            'SUGGESTION_ACCEPTED',
-            'SUGGESTION_REJECTED',
-            'TRIAGE_FAILED'
-        ]
+        enum: AUDIT_ACTIONS
     },
     meta: {
         type: mongoose.Schema.Types.Mixed,
@@ -53,8 +85,16 @@ const auditLogSchema = new mongoose.Schema({
 
 // Indexes for performance
 auditLogSchema.index({ ticketId: 1, timestamp: -1 });
+auditLogSchema.index({ targetUserId: 1, timestamp: -1 }, { sparse: true });
 auditLogSchema.index({ traceId: 1 });
 auditLogSchema.index({ action: 1 });
 auditLogSchema.index({ timestamp: -1 });
 
+// Emits 'created' with every saved entry so integrations such as webhooks can react
+export const auditEvents = new EventEmitter();
+
+auditLogSchema.post('save', function (doc) {
+    auditEvents.emit('created', doc);
+});
+
 export const AuditLog = mongoose.model('AuditLog', auditLogSchema);
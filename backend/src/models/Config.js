@@ -1,5 +1,81 @@
 import mongoose from 'mongoose';
 
+const workingHoursSchema = new mongoose.Schema({
+    day: {
+        type: Number,
+        required: true,
+        min: 0, // Sunday
+        max: 6
+    },
+    start: {
+        type: String,
+        required: true,
+        match: /^([01]\d|2[0-3]):[0-5]\d$/
+    },
+    end: {
+        type: String,
+        required: true,
+        match: /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/
+    }
+}, { _id: false });
+
+const holidaySchema = new mongoose.Schema({
+    date: {
+        type: String,
+        required: true,
+        match: /^\d{4}-\d{2}-\d{2}$/
+    },
+    name: {
+        type: String,
+        trim: true,
+        maxlength: 100
+    }
+}, { _id: false });
+
+const defaultWorkingHours = () => [1, 2, 3, 4, 5].map(day => ({ day, start: '09:00', end: '17:00' }));
+
+// Provider and model for one LLM step; unset fields fall back to the environment default
+const llmStepSchema = new mongoose.Schema({
+    provider: {
+        type: String,
+        enum: ['stub', 'openai', 'anthropic', 'ollama']
+    },
+    model: {
+        type: String,
+        trim: true,
+        maxlength: 100
+    }
+}, { _id: false });
+
+// One step in a triage pipeline; unset timeout and retries use agentSettings
+const pipelineStepSchema = new mongoose.Schema({
+    step: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 50
+    },
+    enabled: {
+        type: Boolean,
+        default: true
+    },
+    timeoutMs: {
+        type: Number,
+        min: 1000,
+        max: 120000
+    },
+    maxRetries: {
+        type: Number,
+        min: 0,
+        max: 5
+    }
+}, { _id: false });
+
+const categoryPipeline = {
+    type: [pipelineStepSchema],
+    default: undefined
+};
+
 const configSchema = new mongoose.Schema({
     autoCloseEnabled: {
         type: Boolean,
@@ -11,12 +87,53 @@ const configSchema = new mongoose.Schema({
         min: 0,
         max: 1
     },
+    // Drafts whose cited sentences are supported less than this are never auto-closed
+    groundingThreshold: {
+        type: Number,
+        default: 0.5,
+        min: 0,
+        max: 1
+    },
     slaHours: {
         type: Number,
         default: 24,
         min: 1,
         max: 168 // 1 week max
     },
+    // Optional SLA targets in hours; priority wins over category, both over slaHours
+    slaPolicies: {
+        priorities: {
+            low: { type: Number, min: 1, max: 168 },
+            medium: { type: Number, min: 1, max: 168 },
+            high: { type: Number, min: 1, max: 168 },
+            urgent: { type: Number, min: 1, max: 168 }
+        },
+        categories: {
+            billing: { type: Number, min: 1, max: 168 },
+            tech: { type: Number, min: 1, max: 168 },
+            shipping: { type: Number, min: 1, max: 168 },
+            other: { type: Number, min: 1, max: 168 }
+        }
+    },
+    // SLA deadlines and resolution-time analytics count business time only when enabled
+    businessCalendar: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        timezone: {
+            type: String,
+            default: 'UTC'
+        },
+        workingHours: {
+            type: [workingHoursSchema],
+            default: defaultWorkingHours
+        },
+        holidays: {
+            type: [holidaySchema],
+            default: []
+        }
+    },
     maxTicketsPerUser: {
         type: Number,
         default: 10,
@@ -48,6 +165,30 @@ const configSchema = new mongoose.Schema({
             max: 1
         }
     },
+    // Optional overrides by ticket priority; take precedence over category thresholds when set
+    priorityThresholds: {
+        low: {
+            type: Number,
+            min: 0,
+            max: 1
+        },
+        medium: {
+            type: Number,
+            min: 0,
+            max: 1
+        },
+        high: {
+            type: Number,
+            min: 0,
+            max: 1
+        },
+        urgent: {
+            type: Number,
+            min: 0,
+            max: 1
+        }
+    },
+    // Per-step defaults for the triage pipeline
     agentSettings: {
         maxRetries: {
             type: Number,
@@ -65,6 +206,59 @@ const configSchema = new mongoose.Schema({
             type: Boolean,
             default: true
         }
+    },
+    // Skill- and capacity-aware assignment after triage
+    routing: {
+        // Agents with no skills listed can take tickets in any category
+        allowGeneralists: {
+            type: Boolean,
+            default: true
+        },
+        defaultMaxConcurrentTickets: {
+            type: Number,
+            default: 10,
+            min: 1,
+            max: 100
+        },
+        // Tickets nobody qualifies for wait here, unassigned
+        fallbackQueue: {
+            type: String,
+            default: 'general',
+            trim: true,
+            maxlength: 50
+        }
+    },
+    // Ordered triage steps; a category's own pipeline replaces the default one
+    triagePipeline: {
+        default: {
+            type: [pipelineStepSchema],
+            default: () => ['classify', 'predict_priority', 'retrieve', 'draft', 'verify_citations', 'decide'].map(step => ({ step }))
+        },
+        categories: {
+            billing: categoryPipeline,
+            tech: categoryPipeline,
+            shipping: categoryPipeline,
+            other: categoryPipeline
+        }
+    },
+    llmSettings: {
+        classify: {
+            type: llmStepSchema,
+            default: () => ({})
+        },
+        draft: {
+            type: llmStepSchema,
+            default: () => ({})
+        },
+        priority: {
+            type: llmStepSchema,
+            default: () => ({})
+        },
+        // Secondary provider tried when a step's own provider keeps failing
+        fallback: {
+            type: llmStepSchema,
+            default: () => ({})
+        }
     }
 }, {
     timestamps: true
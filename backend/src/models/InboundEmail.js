@@ -0,0 +1,62 @@
+import mongoose from 'mongoose';
+
+const inboundEmailSchema = new mongoose.Schema({
+    messageId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    source: {
+        type: String,
+        enum: ['webhook', 'maildir'],
+        required: true
+    },
+    from: {
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+    subject: {
+        type: String,
+        maxlength: 500
+    },
+    status: {
+        type: String,
+        enum: ['processing', 'processed', 'ignored', 'failed'],
+        default: 'processing'
+    },
+    outcome: {
+        type: String,
+        enum: ['ticket_created', 'reply_added']
+    },
+    reason: {
+        type: String
+    },
+    ticketId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Ticket'
+    },
+    // Set with outcome reply_added
+    replyId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    skippedAttachments: [{
+        filename: String,
+        contentType: String,
+        reason: String
+    }],
+    error: {
+        type: String
+    }
+}, {
+    timestamps: true
+});
+
+inboundEmailSchema.index({ createdAt: -1 });
+inboundEmailSchema.index({ status: 1, createdAt: -1 });
+
+export const InboundEmail = mongoose.model('InboundEmail', inboundEmailSchema);
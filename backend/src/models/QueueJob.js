@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// How long finished jobs stay around for throughput metrics
+const COMPLETED_TTL_SECONDS = 24 * 60 * 60;
+
+const queueJobSchema = new mongoose.Schema({
+    queue: {
+        type: String,
+        required: true
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    status: {
+        type: String,
+        enum: ['waiting', 'active', 'completed', 'failed'],
+        default: 'waiting'
+    },
+    // Earliest time a worker may pick the job up (delays and retry backoff)
+    runAt: {
+        type: Date,
+        default: Date.now
+    },
+    attemptsMade: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 3
+    },
+    // Lease: the worker holding the job and when its claim runs out
+    lockedBy: String,
+    lockedUntil: Date,
+    failedReason: String,
+    stacktrace: [String],
+    processedOn: Date,
+    finishedOn: Date
+}, {
+    timestamps: true
+});
+
+queueJobSchema.index({ queue: 1, status: 1, runAt: 1 });
+queueJobSchema.index({ queue: 1, status: 1, finishedOn: -1 });
+queueJobSchema.index(
+    { finishedOn: 1 },
+    { expireAfterSeconds: COMPLETED_TTL_SECONDS, partialFilterExpression: { status: 'completed' } }
+);
+
+export const QueueJob = mongoose.model('QueueJob', queueJobSchema);
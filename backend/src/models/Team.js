@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+export const TEAM_STRATEGIES = ['manual', 'least_loaded', 'skill_based'];
+
+const teamSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true,
+        maxlength: 100
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 500
+    },
+    members: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    // How tickets sent to the team's queue are handed out:
+    // manual waits for a member to claim, the others pick a member straight away
+    strategy: {
+        type: String,
+        enum: TEAM_STRATEGIES,
+        default: 'manual'
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+teamSchema.index({ members: 1 });
+
+export const Team = mongoose.model('Team', teamSchema);
@@ -1,5 +1,17 @@
 import mongoose from 'mongoose';
 
+// Either an external URL or a file uploaded through /attachments
+const attachmentRefSchema = new mongoose.Schema({
+    attachmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Attachment'
+    },
+    url: String,
+    filename: String,
+    contentType: String,
+    size: Number
+});
+
 const replySchema = new mongoose.Schema({
     author: {
         type: mongoose.Schema.Types.ObjectId,
@@ -15,11 +27,7 @@ const replySchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
-    attachments: [{
-        url: String,
-        filename: String,
-        contentType: String
-    }]
+    attachments: [attachmentRefSchema]
 }, {
     timestamps: true
 });
@@ -43,7 +51,7 @@ const ticketSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['open', 'triaged', 'waiting_human', 'resolved', 'closed'],
+        enum: ['open', 'triaged', 'waiting_human', 'waiting_customer', 'resolved', 'closed'],
         default: 'open'
     },
     priority: {
@@ -51,6 +59,28 @@ const ticketSchema = new mongoose.Schema({
         enum: ['low', 'medium', 'high', 'urgent'],
         default: 'medium'
     },
+    // Who set the priority; triage never overwrites an agent's choice
+    prioritySource: {
+        type: String,
+        enum: ['default', 'predicted', 'agent'],
+        default: 'default'
+    },
+    // Latest triage prediction, kept after an agent overrides it
+    priorityPrediction: {
+        priority: {
+            type: String,
+            enum: ['low', 'medium', 'high', 'urgent']
+        },
+        confidence: {
+            type: Number,
+            min: 0,
+            max: 1
+        },
+        reasons: [String],
+        provider: String,
+        model: String,
+        predictedAt: Date
+    },
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
@@ -60,16 +90,34 @@ const ticketSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     },
+    // Team whose queue the ticket sits in; members can claim it
+    team: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Team'
+    },
+    // ISO 639-1 code of the customer's language, when known
+    language: {
+        type: String,
+        lowercase: true,
+        trim: true,
+        maxlength: 8
+    },
+    // Shared queue for tickets routing could not assign to an agent
+    queue: {
+        type: String,
+        trim: true
+    },
     agentSuggestionId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'AgentSuggestion'
     },
+    // Held by the running triage (owner is its trace ID) so runs never overlap
+    triageLock: {
+        owner: String,
+        expiresAt: Date
+    },
     replies: [replySchema],
-    attachments: [{
-        url: String,
-        filename: String,
-        contentType: String
-    }],
+    attachments: [attachmentRefSchema],
     tags: [{
         type: String,
         trim: true,
@@ -82,9 +130,21 @@ const ticketSchema = new mongoose.Schema({
     slaDeadline: {
         type: Date
     },
+    // Set while the SLA clock is paused (ticket waiting on the customer)
+    slaPausedAt: {
+        type: Date
+    },
+    slaPausedMs: {
+        type: Number,
+        default: 0
+    },
     resolvedAt: {
         type: Date
     },
+    // Business time from creation to resolution, set when the ticket is resolved
+    resolutionMs: {
+        type: Number
+    },
     closedAt: {
         type: Date
     }
@@ -97,9 +157,12 @@ ticketSchema.index({ status: 1 });
 ticketSchema.index({ category: 1 });
 ticketSchema.index({ createdBy: 1 });
 ticketSchema.index({ assignee: 1 });
+ticketSchema.index({ queue: 1, status: 1 });
+ticketSchema.index({ team: 1, assignee: 1, status: 1 });
 ticketSchema.index({ createdAt: -1 });
 ticketSchema.index({ updatedAt: -1 });
 ticketSchema.index({ slaDeadline: 1 });
+ticketSchema.index({ slaBreached: 1, status: 1, slaDeadline: 1 });
 
 // Text search index
 ticketSchema.index({
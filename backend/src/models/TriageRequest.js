@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+// Idempotency keys are remembered for a day
+const KEY_TTL_SECONDS = 24 * 60 * 60;
+
+// Routes reject longer Idempotency-Key headers with a 400
+export const MAX_IDEMPOTENCY_KEY_LENGTH = 200;
+
+/**
+ * A triage request made with an Idempotency-Key header. Repeating the key
+ * returns this record instead of queuing another triage.
+ */
+const triageRequestSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        maxlength: MAX_IDEMPOTENCY_KEY_LENGTH
+    },
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    ticketId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Ticket',
+        required: true
+    },
+    mode: {
+        type: String,
+        enum: ['initial', 'replace'],
+        required: true
+    },
+    traceId: {
+        type: String,
+        required: true
+    },
+    jobId: String
+}, {
+    timestamps: true
+});
+
+triageRequestSchema.index({ requestedBy: 1, key: 1 }, { unique: true });
+triageRequestSchema.index({ createdAt: 1 }, { expireAfterSeconds: KEY_TTL_SECONDS });
+
+export const TriageRequest = mongoose.model('TriageRequest', triageRequestSchema);
@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
 
+export const CUSTOMER_TIERS = ['standard', 'premium', 'enterprise'];
+
 const userSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -27,6 +29,57 @@ const userSchema = new mongoose.Schema({
     isActive: {
         type: Boolean,
         default: true
+    },
+    // Support plan of a customer; higher tiers raise predicted ticket priority
+    customerTier: {
+        type: String,
+        enum: CUSTOMER_TIERS,
+        default: 'standard'
+    },
+    // Routing profile for agents and admins
+    agentProfile: {
+        skills: [{
+            _id: false,
+            category: {
+                type: String,
+                enum: ['billing', 'tech', 'shipping', 'other'],
+                required: true
+            },
+            // 1 = can handle, 5 = expert; higher levels are preferred
+            level: {
+                type: Number,
+                min: 1,
+                max: 5,
+                default: 3
+            }
+        }],
+        // ISO 639-1 codes; empty means any language
+        languages: [{
+            type: String,
+            lowercase: true,
+            trim: true
+        }],
+        // Falls back to Config.routing.defaultMaxConcurrentTickets when unset
+        maxConcurrentTickets: {
+            type: Number,
+            min: 1,
+            max: 100
+        },
+        availability: {
+            type: String,
+            enum: ['available', 'busy', 'away', 'offline'],
+            default: 'available'
+        }
+    },
+    // Which lifecycle emails the user receives
+    notificationPreferences: {
+        email: {
+            ticket_created: { type: Boolean, default: true },
+            agent_replied: { type: Boolean, default: true },
+            auto_resolved: { type: Boolean, default: true },
+            reopened: { type: Boolean, default: true },
+            sla_breached: { type: Boolean, default: true }
+        }
     }
 }, {
     timestamps: true,
@@ -43,4 +96,7 @@ const userSchema = new mongoose.Schema({
 userSchema.index({ email: 1 });
 userSchema.index({ role: 1 });
 
+// Account that posts automated replies; it is an agent but never takes tickets
+export const SYSTEM_USER_EMAIL = 'system@helpdesk.ai';
+
 export const User = mongoose.model('User', userSchema);
@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+const attemptSchema = new mongoose.Schema({
+    attemptedAt: {
+        type: Date,
+        default: Date.now
+    },
+    responseStatus: Number,
+    responseBody: String,
+    error: String,
+    durationMs: Number
+}, { _id: false });
+
+const webhookDeliverySchema = new mongoose.Schema({
+    subscriptionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WebhookSubscription',
+        required: true
+    },
+    auditLogId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AuditLog'
+    },
+    action: {
+        type: String,
+        required: true
+    },
+    url: {
+        type: String,
+        required: true
+    },
+    // Exact body sent, so redeliveries are byte-for-byte identical
+    payload: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'retrying', 'succeeded', 'failed'],
+        default: 'pending'
+    },
+    attempts: [attemptSchema],
+    deliveredAt: Date,
+    // Set when an admin manually redelivers an earlier delivery
+    redeliveryOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WebhookDelivery'
+    },
+    triggeredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+webhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, createdAt: -1 });
+
+export const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+import { AUDIT_ACTIONS } from './AuditLog.js';
+
+const webhookSubscriptionSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    url: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    // Audit actions that trigger a delivery
+    actions: {
+        type: [{ type: String, enum: AUDIT_ACTIONS }],
+        validate: {
+            validator: (actions) => actions.length > 0,
+            message: 'At least one action is required'
+        }
+    },
+    // HMAC key, only returned when the subscription is created or rotated
+    secret: {
+        type: String,
+        required: true,
+        select: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+webhookSubscriptionSchema.index({ isActive: 1, actions: 1 });
+
+webhookSubscriptionSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.secret;
+        return ret;
+    }
+});
+
+export const WebhookSubscription = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
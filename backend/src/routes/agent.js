@@ -1,42 +1,75 @@
 import express from 'express';
-import { v4 as uuidv4 } from 'uuid';
 import { authenticateToken, requireAgent } from '../middleware/auth.js';
-import agentService from '../services/agentService.js';
-import { addTriageJob } from '../services/queueService.js';
+import { Ticket } from '../models/Ticket.js';
+import { MAX_IDEMPOTENCY_KEY_LENGTH } from '../models/TriageRequest.js';
+import agentService, { TriageInProgressError } from '../services/agentService.js';
+import triageJobService from '../services/triageJobService.js';
 import { logger } from '../utils/logger.js';
+import { triggerTriageSchema, validate } from '../utils/validation.js';
 
 const router = express.Router();
 
 /**
  * POST /api/agent/triage
- * Manually trigger triage for a ticket
+ * Manually trigger triage for a ticket. Send mode 'replace' to re-triage a
+ * ticket that already has a suggestion; an Idempotency-Key header makes
+ * retries of the same request safe.
  */
-router.post('/triage', authenticateToken, requireAgent, async (req, res) => {
+router.post('/triage', authenticateToken, requireAgent, validate(triggerTriageSchema), async (req, res) => {
     try {
-        const { ticketId } = req.body;
+        const { ticketId, mode } = req.body;
+        const idempotencyKey = req.get('Idempotency-Key') || null;
 
-        if (!ticketId) {
-            return res.status(400).json({ error: 'Ticket ID is required' });
+        if (idempotencyKey?.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+            return res.status(400).json({ error: 'Idempotency-Key is too long' });
         }
 
-        const traceId = uuidv4();
+        const ticket = await Ticket.findById(ticketId).select('agentSuggestionId triageLock');
+        if (!ticket) {
+            return res.status(404).json({ error: 'Ticket not found' });
+        }
+
+        // A repeated request answers with the original trace, whatever happened since
+        const replay = idempotencyKey && await triageJobService.findReplay(req.user, idempotencyKey, ticket, mode);
+        if (replay) {
+            return res.json({
+                message: 'Triage already requested',
+                jobId: replay.jobId || 'sync-processing',
+                traceId: replay.traceId,
+                replayed: true
+            });
+        }
+
+        if (mode === 'initial' && ticket.agentSuggestionId) {
+            return res.status(409).json({ error: 'Ticket already triaged; use mode "replace" to re-triage it' });
+        }
+        if (ticket.triageLock?.expiresAt > new Date()) {
+            return res.status(409).json({ error: 'Triage already in progress for this ticket' });
+        }
 
-        // Add to queue for processing
-        const job = await addTriageJob(ticketId, traceId);
+        const { jobId, traceId, replayed } = await triageJobService.request(ticket, req.user, { mode, idempotencyKey });
 
         logger.info(`Manual triage triggered for ticket ${ticketId}`, {
             ticketId,
             traceId,
+            mode,
             triggeredBy: req.user._id
         });
 
         res.json({
             message: 'Triage job queued successfully',
-            jobId: job?.id || 'sync-processing',
-            traceId
+            jobId: jobId || 'sync-processing',
+            traceId,
+            replayed
         });
     } catch (error) {
         logger.error('Manual triage trigger error:', error);
+        if (error instanceof TriageInProgressError) {
+            return res.status(409).json({ error: 'Triage already in progress for this ticket' });
+        }
+        if (error.message === 'Idempotency key already used for a different request') {
+            return res.status(422).json({ error: error.message });
+        }
         res.status(500).json({ error: 'Failed to trigger triage' });
     }
 });
@@ -64,6 +97,23 @@ router.get('/suggestion/:ticketId', authenticateToken, requireAgent, async (req,
     }
 });
 
+/**
+ * GET /api/agent/suggestion/:ticketId/history
+ * Every suggestion version for a ticket, newest first
+ */
+router.get('/suggestion/:ticketId/history', authenticateToken, requireAgent, async (req, res) => {
+    try {
+        const suggestions = await agentService.getSuggestionHistory(req.params.ticketId);
+
+        res.json({
+            suggestions
+        });
+    } catch (error) {
+        logger.error('Get suggestion history error:', error);
+        res.status(500).json({ error: 'Failed to get suggestion history' });
+    }
+});
+
 /**
  * POST /api/agent/suggestion/:id/accept
  * Accept an AI suggestion
@@ -88,6 +138,9 @@ router.post('/suggestion/:id/accept', authenticateToken, requireAgent, async (re
         if (error.message === 'Suggestion not found') {
             return res.status(404).json({ error: error.message });
         }
+        if (error.message === 'Suggestion has been superseded') {
+            return res.status(409).json({ error: error.message });
+        }
         res.status(500).json({ error: 'Failed to accept suggestion' });
     }
 });
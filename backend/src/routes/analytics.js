@@ -1,5 +1,5 @@
 import express from 'express';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, requireAgent } from '../middleware/auth.js';
 import { logger } from '../utils/logger.js';
 
 const router = express.Router();
@@ -31,7 +31,7 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
 
             // Open tickets
             Ticket.countDocuments({
-                status: { $in: ['open', 'waiting_human', 'triaged'] }
+                status: { $in: ['open', 'waiting_human', 'waiting_customer', 'triaged'] }
             }),
 
             // Resolved tickets
@@ -39,7 +39,8 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
                 status: { $in: ['resolved', 'closed'] }
             }),
 
-            // Average resolution time
+            // Average resolution time in business time. Tickets resolved before
+            // resolutionMs was recorded fall back to wall-clock time.
             Ticket.aggregate([
                 {
                     $match: {
@@ -47,17 +48,12 @@ router.get('/dashboard', authenticateToken, async (req, res) => {
                         resolvedAt: { $exists: true }
                     }
                 },
-                {
-                    $addFields: {
-                        resolutionTime: {
-                            $subtract: ['$resolvedAt', '$createdAt']
-                        }
-                    }
-                },
                 {
                     $group: {
                         _id: null,
-                        avgTime: { $avg: '$resolutionTime' }
+                        avgTime: {
+                            $avg: { $ifNull: ['$resolutionMs', { $subtract: ['$resolvedAt', '$createdAt'] }] }
+                        }
                     }
                 }
             ]),
@@ -201,4 +197,69 @@ router.get('/tickets', authenticateToken, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/analytics/priority
+ * How often agents override predicted priorities, and in which direction
+ */
+router.get('/priority', authenticateToken, requireAgent, async (req, res) => {
+    try {
+        const { timeframe = '30d' } = req.query;
+
+        const now = new Date();
+        const days = timeframe === '7d' ? 7 : timeframe === '90d' ? 90 : 30;
+        const startDate = new Date(now.getTime() - (days * 24 * 60 * 60 * 1000));
+
+        const { Ticket } = await import('../models/Ticket.js');
+
+        const transitions = await Ticket.aggregate([
+            {
+                $match: {
+                    createdAt: { $gte: startDate },
+                    'priorityPrediction.priority': { $exists: true }
+                }
+            },
+            {
+                $group: {
+                    _id: {
+                        predicted: '$priorityPrediction.priority',
+                        final: '$priority',
+                        overridden: { $eq: ['$prioritySource', 'agent'] }
+                    },
+                    count: { $sum: 1 },
+                    avgConfidence: { $avg: '$priorityPrediction.confidence' }
+                }
+            },
+            {
+                $sort: { count: -1 }
+            }
+        ]);
+
+        const predicted = transitions.reduce((sum, t) => sum + t.count, 0);
+        const overridden = transitions
+            .filter(t => t._id.overridden && t._id.predicted !== t._id.final)
+            .reduce((sum, t) => sum + t.count, 0);
+
+        res.json({
+            timeframe,
+            period: {
+                start: startDate,
+                end: now
+            },
+            predicted,
+            overridden,
+            overrideRate: predicted ? Math.round((overridden / predicted) * 1000) / 1000 : 0,
+            transitions: transitions.map(t => ({
+                predicted: t._id.predicted,
+                final: t._id.final,
+                overridden: t._id.overridden,
+                count: t.count,
+                avgConfidence: Math.round(t.avgConfidence * 100) / 100
+            }))
+        });
+    } catch (error) {
+        logger.error('Priority analytics error:', error);
+        res.status(500).json({ error: 'Failed to fetch priority analytics' });
+    }
+});
+
 export default router;
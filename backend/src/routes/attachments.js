@@ -0,0 +1,85 @@
+import express from 'express';
+import { authenticateToken, requireUser } from '../middleware/auth.js';
+import { Attachment } from '../models/Attachment.js';
+import { Ticket } from '../models/Ticket.js';
+import attachmentService from '../services/attachmentService.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+/**
+ * Load an attachment and its ticket, responding 404/403 when the
+ * user may not see it. Returns null when a response has been sent.
+ */
+const loadAccessible = async (req, res) => {
+    const attachment = await Attachment.findById(req.params.id);
+    if (!attachment) {
+        res.status(404).json({ error: 'Attachment not found' });
+        return null;
+    }
+
+    const ticket = await Ticket.findById(attachment.ticketId);
+    if (!ticket) {
+        res.status(404).json({ error: 'Attachment not found' });
+        return null;
+    }
+
+    if (!attachmentService.canAccess(attachment, ticket, req.user)) {
+        res.status(403).json({ error: 'Access denied' });
+        return null;
+    }
+
+    return attachment;
+};
+
+/**
+ * GET /api/attachments/:id
+ * Get attachment metadata
+ */
+router.get('/:id', authenticateToken, requireUser, async (req, res) => {
+    try {
+        const attachment = await loadAccessible(req, res);
+        if (!attachment) return;
+
+        res.json({ attachment });
+    } catch (error) {
+        logger.error('Get attachment error:', error);
+        res.status(500).json({ error: 'Failed to get attachment' });
+    }
+});
+
+/**
+ * GET /api/attachments/:id/download
+ * Stream the attachment's content
+ */
+router.get('/:id/download', authenticateToken, requireUser, async (req, res) => {
+    try {
+        const attachment = await loadAccessible(req, res);
+        if (!attachment) return;
+
+        const stream = await attachmentService.openStream(attachment);
+
+        res.setHeader('Content-Type', attachment.contentType);
+        res.setHeader('Content-Length', attachment.size);
+        res.setHeader(
+            'Content-Disposition',
+            `attachment; filename="${attachment.filename.replace(/"/g, '')}"; filename*=UTF-8''${encodeURIComponent(attachment.filename)}`
+        );
+        res.setHeader('Cache-Control', 'private, no-store');
+
+        stream.on('error', (error) => {
+            logger.error(`Attachment stream error for ${attachment._id}:`, error);
+            res.destroy(error);
+        });
+        stream.pipe(res);
+    } catch (error) {
+        if (error.code === 'ENOENT') {
+            logger.error(`Attachment content missing for ${req.params.id}`);
+            return res.status(404).json({ error: 'Attachment content not found' });
+        }
+        logger.error('Download attachment error:', error);
+        res.status(500).json({ error: 'Failed to download attachment' });
+    }
+});
+
+export default router;
@@ -79,7 +79,8 @@ router.get('/trace/:traceId', authenticateToken, requireUser, async (req, res) =
         const { Ticket } = await import('../models/Ticket.js');
         const ticket = await Ticket.findById(ticketId);
 
-        if (req.user.role === 'user' && ticket && !ticket.createdBy.equals(req.user._id)) {
+        // Traces without a ticket are account changes, which customers never see
+        if (req.user.role === 'user' && (!ticket || !ticket.createdBy.equals(req.user._id))) {
             return res.status(403).json({ error: 'Access denied' });
         }
 
@@ -139,6 +140,7 @@ router.get('/actions', authenticateToken, requireUser, validateQuery(paginationS
             AuditLog.find(query)
                 .populate('actorId', 'name email role')
                 .populate('ticketId', 'title status')
+                .populate('targetUserId', 'name email role')
                 .sort(sort)
                 .skip(skip)
                 .limit(limit)
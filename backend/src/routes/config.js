@@ -1,11 +1,151 @@
 import express from 'express';
 import { authenticateToken, requireAdmin, requireUser } from '../middleware/auth.js';
 import { Config } from '../models/Config.js';
+import { listProviders } from '../services/llmProviders.js';
+import llmService from '../services/llmService.js';
+import routingService from '../services/routingService.js';
+import triagePipeline from '../services/triagePipeline.js';
 import { logger } from '../utils/logger.js';
-import { updateConfigSchema, validate } from '../utils/validation.js';
+import {
+    businessCalendarSchema,
+    llmSettingsSchema,
+    routingSettingsSchema,
+    triagePipelineSchema,
+    updateConfigSchema,
+    updateSlaSchema,
+    validate
+} from '../utils/validation.js';
 
 const router = express.Router();
 
+// Triage steps that call the LLM and can each pick a provider and model
+const LLM_STEPS = ['classify', 'draft', 'priority'];
+
+/**
+ * Merge per-step provider/model selections, and the fallback provider, into the config.
+ * A null value clears the field so the step falls back to the environment default.
+ */
+const applyLlmSettings = (config, llmSettings) => {
+    [...LLM_STEPS, 'fallback'].forEach(step => {
+        if (!llmSettings[step]) return;
+
+        ['provider', 'model'].forEach(field => {
+            const value = llmSettings[step][field];
+            if (value !== undefined) {
+                config.set(`llmSettings.${step}.${field}`, value || undefined);
+            }
+        });
+    });
+};
+
+/**
+ * Merge per-priority threshold overrides into the config.
+ * A null value removes the override so the category threshold applies again.
+ */
+const applyPriorityThresholds = (config, priorities) => {
+    ['low', 'medium', 'high', 'urgent'].forEach(priority => {
+        const value = priorities[priority];
+        if (value === null) {
+            config.set(`priorityThresholds.${priority}`, undefined);
+        } else if (typeof value === 'number' && value >= 0 && value <= 1) {
+            config.set(`priorityThresholds.${priority}`, value);
+        }
+    });
+};
+
+/**
+ * Merge business calendar fields into the config. Arrays replace the stored list.
+ */
+const applyBusinessCalendar = (config, calendar) => {
+    ['enabled', 'timezone', 'workingHours', 'holidays'].forEach(field => {
+        if (calendar[field] !== undefined) {
+            config.set(`businessCalendar.${field}`, calendar[field]);
+        }
+    });
+};
+
+/**
+ * Merge routing settings into the config
+ */
+const applyRouting = (config, routing) => {
+    ['allowGeneralists', 'defaultMaxConcurrentTickets', 'fallbackQueue'].forEach(field => {
+        if (routing[field] !== undefined) {
+            config.set(`routing.${field}`, routing[field]);
+        }
+    });
+};
+
+/**
+ * Merge per-step timeout, retry and fallback defaults into the config
+ */
+const applyAgentSettings = (config, agentSettings) => {
+    ['maxRetries', 'timeoutMs', 'enableFallback'].forEach(field => {
+        if (agentSettings[field] !== undefined) {
+            config.set(`agentSettings.${field}`, agentSettings[field]);
+        }
+    });
+};
+
+/**
+ * Describe the stored pipelines and the steps that can go in them
+ */
+const describePipeline = (config) => {
+    const categories = {};
+    ['billing', 'tech', 'shipping', 'other'].forEach(category => {
+        const entries = config?.triagePipeline?.categories?.[category];
+        categories[category] = entries?.length ? triagePipeline.getDefinition(config, category) : null;
+    });
+
+    return {
+        pipeline: {
+            default: triagePipeline.getDefinition(config, null),
+            categories
+        },
+        defaults: {
+            timeoutMs: config?.agentSettings?.timeoutMs,
+            maxRetries: config?.agentSettings?.maxRetries
+        },
+        steps: triagePipeline.listSteps()
+    };
+};
+
+/**
+ * Describe the configured and effective provider/model for each LLM step
+ */
+const describeLlmSettings = (config) => {
+    const steps = {};
+
+    LLM_STEPS.forEach(step => {
+        const configured = {
+            provider: config?.llmSettings?.[step]?.provider || null,
+            model: config?.llmSettings?.[step]?.model || null
+        };
+        steps[step] = {
+            configured,
+            effective: llmService.resolveSelection(configured)
+        };
+    });
+
+    // Without a configured provider there is no secondary, only the stub
+    const fallback = {
+        provider: config?.llmSettings?.fallback?.provider || null,
+        model: config?.llmSettings?.fallback?.model || null
+    };
+
+    return {
+        steps,
+        fallback: {
+            configured: fallback,
+            effective: fallback.provider ? llmService.resolveSelection(fallback) : null
+        },
+        defaults: {
+            provider: llmService.provider,
+            model: llmService.model
+        },
+        providers: listProviders()
+    };
+};
+
 /**
  * GET /api/config
  * Get system configuration
@@ -58,12 +198,16 @@ router.put('/', authenticateToken, requireAdmin, validate(updateConfigSchema), a
                         ...config.categoryThresholds,
                         ...req.body[key]
                     };
+                } else if (key === 'priorityThresholds') {
+                    applyPriorityThresholds(config, req.body[key]);
+                } else if (key === 'businessCalendar') {
+                    applyBusinessCalendar(config, req.body[key]);
+                } else if (key === 'llmSettings') {
+                    applyLlmSettings(config, req.body[key]);
+                } else if (key === 'routing') {
+                    applyRouting(config, req.body[key]);
                 } else if (key === 'agentSettings') {
-                    // Handle nested object
-                    config.agentSettings = {
-                        ...config.agentSettings,
-                        ...req.body[key]
-                    };
+                    applyAgentSettings(config, req.body[key]);
                 } else {
                     config[key] = req.body[key];
                 }
@@ -98,6 +242,7 @@ router.get('/thresholds', authenticateToken, requireUser, async (req, res) => {
         const thresholds = config ? {
             global: config.confidenceThreshold,
             categories: config.categoryThresholds,
+            priorities: config.priorityThresholds || {},
             autoCloseEnabled: config.autoCloseEnabled
         } : {
             global: 0.78,
@@ -107,6 +252,7 @@ router.get('/thresholds', authenticateToken, requireUser, async (req, res) => {
                 shipping: 0.70,
                 other: 0.85
             },
+            priorities: {},
             autoCloseEnabled: true
         };
 
@@ -123,7 +269,7 @@ router.get('/thresholds', authenticateToken, requireUser, async (req, res) => {
  */
 router.put('/thresholds', authenticateToken, requireAdmin, async (req, res) => {
     try {
-        const { global, categories, autoCloseEnabled } = req.body;
+        const { global, categories, priorities, autoCloseEnabled } = req.body;
 
         let config = await Config.findOne();
         if (!config) {
@@ -150,12 +296,17 @@ router.put('/thresholds', authenticateToken, requireAdmin, async (req, res) => {
             });
         }
 
+        if (priorities && typeof priorities === 'object') {
+            applyPriorityThresholds(config, priorities);
+        }
+
         await config.save();
 
         logger.info('Thresholds updated', {
             updatedBy: req.user._id,
             global,
             categories,
+            priorities,
             autoCloseEnabled
         });
 
@@ -164,6 +315,7 @@ router.put('/thresholds', authenticateToken, requireAdmin, async (req, res) => {
             thresholds: {
                 global: config.confidenceThreshold,
                 categories: config.categoryThresholds,
+                priorities: config.priorityThresholds || {},
                 autoCloseEnabled: config.autoCloseEnabled
             }
         });
@@ -173,6 +325,27 @@ router.put('/thresholds', authenticateToken, requireAdmin, async (req, res) => {
     }
 });
 
+/**
+ * Merge SLA policy hours into the config. A null value removes the policy.
+ */
+const applySlaPolicies = (config, policies) => {
+    const groups = {
+        priorities: ['low', 'medium', 'high', 'urgent'],
+        categories: ['billing', 'tech', 'shipping', 'other']
+    };
+
+    Object.entries(groups).forEach(([group, keys]) => {
+        if (!policies[group]) return;
+
+        keys.forEach(key => {
+            const value = policies[group][key];
+            if (value !== undefined) {
+                config.set(`slaPolicies.${group}.${key}`, value === null ? undefined : value);
+            }
+        });
+    });
+};
+
 /**
  * GET /api/config/sla
  * Get SLA configuration
@@ -183,6 +356,10 @@ router.get('/sla', authenticateToken, requireUser, async (req, res) => {
 
         const slaConfig = {
             slaHours: config?.slaHours || 24,
+            policies: {
+                priorities: config?.slaPolicies?.priorities || {},
+                categories: config?.slaPolicies?.categories || {}
+            },
             enabled: true
         };
 
@@ -197,32 +374,35 @@ router.get('/sla', authenticateToken, requireUser, async (req, res) => {
  * PUT /api/config/sla
  * Update SLA configuration (admin only)
  */
-router.put('/sla', authenticateToken, requireAdmin, async (req, res) => {
+router.put('/sla', authenticateToken, requireAdmin, validate(updateSlaSchema), async (req, res) => {
     try {
-        const { slaHours } = req.body;
-
-        if (typeof slaHours !== 'number' || slaHours < 1 || slaHours > 168) {
-            return res.status(400).json({
-                error: 'SLA hours must be a number between 1 and 168 (1 week)'
-            });
-        }
+        const { slaHours, policies } = req.body;
 
         let config = await Config.findOne();
         if (!config) {
             config = new Config();
         }
 
-        config.slaHours = slaHours;
+        if (slaHours !== undefined) {
+            config.slaHours = slaHours;
+        }
+
+        if (policies) {
+            applySlaPolicies(config, policies);
+        }
+
         await config.save();
 
         logger.info('SLA configuration updated', {
             updatedBy: req.user._id,
-            slaHours
+            slaHours,
+            policies
         });
 
         res.json({
             message: 'SLA configuration updated successfully',
-            slaHours: config.slaHours
+            slaHours: config.slaHours,
+            policies: config.slaPolicies
         });
     } catch (error) {
         logger.error('Update SLA config error:', error);
@@ -230,6 +410,202 @@ router.put('/sla', authenticateToken, requireAdmin, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/config/calendar
+ * Get the business-hours calendar used for SLA computation
+ */
+router.get('/calendar', authenticateToken, requireUser, async (req, res) => {
+    try {
+        const config = await Config.findOne() || new Config();
+
+        res.json({ calendar: config.businessCalendar });
+    } catch (error) {
+        logger.error('Get calendar config error:', error);
+        res.status(500).json({ error: 'Failed to get business calendar' });
+    }
+});
+
+/**
+ * PUT /api/config/calendar
+ * Update timezone, weekly working hours and holidays (admin only)
+ */
+router.put('/calendar', authenticateToken, requireAdmin, validate(businessCalendarSchema), async (req, res) => {
+    try {
+        let config = await Config.findOne();
+        if (!config) {
+            config = new Config();
+        }
+
+        applyBusinessCalendar(config, req.body);
+        await config.save();
+
+        logger.info('Business calendar updated', {
+            updatedBy: req.user._id,
+            changes: Object.keys(req.body)
+        });
+
+        res.json({
+            message: 'Business calendar updated successfully',
+            calendar: config.businessCalendar
+        });
+    } catch (error) {
+        logger.error('Update calendar config error:', error);
+        res.status(500).json({ error: 'Failed to update business calendar' });
+    }
+});
+
+/**
+ * GET /api/config/routing
+ * Get agent routing settings (admin only)
+ */
+router.get('/routing', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const config = await Config.findOne();
+
+        res.json({ routing: routingService.getSettings(config) });
+    } catch (error) {
+        logger.error('Get routing config error:', error);
+        res.status(500).json({ error: 'Failed to get routing configuration' });
+    }
+});
+
+/**
+ * PUT /api/config/routing
+ * Update generalist routing, default ticket limit and fallback queue (admin only)
+ */
+router.put('/routing', authenticateToken, requireAdmin, validate(routingSettingsSchema), async (req, res) => {
+    try {
+        let config = await Config.findOne();
+        if (!config) {
+            config = new Config();
+        }
+
+        applyRouting(config, req.body);
+        await config.save();
+
+        logger.info('Routing configuration updated', {
+            updatedBy: req.user._id,
+            changes: Object.keys(req.body)
+        });
+
+        res.json({
+            message: 'Routing configuration updated successfully',
+            routing: routingService.getSettings(config)
+        });
+    } catch (error) {
+        logger.error('Update routing config error:', error);
+        res.status(500).json({ error: 'Failed to update routing configuration' });
+    }
+});
+
+/**
+ * GET /api/config/pipeline
+ * Get the triage pipelines and the registered steps (admin only)
+ */
+router.get('/pipeline', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const config = await Config.findOne();
+
+        res.json(describePipeline(config));
+    } catch (error) {
+        logger.error('Get pipeline config error:', error);
+        res.status(500).json({ error: 'Failed to get pipeline configuration' });
+    }
+});
+
+/**
+ * PUT /api/config/pipeline
+ * Replace the default pipeline or a category's pipeline (admin only)
+ */
+router.put('/pipeline', authenticateToken, requireAdmin, validate(triagePipelineSchema), async (req, res) => {
+    try {
+        const { default: defaultPipeline, categories = {} } = req.body;
+
+        const details = [];
+        if (defaultPipeline) {
+            details.push(...triagePipeline.validate(defaultPipeline).map(message => ({ pipeline: 'default', message })));
+        }
+        Object.entries(categories).forEach(([category, entries]) => {
+            if (entries) {
+                details.push(...triagePipeline.validate(entries).map(message => ({ pipeline: category, message })));
+            }
+        });
+        if (details.length > 0) {
+            return res.status(400).json({ error: 'Invalid pipeline', details });
+        }
+
+        let config = await Config.findOne();
+        if (!config) {
+            config = new Config();
+        }
+
+        if (defaultPipeline) {
+            config.set('triagePipeline.default', defaultPipeline);
+        }
+        Object.entries(categories).forEach(([category, entries]) => {
+            config.set(`triagePipeline.categories.${category}`, entries || undefined);
+        });
+        await config.save();
+
+        logger.info('Triage pipeline updated', {
+            updatedBy: req.user._id,
+            pipelines: [...(defaultPipeline ? ['default'] : []), ...Object.keys(categories)]
+        });
+
+        res.json({
+            message: 'Pipeline updated successfully',
+            ...describePipeline(config)
+        });
+    } catch (error) {
+        logger.error('Update pipeline config error:', error);
+        res.status(500).json({ error: 'Failed to update pipeline configuration' });
+    }
+});
+
+/**
+ * GET /api/config/llm
+ * Get LLM provider/model selection per triage step (admin only)
+ */
+router.get('/llm', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const config = await Config.findOne();
+
+        res.json(describeLlmSettings(config));
+    } catch (error) {
+        logger.error('Get LLM config error:', error);
+        res.status(500).json({ error: 'Failed to get LLM configuration' });
+    }
+});
+
+/**
+ * PUT /api/config/llm
+ * Update LLM provider/model selection per triage step (admin only)
+ */
+router.put('/llm', authenticateToken, requireAdmin, validate(llmSettingsSchema), async (req, res) => {
+    try {
+        let config = await Config.findOne();
+        if (!config) {
+            config = new Config();
+        }
+
+        applyLlmSettings(config, req.body);
+        await config.save();
+
+        logger.info('LLM configuration updated', {
+            updatedBy: req.user._id,
+            llmSettings: req.body
+        });
+
+        res.json({
+            message: 'LLM configuration updated successfully',
+            ...describeLlmSettings(config)
+        });
+    } catch (error) {
+        logger.error('Update LLM config error:', error);
+        res.status(500).json({ error: 'Failed to update LLM configuration' });
+    }
+});
+
 /**
  * POST /api/config/reset
  * Reset configuration to defaults (admin only)
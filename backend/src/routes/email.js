@@ -0,0 +1,119 @@
+import crypto from 'crypto';
+import express from 'express';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { InboundEmail } from '../models/InboundEmail.js';
+import emailIngestService from '../services/emailIngestService.js';
+import { logger } from '../utils/logger.js';
+import { inboundEmailQuerySchema, validateQuery } from '../utils/validation.js';
+
+const router = express.Router();
+
+/**
+ * Check the shared secret the MTA sends in X-Inbound-Secret
+ */
+const requireInboundSecret = (req, res, next) => {
+    const secret = process.env.INBOUND_EMAIL_SECRET;
+    if (!secret) {
+        return res.status(503).json({ error: 'Inbound email is not configured' });
+    }
+
+    const provided = Buffer.from(req.get('X-Inbound-Secret') || '');
+    const expected = Buffer.from(secret);
+    if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+        return res.status(401).json({ error: 'Invalid inbound secret' });
+    }
+
+    next();
+};
+
+const rawMessage = express.raw({
+    type: () => true,
+    limit: process.env.INBOUND_EMAIL_MAX_BYTES || '25mb'
+});
+
+/**
+ * POST /api/email/inbound
+ * Receive a raw RFC 822 message from an MTA webhook
+ */
+router.post('/inbound', requireInboundSecret, rawMessage, async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        return res.status(400).json({ error: 'Request body must be a raw RFC 822 message' });
+    }
+
+    try {
+        const { record, duplicate } = await emailIngestService.ingest(req.body, { source: 'webhook' });
+
+        res.status(duplicate ? 200 : 202).json({
+            messageId: record.messageId,
+            status: record.status,
+            outcome: record.outcome,
+            reason: record.reason,
+            ticketId: record.ticketId,
+            duplicate
+        });
+    } catch (error) {
+        // A 5xx makes the MTA retry; failed messages are processed again
+        logger.error('Inbound email error:', error);
+        res.status(500).json({ error: 'Failed to process inbound email' });
+    }
+});
+
+/**
+ * GET /api/email/inbound
+ * List received messages and how they were handled (admin only)
+ */
+router.get('/inbound', authenticateToken, requireAdmin, validateQuery(inboundEmailQuerySchema), async (req, res) => {
+    try {
+        const { page, limit, sort, status, source } = req.query;
+
+        const query = {};
+        if (status) query.status = status;
+        if (source) query.source = source;
+
+        const skip = (page - 1) * limit;
+
+        const [emails, total] = await Promise.all([
+            InboundEmail.find(query)
+                .populate('userId', 'name email')
+                .populate('ticketId', 'title status')
+                .sort(sort)
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            InboundEmail.countDocuments(query)
+        ]);
+
+        res.json({
+            emails,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        logger.error('List inbound email error:', error);
+        res.status(500).json({ error: 'Failed to fetch inbound email' });
+    }
+});
+
+/**
+ * POST /api/email/inbound/poll
+ * Process the maildir now instead of waiting for the next poll (admin only)
+ */
+router.post('/inbound/poll', authenticateToken, requireAdmin, async (req, res) => {
+    if (!process.env.MAILDIR_PATH) {
+        return res.status(400).json({ error: 'MAILDIR_PATH is not configured' });
+    }
+
+    try {
+        const result = await emailIngestService.pollMaildir();
+        res.json(result);
+    } catch (error) {
+        logger.error('Maildir poll error:', error);
+        res.status(500).json({ error: 'Failed to poll maildir' });
+    }
+});
+
+export default router;
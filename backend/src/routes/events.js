@@ -0,0 +1,37 @@
+import express from 'express';
+import { authenticateToken, requireUser } from '../middleware/auth.js';
+import { Ticket } from '../models/Ticket.js';
+import realtimeService from '../services/realtimeService.js';
+import { logger } from '../utils/logger.js';
+import { eventStreamQuerySchema, validateQuery } from '../utils/validation.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/events/stream
+ * Server-Sent Events stream of triage progress, replies, status changes and
+ * assignments for the tickets the user can see. Pass ticketId to watch one ticket.
+ */
+router.get('/stream', authenticateToken, requireUser, validateQuery(eventStreamQuerySchema), async (req, res) => {
+    try {
+        const { ticketId } = req.query;
+
+        if (ticketId) {
+            const ticket = await Ticket.findById(ticketId).select('createdBy');
+            if (!ticket) {
+                return res.status(404).json({ error: 'Ticket not found' });
+            }
+
+            if (req.user.role === 'user' && !ticket.createdBy.equals(req.user._id)) {
+                return res.status(403).json({ error: 'Access denied' });
+            }
+        }
+
+        realtimeService.addClient(req, res, { ticketId });
+    } catch (error) {
+        logger.error('Event stream error:', error);
+        res.status(500).json({ error: 'Failed to open event stream' });
+    }
+});
+
+export default router;
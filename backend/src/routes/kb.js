@@ -1,11 +1,21 @@
 import express from 'express';
-import { authenticateToken, requireAdmin, requireUser } from '../middleware/auth.js';
+import { authenticateToken, requireAdmin, requireAgent, requireUser } from '../middleware/auth.js';
 import { Article } from '../models/Article.js';
+import articleRevisionService from '../services/articleRevisionService.js';
+import kbIndexService from '../services/kbIndexService.js';
 import kbService from '../services/kbService.js';
+import kbWorkflowService, { ArticleWorkflowError } from '../services/kbWorkflowService.js';
+import { addKbScheduleJob } from '../services/queueService.js';
 import { logger } from '../utils/logger.js';
 import {
+    articleCommentSchema,
+    articleDiffQuerySchema,
+    articleReviewersSchema,
+    articleScheduleSchema,
+    articleTransitionSchema,
     createArticleSchema,
     kbQuerySchema,
+    rollbackArticleSchema,
     updateArticleSchema,
     validate,
     validateQuery
@@ -13,19 +23,29 @@ import {
 
 const router = express.Router();
 
+// Review state that only admins (and reviewers, through /workflow) see
+const WORKFLOW_FIELDS = ['reviewers', 'comments', 'statusHistory', 'revisionDraft'];
+
+const withoutWorkflow = (article) => {
+    const view = { ...(article.toObject ? article.toObject() : article) };
+    WORKFLOW_FIELDS.forEach(field => delete view[field]);
+    return view;
+};
+
 /**
  * GET /api/kb
  * Search knowledge base articles
  */
 router.get('/', validateQuery(kbQuerySchema), async (req, res) => {
     try {
-        const { page, limit, sort, search, status, tags } = req.query;
+        const { page, limit, sort, search, status, tags, mode } = req.query;
 
         // Build query
         const query = {};
 
         // Only show published articles to non-admin users
-        if (!req.user || req.user.role !== 'admin') {
+        const isAdmin = req.user?.role === 'admin';
+        if (!isAdmin) {
             query.status = 'published';
         } else if (status) {
             query.status = status;
@@ -41,12 +61,14 @@ router.get('/', validateQuery(kbQuerySchema), async (req, res) => {
             // Use the knowledge base service for better search
             const articles = await kbService.searchArticles(search, {
                 limit: limit * page, // Get enough for pagination
-                status: query.status
+                status: query.status,
+                mode
             });
 
             // Apply pagination to search results
             const startIndex = (page - 1) * limit;
-            const paginatedArticles = articles.slice(startIndex, startIndex + limit);
+            const paginatedArticles = articles.slice(startIndex, startIndex + limit)
+                .map(article => isAdmin ? article : withoutWorkflow(article));
 
             return res.json({
                 articles: paginatedArticles,
@@ -64,6 +86,7 @@ router.get('/', validateQuery(kbQuerySchema), async (req, res) => {
 
         const [articles, total] = await Promise.all([
             Article.find(query)
+                .select(isAdmin ? {} : Object.fromEntries(WORKFLOW_FIELDS.map(field => [field, 0])))
                 .populate('author', 'name email')
                 .sort(sort)
                 .skip(skip)
@@ -106,7 +129,7 @@ router.get('/:id', async (req, res) => {
         }
 
         await article.populate('author', 'name email');
-        res.json(article);
+        res.json(req.user?.role === 'admin' ? article : withoutWorkflow(article));
     } catch (error) {
         logger.error('Get article error:', error);
         res.status(500).json({ error: 'Failed to get article' });
@@ -115,21 +138,23 @@ router.get('/:id', async (req, res) => {
 
 /**
  * POST /api/kb
- * Create a new article (admin only)
+ * Create a new draft article (admin only)
  */
 router.post('/', authenticateToken, requireAdmin, validate(createArticleSchema), async (req, res) => {
     try {
-        const { title, body, tags, status } = req.body;
+        const { title, body, tags } = req.body;
 
         const article = new Article({
             title,
             body,
             tags: tags || [],
-            status: status || 'draft',
+            status: 'draft',
             author: req.user._id
         });
 
         await article.save();
+        await articleRevisionService.record(article, req.user._id);
+        await kbIndexService.indexArticleQuietly(article);
         await article.populate('author', 'name email');
 
         logger.info(`Article created: ${title}`, {
@@ -149,10 +174,16 @@ router.post('/', authenticateToken, requireAdmin, validate(createArticleSchema),
 
 /**
  * PUT /api/kb/:id
- * Update an article (admin only)
+ * Update a draft article, or save edits to a published one as its revision
+ * draft for review (admin only)
  */
 router.put('/:id', authenticateToken, requireAdmin, validate(updateArticleSchema), async (req, res) => {
     try {
+        const current = await Article.findById(req.params.id);
+        if (!current) {
+            return res.status(404).json({ error: 'Article not found' });
+        }
+
         const updateData = { ...req.body };
 
         // Convert tags to lowercase
@@ -160,18 +191,29 @@ router.put('/:id', authenticateToken, requireAdmin, validate(updateArticleSchema
             updateData.tags = updateData.tags.map(tag => tag.toLowerCase());
         }
 
-        const article = await Article.findByIdAndUpdate(
-            req.params.id,
-            updateData,
-            { new: true, runValidators: true }
-        ).populate('author', 'name email');
+        // The published text stays live until the revision draft is reviewed and published
+        if (current.status === 'published') {
+            await kbWorkflowService.saveRevisionDraft(current, updateData, req.user);
+            await current.populate('author', 'name email');
+
+            return res.json({
+                message: 'Changes saved as a revision draft for review',
+                article: current
+            });
+        }
+        kbWorkflowService.assertEditable(current);
+
+        const article = await articleRevisionService.update(req.params.id, updateData, req.user._id);
 
         if (!article) {
             return res.status(404).json({ error: 'Article not found' });
         }
+        await kbIndexService.indexArticleQuietly(article);
+        await article.populate('author', 'name email');
 
         logger.info(`Article updated: ${article.title}`, {
             articleId: article._id,
+            revision: article.revision,
             updatedBy: req.user._id
         });
 
@@ -180,6 +222,9 @@ router.put('/:id', authenticateToken, requireAdmin, validate(updateArticleSchema
             article
         });
     } catch (error) {
+        if (error instanceof ArticleWorkflowError) {
+            return res.status(error.status).json({ error: error.message });
+        }
         logger.error('Update article error:', error);
         res.status(500).json({ error: 'Failed to update article' });
     }
@@ -196,6 +241,7 @@ router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
         if (!article) {
             return res.status(404).json({ error: 'Article not found' });
         }
+        await kbIndexService.removeArticle(article._id);
 
         logger.info(`Article deleted: ${article.title}`, {
             articleId: article._id,
@@ -209,6 +255,312 @@ router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/kb/:id/revisions
+ * List an article's revisions, newest first (admin only)
+ */
+router.get('/:id/revisions', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const revisions = await articleRevisionService.list(req.params.id);
+
+        if (!revisions) {
+            return res.status(404).json({ error: 'Article not found' });
+        }
+
+        res.json({ revisions });
+    } catch (error) {
+        logger.error('List article revisions error:', error);
+        res.status(500).json({ error: 'Failed to list article revisions' });
+    }
+});
+
+/**
+ * GET /api/kb/:id/revisions/diff?from=&to=
+ * Compare two revisions of an article (admin only)
+ */
+router.get('/:id/revisions/diff', authenticateToken, requireAdmin, validateQuery(articleDiffQuerySchema), async (req, res) => {
+    try {
+        const diff = await articleRevisionService.diff(req.params.id, req.query.from, req.query.to);
+
+        if (!diff) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+
+        res.json(diff);
+    } catch (error) {
+        logger.error('Diff article revisions error:', error);
+        res.status(500).json({ error: 'Failed to compare article revisions' });
+    }
+});
+
+/**
+ * GET /api/kb/:id/revisions/:revision
+ * Get one revision of an article (admin only)
+ */
+router.get('/:id/revisions/:revision', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const revision = parseInt(req.params.revision);
+        const found = Number.isInteger(revision)
+            ? await articleRevisionService.get(req.params.id, revision)
+            : null;
+
+        if (!found) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+
+        res.json({ revision: found });
+    } catch (error) {
+        logger.error('Get article revision error:', error);
+        res.status(500).json({ error: 'Failed to get article revision' });
+    }
+});
+
+/**
+ * POST /api/kb/:id/rollback
+ * Restore an earlier revision's title, body and tags as a new revision, to a
+ * draft or straight onto a published article (admin only)
+ */
+router.post('/:id/rollback', authenticateToken, requireAdmin, validate(rollbackArticleSchema), async (req, res) => {
+    try {
+        const current = await Article.findById(req.params.id);
+        if (!current) {
+            return res.status(404).json({ error: 'Article not found' });
+        }
+        kbWorkflowService.assertCanRollback(current);
+
+        const article = await articleRevisionService.rollback(req.params.id, req.body.revision, req.user._id);
+
+        if (!article) {
+            return res.status(404).json({ error: 'Revision not found' });
+        }
+        await kbIndexService.indexArticleQuietly(article);
+        await article.populate('author', 'name email');
+
+        logger.info(`Article rolled back: ${article.title}`, {
+            articleId: article._id,
+            restoredFrom: req.body.revision,
+            revision: article.revision,
+            rolledBackBy: req.user._id
+        });
+
+        res.json({
+            message: 'Article rolled back successfully',
+            article
+        });
+    } catch (error) {
+        if (error instanceof ArticleWorkflowError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logger.error('Rollback article error:', error);
+        res.status(500).json({ error: 'Failed to roll back article' });
+    }
+});
+
+/**
+ * GET /api/kb/:id/workflow
+ * An article with its reviewers, comments, status history and schedule
+ * (admins and the article's reviewers)
+ */
+router.get('/:id/workflow', authenticateToken, requireAgent, async (req, res) => {
+    try {
+        const article = await Article.findById(req.params.id)
+            .populate('author', 'name email')
+            .populate('reviewers.user', 'name email')
+            .populate('comments.author', 'name email')
+            .populate('statusHistory.by', 'name email')
+            .populate('revisionDraft.author', 'name email');
+
+        if (!article) {
+            return res.status(404).json({ error: 'Article not found' });
+        }
+        if (req.user.role !== 'admin' && !kbWorkflowService.isReviewer(article, req.user._id)) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
+        }
+
+        res.json({ article });
+    } catch (error) {
+        logger.error('Get article workflow error:', error);
+        res.status(500).json({ error: 'Failed to get article workflow' });
+    }
+});
+
+/**
+ * POST /api/kb/:id/transition
+ * Move an article through review: submit, approve, request changes, publish,
+ * archive (admins; assigned reviewers while it is in review)
+ */
+router.post('/:id/transition', authenticateToken, requireAgent, validate(articleTransitionSchema), async (req, res) => {
+    try {
+        const article = await Article.findById(req.params.id);
+
+        if (!article) {
+            return res.status(404).json({ error: 'Article not found' });
+        }
+
+        const revising = kbWorkflowService.isRevising(article);
+        const updated = await kbWorkflowService.transition(article, req.body.status, req.user, { comment: req.body.comment });
+
+        if (!updated) {
+            return res.status(404).json({ error: 'Article not found' });
+        }
+        // Publishing a revision draft changes the published text
+        if (revising && req.body.status === 'published') {
+            await kbIndexService.indexArticleQuietly(updated);
+        }
+
+        logger.info(`Article status changed: ${updated.title}`, {
+            articleId: updated._id,
+            to: req.body.status,
+            revisionDraft: revising,
+            changedBy: req.user._id
+        });
+
+        res.json({
+            message: 'Article status updated',
+            article: updated
+        });
+    } catch (error) {
+        if (error instanceof ArticleWorkflowError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logger.error('Article transition error:', error);
+        res.status(500).json({ error: 'Failed to change article status' });
+    }
+});
+
+/**
+ * DELETE /api/kb/:id/revision-draft
+ * Discard the unpublished edits to a published article (admin only)
+ */
+router.delete('/:id/revision-draft', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const article = await Article.findById(req.params.id);
+
+        if (!article) {
+            return res.status(404).json({ error: 'Article not found' });
+        }
+
+        await kbWorkflowService.discardRevisionDraft(article);
+
+        logger.info(`Article revision draft discarded: ${article.title}`, {
+            articleId: article._id,
+            discardedBy: req.user._id
+        });
+
+        res.json({ message: 'Revision draft discarded' });
+    } catch (error) {
+        if (error instanceof ArticleWorkflowError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logger.error('Discard revision draft error:', error);
+        res.status(500).json({ error: 'Failed to discard revision draft' });
+    }
+});
+
+/**
+ * PUT /api/kb/:id/reviewers
+ * Assign the reviewers of an article (admin only)
+ */
+router.put('/:id/reviewers', authenticateToken, requireAdmin, validate(articleReviewersSchema), async (req, res) => {
+    try {
+        const article = await Article.findById(req.params.id);
+
+        if (!article) {
+            return res.status(404).json({ error: 'Article not found' });
+        }
+
+        await kbWorkflowService.assignReviewers(article, req.body.reviewers);
+        await article.populate('reviewers.user', 'name email');
+
+        logger.info(`Article reviewers assigned: ${article.title}`, {
+            articleId: article._id,
+            reviewers: req.body.reviewers,
+            assignedBy: req.user._id
+        });
+
+        res.json({
+            message: 'Reviewers assigned',
+            reviewers: article.reviewers
+        });
+    } catch (error) {
+        if (error instanceof ArticleWorkflowError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logger.error('Assign article reviewers error:', error);
+        res.status(500).json({ error: 'Failed to assign reviewers' });
+    }
+});
+
+/**
+ * POST /api/kb/:id/comments
+ * Comment on an article under review (admins and the article's reviewers)
+ */
+router.post('/:id/comments', authenticateToken, requireAgent, validate(articleCommentSchema), async (req, res) => {
+    try {
+        const article = await Article.findById(req.params.id);
+
+        if (!article) {
+            return res.status(404).json({ error: 'Article not found' });
+        }
+
+        const comment = await kbWorkflowService.addComment(article, req.user, req.body.body);
+
+        res.status(201).json({
+            message: 'Comment added',
+            comment
+        });
+    } catch (error) {
+        if (error instanceof ArticleWorkflowError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logger.error('Add article comment error:', error);
+        res.status(500).json({ error: 'Failed to add comment' });
+    }
+});
+
+/**
+ * PUT /api/kb/:id/schedule
+ * Schedule publishing an approved article, or unpublishing it; null clears
+ * a date (admin only)
+ */
+router.put('/:id/schedule', authenticateToken, requireAdmin, validate(articleScheduleSchema), async (req, res) => {
+    try {
+        const article = await Article.findById(req.params.id);
+
+        if (!article) {
+            return res.status(404).json({ error: 'Article not found' });
+        }
+
+        await kbWorkflowService.schedule(article, req.body);
+
+        // A cleared or moved date leaves its job behind; the job then finds nothing due
+        if (req.body.publishAt) {
+            await addKbScheduleJob(article._id, 'publish', article.publishAt);
+        }
+        if (req.body.unpublishAt) {
+            await addKbScheduleJob(article._id, 'unpublish', article.unpublishAt);
+        }
+
+        logger.info(`Article schedule updated: ${article.title}`, {
+            articleId: article._id,
+            publishAt: article.publishAt,
+            unpublishAt: article.unpublishAt,
+            scheduledBy: req.user._id
+        });
+
+        res.json({
+            message: 'Article schedule updated',
+            article
+        });
+    } catch (error) {
+        if (error instanceof ArticleWorkflowError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        logger.error('Schedule article error:', error);
+        res.status(500).json({ error: 'Failed to schedule article' });
+    }
+});
+
 /**
  * POST /api/kb/:id/feedback
  * Add feedback to an article
@@ -0,0 +1,56 @@
+import express from 'express';
+import { authenticateToken, requireUser } from '../middleware/auth.js';
+import { User } from '../models/User.js';
+import notificationService from '../services/notificationService.js';
+import { NOTIFICATION_EVENTS } from '../utils/emailTemplates.js';
+import { logger } from '../utils/logger.js';
+import { notificationPreferencesSchema, validate } from '../utils/validation.js';
+
+const router = express.Router();
+
+const describePreferences = (user) => ({
+    email: Object.fromEntries(NOTIFICATION_EVENTS.map(event => [
+        event,
+        notificationService.wantsEmail(user, event)
+    ]))
+});
+
+/**
+ * GET /api/notifications/preferences
+ * Get the current user's notification preferences
+ */
+router.get('/preferences', authenticateToken, requireUser, async (req, res) => {
+    res.json({
+        preferences: describePreferences(req.user),
+        emailEnabled: notificationService.isConfigured
+    });
+});
+
+/**
+ * PUT /api/notifications/preferences
+ * Update the current user's notification preferences
+ */
+router.put('/preferences', authenticateToken, requireUser, validate(notificationPreferencesSchema), async (req, res) => {
+    try {
+        const updates = Object.fromEntries(
+            Object.entries(req.body.email || {}).map(([event, enabled]) => [
+                `notificationPreferences.email.${event}`,
+                enabled
+            ])
+        );
+
+        const user = await User.findByIdAndUpdate(req.user._id, { $set: updates }, { new: true });
+
+        logger.info(`Notification preferences updated for user ${req.user._id}`, { updates });
+
+        res.json({
+            message: 'Notification preferences updated',
+            preferences: describePreferences(user)
+        });
+    } catch (error) {
+        logger.error('Update notification preferences error:', error);
+        res.status(500).json({ error: 'Failed to update notification preferences' });
+    }
+});
+
+export default router;
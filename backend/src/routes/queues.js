@@ -0,0 +1,201 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { Ticket } from '../models/Ticket.js';
+import { MAX_IDEMPOTENCY_KEY_LENGTH } from '../models/TriageRequest.js';
+import { TriageInProgressError } from '../services/agentService.js';
+import triageJobService from '../services/triageJobService.js';
+import { logger } from '../utils/logger.js';
+import {
+    purgeTriageJobsQuerySchema,
+    retryTriageJobsSchema,
+    triageJobQuerySchema,
+    validate,
+    validateQuery
+} from '../utils/validation.js';
+
+const router = express.Router();
+
+// Job endpoints need a queue, backed by Redis or MongoDB
+const requireQueue = (req, res, next) => {
+    if (!triageJobService.available) {
+        return res.status(503).json({ error: 'Triage queue is not available; tickets are triaged synchronously' });
+    }
+    next();
+};
+
+/**
+ * GET /api/queues/triage/health
+ * Queue depth, throughput and failure rate (admin only)
+ */
+router.get('/triage/health', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        res.json({ health: await triageJobService.health() });
+    } catch (error) {
+        logger.error('Triage queue health error:', error);
+        res.status(500).json({ error: 'Failed to get queue health' });
+    }
+});
+
+/**
+ * GET /api/queues/triage/jobs
+ * List failed (dead-letter) or stalled triage jobs (admin only)
+ */
+router.get('/triage/jobs', authenticateToken, requireAdmin, requireQueue, validateQuery(triageJobQuerySchema), async (req, res) => {
+    try {
+        const { state, page, limit } = req.query;
+        const { jobs, total } = await triageJobService.listJobs({ state, page, limit });
+
+        res.json({
+            jobs,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        logger.error('List triage jobs error:', error);
+        res.status(500).json({ error: 'Failed to fetch triage jobs' });
+    }
+});
+
+/**
+ * POST /api/queues/triage/jobs/retry
+ * Retry the listed failed jobs, or all of them (admin only)
+ */
+router.post('/triage/jobs/retry', authenticateToken, requireAdmin, requireQueue, validate(retryTriageJobsSchema), async (req, res) => {
+    try {
+        const summary = await triageJobService.retryMany(req.body.jobIds, req.user);
+
+        res.json({
+            message: `${summary.retried} triage jobs retried`,
+            ...summary
+        });
+    } catch (error) {
+        logger.error('Bulk retry triage jobs error:', error);
+        res.status(500).json({ error: 'Failed to retry triage jobs' });
+    }
+});
+
+/**
+ * DELETE /api/queues/triage/jobs
+ * Purge failed or completed jobs older than a number of hours (admin only)
+ */
+router.delete('/triage/jobs', authenticateToken, requireAdmin, requireQueue, validateQuery(purgeTriageJobsQuerySchema), async (req, res) => {
+    try {
+        const { state, olderThanHours } = req.query;
+        const removed = await triageJobService.purge({ state, olderThanMs: olderThanHours * 60 * 60 * 1000 });
+
+        logger.info('Triage jobs purged', { state, olderThanHours, removed, userId: req.user._id });
+
+        res.json({ message: `${removed} ${state} triage jobs purged`, removed });
+    } catch (error) {
+        logger.error('Purge triage jobs error:', error);
+        res.status(500).json({ error: 'Failed to purge triage jobs' });
+    }
+});
+
+/**
+ * GET /api/queues/triage/jobs/:jobId
+ * Get one job with its error, stack trace and trace ID (admin only)
+ */
+router.get('/triage/jobs/:jobId', authenticateToken, requireAdmin, requireQueue, async (req, res) => {
+    try {
+        const job = await triageJobService.getJob(req.params.jobId);
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+
+        res.json({ job });
+    } catch (error) {
+        logger.error('Get triage job error:', error);
+        res.status(500).json({ error: 'Failed to get triage job' });
+    }
+});
+
+/**
+ * POST /api/queues/triage/jobs/:jobId/retry
+ * Retry a failed job with its original trace ID (admin only)
+ */
+router.post('/triage/jobs/:jobId/retry', authenticateToken, requireAdmin, requireQueue, async (req, res) => {
+    try {
+        const retried = await triageJobService.retry(req.params.jobId, req.user);
+        if (retried === null) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        if (!retried) {
+            return res.status(409).json({ error: 'Only failed jobs can be retried' });
+        }
+
+        res.status(202).json({
+            message: 'Triage job retried',
+            job: await triageJobService.getJob(req.params.jobId)
+        });
+    } catch (error) {
+        logger.error('Retry triage job error:', error);
+        res.status(500).json({ error: 'Failed to retry triage job' });
+    }
+});
+
+/**
+ * DELETE /api/queues/triage/jobs/:jobId
+ * Remove a job that is not running (admin only)
+ */
+router.delete('/triage/jobs/:jobId', authenticateToken, requireAdmin, requireQueue, async (req, res) => {
+    try {
+        const removed = await triageJobService.remove(req.params.jobId);
+        if (removed === null) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        if (!removed) {
+            return res.status(409).json({ error: 'Active jobs cannot be removed' });
+        }
+
+        res.json({ message: 'Triage job removed' });
+    } catch (error) {
+        logger.error('Remove triage job error:', error);
+        res.status(500).json({ error: 'Failed to remove triage job' });
+    }
+});
+
+/**
+ * POST /api/queues/triage/tickets/:ticketId/retriage
+ * Queue a fresh triage for a ticket (admin only)
+ */
+router.post('/triage/tickets/:ticketId/retriage', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const idempotencyKey = req.get('Idempotency-Key') || null;
+        if (idempotencyKey?.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+            return res.status(400).json({ error: 'Idempotency-Key is too long' });
+        }
+
+        const ticket = mongoose.isValidObjectId(req.params.ticketId)
+            ? await Ticket.findById(req.params.ticketId).select('_id')
+            : null;
+        if (!ticket) {
+            return res.status(404).json({ error: 'Ticket not found' });
+        }
+
+        const { jobId, traceId, replayed } = await triageJobService.retriage(ticket, req.user, { idempotencyKey });
+
+        res.status(202).json({
+            message: jobId ? 'Triage job queued' : 'Ticket triaged synchronously',
+            jobId,
+            traceId,
+            replayed
+        });
+    } catch (error) {
+        logger.error('Re-triage ticket error:', error);
+        if (error instanceof TriageInProgressError) {
+            return res.status(409).json({ error: 'Triage already in progress for this ticket' });
+        }
+        if (error.message === 'Idempotency key already used for a different request') {
+            return res.status(422).json({ error: error.message });
+        }
+        res.status(500).json({ error: 'Failed to re-triage ticket' });
+    }
+});
+
+export default router;
@@ -0,0 +1,235 @@
+import express from 'express';
+import { authenticateToken, requireAdmin, requireAgent } from '../middleware/auth.js';
+import { Team } from '../models/Team.js';
+import { Ticket } from '../models/Ticket.js';
+import teamService from '../services/teamService.js';
+import { logger } from '../utils/logger.js';
+import {
+    createTeamSchema,
+    teamMembersSchema,
+    updateTeamSchema,
+    validate
+} from '../utils/validation.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/teams
+ * List teams with their members and how many tickets wait in each queue
+ */
+router.get('/', authenticateToken, requireAgent, async (req, res) => {
+    try {
+        const teams = await Team.find()
+            .populate('members', 'name email role agentProfile.availability')
+            .sort({ name: 1 })
+            .lean();
+
+        const queueSizes = await teamService.getQueueSizes(teams.map(team => team._id));
+
+        res.json({
+            teams: teams.map(team => ({
+                ...team,
+                queueSize: queueSizes.get(team._id.toString()) || 0
+            }))
+        });
+    } catch (error) {
+        logger.error('List teams error:', error);
+        res.status(500).json({ error: 'Failed to fetch teams' });
+    }
+});
+
+/**
+ * GET /api/teams/:id
+ * Get a team with its members
+ */
+router.get('/:id', authenticateToken, requireAgent, async (req, res) => {
+    try {
+        const team = await Team.findById(req.params.id)
+            .populate('members', 'name email role agentProfile.availability')
+            .populate('createdBy', 'name email')
+            .lean();
+        if (!team) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+
+        const queueSizes = await teamService.getQueueSizes([team._id]);
+
+        res.json({
+            team: {
+                ...team,
+                queueSize: queueSizes.get(team._id.toString()) || 0
+            }
+        });
+    } catch (error) {
+        logger.error('Get team error:', error);
+        res.status(500).json({ error: 'Failed to get team' });
+    }
+});
+
+/**
+ * POST /api/teams
+ * Create a team (admin only)
+ */
+router.post('/', authenticateToken, requireAdmin, validate(createTeamSchema), async (req, res) => {
+    try {
+        const invalid = await teamService.findInvalidMembers(req.body.members);
+        if (invalid.length > 0) {
+            return res.status(400).json({ error: 'Team members must be active agents or admins', userIds: invalid });
+        }
+
+        if (await Team.exists({ name: req.body.name })) {
+            return res.status(409).json({ error: 'A team with this name already exists' });
+        }
+
+        const team = await Team.create({
+            ...req.body,
+            createdBy: req.user._id
+        });
+
+        logger.info(`Team created: ${team.name}`, {
+            teamId: team._id,
+            strategy: team.strategy,
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({
+            message: 'Team created successfully',
+            team
+        });
+    } catch (error) {
+        logger.error('Create team error:', error);
+        res.status(500).json({ error: 'Failed to create team' });
+    }
+});
+
+/**
+ * PATCH /api/teams/:id
+ * Update a team; members replaces the whole member list (admin only)
+ */
+router.patch('/:id', authenticateToken, requireAdmin, validate(updateTeamSchema), async (req, res) => {
+    try {
+        const team = await Team.findById(req.params.id);
+        if (!team) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+
+        if (req.body.members) {
+            const invalid = await teamService.findInvalidMembers(req.body.members);
+            if (invalid.length > 0) {
+                return res.status(400).json({ error: 'Team members must be active agents or admins', userIds: invalid });
+            }
+        }
+
+        if (req.body.name && req.body.name !== team.name &&
+            await Team.exists({ name: req.body.name })) {
+            return res.status(409).json({ error: 'A team with this name already exists' });
+        }
+
+        Object.assign(team, req.body);
+        await team.save();
+
+        logger.info(`Team updated: ${team.name}`, {
+            teamId: team._id,
+            fields: Object.keys(req.body),
+            updatedBy: req.user._id
+        });
+
+        res.json({
+            message: 'Team updated successfully',
+            team
+        });
+    } catch (error) {
+        logger.error('Update team error:', error);
+        res.status(500).json({ error: 'Failed to update team' });
+    }
+});
+
+/**
+ * POST /api/teams/:id/members
+ * Add members to a team (admin only)
+ */
+router.post('/:id/members', authenticateToken, requireAdmin, validate(teamMembersSchema), async (req, res) => {
+    try {
+        const { userIds } = req.body;
+
+        const invalid = await teamService.findInvalidMembers(userIds);
+        if (invalid.length > 0) {
+            return res.status(400).json({ error: 'Team members must be active agents or admins', userIds: invalid });
+        }
+
+        const team = await Team.findByIdAndUpdate(
+            req.params.id,
+            { $addToSet: { members: { $each: userIds } } },
+            { new: true }
+        ).populate('members', 'name email role');
+        if (!team) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+
+        res.json({
+            message: 'Members added successfully',
+            team
+        });
+    } catch (error) {
+        logger.error('Add team members error:', error);
+        res.status(500).json({ error: 'Failed to add team members' });
+    }
+});
+
+/**
+ * DELETE /api/teams/:id/members/:userId
+ * Remove a member from a team (admin only)
+ */
+router.delete('/:id/members/:userId', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const team = await Team.findByIdAndUpdate(
+            req.params.id,
+            { $pull: { members: req.params.userId } },
+            { new: true }
+        ).populate('members', 'name email role');
+        if (!team) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+
+        res.json({
+            message: 'Member removed successfully',
+            team
+        });
+    } catch (error) {
+        logger.error('Remove team member error:', error);
+        res.status(500).json({ error: 'Failed to remove team member' });
+    }
+});
+
+/**
+ * DELETE /api/teams/:id
+ * Delete a team whose queue is empty (admin only)
+ */
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const team = await Team.findById(req.params.id);
+        if (!team) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+
+        const queueSizes = await teamService.getQueueSizes([team._id]);
+        if (queueSizes.get(team._id.toString())) {
+            return res.status(409).json({ error: 'Move or claim the tickets in this team\'s queue first' });
+        }
+
+        await team.deleteOne();
+        await Ticket.updateMany({ team: team._id }, { $unset: { team: 1 } });
+
+        logger.info(`Team deleted: ${team.name}`, {
+            teamId: team._id,
+            deletedBy: req.user._id
+        });
+
+        res.json({ message: 'Team deleted successfully' });
+    } catch (error) {
+        logger.error('Delete team error:', error);
+        res.status(500).json({ error: 'Failed to delete team' });
+    }
+});
+
+export default router;
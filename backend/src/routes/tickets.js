@@ -1,15 +1,25 @@
 import express from 'express';
 import { v4 as uuidv4 } from 'uuid';
 import { authenticateToken, requireAgent, requireUser } from '../middleware/auth.js';
+import { uploadAttachments } from '../middleware/upload.js';
 import { AuditLog } from '../models/AuditLog.js';
+import { Team } from '../models/Team.js';
 import { Ticket } from '../models/Ticket.js';
 import { User } from '../models/User.js';
 import agentService from '../services/agentService.js';
-import { addTriageJob } from '../services/queueService.js';
+import notificationService from '../services/notificationService.js';
+import realtimeService from '../services/realtimeService.js';
+import attachmentService from '../services/attachmentService.js';
+import slaService from '../services/slaService.js';
+import teamService from '../services/teamService.js';
+import ticketService from '../services/ticketService.js';
 import { logger } from '../utils/logger.js';
 import {
+    assignTeamSchema,
     assignTicketSchema,
     createTicketSchema,
+    customerReplySchema,
+    overridePrioritySchema,
     replySchema,
     ticketQuerySchema,
     validate,
@@ -24,7 +34,7 @@ const router = express.Router();
  */
 router.get('/', authenticateToken, requireUser, validateQuery(ticketQuerySchema), async (req, res) => {
     try {
-        const { page, limit, sort, search, status, category, assignee, createdBy, my } = req.query;
+        const { page, limit, sort, search, status, category, assignee, createdBy, queue, team, unassigned, my } = req.query;
 
         // Build query based on user role and filters
         const query = {};
@@ -41,6 +51,15 @@ router.get('/', authenticateToken, requireUser, validateQuery(ticketQuerySchema)
         if (category) query.category = category;
         if (assignee) query.assignee = assignee;
         if (createdBy && req.user.role !== 'user') query.createdBy = createdBy;
+        if (queue && req.user.role !== 'user') query.queue = queue;
+        if (unassigned && req.user.role !== 'user') query.assignee = null;
+
+        // team=mine covers every team the agent belongs to
+        if (team && req.user.role !== 'user') {
+            query.team = team === 'mine'
+                ? { $in: await teamService.getTeamIdsForUser(req.user) }
+                : team;
+        }
 
         // Text search
         if (search) {
@@ -54,6 +73,7 @@ router.get('/', authenticateToken, requireUser, validateQuery(ticketQuerySchema)
             Ticket.find(query)
                 .populate('createdBy', 'name email')
                 .populate('assignee', 'name email')
+                .populate('team', 'name')
                 .populate('agentSuggestionId')
                 .sort(sort)
                 .skip(skip)
@@ -86,6 +106,7 @@ router.get('/:id', authenticateToken, requireUser, async (req, res) => {
         const ticket = await Ticket.findById(req.params.id)
             .populate('createdBy', 'name email role')
             .populate('assignee', 'name email role')
+            .populate('team', 'name strategy')
             .populate('agentSuggestionId')
             .populate('replies.author', 'name email role');
 
@@ -98,6 +119,13 @@ router.get('/:id', authenticateToken, requireUser, async (req, res) => {
             return res.status(403).json({ error: 'Access denied' });
         }
 
+        // Customers never see internal notes
+        if (req.user.role === 'user') {
+            const visible = ticket.toJSON();
+            visible.replies = visible.replies.filter(reply => !reply.isInternal);
+            return res.json(visible);
+        }
+
         res.json(ticket);
     } catch (error) {
         logger.error('Get ticket error:', error);
@@ -113,43 +141,15 @@ router.post('/', authenticateToken, requireUser, validate(createTicketSchema), a
     try {
         const { title, description, category, attachments } = req.body;
 
-        const ticket = new Ticket({
+        const { ticket, traceId } = await ticketService.createTicket({
             title,
             description,
-            category: category || 'other',
-            createdBy: req.user._id,
-            attachments: attachments || []
+            category,
+            attachments,
+            user: req.user
         });
-
-        await ticket.save();
         await ticket.populate('createdBy', 'name email');
 
-        // Generate trace ID for this ticket's workflow
-        const traceId = uuidv4();
-
-        // Log ticket creation
-        const auditLog = new AuditLog({
-            ticketId: ticket._id,
-            traceId,
-            actor: 'user',
-            actorId: req.user._id,
-            action: 'TICKET_CREATED',
-            meta: {
-                title: ticket.title,
-                category: ticket.category
-            }
-        });
-        await auditLog.save();
-
-        // Queue for triage
-        await addTriageJob(ticket._id.toString(), traceId);
-
-        logger.info(`Ticket created: ${title}`, {
-            ticketId: ticket._id,
-            userId: req.user._id,
-            traceId
-        });
-
         res.status(201).json({
             message: 'Ticket created successfully',
             ticket,
@@ -184,8 +184,10 @@ router.post('/:id/reply', authenticateToken, requireAgent, validate(replySchema)
         ticket.replies.push(reply);
 
         // Update ticket status if it was resolved/closed
+        const oldStatus = ticket.status;
         if (ticket.status === 'resolved' || ticket.status === 'closed') {
             ticket.status = 'waiting_human';
+            await slaService.handleStatusChange(ticket, oldStatus);
         }
 
         await ticket.save();
@@ -206,6 +208,21 @@ router.post('/:id/reply', authenticateToken, requireAgent, validate(replySchema)
         });
         await auditLog.save();
 
+        if (!isInternal) {
+            await notificationService.notify('agent_replied', {
+                ticket,
+                actorId: req.user._id,
+                context: { authorName: req.user.name, content }
+            });
+        }
+
+        await realtimeService.publish('reply', ticket, {
+            reply: ticket.replies[ticket.replies.length - 1]
+        }, { staffOnly: Boolean(isInternal) });
+        if (oldStatus !== ticket.status) {
+            await realtimeService.publish('status', ticket, { oldStatus, newStatus: ticket.status });
+        }
+
         logger.info(`Reply added to ticket ${ticket._id}`, {
             ticketId: ticket._id,
             agentId: req.user._id,
@@ -222,6 +239,143 @@ router.post('/:id/reply', authenticateToken, requireAgent, validate(replySchema)
     }
 });
 
+/**
+ * POST /api/tickets/:id/customer-reply
+ * Add a reply from the customer who opened the ticket
+ */
+router.post('/:id/customer-reply', authenticateToken, requireUser, validate(customerReplySchema), async (req, res) => {
+    try {
+        const { content } = req.body;
+
+        const ticket = await Ticket.findById(req.params.id);
+        if (!ticket) {
+            return res.status(404).json({ error: 'Ticket not found' });
+        }
+
+        // Only the ticket's creator can reply as the customer
+        if (!ticket.createdBy.equals(req.user._id)) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        if (ticket.status === 'closed') {
+            return res.status(400).json({ error: 'Ticket is closed. Reopen it to continue the conversation' });
+        }
+
+        await ticketService.addCustomerReply(ticket, req.user, content);
+        await ticket.populate('replies.author', 'name email role');
+
+        res.json({
+            message: 'Reply added successfully',
+            reply: ticket.replies[ticket.replies.length - 1],
+            ticket: {
+                id: ticket._id,
+                status: ticket.status
+            }
+        });
+    } catch (error) {
+        logger.error('Add customer reply error:', error);
+        res.status(500).json({ error: 'Failed to add reply' });
+    }
+});
+
+/**
+ * Store uploaded files and link them to the ticket, or to one of its replies
+ */
+const attachUploads = async (req, res, ticket, reply) => {
+    const attachments = await attachmentService.saveUploads(req.files, {
+        ticketId: ticket._id,
+        replyId: reply?._id,
+        uploadedBy: req.user._id
+    });
+
+    const target = reply || ticket;
+    target.attachments.push(...attachments.map(a => attachmentService.toReference(a)));
+    await ticket.save();
+
+    await AuditLog.create({
+        ticketId: ticket._id,
+        traceId: uuidv4(),
+        actor: req.user.role === 'user' ? 'user' : 'agent',
+        actorId: req.user._id,
+        action: 'ATTACHMENT_ADDED',
+        meta: {
+            replyId: reply?._id,
+            files: attachments.map(a => ({
+                attachmentId: a._id,
+                filename: a.filename,
+                contentType: a.contentType,
+                size: a.size
+            }))
+        }
+    });
+
+    logger.info(`${attachments.length} attachment(s) added to ticket ${ticket._id}`, {
+        ticketId: ticket._id,
+        replyId: reply?._id,
+        userId: req.user._id
+    });
+
+    res.status(201).json({
+        message: 'Attachments uploaded successfully',
+        attachments
+    });
+};
+
+/**
+ * POST /api/tickets/:id/attachments
+ * Upload files to a ticket (multipart, field "files")
+ */
+router.post('/:id/attachments', authenticateToken, requireUser, uploadAttachments, async (req, res) => {
+    try {
+        const ticket = await Ticket.findById(req.params.id);
+        if (!ticket) {
+            return res.status(404).json({ error: 'Ticket not found' });
+        }
+
+        if (req.user.role === 'user') {
+            if (!ticket.createdBy.equals(req.user._id)) {
+                return res.status(403).json({ error: 'Access denied' });
+            }
+            if (ticket.status === 'closed') {
+                return res.status(400).json({ error: 'Ticket is closed. Reopen it to add attachments' });
+            }
+        }
+
+        await attachUploads(req, res, ticket);
+    } catch (error) {
+        logger.error('Upload ticket attachments error:', error);
+        res.status(500).json({ error: 'Failed to upload attachments' });
+    }
+});
+
+/**
+ * POST /api/tickets/:id/replies/:replyId/attachments
+ * Upload files to a reply (multipart, field "files"). Only the reply's author
+ * or an admin can attach files.
+ */
+router.post('/:id/replies/:replyId/attachments', authenticateToken, requireUser, uploadAttachments, async (req, res) => {
+    try {
+        const ticket = await Ticket.findById(req.params.id);
+        if (!ticket) {
+            return res.status(404).json({ error: 'Ticket not found' });
+        }
+
+        const reply = ticket.replies.id(req.params.replyId);
+        if (!reply) {
+            return res.status(404).json({ error: 'Reply not found' });
+        }
+
+        if (!reply.author.equals(req.user._id) && req.user.role !== 'admin') {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        await attachUploads(req, res, ticket, reply);
+    } catch (error) {
+        logger.error('Upload reply attachments error:', error);
+        res.status(500).json({ error: 'Failed to upload attachments' });
+    }
+});
+
 /**
  * POST /api/tickets/:id/assign
  * Assign ticket to an agent
@@ -242,11 +396,14 @@ router.post('/:id/assign', authenticateToken, requireAgent, validate(assignTicke
                 return res.status(400).json({ error: 'Invalid assignee' });
             }
             ticket.assignee = assigneeId;
+            // Leaves the fallback queue once someone owns it
+            ticket.queue = undefined;
         } else {
             ticket.assignee = undefined;
         }
 
         // Update status if needed
+        const oldStatus = ticket.status;
         if (ticket.status === 'open') {
             ticket.status = 'triaged';
         }
@@ -270,6 +427,13 @@ router.post('/:id/assign', authenticateToken, requireAgent, validate(assignTicke
         });
         await auditLog.save();
 
+        await realtimeService.publish('assignment', ticket, {
+            assignee: ticket.assignee || null
+        });
+        if (oldStatus !== ticket.status) {
+            await realtimeService.publish('status', ticket, { oldStatus, newStatus: ticket.status });
+        }
+
         logger.info(`Ticket ${ticket._id} assigned`, {
             ticketId: ticket._id,
             assigneeId,
@@ -290,6 +454,152 @@ router.post('/:id/assign', authenticateToken, requireAgent, validate(assignTicke
     }
 });
 
+/**
+ * PATCH /api/tickets/:id/priority
+ * Override the ticket priority; later triage runs keep the agent's choice
+ */
+router.patch('/:id/priority', authenticateToken, requireAgent, validate(overridePrioritySchema), async (req, res) => {
+    try {
+        const { priority, reason } = req.body;
+
+        const ticket = await Ticket.findById(req.params.id);
+        if (!ticket) {
+            return res.status(404).json({ error: 'Ticket not found' });
+        }
+
+        const previousPriority = ticket.priority;
+        const previousSource = ticket.prioritySource;
+
+        ticket.priority = priority;
+        ticket.prioritySource = 'agent';
+        if (previousPriority !== priority) {
+            await slaService.retarget(ticket, previousPriority);
+        }
+        await ticket.save();
+
+        await AuditLog.create({
+            ticketId: ticket._id,
+            traceId: uuidv4(),
+            actor: 'agent',
+            actorId: req.user._id,
+            action: 'PRIORITY_OVERRIDDEN',
+            meta: {
+                previousPriority,
+                previousSource,
+                priority,
+                predictedPriority: ticket.priorityPrediction?.priority || null,
+                predictedConfidence: ticket.priorityPrediction?.confidence ?? null,
+                agreesWithPrediction: ticket.priorityPrediction?.priority === priority,
+                reason: reason || null,
+                overriddenBy: req.user.name
+            }
+        });
+
+        logger.info(`Ticket ${ticket._id} priority set to ${priority}`, {
+            ticketId: ticket._id,
+            previousPriority,
+            userId: req.user._id
+        });
+
+        res.json({
+            message: 'Priority updated successfully',
+            ticket: {
+                id: ticket._id,
+                priority: ticket.priority,
+                prioritySource: ticket.prioritySource,
+                priorityPrediction: ticket.priorityPrediction,
+                slaDeadline: ticket.slaDeadline
+            }
+        });
+    } catch (error) {
+        logger.error('Override priority error:', error);
+        res.status(500).json({ error: 'Failed to update priority' });
+    }
+});
+
+/**
+ * POST /api/tickets/:id/team
+ * Send a ticket to a team's queue, or take it out of its team with teamId null
+ */
+router.post('/:id/team', authenticateToken, requireAgent, validate(assignTeamSchema), async (req, res) => {
+    try {
+        const { teamId } = req.body;
+
+        const ticket = await Ticket.findById(req.params.id);
+        if (!ticket) {
+            return res.status(404).json({ error: 'Ticket not found' });
+        }
+
+        if (['resolved', 'closed'].includes(ticket.status)) {
+            return res.status(400).json({ error: 'Resolved or closed tickets cannot be moved to a team' });
+        }
+
+        let team = null;
+        if (teamId) {
+            team = await Team.findById(teamId);
+            if (!team || !team.isActive) {
+                return res.status(400).json({ error: 'Invalid team' });
+            }
+        }
+
+        const { agent } = await teamService.assignToTeam(ticket, team, req.user);
+
+        res.json({
+            message: team ? `Ticket sent to ${team.name}` : 'Ticket removed from its team',
+            ticket: {
+                id: ticket._id,
+                team: team ? { _id: team._id, name: team.name } : null,
+                assignee: agent ? { _id: agent._id, name: agent.name, email: agent.email } : null,
+                status: ticket.status
+            }
+        });
+    } catch (error) {
+        logger.error('Assign team error:', error);
+        res.status(500).json({ error: 'Failed to assign ticket to team' });
+    }
+});
+
+/**
+ * POST /api/tickets/:id/claim
+ * Take an unassigned ticket from the queue of a team you belong to
+ */
+router.post('/:id/claim', authenticateToken, requireAgent, async (req, res) => {
+    try {
+        const ticket = await Ticket.findById(req.params.id);
+        if (!ticket) {
+            return res.status(404).json({ error: 'Ticket not found' });
+        }
+
+        const team = ticket.team && await Team.findById(ticket.team);
+        if (!team) {
+            return res.status(400).json({ error: 'Ticket is not in a team queue' });
+        }
+
+        // Admins can pick up from any queue
+        if (req.user.role !== 'admin' && !teamService.isMember(team, req.user)) {
+            return res.status(403).json({ error: 'Only members of this team can claim its tickets' });
+        }
+
+        const claimed = await teamService.claim(ticket, team, req.user);
+        if (!claimed) {
+            return res.status(409).json({ error: 'Ticket has already been claimed or is no longer open' });
+        }
+
+        res.json({
+            message: 'Ticket claimed successfully',
+            ticket: {
+                id: claimed._id,
+                team: { _id: team._id, name: team.name },
+                assignee: { _id: req.user._id, name: req.user.name, email: req.user.email },
+                status: claimed.status
+            }
+        });
+    } catch (error) {
+        logger.error('Claim ticket error:', error);
+        res.status(500).json({ error: 'Failed to claim ticket' });
+    }
+});
+
 /**
  * PATCH /api/tickets/:id/status
  * Update ticket status
@@ -298,7 +608,7 @@ router.patch('/:id/status', authenticateToken, requireAgent, async (req, res) =>
     try {
         const { status } = req.body;
 
-        const validStatuses = ['open', 'triaged', 'waiting_human', 'resolved', 'closed'];
+        const validStatuses = ['open', 'triaged', 'waiting_human', 'waiting_customer', 'resolved', 'closed'];
         if (!validStatuses.includes(status)) {
             return res.status(400).json({
                 error: 'Invalid status',
@@ -313,6 +623,7 @@ router.patch('/:id/status', authenticateToken, requireAgent, async (req, res) =>
 
         const oldStatus = ticket.status;
         ticket.status = status;
+        await slaService.handleStatusChange(ticket, oldStatus);
 
         // Set timestamps for status changes
         if (status === 'resolved') {
@@ -339,6 +650,8 @@ router.patch('/:id/status', authenticateToken, requireAgent, async (req, res) =>
         });
         await auditLog.save();
 
+        await realtimeService.publish('status', ticket, { oldStatus, newStatus: status });
+
         logger.info(`Ticket ${ticket._id} status changed: ${oldStatus} → ${status}`, {
             ticketId: ticket._id,
             agentId: req.user._id
@@ -350,7 +663,9 @@ router.patch('/:id/status', authenticateToken, requireAgent, async (req, res) =>
                 id: ticket._id,
                 status: ticket.status,
                 resolvedAt: ticket.resolvedAt,
-                closedAt: ticket.closedAt
+                closedAt: ticket.closedAt,
+                slaDeadline: ticket.slaDeadline,
+                slaPausedAt: ticket.slaPausedAt
             }
         });
     } catch (error) {
@@ -379,9 +694,11 @@ router.post('/:id/reopen', authenticateToken, requireUser, async (req, res) => {
             return res.status(400).json({ error: 'Ticket is not closed or resolved' });
         }
 
+        const oldStatus = ticket.status;
         ticket.status = 'waiting_human';
         ticket.resolvedAt = undefined;
         ticket.closedAt = undefined;
+        await slaService.handleStatusChange(ticket, oldStatus);
         await ticket.save();
 
         // Log reopening
@@ -399,6 +716,14 @@ router.post('/:id/reopen', authenticateToken, requireUser, async (req, res) => {
         });
         await auditLog.save();
 
+        await notificationService.notify('reopened', {
+            ticket,
+            actorId: req.user._id,
+            context: { reopenedBy: req.user.name, reason: req.body.reason }
+        });
+
+        await realtimeService.publish('status', ticket, { oldStatus, newStatus: ticket.status });
+
         logger.info(`Ticket ${ticket._id} reopened`, {
             ticketId: ticket._id,
             userId: req.user._id
@@ -408,7 +733,8 @@ router.post('/:id/reopen', authenticateToken, requireUser, async (req, res) => {
             message: 'Ticket reopened successfully',
             ticket: {
                 id: ticket._id,
-                status: ticket.status
+                status: ticket.status,
+                slaDeadline: ticket.slaDeadline
             }
         });
     } catch (error) {
@@ -0,0 +1,481 @@
+import bcrypt from 'bcryptjs';
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import { authenticateToken, requireAdmin, requireAgent } from '../middleware/auth.js';
+import { AuditLog } from '../models/AuditLog.js';
+import { Config } from '../models/Config.js';
+import { Ticket } from '../models/Ticket.js';
+import { User } from '../models/User.js';
+import routingService from '../services/routingService.js';
+import { logger } from '../utils/logger.js';
+import {
+    agentProfileSchema,
+    createUserSchema,
+    paginationSchema,
+    updateAvailabilitySchema,
+    updateCustomerTierSchema,
+    updateUserRoleSchema,
+    userQuerySchema,
+    validate,
+    validateQuery
+} from '../utils/validation.js';
+
+const router = express.Router();
+
+// Ticket statuses that count towards an agent's open workload
+const OPEN_STATUSES = ['open', 'triaged', 'waiting_human', 'waiting_customer'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Record an admin action against a user account
+ */
+const logUserAudit = async (req, targetUser, action, meta = {}) => {
+    await AuditLog.create({
+        targetUserId: targetUser._id,
+        traceId: uuidv4(),
+        actor: 'agent',
+        actorId: req.user._id,
+        action,
+        meta: {
+            targetEmail: targetUser.email,
+            changedBy: req.user.name,
+            ...meta
+        }
+    });
+};
+
+/**
+ * Open ticket counts per assignee, keyed by user ID
+ */
+const getWorkloads = async (userIds) => {
+    const match = { status: { $in: OPEN_STATUSES }, assignee: { $ne: null } };
+    if (userIds) {
+        match.assignee = { $in: userIds };
+    }
+
+    const rows = await Ticket.aggregate([
+        { $match: match },
+        {
+            $group: {
+                _id: '$assignee',
+                open: { $sum: 1 },
+                breached: { $sum: { $cond: ['$slaBreached', 1, 0] } },
+                statuses: { $push: '$status' }
+            }
+        }
+    ]);
+
+    return rows.reduce((acc, row) => {
+        acc[row._id.toString()] = {
+            open: row.open,
+            slaBreached: row.breached,
+            byStatus: row.statuses.reduce((counts, status) => {
+                counts[status] = (counts[status] || 0) + 1;
+                return counts;
+            }, {})
+        };
+        return acc;
+    }, {});
+};
+
+const emptyWorkload = () => ({ open: 0, slaBreached: 0, byStatus: {} });
+
+/**
+ * GET /api/users
+ * List, search and paginate users (admin only)
+ */
+router.get('/', authenticateToken, requireAdmin, validateQuery(userQuerySchema), async (req, res) => {
+    try {
+        const { page, limit, sort, search, role, isActive } = req.query;
+
+        const query = {};
+        if (role) query.role = role;
+        if (isActive !== undefined) query.isActive = isActive;
+
+        if (search) {
+            const pattern = new RegExp(escapeRegex(search), 'i');
+            query.$or = [{ name: pattern }, { email: pattern }];
+        }
+
+        const skip = (page - 1) * limit;
+
+        const [users, total] = await Promise.all([
+            User.find(query)
+                .select('-passwordHash')
+                .sort(sort)
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            User.countDocuments(query)
+        ]);
+
+        res.json({
+            users,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        logger.error('List users error:', error);
+        res.status(500).json({ error: 'Failed to fetch users' });
+    }
+});
+
+/**
+ * GET /api/users/workload
+ * Open ticket workload for every active agent and admin (admin only)
+ */
+router.get('/workload', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const agents = await User.find({
+            role: { $in: ['agent', 'admin'] },
+            isActive: true
+        }).select('name email role agentProfile').lean();
+
+        const workloads = await getWorkloads(agents.map(a => a._id));
+        const { defaultMaxConcurrentTickets } = routingService.getSettings(await Config.findOne());
+
+        const result = agents
+            .map(agent => ({
+                ...agent,
+                capacity: agent.agentProfile?.maxConcurrentTickets || defaultMaxConcurrentTickets,
+                workload: workloads[agent._id.toString()] || emptyWorkload()
+            }))
+            .sort((a, b) => b.workload.open - a.workload.open);
+
+        res.json({ agents: result });
+    } catch (error) {
+        logger.error('Get workload error:', error);
+        res.status(500).json({ error: 'Failed to fetch workload' });
+    }
+});
+
+/**
+ * PATCH /api/users/me/availability
+ * Set your own availability for ticket routing (agents and admins)
+ */
+router.patch('/me/availability', authenticateToken, requireAgent, validate(updateAvailabilitySchema), async (req, res) => {
+    try {
+        const { availability } = req.body;
+
+        const user = await User.findByIdAndUpdate(
+            req.user._id,
+            { $set: { 'agentProfile.availability': availability } },
+            { new: true }
+        );
+
+        logger.info(`Availability changed: ${user.email} → ${availability}`, { userId: user._id });
+
+        res.json({
+            message: 'Availability updated successfully',
+            agentProfile: user.agentProfile
+        });
+    } catch (error) {
+        logger.error('Update availability error:', error);
+        res.status(500).json({ error: 'Failed to update availability' });
+    }
+});
+
+/**
+ * GET /api/users/:id
+ * Get a user with their open workload (admin only)
+ */
+router.get('/:id', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id).select('-passwordHash').lean();
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const workloads = await getWorkloads([user._id]);
+
+        res.json({
+            user,
+            workload: workloads[user._id.toString()] || emptyWorkload()
+        });
+    } catch (error) {
+        logger.error('Get user error:', error);
+        res.status(500).json({ error: 'Failed to get user' });
+    }
+});
+
+/**
+ * GET /api/users/:id/audit
+ * Audit trail of account changes for a user (admin only)
+ */
+router.get('/:id/audit', authenticateToken, requireAdmin, validateQuery(paginationSchema), async (req, res) => {
+    try {
+        const { page, limit, sort } = req.query;
+        const query = { targetUserId: req.params.id };
+        const skip = (page - 1) * limit;
+
+        const [auditLogs, total] = await Promise.all([
+            AuditLog.find(query)
+                .populate('actorId', 'name email role')
+                .sort(sort === '-createdAt' ? '-timestamp' : sort)
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            AuditLog.countDocuments(query)
+        ]);
+
+        res.json({
+            userId: req.params.id,
+            auditLogs,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        logger.error('Get user audit error:', error);
+        res.status(500).json({ error: 'Failed to get user audit trail' });
+    }
+});
+
+/**
+ * POST /api/users
+ * Create a user with any role (admin only)
+ */
+router.post('/', authenticateToken, requireAdmin, validate(createUserSchema), async (req, res) => {
+    try {
+        const { name, email, password, role } = req.body;
+
+        const existingUser = await User.findOne({ email });
+        if (existingUser) {
+            return res.status(409).json({ error: 'User already exists with this email' });
+        }
+
+        const passwordHash = await bcrypt.hash(password, 12);
+        const user = await User.create({ name, email, passwordHash, role });
+
+        await logUserAudit(req, user, 'USER_CREATED', { role });
+
+        logger.info(`User created by admin: ${email}`, {
+            userId: user._id,
+            role,
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({
+            message: 'User created successfully',
+            user
+        });
+    } catch (error) {
+        logger.error('Create user error:', error);
+        res.status(500).json({ error: 'Failed to create user' });
+    }
+});
+
+/**
+ * PATCH /api/users/:id/role
+ * Change a user's role (admin only)
+ */
+router.patch('/:id/role', authenticateToken, requireAdmin, validate(updateUserRoleSchema), async (req, res) => {
+    try {
+        const { role } = req.body;
+
+        if (req.user._id.equals(req.params.id)) {
+            return res.status(400).json({ error: 'You cannot change your own role' });
+        }
+
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const oldRole = user.role;
+        if (oldRole === role) {
+            return res.json({ message: 'Role unchanged', user });
+        }
+
+        user.role = role;
+        await user.save();
+
+        await logUserAudit(req, user, 'USER_ROLE_CHANGED', { oldRole, newRole: role });
+
+        logger.info(`User role changed: ${user.email} ${oldRole} → ${role}`, {
+            userId: user._id,
+            changedBy: req.user._id
+        });
+
+        res.json({
+            message: 'Role updated successfully',
+            user
+        });
+    } catch (error) {
+        logger.error('Update user role error:', error);
+        res.status(500).json({ error: 'Failed to update role' });
+    }
+});
+
+/**
+ * PATCH /api/users/:id/tier
+ * Change a customer's support tier (admin only)
+ */
+router.patch('/:id/tier', authenticateToken, requireAdmin, validate(updateCustomerTierSchema), async (req, res) => {
+    try {
+        const { customerTier } = req.body;
+
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (user.role !== 'user') {
+            return res.status(400).json({ error: 'Only customers have a support tier' });
+        }
+
+        const oldTier = user.customerTier;
+        if (oldTier === customerTier) {
+            return res.json({ message: 'Tier unchanged', user });
+        }
+
+        user.customerTier = customerTier;
+        await user.save();
+
+        await logUserAudit(req, user, 'CUSTOMER_TIER_CHANGED', { oldTier, newTier: customerTier });
+
+        logger.info(`Customer tier changed: ${user.email} ${oldTier} → ${customerTier}`, {
+            userId: user._id,
+            changedBy: req.user._id
+        });
+
+        res.json({
+            message: 'Tier updated successfully',
+            user
+        });
+    } catch (error) {
+        logger.error('Update customer tier error:', error);
+        res.status(500).json({ error: 'Failed to update tier' });
+    }
+});
+
+/**
+ * PATCH /api/users/:id/agent-profile
+ * Update an agent's skills, languages, ticket limit or availability (admin only)
+ */
+router.patch('/:id/agent-profile', authenticateToken, requireAdmin, validate(agentProfileSchema), async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (!['agent', 'admin'].includes(user.role)) {
+            return res.status(400).json({ error: 'Only agents and admins have a routing profile' });
+        }
+
+        Object.entries(req.body).forEach(([field, value]) => {
+            // null clears the ticket limit so the configured default applies
+            user.set(`agentProfile.${field}`, value === null ? undefined : value);
+        });
+        await user.save();
+
+        await logUserAudit(req, user, 'AGENT_PROFILE_UPDATED', { changes: req.body });
+
+        logger.info(`Agent profile updated: ${user.email}`, {
+            userId: user._id,
+            changedBy: req.user._id
+        });
+
+        res.json({
+            message: 'Agent profile updated successfully',
+            user
+        });
+    } catch (error) {
+        logger.error('Update agent profile error:', error);
+        res.status(500).json({ error: 'Failed to update agent profile' });
+    }
+});
+
+/**
+ * POST /api/users/:id/deactivate
+ * Deactivate a user account (admin only)
+ */
+router.post('/:id/deactivate', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        if (req.user._id.equals(req.params.id)) {
+            return res.status(400).json({ error: 'You cannot deactivate your own account' });
+        }
+
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (!user.isActive) {
+            return res.status(400).json({ error: 'User is already inactive' });
+        }
+
+        user.isActive = false;
+        await user.save();
+
+        const openAssigned = await Ticket.countDocuments({
+            assignee: user._id,
+            status: { $in: OPEN_STATUSES }
+        });
+
+        await logUserAudit(req, user, 'USER_DEACTIVATED', {
+            reason: req.body.reason || 'No reason provided',
+            openAssignedTickets: openAssigned
+        });
+
+        logger.info(`User deactivated: ${user.email}`, {
+            userId: user._id,
+            deactivatedBy: req.user._id
+        });
+
+        res.json({
+            message: 'User deactivated successfully',
+            user,
+            openAssignedTickets: openAssigned
+        });
+    } catch (error) {
+        logger.error('Deactivate user error:', error);
+        res.status(500).json({ error: 'Failed to deactivate user' });
+    }
+});
+
+/**
+ * POST /api/users/:id/reactivate
+ * Reactivate a user account (admin only)
+ */
+router.post('/:id/reactivate', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (user.isActive) {
+            return res.status(400).json({ error: 'User is already active' });
+        }
+
+        user.isActive = true;
+        await user.save();
+
+        await logUserAudit(req, user, 'USER_REACTIVATED');
+
+        logger.info(`User reactivated: ${user.email}`, {
+            userId: user._id,
+            reactivatedBy: req.user._id
+        });
+
+        res.json({
+            message: 'User reactivated successfully',
+            user
+        });
+    } catch (error) {
+        logger.error('Reactivate user error:', error);
+        res.status(500).json({ error: 'Failed to reactivate user' });
+    }
+});
+
+export default router;
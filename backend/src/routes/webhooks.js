@@ -0,0 +1,286 @@
+import express from 'express';
+import { authenticateToken, requireAdmin } from '../middleware/auth.js';
+import { AUDIT_ACTIONS } from '../models/AuditLog.js';
+import { WebhookDelivery } from '../models/WebhookDelivery.js';
+import { WebhookSubscription } from '../models/WebhookSubscription.js';
+import webhookService, { generateSecret } from '../services/webhookService.js';
+import { logger } from '../utils/logger.js';
+import {
+    createWebhookSchema,
+    paginationSchema,
+    updateWebhookSchema,
+    validate,
+    validateQuery,
+    webhookDeliveryQuerySchema
+} from '../utils/validation.js';
+
+const router = express.Router();
+
+/**
+ * GET /api/webhooks/events
+ * Audit actions a subscription can listen to (admin only)
+ */
+router.get('/events', authenticateToken, requireAdmin, (req, res) => {
+    res.json({ events: AUDIT_ACTIONS });
+});
+
+/**
+ * GET /api/webhooks
+ * List webhook subscriptions (admin only)
+ */
+router.get('/', authenticateToken, requireAdmin, validateQuery(paginationSchema), async (req, res) => {
+    try {
+        const { page, limit, sort } = req.query;
+        const skip = (page - 1) * limit;
+
+        const [webhooks, total] = await Promise.all([
+            WebhookSubscription.find()
+                .populate('createdBy', 'name email')
+                .sort(sort)
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            WebhookSubscription.countDocuments()
+        ]);
+
+        res.json({
+            webhooks,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        logger.error('List webhooks error:', error);
+        res.status(500).json({ error: 'Failed to fetch webhooks' });
+    }
+});
+
+/**
+ * POST /api/webhooks
+ * Register a webhook subscription; the signing secret is only shown here (admin only)
+ */
+router.post('/', authenticateToken, requireAdmin, validate(createWebhookSchema), async (req, res) => {
+    try {
+        const secret = generateSecret();
+        const webhook = await WebhookSubscription.create({
+            ...req.body,
+            secret,
+            createdBy: req.user._id
+        });
+
+        logger.info(`Webhook created: ${webhook.name}`, {
+            webhookId: webhook._id,
+            actions: webhook.actions,
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({
+            message: 'Webhook created successfully',
+            webhook,
+            secret
+        });
+    } catch (error) {
+        logger.error('Create webhook error:', error);
+        res.status(500).json({ error: 'Failed to create webhook' });
+    }
+});
+
+/**
+ * GET /api/webhooks/deliveries/:deliveryId
+ * Get one delivery with its payload and attempts (admin only)
+ */
+router.get('/deliveries/:deliveryId', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const delivery = await WebhookDelivery.findById(req.params.deliveryId)
+            .populate('subscriptionId', 'name url')
+            .lean();
+        if (!delivery) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+
+        res.json({
+            delivery: {
+                ...delivery,
+                payload: JSON.parse(delivery.payload)
+            }
+        });
+    } catch (error) {
+        logger.error('Get webhook delivery error:', error);
+        res.status(500).json({ error: 'Failed to get delivery' });
+    }
+});
+
+/**
+ * POST /api/webhooks/deliveries/:deliveryId/redeliver
+ * Send a delivery again with a fresh signature (admin only)
+ */
+router.post('/deliveries/:deliveryId/redeliver', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const original = await WebhookDelivery.findById(req.params.deliveryId);
+        if (!original) {
+            return res.status(404).json({ error: 'Delivery not found' });
+        }
+
+        if (!(await WebhookSubscription.exists({ _id: original.subscriptionId }))) {
+            return res.status(409).json({ error: 'The webhook for this delivery has been deleted' });
+        }
+
+        const delivery = await webhookService.redeliver(original, req.user);
+
+        res.status(202).json({
+            message: 'Redelivery queued',
+            delivery
+        });
+    } catch (error) {
+        logger.error('Redeliver webhook error:', error);
+        res.status(500).json({ error: 'Failed to redeliver webhook' });
+    }
+});
+
+/**
+ * GET /api/webhooks/:id
+ * Get a webhook subscription (admin only)
+ */
+router.get('/:id', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const webhook = await WebhookSubscription.findById(req.params.id)
+            .populate('createdBy', 'name email');
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        res.json({ webhook });
+    } catch (error) {
+        logger.error('Get webhook error:', error);
+        res.status(500).json({ error: 'Failed to get webhook' });
+    }
+});
+
+/**
+ * PATCH /api/webhooks/:id
+ * Update URL, actions, name or active flag (admin only)
+ */
+router.patch('/:id', authenticateToken, requireAdmin, validate(updateWebhookSchema), async (req, res) => {
+    try {
+        const webhook = await WebhookSubscription.findByIdAndUpdate(
+            req.params.id,
+            { $set: req.body },
+            { new: true, runValidators: true }
+        );
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        logger.info(`Webhook updated: ${webhook.name}`, {
+            webhookId: webhook._id,
+            updatedBy: req.user._id
+        });
+
+        res.json({
+            message: 'Webhook updated successfully',
+            webhook
+        });
+    } catch (error) {
+        logger.error('Update webhook error:', error);
+        res.status(500).json({ error: 'Failed to update webhook' });
+    }
+});
+
+/**
+ * DELETE /api/webhooks/:id
+ * Delete a webhook subscription; its delivery log is kept (admin only)
+ */
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const webhook = await WebhookSubscription.findByIdAndDelete(req.params.id);
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        logger.info(`Webhook deleted: ${webhook.name}`, {
+            webhookId: webhook._id,
+            deletedBy: req.user._id
+        });
+
+        res.json({ message: 'Webhook deleted successfully' });
+    } catch (error) {
+        logger.error('Delete webhook error:', error);
+        res.status(500).json({ error: 'Failed to delete webhook' });
+    }
+});
+
+/**
+ * POST /api/webhooks/:id/rotate-secret
+ * Replace the signing secret and return the new one (admin only)
+ */
+router.post('/:id/rotate-secret', authenticateToken, requireAdmin, async (req, res) => {
+    try {
+        const secret = generateSecret();
+        const webhook = await WebhookSubscription.findByIdAndUpdate(
+            req.params.id,
+            { $set: { secret } },
+            { new: true }
+        );
+        if (!webhook) {
+            return res.status(404).json({ error: 'Webhook not found' });
+        }
+
+        logger.info(`Webhook secret rotated: ${webhook.name}`, {
+            webhookId: webhook._id,
+            rotatedBy: req.user._id
+        });
+
+        res.json({
+            message: 'Secret rotated successfully',
+            webhook,
+            secret
+        });
+    } catch (error) {
+        logger.error('Rotate webhook secret error:', error);
+        res.status(500).json({ error: 'Failed to rotate secret' });
+    }
+});
+
+/**
+ * GET /api/webhooks/:id/deliveries
+ * Delivery log for a subscription, filter by status or action (admin only)
+ */
+router.get('/:id/deliveries', authenticateToken, requireAdmin, validateQuery(webhookDeliveryQuerySchema), async (req, res) => {
+    try {
+        const { page, limit, sort, status, action } = req.query;
+
+        const query = { subscriptionId: req.params.id };
+        if (status) query.status = status;
+        if (action) query.action = action;
+
+        const skip = (page - 1) * limit;
+
+        const [deliveries, total] = await Promise.all([
+            WebhookDelivery.find(query)
+                .select('-payload')
+                .sort(sort)
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            WebhookDelivery.countDocuments(query)
+        ]);
+
+        res.json({
+            deliveries,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+    } catch (error) {
+        logger.error('List webhook deliveries error:', error);
+        res.status(500).json({ error: 'Failed to fetch deliveries' });
+    }
+});
+
+export default router;
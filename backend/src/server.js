@@ -20,17 +20,27 @@ import { connectDB } from './config/database.js';
 import { connectRedis } from './config/redis.js';
 import { errorHandler } from './middleware/errorHandler.js';
 import { requestLogger } from './middleware/requestLogger.js';
-import { initializeQueues } from './services/queueService.js';
+import emailIngestService from './services/emailIngestService.js';
+import realtimeService from './services/realtimeService.js';
+import { initializeLocalQueues, initializeQueues } from './services/queueService.js';
 import { logger } from './utils/logger.js';
 
 // Import routes
 import agentRoutes from './routes/agent.js';
 import analyticsRoutes from './routes/analytics.js';
+import attachmentRoutes from './routes/attachments.js';
 import auditRoutes from './routes/audit.js';
 import authRoutes from './routes/auth.js';
+import emailRoutes from './routes/email.js';
+import eventRoutes from './routes/events.js';
 import configRoutes from './routes/config.js';
 import kbRoutes from './routes/kb.js';
+import notificationRoutes from './routes/notifications.js';
+import queueRoutes from './routes/queues.js';
+import teamRoutes from './routes/teams.js';
 import ticketRoutes from './routes/tickets.js';
+import userRoutes from './routes/users.js';
+import webhookRoutes from './routes/webhooks.js';
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -106,9 +116,17 @@ app.use('/api/auth', authRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/kb', kbRoutes);
 app.use('/api/tickets', ticketRoutes);
+app.use('/api/teams', teamRoutes);
 app.use('/api/agent', agentRoutes);
 app.use('/api/config', configRoutes);
 app.use('/api/audit', auditRoutes);
+app.use('/api/attachments', attachmentRoutes);
+app.use('/api/users', userRoutes);
+app.use('/api/email', emailRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/queues', queueRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/events', eventRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -132,10 +150,17 @@ async function startServer() {
             // Initialize queues only if Redis is available
             await initializeQueues();
             logger.info('Initialized job queues');
+
+            // Fan realtime events out to every instance
+            await realtimeService.start(redisClient);
         } else {
-            logger.warn('Running without Redis - queues will be disabled');
+            logger.warn('Running without Redis - triage uses the MongoDB queue, other queues are disabled');
+            await initializeLocalQueues();
         }
 
+        // Poll a local maildir for inbound email (optional)
+        emailIngestService.startMaildirPolling();
+
         // Start server
         app.listen(PORT, () => {
             logger.info(`Server running on port ${PORT}`);
@@ -2,28 +2,98 @@ import { v4 as uuidv4 } from 'uuid';
 import { AgentSuggestion } from '../models/AgentSuggestion.js';
 import { AuditLog } from '../models/AuditLog.js';
 import { Config } from '../models/Config.js';
+import { Team } from '../models/Team.js';
 import { Ticket } from '../models/Ticket.js';
-import { User } from '../models/User.js';
+import { SYSTEM_USER_EMAIL, User } from '../models/User.js';
 import { logger } from '../utils/logger.js';
 import kbService from './kbService.js';
 import llmService from './llmService.js';
+import notificationService from './notificationService.js';
+import realtimeService from './realtimeService.js';
+import routingService from './routingService.js';
+import slaService from './slaService.js';
+import teamService from './teamService.js';
+import triagePipeline from './triagePipeline.js';
+import './triageSteps.js';
+
+// A triage holding the ticket lock longer than this is assumed to have died
+const TRIAGE_LOCK_MS = parseInt(process.env.TRIAGE_LOCK_MS) || 10 * 60 * 1000;
+
+export const TRIAGE_MODES = ['initial', 'replace'];
+
+export class TriageInProgressError extends Error {
+    constructor(ticketId) {
+        super(`Triage already in progress for ticket ${ticketId}`);
+        this.name = 'TriageInProgressError';
+    }
+}
 
 /**
  * Agentic Triage Service
  * Implements the complete AI-powered ticket triage workflow
  */
 class AgentService {
+    constructor() {
+        // The core steps; optional steps are registered in triageSteps.js
+        triagePipeline.register('classify', {
+            description: 'Predict the ticket category with the LLM',
+            required: true,
+            after: ['redact_pii'],
+            llmTask: 'classify',
+            run: async (ctx) => {
+                ctx.classification = await this._classifyTicket(ctx.ticket, ctx.traceId, ctx.text, ctx.llmSelection, ctx.signal);
+            }
+        });
+        triagePipeline.register('retrieve', {
+            description: 'Find knowledge base articles for the predicted category',
+            after: ['redact_pii', 'classify'],
+            run: async (ctx) => {
+                ctx.articles = await this._retrieveKnowledge(ctx.ticket, ctx.classification, ctx.traceId, ctx.text, ctx.signal);
+            }
+        });
+        triagePipeline.register('draft', {
+            description: 'Draft a reply from the retrieved articles',
+            required: true,
+            after: ['redact_pii', 'retrieve'],
+            llmTask: 'draft',
+            run: async (ctx) => {
+                ctx.draft = await this._draftReply(ctx.ticket, ctx.articles, ctx.traceId, ctx.text, ctx.llmSelection, ctx.signal);
+            }
+        });
+        // Writes replies and assignments, so it runs exactly once
+        triagePipeline.register('decide', {
+            description: 'Auto-close or hand the ticket to a human',
+            required: true,
+            retryable: false,
+            after: ['classify', 'predict_priority', 'draft', 'verify_citations'],
+            run: async (ctx) => {
+                ctx.decision = await this._makeDecision(ctx.ticket, ctx, ctx.traceId);
+            }
+        });
+    }
+
     /**
-     * Main triage workflow
+     * Main triage workflow.
+     * Only one triage runs per ticket at a time. Mode 'initial' skips tickets
+     * that already have a suggestion; 'replace' re-triages them, superseding
+     * the previous suggestion and rewriting its reply.
      */
-    async triageTicket(ticketId, traceId = null) {
+    async triageTicket(ticketId, traceId = null, { mode = 'initial' } = {}) {
         const trace = traceId || uuidv4();
 
+        if (!await this._acquireTriageLock(ticketId, trace)) {
+            logger.warn(`Triage already in progress for ticket ${ticketId}`, { traceId: trace });
+            throw new TriageInProgressError(ticketId);
+        }
+
         try {
-            logger.info(`Starting triage for ticket ${ticketId}`, { traceId: trace });
+            logger.info(`Starting triage for ticket ${ticketId}`, { traceId: trace, mode });
 
             // 1. Plan the workflow
-            const plan = await this._planWorkflow(ticketId, trace);
+            const plan = await this._planWorkflow(ticketId, trace, mode);
+            if (plan.skipped) {
+                return plan.skipped;
+            }
 
             // 2. Execute the plan
             const result = await this._executePlan(plan, trace);
@@ -45,40 +115,90 @@ class AgentService {
                 error: error.message
             });
 
+            const ticket = await Ticket.findById(ticketId).select('createdBy');
+            if (ticket) {
+                await this._publishProgress(ticket, trace, 'failed', { error: error.message });
+            }
+
             throw error;
+        } finally {
+            await this._releaseTriageLock(ticketId, trace);
+        }
+    }
+
+    /**
+     * Take the ticket's triage lock unless another run holds an unexpired one.
+     * A missing ticket counts as acquired so planning reports it.
+     */
+    async _acquireTriageLock(ticketId, owner) {
+        const now = new Date();
+        const locked = await Ticket.findOneAndUpdate(
+            {
+                _id: ticketId,
+                $or: [
+                    { 'triageLock.expiresAt': null },
+                    { 'triageLock.expiresAt': { $lte: now } }
+                ]
+            },
+            { $set: { triageLock: { owner, expiresAt: new Date(now.getTime() + TRIAGE_LOCK_MS) } } },
+            { new: true, projection: { _id: 1 } }
+        );
+        return Boolean(locked) || !await Ticket.exists({ _id: ticketId });
+    }
+
+    async _releaseTriageLock(ticketId, owner) {
+        try {
+            await Ticket.updateOne({ _id: ticketId, 'triageLock.owner': owner }, { $unset: { triageLock: 1 } });
+        } catch (error) {
+            logger.warn(`Failed to release triage lock for ticket ${ticketId}`, { traceId: owner, error: error.message });
         }
     }
 
     /**
-     * Step 1: Plan the workflow
+     * Plan the workflow: the configured pipeline for the ticket's category
      */
-    async _planWorkflow(ticketId, traceId) {
+    async _planWorkflow(ticketId, traceId, mode = 'initial') {
         const ticket = await Ticket.findById(ticketId).populate('createdBy');
         if (!ticket) {
             throw new Error('Ticket not found');
         }
 
+        // A repeated initial triage (a retried job, a double submit) is a no-op
+        if (mode === 'initial' && ticket.agentSuggestionId) {
+            await this._logAuditEvent(ticketId, traceId, 'system', 'TRIAGE_SKIPPED', {
+                reason: 'already_triaged',
+                suggestionId: ticket.agentSuggestionId
+            });
+            logger.info(`Ticket ${ticketId} already triaged, skipping`, { traceId });
+            return {
+                skipped: { skipped: true, reason: 'already_triaged', traceId, suggestionId: ticket.agentSuggestionId }
+            };
+        }
+
+        // The pipeline is picked by the category the ticket arrived with
+        const config = await this._getConfig();
+        const steps = triagePipeline.resolve(config, ticket.category);
+
         await this._logAuditEvent(ticketId, traceId, 'system', 'TRIAGE_STARTED', {
             ticketTitle: ticket.title,
-            category: ticket.category
+            category: ticket.category,
+            pipeline: steps.map(step => step.name),
+            mode
         });
+        await this._publishProgress(ticket, traceId, 'started');
 
-        // Simple state machine plan
         const plan = {
             ticketId,
             traceId,
             ticket,
-            steps: [
-                'classify',
-                'retrieve',
-                'draft',
-                'decide'
-            ]
+            config,
+            steps,
+            mode
         };
 
         logger.info(`Planned workflow for ticket ${ticketId}`, {
             traceId,
-            steps: plan.steps
+            steps: steps.map(step => step.name)
         });
 
         return plan;
@@ -88,41 +208,168 @@ class AgentService {
      * Execute the planned workflow
      */
     async _executePlan(plan, traceId) {
-        const { ticket, ticketId } = plan;
-        let result = { ticket };
+        const { ticket, ticketId, config } = plan;
+        const result = {
+            ticket,
+            traceId,
+            config,
+            text: `${ticket.title}\n\n${ticket.description}`,
+            articles: [],
+            fallbacks: [],
+            log: (action, meta) => this._logAuditEvent(ticketId, traceId, 'system', action, meta)
+        };
+        const fallbackEnabled = config.agentSettings?.enableFallback !== false;
+
+        for (const step of plan.steps) {
+            try {
+                await triagePipeline.runStep(step, result);
+            } catch (error) {
+                await this._logAuditEvent(ticketId, traceId, 'system', 'TRIAGE_STEP_FAILED', {
+                    step: step.name,
+                    required: step.required,
+                    error: error.message,
+                    timeoutMs: step.timeoutMs,
+                    maxRetries: step.maxRetries
+                });
 
-        // Step 1: Classify
-        result.classification = await this._classifyTicket(ticket, traceId);
+                if (fallbackEnabled && step.llmTask && await this._runLlmFallbacks(step, result)) {
+                    continue;
+                }
+                if (step.required) {
+                    if (!fallbackEnabled) {
+                        throw error;
+                    }
+                    result.decision = await this._handOffToHuman(ticket, result, step, error);
+                    break;
+                }
+            }
+        }
 
-        // Step 2: Retrieve KB articles
-        result.articles = await this._retrieveKnowledge(ticket, result.classification, traceId);
+        await this._publishProgress(ticket, traceId, 'completed', {
+            action: result.decision.action,
+            status: ticket.status,
+            suggestionId: result.decision.suggestion?._id
+        });
 
-        // Step 3: Draft reply
-        result.draft = await this._draftReply(ticket, result.articles, traceId);
+        return result;
+    }
 
-        // Step 4: Make decision
-        result.decision = await this._makeDecision(ticket, result, traceId);
+    /**
+     * Fallback providers for an LLM step after the configured one has used up
+     * its retries: the secondary provider from llmSettings.fallback, then the stub.
+     */
+    _fallbackSelections(config, task) {
+        const primary = llmService.resolveSelection(config.llmSettings?.[task]);
+        const stages = [];
+
+        const secondary = config.llmSettings?.fallback;
+        if (secondary?.provider) {
+            const selection = llmService.resolveSelection(secondary);
+            const samePrimary = selection.provider === primary.provider && selection.model === primary.model;
+            if (!samePrimary && selection.provider !== 'stub') {
+                stages.push({ stage: 'secondary', selection });
+            }
+        }
+        if (primary.provider !== 'stub') {
+            stages.push({ stage: 'stub', selection: llmService.resolveSelection({ provider: 'stub' }) });
+        }
 
-        return result;
+        return stages;
     }
 
     /**
-     * Step 2: Classify ticket category
+     * Re-run a failed LLM step on each fallback provider in turn.
+     * Returns true once one of them succeeds.
      */
-    async _classifyTicket(ticket, traceId) {
+    async _runLlmFallbacks(step, ctx) {
+        for (const { stage, selection } of this._fallbackSelections(ctx.config, step.llmTask)) {
+            ctx.llmSelection = selection;
+            try {
+                await triagePipeline.runStep({ ...step, maxRetries: 0 }, ctx);
+
+                ctx.fallbacks.push({ step: step.name, stage, ...selection });
+                await ctx.log('LLM_FALLBACK_USED', { step: step.name, stage, ...selection });
+                return true;
+            } catch (error) {
+                await ctx.log('TRIAGE_STEP_FAILED', {
+                    step: step.name,
+                    required: step.required,
+                    error: error.message,
+                    stage,
+                    ...selection
+                });
+            } finally {
+                ctx.llmSelection = undefined;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Last resort when a required step fails even after the fallbacks: skip the
+     * rest of the pipeline and route the ticket straight to a human.
+     */
+    async _handOffToHuman(ticket, ctx, step, error) {
+        const oldStatus = ticket.status;
+        ticket.status = 'waiting_human';
+
+        const { agent, queue } = await this._findAvailableAgent(ticket, ctx.config);
+        if (agent) {
+            ticket.assignee = agent._id;
+            ticket.queue = undefined;
+        } else {
+            ticket.queue = queue || undefined;
+        }
+        await ticket.save();
+
+        await ctx.log('ASSIGNED_TO_HUMAN', {
+            reason: 'triage_failed',
+            failedStep: step.name,
+            error: error.message,
+            assigneeId: agent?._id || null,
+            assigneeName: agent?.name || null,
+            queue,
+            teamId: ticket.team || null,
+            category: ticket.category,
+            priority: ticket.priority
+        });
+
+        await this._publishTicketUpdate(ticket, oldStatus);
+        if (agent) {
+            await realtimeService.publish('assignment', ticket, {
+                assignee: { _id: agent._id, name: agent.name, email: agent.email }
+            });
+        }
+
+        return { action: 'assigned_to_human', suggestion: null, assignee: agent, failedStep: step.name };
+    }
+
+    /**
+     * classify step: predict the ticket category. Nothing is written once the
+     * step's signal is aborted.
+     */
+    async _classifyTicket(ticket, traceId, ticketText = `${ticket.title}\n\n${ticket.description}`, selection = null, signal = null) {
         logger.info(`Classifying ticket ${ticket._id}`, { traceId });
 
-        const ticketText = `${ticket.title}\n\n${ticket.description}`;
-        const classification = await llmService.classify(ticketText);
+        const config = await this._getConfig();
+        const classification = await llmService.classify(ticketText, selection || config.llmSettings?.classify, { signal });
+        signal?.throwIfAborted();
 
         await this._logAuditEvent(ticket._id, traceId, 'system', 'AGENT_CLASSIFIED', {
             originalCategory: ticket.category,
+            predictedCategory: classification.predictedCategory,
+            confidence: classification.confidence,
+            provider: classification.provider,
+            model: classification.model
+        });
+        await this._publishProgress(ticket, traceId, 'classified', {
             predictedCategory: classification.predictedCategory,
             confidence: classification.confidence
         });
 
         // Update ticket category if different and confidence is high
         if (classification.predictedCategory !== ticket.category && classification.confidence > 0.7) {
+            signal?.throwIfAborted();
             ticket.category = classification.predictedCategory;
             await ticket.save();
         }
@@ -131,139 +378,294 @@ class AgentService {
     }
 
     /**
-     * Step 3: Retrieve relevant knowledge base articles
+     * retrieve step: find relevant knowledge base articles
      */
-    async _retrieveKnowledge(ticket, classification, traceId) {
+    async _retrieveKnowledge(ticket, classification, traceId, ticketText = `${ticket.title} ${ticket.description}`, signal = null) {
         logger.info(`Retrieving knowledge for ticket ${ticket._id}`, { traceId });
 
-        const query = `${ticket.title} ${ticket.description}`;
+        const query = ticketText.replace(/\s+/g, ' ');
+        const category = classification?.predictedCategory || ticket.category;
+        // Only published articles may ground a reply
         const articles = await kbService.searchArticles(query, {
             limit: 3,
-            category: classification.predictedCategory
+            category,
+            status: 'published'
         });
+        signal?.throwIfAborted();
 
         await this._logAuditEvent(ticket._id, traceId, 'system', 'KB_RETRIEVED', {
             query: query.substring(0, 100),
             articlesFound: articles.length,
             articleIds: articles.map(a => a._id),
-            category: classification.predictedCategory
+            scores: articles.map(a => a.relevanceScore),
+            category
+        });
+        await this._publishProgress(ticket, traceId, 'knowledge_retrieved', {
+            articlesFound: articles.length
         });
 
         return articles;
     }
 
     /**
-     * Step 4: Draft reply
+     * draft step: draft a reply
      */
-    async _draftReply(ticket, articles, traceId) {
+    async _draftReply(ticket, articles, traceId, ticketText = `${ticket.title}\n\n${ticket.description}`, selection = null, signal = null) {
         logger.info(`Drafting reply for ticket ${ticket._id}`, { traceId });
 
-        const ticketText = `${ticket.title}\n\n${ticket.description}`;
-        const draft = await llmService.draft(ticketText, articles);
+        const config = await this._getConfig();
+        const draft = await llmService.draft(ticketText, articles, selection || config.llmSettings?.draft, { signal });
+        signal?.throwIfAborted();
 
         await this._logAuditEvent(ticket._id, traceId, 'system', 'DRAFT_GENERATED', {
             draftLength: draft.draftReply.length,
             citationsCount: draft.citations.length,
-            citations: draft.citations
+            citations: draft.citations.map(({ number, articleId, start, end }) => ({ number, articleId, start, end })),
+            provider: draft.provider,
+            model: draft.model
         });
+        await this._publishProgress(ticket, traceId, 'drafted');
 
         return draft;
     }
 
     /**
-     * Step 5: Make decision (auto-close or assign to human)
+     * decide step: auto-close or assign to a human
      */
     async _makeDecision(ticket, triageResult, traceId) {
         logger.info(`Making decision for ticket ${ticket._id}`, { traceId });
 
         const config = await this._getConfig();
         const { classification, articles, draft } = triageResult;
+        const oldStatus = ticket.status;
+        const previous = await this._currentSuggestion(ticket._id);
 
-        // Create agent suggestion
+        // Create agent suggestion, the next version when this is a re-triage
         const suggestion = new AgentSuggestion({
             ticketId: ticket._id,
             traceId,
+            version: previous ? previous.version + 1 : 1,
+            previousSuggestionId: previous?._id,
             predictedCategory: classification.predictedCategory,
             articleIds: articles.map(a => a._id),
             draftReply: draft.draftReply,
+            passages: this._withRevisions(draft.citations, articles),
             confidence: classification.confidence,
-            modelInfo: llmService.getModelInfo()
+            modelInfo: llmService.getModelInfo({ classify: classification, draft, priority: triageResult.priorityPrediction })
         });
 
         // Check if we should auto-close
+        const { threshold, source: thresholdSource } = this._resolveThreshold(
+            config,
+            classification.predictedCategory,
+            ticket.priority
+        );
+        // Answers produced by a fallback provider always get a human review
+        const usedFallback = triageResult.fallbacks?.length > 0;
+        // As do drafts the cited passages don't back up (when verify_citations
+        // ran and the draft cites anything)
+        const { grounding } = triageResult;
+        const poorlyGrounded = grounding?.passed === false;
         const shouldAutoClose = config.autoCloseEnabled &&
-            classification.confidence >= config.confidenceThreshold;
+            !usedFallback &&
+            !poorlyGrounded &&
+            classification.confidence >= threshold;
+
+        let decisionReason;
+        if (shouldAutoClose) {
+            decisionReason = 'confidence_above_threshold';
+        } else if (!config.autoCloseEnabled) {
+            decisionReason = 'auto_close_disabled';
+        } else if (usedFallback) {
+            decisionReason = 'llm_fallback';
+        } else if (poorlyGrounded && classification.confidence >= threshold) {
+            decisionReason = 'low_grounding';
+        } else {
+            decisionReason = 'low_confidence';
+        }
 
         if (shouldAutoClose) {
             // Auto-close ticket
             suggestion.autoClosed = true;
-            await suggestion.save();
 
             // Add reply to ticket
-            ticket.replies.push({
-                author: await this._getSystemUser(),
-                content: draft.draftReply,
-                isInternal: false
-            });
+            const { reply, replaced } = await this._postSystemReply(ticket, draft.draftReply, previous);
+            suggestion.replyId = reply._id;
+            await suggestion.save();
 
             ticket.status = 'resolved';
             ticket.agentSuggestionId = suggestion._id;
             ticket.resolvedAt = new Date();
+            await slaService.handleStatusChange(ticket, oldStatus, ticket.resolvedAt);
             await ticket.save();
+            await this._supersede(previous, suggestion);
 
             await this._logAuditEvent(ticket._id, traceId, 'system', 'AUTO_CLOSED', {
                 confidence: classification.confidence,
-                threshold: config.confidenceThreshold,
-                suggestionId: suggestion._id
+                threshold,
+                thresholdSource,
+                category: classification.predictedCategory,
+                priority: ticket.priority,
+                reason: decisionReason,
+                groundingScore: grounding?.score,
+                suggestionId: suggestion._id,
+                replacedReply: replaced
             });
 
+            await notificationService.notify('auto_resolved', {
+                ticket,
+                context: { content: draft.draftReply }
+            });
+            await this._publishTicketUpdate(ticket, oldStatus, reply);
+
             return { action: 'auto_closed', suggestion };
         } else {
-            // Assign to human
-            await suggestion.save();
-
+            // Assign to human.
             // Also add the draft reply to the ticket so users can see it immediately
-            const systemUser = await this._getSystemUser();
-            ticket.replies.push({
-                author: systemUser._id,
-                content: draft.draftReply,
-                isInternal: false, // Visible to users
-                createdAt: new Date(),
-                updatedAt: new Date()
-            });
+            const { reply, replaced } = await this._postSystemReply(ticket, draft.draftReply, previous);
+            suggestion.replyId = reply._id;
+            await suggestion.save();
 
             ticket.status = 'waiting_human';
             ticket.agentSuggestionId = suggestion._id;
 
-            // Assign to an available agent
-            const agent = await this._findAvailableAgent();
+            // Assign to a qualified agent, or park the ticket in the fallback queue
+            const { agent, queue } = await this._findAvailableAgent(ticket, config);
             if (agent) {
                 ticket.assignee = agent._id;
+                ticket.queue = undefined;
                 await this._logAuditEvent(ticket._id, traceId, 'system', 'ASSIGNED_TO_HUMAN', {
                     assigneeId: agent._id,
                     assigneeName: agent.name,
-                    reason: 'low_confidence',
-                    confidence: classification.confidence
+                    skillLevel: agent.skillLevel,
+                    openTickets: agent.openTickets,
+                    capacity: agent.capacity,
+                    reason: decisionReason,
+                    confidence: classification.confidence,
+                    threshold,
+                    thresholdSource,
+                    groundingScore: grounding?.score,
+                    category: classification.predictedCategory,
+                    priority: ticket.priority
                 });
             } else {
+                // Team tickets wait in the team's queue rather than the fallback queue
+                ticket.queue = queue || undefined;
                 await this._logAuditEvent(ticket._id, traceId, 'system', 'ASSIGNED_TO_HUMAN', {
                     reason: 'no_agent_available',
-                    confidence: classification.confidence
+                    queue,
+                    teamId: ticket.team || null,
+                    decisionReason,
+                    confidence: classification.confidence,
+                    threshold,
+                    thresholdSource,
+                    groundingScore: grounding?.score,
+                    category: classification.predictedCategory,
+                    priority: ticket.priority
                 });
             }
 
             await ticket.save();
+            await this._supersede(previous, suggestion);
 
             await this._logAuditEvent(ticket._id, traceId, 'system', 'REPLY_SENT', {
                 replyContent: draft.draftReply.substring(0, 100),
                 isAutoReply: true,
-                confidence: classification.confidence
+                confidence: classification.confidence,
+                replaced
             });
 
+            await this._publishTicketUpdate(ticket, oldStatus, reply);
+            if (agent) {
+                await realtimeService.publish('assignment', ticket, {
+                    assignee: { _id: agent._id, name: agent.name, email: agent.email }
+                });
+            }
+
             return { action: 'assigned_to_human', suggestion, assignee: agent };
         }
     }
 
+    /**
+     * Tag each cited passage with the revision of its article that was
+     * retrieved, so the suggestion can be traced to the text it quoted
+     */
+    _withRevisions(citations, articles) {
+        const revisions = new Map(articles.map(article => [article._id.toString(), article.revision || 1]));
+        return citations.map(citation => ({
+            ...citation,
+            articleRevision: revisions.get(citation.articleId.toString())
+        }));
+    }
+
+    /**
+     * The suggestion a re-triage replaces: the newest one not yet superseded
+     */
+    async _currentSuggestion(ticketId) {
+        return await AgentSuggestion.findOne({ ticketId, supersededAt: null })
+            .sort({ version: -1, createdAt: -1 });
+    }
+
+    /**
+     * Post the draft as the system reply. A re-triage rewrites the reply
+     * posted for the previous suggestion instead of adding another one.
+     */
+    async _postSystemReply(ticket, content, previous) {
+        const systemUser = await this._getSystemUser();
+
+        // Suggestions from before replyId was recorded are matched by content
+        const existing = previous && (
+            (previous.replyId && ticket.replies.id(previous.replyId)) ||
+            ticket.replies.find(reply => reply.author.equals(systemUser) && reply.content === previous.draftReply)
+        );
+        if (existing) {
+            existing.content = content;
+            return { reply: existing, replaced: true };
+        }
+
+        ticket.replies.push({
+            author: systemUser,
+            content,
+            isInternal: false // Visible to users
+        });
+        return { reply: ticket.replies[ticket.replies.length - 1], replaced: false };
+    }
+
+    /**
+     * Mark the previous suggestion as replaced by a re-triage
+     */
+    async _supersede(previous, suggestion) {
+        if (!previous) return;
+
+        previous.supersededAt = new Date();
+        previous.supersededBy = suggestion._id;
+        await previous.save();
+
+        await this._logAuditEvent(suggestion.ticketId, suggestion.traceId, 'system', 'SUGGESTION_SUPERSEDED', {
+            suggestionId: previous._id,
+            supersededBy: suggestion._id,
+            version: suggestion.version
+        });
+    }
+
+    /**
+     * Resolve the auto-close threshold for a ticket.
+     * Precedence: priority override, then category threshold, then global threshold.
+     */
+    _resolveThreshold(config, category, priority) {
+        const priorityThreshold = config.priorityThresholds?.[priority];
+        if (typeof priorityThreshold === 'number') {
+            return { threshold: priorityThreshold, source: `priority:${priority}` };
+        }
+
+        const categoryThreshold = config.categoryThresholds?.[category];
+        if (typeof categoryThreshold === 'number') {
+            return { threshold: categoryThreshold, source: `category:${category}` };
+        }
+
+        return { threshold: config.confidenceThreshold, source: 'global' };
+    }
+
     /**
      * Get system configuration
      */
@@ -277,43 +679,28 @@ class AgentService {
     }
 
     /**
-     * Find an available agent for assignment
+     * Find an agent for the ticket based on skills, availability and capacity
      */
-    async _findAvailableAgent() {
-        // Simple round-robin assignment
-        // In production, this would consider workload, availability, expertise, etc.
-        const agents = await User.find({
-            role: { $in: ['agent', 'admin'] },
-            isActive: true
-        });
-
-        if (agents.length === 0) return null;
-
-        // Find agent with least tickets
-        const agentWorkloads = await Promise.all(
-            agents.map(async (agent) => {
-                const ticketCount = await Ticket.countDocuments({
-                    assignee: agent._id,
-                    status: { $in: ['triaged', 'waiting_human'] }
-                });
-                return { agent, ticketCount };
-            })
-        );
-
-        // Sort by workload and return agent with least tickets
-        agentWorkloads.sort((a, b) => a.ticketCount - b.ticketCount);
-        return agentWorkloads[0].agent;
+    async _findAvailableAgent(ticket, config) {
+        // A ticket already in a team queue stays with that team
+        if (ticket.team) {
+            const team = await Team.findById(ticket.team);
+            if (team?.isActive) {
+                return teamService.routeWithinTeam(ticket, team, config);
+            }
+        }
+        return routingService.route(ticket, config);
     }
 
     /**
      * Get or create system user for automated actions
      */
     async _getSystemUser() {
-        let systemUser = await User.findOne({ email: 'system@helpdesk.ai' });
+        let systemUser = await User.findOne({ email: SYSTEM_USER_EMAIL });
         if (!systemUser) {
             systemUser = new User({
                 name: 'AI Assistant',
-                email: 'system@helpdesk.ai',
+                email: SYSTEM_USER_EMAIL,
                 passwordHash: 'system',
                 role: 'agent'
             });
@@ -322,6 +709,23 @@ class AgentService {
         return systemUser._id;
     }
 
+    /**
+     * Push a triage step to anyone watching the ticket
+     */
+    async _publishProgress(ticket, traceId, step, data = {}) {
+        await realtimeService.publish('triage', ticket, { step, traceId, ...data });
+    }
+
+    /**
+     * Push the reply and status change made by the triage decision
+     */
+    async _publishTicketUpdate(ticket, oldStatus, reply = ticket.replies[ticket.replies.length - 1]) {
+        await realtimeService.publish('reply', ticket, { reply });
+        if (oldStatus !== ticket.status) {
+            await realtimeService.publish('status', ticket, { oldStatus, newStatus: ticket.status });
+        }
+    }
+
     /**
      * Log audit event
      */
@@ -351,7 +755,16 @@ class AgentService {
     async getSuggestion(ticketId) {
         return await AgentSuggestion.findOne({ ticketId })
             .populate('articleIds')
-            .sort({ createdAt: -1 });
+            .sort({ version: -1, createdAt: -1 });
+    }
+
+    /**
+     * Every suggestion version for a ticket, newest first
+     */
+    async getSuggestionHistory(ticketId) {
+        return await AgentSuggestion.find({ ticketId })
+            .select('-articleIds')
+            .sort({ version: -1, createdAt: -1 });
     }
 
     /**
@@ -362,6 +775,9 @@ class AgentService {
         if (!suggestion) {
             throw new Error('Suggestion not found');
         }
+        if (suggestion.supersededAt) {
+            throw new Error('Suggestion has been superseded');
+        }
 
         suggestion.accepted = true;
         suggestion.acceptedBy = agentId;
@@ -383,6 +799,10 @@ class AgentService {
             ticket.replies.push(newReply);
             await ticket.save();
 
+            await realtimeService.publish('reply', ticket, {
+                reply: ticket.replies[ticket.replies.length - 1]
+            });
+
             logger.info(`Reply added to ticket ${suggestion.ticketId} from accepted suggestion`, {
                 suggestionId,
                 agentId,
@@ -432,6 +852,6 @@ const agentService = new AgentService();
 export default agentService;
 
 // Export the main triage function for queue worker
-export const triageTicket = async (ticketId, traceId) => {
-    return await agentService.triageTicket(ticketId, traceId);
+export const triageTicket = async (ticketId, traceId, options) => {
+    return await agentService.triageTicket(ticketId, traceId, options);
 };
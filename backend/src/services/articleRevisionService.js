@@ -0,0 +1,150 @@
+import { Article } from '../models/Article.js';
+import { ArticleRevision } from '../models/ArticleRevision.js';
+import { logger } from '../utils/logger.js';
+import { diffLines } from '../utils/textDiff.js';
+
+// Content a rollback restores; status is left to the editorial workflow
+const CONTENT_FIELDS = ['title', 'body', 'tags'];
+
+/**
+ * Article Revision Service
+ * Every save of an article through the API bumps `article.revision` and
+ * stores the saved state as an immutable ArticleRevision, with its author.
+ */
+class ArticleRevisionService {
+    /**
+     * Store the article's current state as revision `article.revision`
+     */
+    async record(article, authorId, { restoredFrom } = {}) {
+        return ArticleRevision.create({
+            articleId: article._id,
+            revision: article.revision,
+            title: article.title,
+            body: article.body,
+            tags: article.tags,
+            status: article.status,
+            author: authorId,
+            restoredFrom
+        });
+    }
+
+    /**
+     * Articles saved before revisions were kept, or outside the API (seeding),
+     * have no history: record their current state as the first revision,
+     * credited to the article's author
+     */
+    async ensureBaseline(article) {
+        if (await ArticleRevision.exists({ articleId: article._id })) {
+            return;
+        }
+
+        const revision = article.revision || 1;
+        await Article.updateOne({ _id: article._id, revision: { $exists: false } }, { $set: { revision } });
+        try {
+            await this.record({ ...article.toObject(), revision }, article.author?._id || article.author);
+        } catch (error) {
+            // Another request recorded the baseline first
+            if (error.code !== 11000) throw error;
+        }
+    }
+
+    /**
+     * Apply changes to an article and record the result as its next revision.
+     * Returns null when the article doesn't exist.
+     */
+    async update(articleId, changes, authorId, { restoredFrom } = {}) {
+        const current = await Article.findById(articleId);
+        if (!current) {
+            return null;
+        }
+        await this.ensureBaseline(current);
+
+        // $inc hands concurrent saves distinct revision numbers
+        const article = await Article.findByIdAndUpdate(
+            articleId,
+            { ...changes, $inc: { revision: 1 } },
+            { new: true, runValidators: true }
+        );
+        if (!article) {
+            return null;
+        }
+
+        await this.record(article, authorId, { restoredFrom });
+        logger.info(`Article ${article._id} saved as revision ${article.revision}`, { authorId, restoredFrom });
+        return article;
+    }
+
+    /**
+     * Revisions of an article, newest first, without their bodies.
+     * Returns null when the article doesn't exist.
+     */
+    async list(articleId) {
+        const article = await Article.findById(articleId);
+        if (!article) {
+            return null;
+        }
+        await this.ensureBaseline(article);
+
+        return ArticleRevision.find({ articleId })
+            .select('-body')
+            .sort({ revision: -1 })
+            .populate('author', 'name email')
+            .lean();
+    }
+
+    async get(articleId, revision) {
+        return ArticleRevision.findOne({ articleId, revision })
+            .populate('author', 'name email')
+            .lean();
+    }
+
+    /**
+     * Changed fields and a line diff of the body between two revisions.
+     * Returns null when either revision doesn't exist.
+     */
+    async diff(articleId, from, to) {
+        const [before, after] = await Promise.all([this.get(articleId, from), this.get(articleId, to)]);
+        if (!before || !after) {
+            return null;
+        }
+
+        const summary = ({ revision, author, createdAt, restoredFrom }) => ({ revision, author, createdAt, restoredFrom });
+        const changes = {};
+        if (before.title !== after.title) {
+            changes.title = { from: before.title, to: after.title };
+        }
+        if (before.status !== after.status) {
+            changes.status = { from: before.status, to: after.status };
+        }
+        const added = after.tags.filter(tag => !before.tags.includes(tag));
+        const removed = before.tags.filter(tag => !after.tags.includes(tag));
+        if (added.length > 0 || removed.length > 0) {
+            changes.tags = { added, removed };
+        }
+
+        return {
+            articleId,
+            from: summary(before),
+            to: summary(after),
+            changes,
+            body: diffLines(before.body, after.body)
+        };
+    }
+
+    /**
+     * Restore the content of an earlier revision as a new revision, so the
+     * history keeps everything in between. Returns null when the revision
+     * doesn't exist.
+     */
+    async rollback(articleId, revision, authorId) {
+        const target = await this.get(articleId, revision);
+        if (!target) {
+            return null;
+        }
+
+        const content = Object.fromEntries(CONTENT_FIELDS.map(field => [field, target[field]]));
+        return this.update(articleId, content, authorId, { restoredFrom: revision });
+    }
+}
+
+export default new ArticleRevisionService();
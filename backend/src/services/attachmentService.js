@@ -0,0 +1,91 @@
+import crypto from 'crypto';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { Attachment } from '../models/Attachment.js';
+import { logger } from '../utils/logger.js';
+import { deleteQuietly, getStorage } from './storageService.js';
+
+/**
+ * Attachment Service
+ * Stores uploaded files through the configured storage driver and decides
+ * who may download them.
+ */
+class AttachmentService {
+    /**
+     * Persist uploaded files (from the upload middleware) for a ticket or reply.
+     * Returns the created Attachment documents.
+     */
+    async saveUploads(files, { ticketId, replyId, uploadedBy }) {
+        const driver = getStorage();
+        const stored = [];
+        const documents = [];
+
+        try {
+            for (const file of files) {
+                const filename = this.sanitizeFilename(file.originalname);
+                const key = `tickets/${ticketId}/${uuidv4()}${path.extname(filename).toLowerCase()}`;
+
+                await driver.put(key, file.buffer, { contentType: file.mimetype });
+                stored.push(key);
+
+                documents.push(new Attachment({
+                    ticketId,
+                    replyId,
+                    uploadedBy,
+                    filename,
+                    contentType: file.mimetype.toLowerCase(),
+                    size: file.size,
+                    checksum: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+                    storage: { driver: driver.name, key }
+                }));
+            }
+
+            return await Attachment.insertMany(documents);
+        } catch (error) {
+            // Don't leave orphaned files behind when any part of the batch fails
+            await deleteQuietly(driver.name, stored);
+            logger.error('Failed to store attachments:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Embedded reference kept on the ticket or reply
+     */
+    toReference(attachment) {
+        return {
+            attachmentId: attachment._id,
+            url: attachment.downloadUrl,
+            filename: attachment.filename,
+            contentType: attachment.contentType,
+            size: attachment.size
+        };
+    }
+
+    /**
+     * Staff can read every attachment. Customers only read attachments on
+     * their own tickets, and never those on internal notes.
+     */
+    canAccess(attachment, ticket, user) {
+        if (user.role === 'agent' || user.role === 'admin') return true;
+        if (!ticket.createdBy.equals(user._id)) return false;
+
+        if (attachment.replyId) {
+            const reply = ticket.replies.id(attachment.replyId);
+            if (!reply || reply.isInternal) return false;
+        }
+
+        return true;
+    }
+
+    async openStream(attachment) {
+        return getStorage(attachment.storage.driver).getStream(attachment.storage.key);
+    }
+
+    sanitizeFilename(name) {
+        const base = path.basename(name || 'file').replace(/[^\w.\- ]+/g, '_').trim();
+        return (base || 'file').substring(0, 255);
+    }
+}
+
+export default new AttachmentService();
@@ -0,0 +1,370 @@
+import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { simpleParser } from 'mailparser';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { getUploadLimits, matchesSignature } from '../middleware/upload.js';
+import { AuditLog } from '../models/AuditLog.js';
+import { InboundEmail } from '../models/InboundEmail.js';
+import { Ticket } from '../models/Ticket.js';
+import { User } from '../models/User.js';
+import {
+    cleanSubject,
+    findTicketReference,
+    stripQuotedReply
+} from '../utils/emailThreading.js';
+import { logger } from '../utils/logger.js';
+import attachmentService from './attachmentService.js';
+import ticketService from './ticketService.js';
+
+// Ticket title and body limits from the Ticket model
+const MAX_TITLE_LENGTH = 200;
+const MAX_BODY_LENGTH = 5000;
+
+/**
+ * Email Ingest Service
+ * Turns raw RFC 822 messages into tickets or replies. Messages arrive from an
+ * MTA webhook or a local maildir; both go through ingest().
+ */
+class EmailIngestService {
+    constructor() {
+        this.pollTimer = null;
+        this.polling = false;
+    }
+
+    /**
+     * Process one raw message. Returns the InboundEmail record describing
+     * what happened. Each Message-ID is only processed once: a redelivery
+     * after a failure that came after the ticket or reply was created only
+     * retries the attachments.
+     */
+    async ingest(raw, { source = 'webhook' } = {}) {
+        const parsed = await simpleParser(raw);
+
+        const messageId = parsed.messageId
+            || `<sha256.${crypto.createHash('sha256').update(raw).digest('hex')}@inbound>`;
+        const fromAddress = parsed.from?.value?.[0]?.address?.toLowerCase();
+
+        let record = await InboundEmail.findOne({ messageId });
+        if (record && record.status !== 'failed') {
+            logger.info(`Skipping duplicate inbound email ${messageId}`);
+            return { record, duplicate: true };
+        }
+
+        if (!record) {
+            try {
+                record = await InboundEmail.create({
+                    messageId,
+                    source,
+                    from: fromAddress,
+                    subject: (parsed.subject || '').substring(0, 500)
+                });
+            } catch (error) {
+                // Another delivery of the same message won the race
+                if (error.code === 11000) {
+                    return { record: await InboundEmail.findOne({ messageId }), duplicate: true };
+                }
+                throw error;
+            }
+        } else {
+            record.status = 'processing';
+            record.error = undefined;
+            await record.save();
+        }
+
+        try {
+            if (record.outcome) {
+                await this._attach(parsed, record);
+                record.status = 'processed';
+            } else {
+                await this._process(parsed, fromAddress, record);
+            }
+            await record.save();
+            return { record, duplicate: false };
+        } catch (error) {
+            record.status = 'failed';
+            record.error = error.message;
+            await record.save();
+            logger.error(`Inbound email ${messageId} failed:`, error);
+            throw error;
+        }
+    }
+
+    async _process(parsed, fromAddress, record) {
+        const ignoreReason = this._getIgnoreReason(parsed, fromAddress);
+        if (ignoreReason) {
+            record.status = 'ignored';
+            record.reason = ignoreReason;
+            logger.info(`Ignoring inbound email ${record.messageId}: ${ignoreReason}`);
+            return;
+        }
+
+        const user = await this._resolveSender(parsed, fromAddress);
+        if (!user.isActive) {
+            record.status = 'ignored';
+            record.reason = 'sender_inactive';
+            record.userId = user._id;
+            return;
+        }
+        record.userId = user._id;
+
+        // From: is unauthenticated, so mail can't speak for staff: they reply in the app
+        if (user.role !== 'user') {
+            record.status = 'ignored';
+            record.reason = 'staff_sender';
+            logger.warn(`Ignoring inbound email ${record.messageId} from staff address ${fromAddress}`);
+            return;
+        }
+
+        const ticketId = findTicketReference({
+            subject: parsed.subject,
+            headers: parsed.headers,
+            inReplyTo: parsed.inReplyTo,
+            references: parsed.references
+        });
+        const ticket = ticketId ? await Ticket.findById(ticketId) : null;
+
+        if (ticket && this._canReply(ticket, user)) {
+            await this._addReply(parsed, ticket, user, record);
+        } else {
+            await this._createTicket(parsed, user, record, ticket);
+        }
+
+        record.status = 'processed';
+    }
+
+    /**
+     * Auto-replies, bounces and our own outbound mail would loop forever
+     */
+    _getIgnoreReason(parsed, fromAddress) {
+        if (!fromAddress) return 'missing_sender';
+
+        const autoSubmitted = parsed.headers.get('auto-submitted');
+        if (autoSubmitted && String(autoSubmitted).toLowerCase() !== 'no') return 'auto_submitted';
+
+        const precedence = String(parsed.headers.get('precedence') || '').toLowerCase();
+        if (['bulk', 'junk', 'list', 'auto_reply'].includes(precedence)) return 'bulk_precedence';
+
+        const ownAddress = process.env.EMAIL_FROM_ADDRESS?.toLowerCase();
+        if (ownAddress && fromAddress === ownAddress) return 'own_address';
+
+        if (/^(mailer-daemon|postmaster)@/i.test(fromAddress)) return 'bounce';
+
+        return null;
+    }
+
+    /**
+     * Find the sender's account, creating a customer account if there is none
+     */
+    async _resolveSender(parsed, email) {
+        const existing = await User.findOne({ email });
+        if (existing) return existing;
+
+        const displayName = parsed.from.value[0].name?.trim();
+        const name = (displayName && displayName.length >= 2 ? displayName : email.split('@')[0]).substring(0, 100);
+
+        // Random password: these customers work over email until they get a login
+        const passwordHash = await bcrypt.hash(crypto.randomBytes(32).toString('hex'), 12);
+
+        try {
+            const user = await User.create({ name, email, passwordHash, role: 'user' });
+
+            await AuditLog.create({
+                targetUserId: user._id,
+                traceId: uuidv4(),
+                actor: 'system',
+                action: 'USER_CREATED',
+                meta: { targetEmail: email, role: 'user', source: 'email' }
+            });
+
+            logger.info(`Provisioned customer from inbound email: ${email}`, { userId: user._id });
+            return user;
+        } catch (error) {
+            if (error.code === 11000) {
+                return User.findOne({ email });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Only the ticket's own customer can thread onto a ticket by email
+     */
+    _canReply(ticket, user) {
+        return user.role === 'user' && ticket.createdBy.equals(user._id) && ticket.status !== 'closed';
+    }
+
+    async _createTicket(parsed, user, record, referencedTicket) {
+        const title = (cleanSubject(parsed.subject) || '(no subject)').substring(0, MAX_TITLE_LENGTH);
+        const description = this._truncate(parsed.text?.trim()) || '(no message body)';
+
+        const { ticket } = await ticketService.createTicket({
+            title,
+            description,
+            user,
+            source: 'email',
+            meta: {
+                messageId: record.messageId,
+                ...(referencedTicket && { referencedTicketId: referencedTicket._id })
+            }
+        });
+
+        // Saved before the attachments so a redelivery can't open a second ticket
+        record.outcome = 'ticket_created';
+        record.ticketId = ticket._id;
+        await record.save();
+
+        await this._attach(parsed, record);
+    }
+
+    async _addReply(parsed, ticket, user, record) {
+        const content = this._truncate(stripQuotedReply(parsed.text || '')) || '(no message body)';
+
+        const { reply } = await ticketService.addCustomerReply(ticket, user, content, { source: 'email' });
+
+        record.outcome = 'reply_added';
+        record.ticketId = ticket._id;
+        record.replyId = reply._id;
+        await record.save();
+
+        await this._attach(parsed, record);
+    }
+
+    /**
+     * Store the message's attachments on the ticket or reply the record points at
+     */
+    async _attach(parsed, record) {
+        record.skippedAttachments = [];
+        const attachments = await this._storeAttachments(parsed, record, {
+            ticketId: record.ticketId,
+            replyId: record.replyId,
+            uploadedBy: record.userId
+        });
+        if (attachments.length === 0) return;
+
+        // Triage may already have updated the ticket, so push atomically
+        if (record.replyId) {
+            await Ticket.updateOne(
+                { _id: record.ticketId, 'replies._id': record.replyId },
+                { $push: { 'replies.$.attachments': { $each: attachments } } }
+            );
+        } else {
+            await Ticket.updateOne(
+                { _id: record.ticketId },
+                { $push: { attachments: { $each: attachments } } }
+            );
+        }
+    }
+
+    /**
+     * Save attachments that pass the same allowlists as web uploads
+     */
+    async _storeAttachments(parsed, record, target) {
+        const { maxBytes, maxFiles, allowedTypes } = getUploadLimits();
+        const files = [];
+
+        for (const part of parsed.attachments || []) {
+            // Inline images referenced from the HTML body are not attachments
+            if (part.related) continue;
+
+            const contentType = (part.contentType || '').toLowerCase();
+            const filename = part.filename || 'attachment';
+            let reason = null;
+
+            if (!allowedTypes.includes(contentType)) reason = 'type_not_allowed';
+            else if (part.size > maxBytes) reason = 'too_large';
+            else if (!matchesSignature(contentType, part.content)) reason = 'content_mismatch';
+            else if (files.length >= maxFiles) reason = 'too_many_files';
+
+            if (reason) {
+                record.skippedAttachments.push({ filename, contentType, reason });
+                continue;
+            }
+
+            files.push({
+                originalname: filename,
+                mimetype: contentType,
+                buffer: part.content,
+                size: part.size
+            });
+        }
+
+        if (files.length === 0) return [];
+
+        const saved = await attachmentService.saveUploads(files, target);
+        return saved.map(attachment => attachmentService.toReference(attachment));
+    }
+
+    _truncate(text) {
+        if (!text) return '';
+        return text.length > MAX_BODY_LENGTH ? text.substring(0, MAX_BODY_LENGTH) : text;
+    }
+
+    /**
+     * Process every message in <maildir>/new, moving each to cur/ with the
+     * Seen flag, or Seen+Flagged when processing failed.
+     */
+    async pollMaildir(maildir = process.env.MAILDIR_PATH) {
+        if (this.polling) return { processed: 0, failed: 0 };
+        this.polling = true;
+
+        let processed = 0;
+        let failed = 0;
+
+        try {
+            const newDir = path.join(maildir, 'new');
+            const curDir = path.join(maildir, 'cur');
+            await fs.mkdir(curDir, { recursive: true });
+
+            const names = (await fs.readdir(newDir)).filter(name => !name.startsWith('.')).sort();
+
+            for (const name of names) {
+                const filePath = path.join(newDir, name);
+                let flags = 'S';
+
+                try {
+                    const raw = await fs.readFile(filePath);
+                    await this.ingest(raw, { source: 'maildir' });
+                    processed++;
+                } catch (error) {
+                    flags = 'FS';
+                    failed++;
+                    logger.error(`Failed to ingest maildir message ${name}:`, error.message);
+                }
+
+                await fs.rename(filePath, path.join(curDir, `${name.split(':')[0]}:2,${flags}`));
+            }
+        } finally {
+            this.polling = false;
+        }
+
+        if (processed || failed) {
+            logger.info(`Maildir poll: ${processed} processed, ${failed} failed`);
+        }
+        return { processed, failed };
+    }
+
+    startMaildirPolling() {
+        const maildir = process.env.MAILDIR_PATH;
+        if (!maildir || this.pollTimer) return;
+
+        const intervalMs = parseInt(process.env.MAILDIR_POLL_INTERVAL_MS) || 30000;
+        this.pollTimer = setInterval(() => {
+            this.pollMaildir(maildir).catch(error => {
+                logger.error('Maildir poll error:', error);
+            });
+        }, intervalMs);
+
+        logger.info(`Polling maildir ${maildir} every ${intervalMs}ms`);
+    }
+
+    stopMaildirPolling() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+    }
+}
+
+export default new EmailIngestService();
@@ -0,0 +1,180 @@
+import { createHash } from 'crypto';
+import { stem, tokenize } from '../utils/tokenizer.js';
+import { postJson } from './llmProviders.js';
+
+/**
+ * Embedder Registry
+ * An embedder turns texts into fixed-length, L2-normalised vectors for KB
+ * retrieval. `id` names the embedder and its settings; chunks embedded under
+ * another id are re-embedded before they are searched. KB_EMBEDDER picks
+ * the embedder and defaults to the local one, which needs no network.
+ */
+
+const EMBEDDING_TIMEOUT_MS = 30000;
+
+const normalize = (vector) => {
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+};
+
+// Support vocabulary: words and phrases in a group map to one shared feature,
+// so "money back" lands next to "refund" without a trained model
+const CONCEPTS = {
+    refund: ['refund', 'reimburse', 'reimbursement', 'money back', 'chargeback', 'repay', 'credit back'],
+    payment: ['charge', 'bill', 'billing', 'invoice', 'payment', 'pay', 'paid', 'fee', 'subscription', 'card', 'price'],
+    duplicate: ['twice', 'double', 'duplicate', 'again', 'two times'],
+    login: ['login', 'log in', 'sign in', 'signin', 'password', 'credential', 'locked out', 'two factor', '2fa', 'reset'],
+    account: ['account', 'profile', 'username', 'email address'],
+    shipping: ['ship', 'shipping', 'delivery', 'deliver', 'package', 'parcel', 'courier', 'tracking', 'shipment', 'arrive'],
+    delay: ['late', 'delay', 'delayed', 'slow', 'still waiting', 'not arrived', 'overdue'],
+    return: ['return', 'exchange', 'send back', 'replacement', 'rma'],
+    cancel: ['cancel', 'cancellation', 'unsubscribe', 'terminate', 'close account'],
+    error: ['error', 'bug', 'crash', 'broken', 'fail', 'failure', 'not working', 'issue', 'problem'],
+    install: ['install', 'setup', 'set up', 'configure', 'configuration', 'download', 'update', 'upgrade']
+};
+
+const MAX_PHRASE_WORDS = 3;
+
+// Keyed by stemmed words; stop words stay so "log in" and "sign in" are phrases
+const CONCEPT_INDEX = new Map(Object.entries(CONCEPTS).flatMap(([concept, phrases]) =>
+    phrases.map(phrase => [phrase.split(/\s+/).map(stem).join(' '), concept])
+));
+
+// 32-bit FNV-1a
+const hashFeature = (feature) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < feature.length; i++) {
+        hash ^= feature.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+/**
+ * CPU-only feature-hashing embedder. Stems, bigrams and character trigrams
+ * are hashed into a fixed number of signed buckets, plus one feature per
+ * support concept a word or phrase belongs to. No model download or network.
+ */
+class LocalEmbedder {
+    name = 'local';
+
+    constructor(dimensions = 384) {
+        this.dimensions = dimensions;
+    }
+
+    get id() {
+        return `${this.name}:v1:${this.dimensions}`;
+    }
+
+    get isConfigured() {
+        return true;
+    }
+
+    async embed(texts) {
+        return texts.map(text => this._embedOne(text));
+    }
+
+    _embedOne(text) {
+        const vector = new Array(this.dimensions).fill(0);
+        const add = (feature, weight) => {
+            const hash = hashFeature(feature);
+            vector[hash % this.dimensions] += hash & 0x80000000 ? -weight : weight;
+        };
+
+        const tokens = tokenize(text);
+
+        tokens.forEach((token, i) => {
+            add(`w:${token}`, 1);
+            for (let j = 0; j + 3 <= token.length + 2; j++) {
+                add(`t:${`#${token}#`.slice(j, j + 3)}`, 0.2);
+            }
+            if (i > 0) {
+                add(`b:${tokens[i - 1]} ${token}`, 0.5);
+            }
+        });
+
+        // Concepts are matched on every word, stop words included
+        const words = ((text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).map(stem);
+        words.forEach((_, end) => {
+            for (let size = 1; size <= MAX_PHRASE_WORDS && size <= end + 1; size++) {
+                const concept = CONCEPT_INDEX.get(words.slice(end + 1 - size, end + 1).join(' '));
+                if (concept) {
+                    add(`c:${concept}`, 1.5);
+                }
+            }
+        });
+
+        return normalize(vector);
+    }
+}
+
+/**
+ * Any server implementing the OpenAI embeddings API
+ */
+class OpenAICompatibleEmbedder {
+    name = 'openai';
+
+    get baseUrl() {
+        return (process.env.EMBEDDING_BASE_URL || process.env.LLM_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    }
+
+    get model() {
+        return process.env.EMBEDDING_MODEL || 'text-embedding-3-small';
+    }
+
+    get id() {
+        return `${this.name}:${this.model}`;
+    }
+
+    get isConfigured() {
+        return Boolean(process.env.OPENAI_API_KEY || process.env.EMBEDDING_BASE_URL || process.env.LLM_BASE_URL);
+    }
+
+    async embed(texts) {
+        const headers = {};
+        if (process.env.OPENAI_API_KEY) {
+            headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+        }
+
+        const data = await postJson(`${this.baseUrl}/embeddings`, headers, {
+            model: this.model,
+            input: texts
+        }, EMBEDDING_TIMEOUT_MS);
+
+        const vectors = (data?.data || [])
+            .sort((a, b) => a.index - b.index)
+            .map(item => item.embedding);
+        if (vectors.length !== texts.length || vectors.some(vector => !Array.isArray(vector))) {
+            throw new Error('Embedding response did not contain a vector for every input');
+        }
+        return vectors.map(normalize);
+    }
+}
+
+const registry = new Map();
+
+export const registerEmbedder = (embedder) => {
+    registry.set(embedder.name, embedder);
+};
+
+export const getEmbedder = (name = process.env.KB_EMBEDDER || 'local') => {
+    const embedder = registry.get(name);
+    if (!embedder) {
+        throw new Error(`Unknown embedder: ${name}`);
+    }
+    return embedder;
+};
+
+export const listEmbedders = () => [...registry.values()].map(embedder => ({
+    name: embedder.name,
+    id: embedder.id,
+    configured: embedder.isConfigured
+}));
+
+/**
+ * Fingerprint of a text under an embedder, to spot chunks that need re-embedding
+ */
+export const contentHash = (embedder, text) => createHash('sha1').update(`${embedder.id}\n${text}`).digest('hex');
+
+registerEmbedder(new LocalEmbedder());
+registerEmbedder(new OpenAICompatibleEmbedder());
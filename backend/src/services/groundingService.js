@@ -0,0 +1,137 @@
+import { tokenize } from '../utils/tokenizer.js';
+import { getEmbedder } from './embedders.js';
+
+// Inline citation markers: [1] or [1, 3]
+const CITATION_MARKER = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+// A sentence with the citation markers and closing quotes that follow its full stop
+const SENTENCE = /[^.!?]+(?:[.!?]+["')\]]*)?(?:\s*\[\d+(?:\s*,\s*\d+)*\])*[.!?]?/g;
+// Lines of a "Sources:" list, e.g. "[1] Refund policy"
+const SOURCE_LINE = /^\s*\[\d+\]\s/;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Share of a draft's sentences that must carry a citation, so a single
+// well-cited sentence can't vouch for a reply of unsupported ones
+export const MIN_CITED_SHARE = parseFloat(process.env.GROUNDING_MIN_CITED_SHARE) || 0.1;
+
+/**
+ * Grounding Service
+ * Checks a draft against the articles retrieval returned: drops citations
+ * that point at other articles or at text the article doesn't contain, and
+ * scores how well each cited sentence is supported by the passages it cites.
+ */
+class GroundingService {
+    /**
+     * Verify a draft's citations. Returns the citations that resolve to the
+     * retrieved articles and a report of sentence support scores and rejected
+     * citations. `score` is the mean support of the cited sentences, 0 when
+     * the draft cites nothing, and null when retrieval found no articles:
+     * there is then nothing to check it against. `citedShare` is the share
+     * of sentences that carry a citation.
+     */
+    async verify(draft, articles, embedder = getEmbedder()) {
+        const { citations, rejected } = this._checkCitations(draft, articles);
+        const byNumber = new Map(citations.map(citation => [citation.number, citation]));
+
+        const sentences = this._splitSentences(draft.draftReply);
+        const cited = sentences.filter(sentence => sentence.citations.length > 0);
+
+        // Embed each cited sentence with the passages it cites, in one call
+        const sources = cited.map(sentence => sentence.citations
+            .filter(number => byNumber.has(number))
+            .map(number => byNumber.get(number).text)
+            .join('\n'));
+        const vectors = cited.length > 0
+            ? await embedder.embed([...cited.map(sentence => sentence.claim), ...sources])
+            : [];
+
+        const scored = cited.map((sentence, i) => ({
+            text: sentence.text,
+            citations: sentence.citations,
+            support: sources[i] ? round(this._support(sentence.claim, sources[i], vectors[i], vectors[cited.length + i])) : 0
+        }));
+
+        let score = null;
+        if (articles.length > 0) {
+            score = scored.length > 0
+                ? round(scored.reduce((sum, sentence) => sum + sentence.support, 0) / scored.length)
+                : 0;
+        }
+
+        return {
+            citations,
+            report: {
+                score,
+                citedSentences: scored.length,
+                uncitedSentences: sentences.length - scored.length,
+                citedShare: sentences.length > 0 ? round(scored.length / sentences.length) : 0,
+                sentences: scored,
+                rejectedCitations: rejected
+            }
+        };
+    }
+
+    /**
+     * Split the draft's citations into those backed by a retrieved article
+     * and those that aren't, including inline numbers with no citation at all
+     */
+    _checkCitations(draft, articles) {
+        const retrieved = new Map(articles.map(article => [article._id.toString(), article]));
+        const citations = [];
+        const rejected = [];
+
+        for (const citation of draft.citations || []) {
+            const article = retrieved.get(citation.articleId?.toString());
+            if (!article) {
+                rejected.push({ number: citation.number, articleId: citation.articleId, reason: 'unknown_article' });
+            } else if (article.body.slice(citation.start, citation.end) !== citation.text) {
+                rejected.push({ number: citation.number, articleId: citation.articleId, reason: 'passage_mismatch' });
+            } else {
+                citations.push(citation);
+            }
+        }
+
+        const known = new Set((draft.citations || []).map(citation => citation.number));
+        const inline = [...draft.draftReply.matchAll(CITATION_MARKER)]
+            .flatMap(match => match[1].split(',').map(n => parseInt(n)));
+        [...new Set(inline)]
+            .filter(number => !known.has(number))
+            .forEach(number => rejected.push({ number, articleId: null, reason: 'unknown_citation' }));
+
+        return { citations, rejected };
+    }
+
+    /**
+     * Sentences of the reply with the citation numbers each carries. The
+     * sources list is left out: it names the articles rather than claiming anything.
+     */
+    _splitSentences(text) {
+        return text
+            .split('\n')
+            .filter(line => !SOURCE_LINE.test(line))
+            .flatMap(line => line.match(SENTENCE) || [])
+            .map(sentence => sentence.trim())
+            .map(sentence => ({
+                text: sentence,
+                claim: sentence.replace(CITATION_MARKER, ' '),
+                citations: [...new Set([...sentence.matchAll(CITATION_MARKER)]
+                    .flatMap(match => match[1].split(',').map(n => parseInt(n))))]
+            }))
+            .filter(sentence => tokenize(sentence.claim).length > 0);
+    }
+
+    /**
+     * How well a source supports a claim: the share of the claim's words the
+     * source contains, or their embedding similarity for paraphrases
+     */
+    _support(claim, source, claimVector, sourceVector) {
+        const claimTerms = new Set(tokenize(claim));
+        const sourceTerms = new Set(tokenize(source));
+        const overlap = [...claimTerms].filter(term => sourceTerms.has(term)).length / claimTerms.size;
+        const similarity = claimVector.reduce((sum, value, i) => sum + value * sourceVector[i], 0);
+
+        return Math.min(1, Math.max(overlap, similarity, 0));
+    }
+}
+
+export default new GroundingService();
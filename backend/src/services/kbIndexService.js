@@ -0,0 +1,168 @@
+import { ArticleChunk } from '../models/ArticleChunk.js';
+import { logger } from '../utils/logger.js';
+import { contentHash, getEmbedder } from './embedders.js';
+
+// Passage size, in words: shorter paragraphs are merged, longer ones split
+const MIN_PASSAGE_WORDS = 25;
+const MAX_PASSAGE_WORDS = parseInt(process.env.KB_PASSAGE_WORDS) || 80;
+// Bump when passage splitting changes so stored passages are rebuilt
+const PASSAGE_VERSION = 'passages:v2';
+
+const countWords = (text) => (text.match(/\S+/g) || []).length;
+
+/**
+ * KB Index Service
+ * Splits article bodies into passages and stores each passage with its
+ * embedding. Articles are indexed when saved through the API; anything saved
+ * another way (seeding, direct model writes) or embedded by a different
+ * embedder is re-indexed the next time it is searched.
+ */
+class KbIndexService {
+    /**
+     * Fingerprint of everything a passage's text and embedding depend on
+     */
+    articleHash(article, embedder) {
+        return contentHash(embedder, `${PASSAGE_VERSION}\n${article.title}\n\n${article.body}`);
+    }
+
+    /**
+     * Split an article body into passages of whole paragraphs, with the
+     * character offsets of each in the body. Long paragraphs are cut at
+     * sentence ends; short ones (e.g. headings) join the next paragraph.
+     */
+    splitPassages(body) {
+        const paragraphs = [...body.matchAll(/\S[\s\S]*?(?=\n\s*\n|\s*$)/g)]
+            .map(match => ({ start: match.index, end: match.index + match[0].length }));
+
+        const pieces = paragraphs.flatMap(paragraph => this._splitParagraph(body, paragraph));
+
+        const passages = [];
+        for (const piece of pieces) {
+            const words = countWords(body.slice(piece.start, piece.end));
+            const previous = passages[passages.length - 1];
+            if (previous && previous.words < MIN_PASSAGE_WORDS && previous.words + words <= MAX_PASSAGE_WORDS) {
+                previous.end = piece.end;
+                previous.words += words;
+            } else {
+                passages.push({ ...piece, words });
+            }
+        }
+
+        // A short closing paragraph joins the passage before it
+        const last = passages[passages.length - 1];
+        const beforeLast = passages[passages.length - 2];
+        if (last && beforeLast && last.words < MIN_PASSAGE_WORDS && beforeLast.words + last.words <= MAX_PASSAGE_WORDS) {
+            beforeLast.end = last.end;
+            passages.pop();
+        }
+
+        return passages.map(({ start, end }, index) => ({ index, start, end, text: body.slice(start, end) }));
+    }
+
+    _splitParagraph(body, { start, end }) {
+        const words = [...body.slice(start, end).matchAll(/\S+/g)];
+        if (words.length <= MAX_PASSAGE_WORDS) {
+            return [{ start, end }];
+        }
+
+        const pieces = [];
+        let first = 0;
+        while (first < words.length) {
+            let last = Math.min(first + MAX_PASSAGE_WORDS, words.length) - 1;
+            if (last < words.length - 1) {
+                // End on a sentence if one finishes in the second half of the window
+                for (let i = last; i > first + MAX_PASSAGE_WORDS / 2; i--) {
+                    if (/[.!?:]["')\]]*$/.test(words[i][0])) {
+                        last = i;
+                        break;
+                    }
+                }
+            }
+            pieces.push({
+                start: start + words[first].index,
+                end: start + words[last].index + words[last][0].length
+            });
+            first = last + 1;
+        }
+        return pieces;
+    }
+
+    /**
+     * Split and embed an article, replacing its previous passages.
+     * Returns the stored passages.
+     */
+    async indexArticle(article, embedder = getEmbedder()) {
+        const hash = this.articleHash(article, embedder);
+        const passages = this.splitPassages(article.body);
+        // The title gives each passage its context
+        const vectors = await embedder.embed(passages.map(passage => `${article.title}\n\n${passage.text}`));
+
+        const docs = passages.map((passage, i) => ({
+            ...passage,
+            articleId: article._id,
+            embedding: vectors[i],
+            embedder: embedder.id,
+            contentHash: hash
+        }));
+
+        // Upserts keep concurrent re-indexes of one article from colliding
+        if (docs.length > 0) {
+            await ArticleChunk.bulkWrite(docs.map(doc => ({
+                replaceOne: {
+                    filter: { articleId: doc.articleId, index: doc.index },
+                    replacement: doc,
+                    upsert: true
+                }
+            })));
+        }
+        await ArticleChunk.deleteMany({ articleId: article._id, index: { $gte: docs.length } });
+
+        logger.info(`Indexed article ${article._id}`, { passages: docs.length, embedder: embedder.id });
+        return docs;
+    }
+
+    /**
+     * Index an article after a save without failing the save; search
+     * re-indexes it later if this fails
+     */
+    async indexArticleQuietly(article) {
+        try {
+            await this.indexArticle(article);
+        } catch (error) {
+            logger.warn(`Failed to index article ${article._id}: ${error.message}`);
+        }
+    }
+
+    async removeArticle(articleId) {
+        await ArticleChunk.deleteMany({ articleId });
+    }
+
+    /**
+     * The passages of the given articles, re-indexing any whose text or
+     * embedder changed since they were last indexed
+     */
+    async getPassages(articles, embedder = getEmbedder()) {
+        const stored = await ArticleChunk.find({ articleId: { $in: articles.map(article => article._id) } })
+            .sort({ index: 1 })
+            .lean();
+
+        const byArticle = new Map();
+        stored.forEach(passage => {
+            const id = passage.articleId.toString();
+            byArticle.set(id, [...(byArticle.get(id) || []), passage]);
+        });
+
+        const passages = [];
+        for (const article of articles) {
+            let articlePassages = byArticle.get(article._id.toString());
+            if (!articlePassages || articlePassages[0].contentHash !== this.articleHash(article, embedder)) {
+                articlePassages = await this.indexArticle(article, embedder);
+            }
+            passages.push(...articlePassages);
+        }
+
+        return passages;
+    }
+}
+
+export default new KbIndexService();
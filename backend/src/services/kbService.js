@@ -1,5 +1,29 @@
 import { Article } from '../models/Article.js';
 import { logger } from '../utils/logger.js';
+import { STOP_WORDS, tokenize } from '../utils/tokenizer.js';
+import { getEmbedder } from './embedders.js';
+import kbIndexService from './kbIndexService.js';
+
+export const SEARCH_MODES = ['hybrid', 'vector', 'keyword'];
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const envNumber = (name, fallback) => {
+    const value = parseFloat(process.env[name]);
+    return Number.isFinite(value) ? value : fallback;
+};
+
+// Share of the hybrid score that comes from vector similarity
+const HYBRID_VECTOR_WEIGHT = envNumber('KB_HYBRID_VECTOR_WEIGHT', 0.5);
+// Articles scoring below this are not relevant enough to return
+const MIN_SEMANTIC_SCORE = envNumber('KB_MIN_SCORE', 0.1);
+
+// Passages returned with each article, best first
+const PASSAGES_PER_ARTICLE = 2;
+
+// BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
 
 /**
  * Knowledge Base Service
@@ -7,16 +31,31 @@ import { logger } from '../utils/logger.js';
  */
 class KnowledgeBaseService {
     /**
-     * Search articles using multiple strategies
+     * Search articles. `hybrid` (the default, or KB_SEARCH_MODE) ranks article
+     * chunks by BM25 and embedding similarity together, `vector` by embedding
+     * similarity alone, and `keyword` uses MongoDB text and regex search.
+     * Semantic modes fall back to keyword search if embedding fails.
+     * Each article comes with its best `passages`, located by offsets in its body.
      */
     async searchArticles(query, options = {}) {
         const {
             limit = 3,
             category = null,
-            status = 'published'
+            status = 'published',
+            mode = process.env.KB_SEARCH_MODE || 'hybrid'
         } = options;
 
         try {
+            if (mode !== 'keyword') {
+                try {
+                    const articles = await this._semanticSearch(query, { limit, status, category, mode });
+                    logger.info(`Found ${articles.length} relevant articles (${mode}) for query: "${query}"`);
+                    return articles;
+                } catch (error) {
+                    logger.warn(`Semantic KB search failed, using keyword search: ${error.message}`);
+                }
+            }
+
             // First try text search
             let articles = await this._textSearch(query, { limit, status, category });
 
@@ -42,13 +81,147 @@ class KnowledgeBaseService {
 
             logger.info(`Found ${scoredArticles.length} relevant articles for query: "${query}"`);
 
-            return scoredArticles.slice(0, limit);
+            return this._attachPassages(scoredArticles.slice(0, limit), query);
         } catch (error) {
             logger.error('Article search failed:', error);
             throw new Error('Knowledge base search unavailable');
         }
     }
 
+    /**
+     * Rank article passages by embedding similarity and, in hybrid mode, BM25.
+     * An article scores as its best passage and carries its best passages.
+     * Candidates are scored in memory, which suits knowledge bases of up to a
+     * few thousand articles.
+     */
+    async _semanticSearch(query, { limit, status, category, mode }) {
+        const filter = this._statusFilter(status);
+        if (category) {
+            filter.tags = category;
+        }
+
+        const articles = await Article.find(filter).lean();
+        if (articles.length === 0) {
+            return [];
+        }
+
+        const embedder = getEmbedder();
+        const [passages, [queryVector]] = await Promise.all([
+            kbIndexService.getPassages(articles, embedder),
+            embedder.embed([query])
+        ]);
+
+        const titles = new Map(articles.map(article => [article._id.toString(), article.title]));
+        const vectorWeight = mode === 'vector' ? 1 : HYBRID_VECTOR_WEIGHT;
+        const keywordScores = this._bm25Scores(
+            tokenize(query),
+            passages.map(passage => tokenize(`${titles.get(passage.articleId.toString())} ${passage.text}`))
+        );
+
+        const byArticle = new Map();
+        passages.forEach((passage, i) => {
+            const vectorScore = Math.max(0, this._dot(queryVector, passage.embedding));
+            const keywordScore = keywordScores[i];
+            const score = vectorWeight * vectorScore + (1 - vectorWeight) * keywordScore;
+
+            const articleId = passage.articleId.toString();
+            byArticle.set(articleId, [...(byArticle.get(articleId) || []), { passage, score, vectorScore, keywordScore }]);
+        });
+
+        return articles
+            .map(article => {
+                const matches = (byArticle.get(article._id.toString()) || []).sort((a, b) => b.score - a.score);
+                return { article, matches };
+            })
+            .filter(({ matches }) => matches.length > 0 && matches[0].score >= MIN_SEMANTIC_SCORE)
+            .sort((a, b) => b.matches[0].score - a.matches[0].score)
+            .slice(0, limit)
+            .map(({ article, matches }) => ({
+                ...article,
+                relevanceScore: round(matches[0].score),
+                vectorScore: round(matches[0].vectorScore),
+                keywordScore: round(matches[0].keywordScore),
+                passages: matches.slice(0, PASSAGES_PER_ARTICLE).map(({ passage, score }) => ({
+                    index: passage.index,
+                    start: passage.start,
+                    end: passage.end,
+                    text: passage.text,
+                    score: round(score)
+                }))
+            }));
+    }
+
+    /**
+     * Keyword results carry passages too, picked by BM25 within each article
+     */
+    _attachPassages(articles, query) {
+        const queryTerms = tokenize(query);
+
+        return articles.map(article => {
+            const passages = kbIndexService.splitPassages(article.body);
+            const scores = this._bm25Scores(queryTerms, passages.map(passage => tokenize(passage.text)));
+
+            return {
+                ...article,
+                passages: passages
+                    .map((passage, i) => ({ ...passage, score: round(scores[i]) }))
+                    .sort((a, b) => b.score - a.score)
+                    .slice(0, PASSAGES_PER_ARTICLE)
+            };
+        });
+    }
+
+    /**
+     * BM25 score of each document for the query, as a share of the highest
+     * score the query could reach, so it is comparable with cosine similarity
+     */
+    _bm25Scores(queryTerms, documents) {
+        const terms = [...new Set(queryTerms)];
+        const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / (documents.length || 1);
+
+        const termSets = documents.map(doc => new Set(doc));
+        const idf = new Map(terms.map(term => {
+            const df = termSets.filter(set => set.has(term)).length;
+            return [term, Math.log(1 + (documents.length - df + 0.5) / (df + 0.5))];
+        }));
+        const ceiling = terms.reduce((sum, term) => sum + idf.get(term) * (BM25_K1 + 1), 0);
+        if (ceiling === 0) {
+            return documents.map(() => 0);
+        }
+
+        return documents.map(doc => {
+            const frequencies = new Map();
+            doc.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+
+            const score = terms.reduce((sum, term) => {
+                const tf = frequencies.get(term) || 0;
+                const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / (averageLength || 1));
+                return sum + idf.get(term) * (tf * (BM25_K1 + 1)) / norm;
+            }, 0);
+            return score / ceiling;
+        });
+    }
+
+    // Embeddings are normalised, so the dot product is the cosine similarity
+    _dot(a, b) {
+        let sum = 0;
+        for (let i = 0; i < Math.min(a.length, b.length); i++) {
+            sum += a[i] * b[i];
+        }
+        return sum;
+    }
+
+    /**
+     * Published articles stay searchable only until their scheduled unpublish
+     * date, even before the kb-schedule job gets to archive them
+     */
+    _statusFilter(status) {
+        if (status !== 'published') {
+            return { status };
+        }
+        return { status, unpublishAt: { $not: { $lte: new Date() } } };
+    }
+
     /**
      * MongoDB text search
      */
@@ -57,7 +230,7 @@ class KnowledgeBaseService {
             {
                 $match: {
                     $text: { $search: query },
-                    status: status
+                    ...this._statusFilter(status)
                 }
             },
             { $addFields: { score: { $meta: "textScore" } } },
@@ -80,7 +253,7 @@ class KnowledgeBaseService {
         const regexPatterns = keywords.map(keyword => new RegExp(keyword, 'i'));
 
         const searchConditions = {
-            status: status,
+            ...this._statusFilter(status),
             $or: [
                 { title: { $in: regexPatterns } },
                 { body: { $in: regexPatterns } },
@@ -102,19 +275,11 @@ class KnowledgeBaseService {
      * Extract meaningful keywords from query
      */
     _extractKeywords(query) {
-        // Remove common stop words
-        const stopWords = new Set([
-            'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for',
-            'of', 'with', 'by', 'is', 'are', 'was', 'were', 'be', 'been', 'being',
-            'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could',
-            'should', 'may', 'might', 'must', 'can', 'this', 'that', 'these', 'those'
-        ]);
-
         return query
             .toLowerCase()
             .replace(/[^\w\s]/g, ' ') // Remove punctuation
             .split(/\s+/)
-            .filter(word => word.length > 2 && !stopWords.has(word))
+            .filter(word => word.length > 2 && !STOP_WORDS.has(word))
             .slice(0, 10); // Limit to top 10 keywords
     }
 
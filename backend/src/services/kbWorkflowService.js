@@ -0,0 +1,285 @@
+import { Article } from '../models/Article.js';
+import { User } from '../models/User.js';
+import { logger } from '../utils/logger.js';
+import articleRevisionService from './articleRevisionService.js';
+
+// Status changes an editor can make; publishing and archiving can also be scheduled
+export const ARTICLE_TRANSITIONS = {
+    draft: ['in_review'],
+    in_review: ['approved', 'draft'],
+    approved: ['published', 'draft'],
+    published: ['archived'],
+    archived: ['draft']
+};
+
+// Only drafts are edited, so nothing reaches customers without a review.
+// Edits to a published article become its revision draft instead.
+export const EDITABLE_STATUSES = ['draft'];
+
+// Admins can also restore a published article straight away, e.g. when it
+// gives customers wrong answers
+export const ROLLBACK_STATUSES = ['draft', 'published'];
+
+export class ArticleWorkflowError extends Error {
+    constructor(message, status = 409) {
+        super(message);
+        this.name = 'ArticleWorkflowError';
+        this.status = status;
+    }
+}
+
+const sameId = (a, b) => a?.toString() === b?.toString();
+
+/**
+ * KB Workflow Service
+ * Moves articles through review: editors submit a draft, an assigned
+ * reviewer approves it or sends it back, and an admin publishes it now or
+ * schedules it. Scheduled changes are applied by the kb-schedule queue.
+ * A published article is revised through a revision draft that goes through
+ * the same review while the published text stays live.
+ */
+class KbWorkflowService {
+    assertEditable(article) {
+        if (!EDITABLE_STATUSES.includes(article.status)) {
+            throw new ArticleWorkflowError(`Only draft articles can be edited; this one is ${article.status}`);
+        }
+    }
+
+    assertCanRollback(article) {
+        if (!ROLLBACK_STATUSES.includes(article.status)) {
+            throw new ArticleWorkflowError(`Only draft or published articles can be rolled back; this one is ${article.status}`);
+        }
+    }
+
+    isRevising(article) {
+        return article.status === 'published' && Boolean(article.revisionDraft);
+    }
+
+    /**
+     * Save edits to a published article as its revision draft, on top of an
+     * earlier revision draft if there is one
+     */
+    async saveRevisionDraft(article, changes, user) {
+        const current = article.revisionDraft;
+        if (current && !EDITABLE_STATUSES.includes(current.status)) {
+            throw new ArticleWorkflowError(`The revision draft is ${current.status}; send it back to draft to edit it`);
+        }
+
+        const base = current || article;
+        article.revisionDraft = {
+            title: changes.title ?? base.title,
+            body: changes.body ?? base.body,
+            tags: changes.tags ?? base.tags,
+            status: 'draft',
+            author: user._id,
+            basedOn: current ? current.basedOn : article.revision,
+            updatedAt: new Date()
+        };
+        await article.save();
+
+        logger.info(`Revision draft saved for article ${article._id}`, { userId: user._id });
+        return article;
+    }
+
+    async discardRevisionDraft(article) {
+        if (!article.revisionDraft) {
+            throw new ArticleWorkflowError('This article has no revision draft', 404);
+        }
+
+        article.revisionDraft = undefined;
+        await article.save();
+        return article;
+    }
+
+    isReviewer(article, userId) {
+        return article.reviewers.some(reviewer => sameId(reviewer.user?._id || reviewer.user, userId));
+    }
+
+    /**
+     * Move an article to another status. Approving needs an assigned
+     * reviewer; a reviewer sending it back to draft records changes
+     * requested. Everything else is up to admins. While a published article
+     * has a revision draft, every move but archiving applies to the draft,
+     * and publishing it replaces the published text as a new revision.
+     * Returns the updated article.
+     */
+    async transition(article, to, user, { comment } = {}) {
+        const revising = this.isRevising(article) && to !== 'archived';
+        const from = revising ? article.revisionDraft.status : article.status;
+        if (!ARTICLE_TRANSITIONS[from]?.includes(to)) {
+            throw new ArticleWorkflowError(`Cannot move ${revising ? 'a revision draft' : 'an article'} from ${from} to ${to}`);
+        }
+
+        const reviewer = article.reviewers.find(entry => sameId(entry.user, user._id));
+        const inReview = from === 'in_review';
+        if (inReview && to === 'approved' && !reviewer) {
+            throw new ArticleWorkflowError('Only an assigned reviewer can approve this article', 403);
+        }
+        if (!(inReview && reviewer) && user.role !== 'admin') {
+            throw new ArticleWorkflowError('Only admins can change the status of this article', 403);
+        }
+        if (to === 'in_review' && article.reviewers.length === 0) {
+            throw new ArticleWorkflowError('Assign at least one reviewer before submitting for review');
+        }
+
+        const now = new Date();
+        const change = { from, to, by: user._id, at: now, revisionDraft: revising };
+        const newComment = comment && { author: user._id, body: comment, createdAt: now };
+        if (revising && to === 'published') {
+            return this._publishRevisionDraft(article, user, change, newComment);
+        }
+
+        if (to === 'in_review') {
+            article.reviewers.forEach(entry => {
+                entry.decision = 'pending';
+                entry.decidedAt = undefined;
+            });
+        } else if (inReview && reviewer) {
+            reviewer.decision = to === 'approved' ? 'approved' : 'changes_requested';
+            reviewer.decidedAt = now;
+        }
+        if (revising) {
+            article.revisionDraft.status = to;
+        } else if (to === 'published') {
+            article.publishedAt = now;
+            article.publishAt = undefined;
+        } else if (to === 'archived') {
+            // Unreviewed edits don't outlive the published article
+            article.archivedAt = now;
+            article.unpublishAt = undefined;
+            article.revisionDraft = undefined;
+        } else if (to === 'draft') {
+            // A schedule only applies to the version that was approved
+            article.publishAt = undefined;
+            article.unpublishAt = undefined;
+        }
+
+        if (!revising) {
+            article.status = to;
+        }
+        article.statusHistory.push(change);
+        if (newComment) {
+            article.comments.push(newComment);
+        }
+        await article.save();
+
+        logger.info(`${revising ? 'Revision draft of article' : 'Article'} ${article._id} moved from ${from} to ${to}`, { userId: user._id });
+        return article;
+    }
+
+    /**
+     * Replace the published text with the approved revision draft, recorded
+     * as a new revision by the draft's author
+     */
+    async _publishRevisionDraft(article, user, change, comment) {
+        const { title, body, tags, author, basedOn } = article.revisionDraft;
+
+        const published = await articleRevisionService.update(article._id, {
+            title,
+            body,
+            tags: [...tags],
+            publishedAt: change.at,
+            $unset: { revisionDraft: 1 },
+            $push: { statusHistory: change, ...(comment && { comments: comment }) }
+        }, author);
+
+        logger.info(`Revision draft of article ${article._id} published`, { basedOn, revision: published?.revision, userId: user._id });
+        return published;
+    }
+
+    /**
+     * Replace the reviewers. Reviewers kept from before keep their decision.
+     */
+    async assignReviewers(article, reviewerIds) {
+        const users = await User.find({
+            _id: { $in: reviewerIds },
+            role: { $in: ['admin', 'agent'] },
+            isActive: true
+        }).select('_id');
+        if (users.length !== reviewerIds.length) {
+            throw new ArticleWorkflowError('Reviewers must be active agents or admins', 400);
+        }
+
+        article.reviewers = reviewerIds.map(id =>
+            article.reviewers.find(entry => sameId(entry.user, id)) || { user: id }
+        );
+        await article.save();
+        return article;
+    }
+
+    async addComment(article, user, body) {
+        if (user.role !== 'admin' && !this.isReviewer(article, user._id)) {
+            throw new ArticleWorkflowError('Only admins and the article\'s reviewers can comment', 403);
+        }
+
+        article.comments.push({ author: user._id, body });
+        await article.save();
+        return article.comments[article.comments.length - 1];
+    }
+
+    /**
+     * Set or clear (null) the scheduled publish and unpublish dates. Only an
+     * approved article can be scheduled for publishing.
+     */
+    async schedule(article, { publishAt, unpublishAt }) {
+        if (publishAt && article.status !== 'approved') {
+            throw new ArticleWorkflowError('Only approved articles can be scheduled for publishing');
+        }
+        if (unpublishAt && !['approved', 'published'].includes(article.status)) {
+            throw new ArticleWorkflowError('Only approved or published articles can be scheduled for unpublishing');
+        }
+
+        if (publishAt !== undefined) {
+            article.publishAt = publishAt || undefined;
+        }
+        if (unpublishAt !== undefined) {
+            article.unpublishAt = unpublishAt || undefined;
+        }
+        if (article.publishAt && article.unpublishAt && article.unpublishAt <= article.publishAt) {
+            throw new ArticleWorkflowError('unpublishAt must be after publishAt', 400);
+        }
+
+        await article.save();
+        return article;
+    }
+
+    /**
+     * Apply every scheduled change that is due: publish approved articles
+     * whose publishAt has passed, then archive published ones whose
+     * unpublishAt has. Safe to run from several workers at once.
+     */
+    async runDueSchedules(now = new Date()) {
+        const published = await this._applyDue('publishAt', 'approved', 'published', now);
+        const archived = await this._applyDue('unpublishAt', 'published', 'archived', now);
+
+        if (published.length > 0 || archived.length > 0) {
+            logger.info('Applied scheduled KB changes', { published, archived });
+        }
+        return { published, archived };
+    }
+
+    async _applyDue(field, from, to, now) {
+        const due = await Article.find({ status: from, [field]: { $lte: now } }).select('_id').lean();
+        const stamp = to === 'published' ? 'publishedAt' : 'archivedAt';
+
+        const applied = [];
+        for (const { _id } of due) {
+            // Conditional, so a change made meanwhile (or by another worker) wins
+            const updated = await Article.findOneAndUpdate(
+                { _id, status: from, [field]: { $lte: now } },
+                {
+                    $set: { status: to, [stamp]: now },
+                    // Archiving drops an unreviewed revision draft, as in transition()
+                    $unset: { [field]: 1, ...(to === 'archived' && { revisionDraft: 1 }) },
+                    $push: { statusHistory: { from, to, at: now, scheduled: true } }
+                }
+            );
+            if (updated) {
+                applied.push(_id);
+            }
+        }
+        return applied;
+    }
+}
+
+export default new KbWorkflowService();
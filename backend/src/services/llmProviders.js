@@ -0,0 +1,232 @@
+/**
+ * LLM Provider Registry
+ * Each provider turns a list of chat messages into a completion for a given model.
+ * Connection settings are read from the environment on every call so they can
+ * be changed without restarting the process.
+ */
+
+const emptyUsage = () => ({ promptTokens: 0, completionTokens: 0, totalTokens: 0 });
+
+/**
+ * POST a JSON body and return the parsed JSON response, with a timeout.
+ * The caller's signal cancels the request as well.
+ */
+async function postJson(url, headers, body, timeoutMs, signal) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), timeoutMs);
+    const cancel = () => controller.abort();
+    signal?.addEventListener('abort', cancel, { once: true });
+
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(body),
+            signal: controller.signal
+        });
+
+        if (!response.ok) {
+            const text = await response.text().catch(() => '');
+            throw new Error(`LLM request failed with status ${response.status}: ${text.substring(0, 200)}`);
+        }
+
+        return await response.json();
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            if (signal?.aborted) {
+                throw new Error('LLM request was cancelled');
+            }
+            throw new Error(`LLM request timed out after ${timeoutMs}ms`);
+        }
+        throw error;
+    } finally {
+        clearTimeout(timeout);
+        signal?.removeEventListener('abort', cancel);
+    }
+}
+
+const trimUrl = (url) => url.replace(/\/+$/, '');
+
+const requireContent = (content) => {
+    if (typeof content !== 'string' || !content.trim()) {
+        throw new Error('LLM response did not contain any message content');
+    }
+    return content;
+};
+
+/**
+ * Deterministic keyword provider. Classification and drafting are handled
+ * directly by llmService, so it never serves chat completions.
+ */
+class StubProvider {
+    name = 'stub';
+    deterministic = true;
+
+    get defaultModel() {
+        return 'deterministic-v1';
+    }
+
+    get isConfigured() {
+        return true;
+    }
+
+    async complete() {
+        throw new Error('Stub provider does not support chat completions');
+    }
+}
+
+/**
+ * Any server implementing the OpenAI chat-completions API
+ */
+class OpenAICompatibleProvider {
+    name = 'openai';
+
+    get baseUrl() {
+        return trimUrl(process.env.LLM_BASE_URL || 'https://api.openai.com/v1');
+    }
+
+    get defaultModel() {
+        return process.env.LLM_MODEL || 'gpt-3.5-turbo';
+    }
+
+    get isConfigured() {
+        return Boolean(process.env.OPENAI_API_KEY || process.env.LLM_BASE_URL);
+    }
+
+    async complete(messages, { model, timeoutMs, signal }) {
+        const headers = {};
+        if (process.env.OPENAI_API_KEY) {
+            headers.Authorization = `Bearer ${process.env.OPENAI_API_KEY}`;
+        }
+
+        const data = await postJson(`${this.baseUrl}/chat/completions`, headers, {
+            model,
+            messages,
+            temperature: 0,
+            response_format: { type: 'json_object' }
+        }, timeoutMs, signal);
+
+        return {
+            content: requireContent(data?.choices?.[0]?.message?.content),
+            usage: {
+                promptTokens: data.usage?.prompt_tokens || 0,
+                completionTokens: data.usage?.completion_tokens || 0,
+                totalTokens: data.usage?.total_tokens || 0
+            }
+        };
+    }
+}
+
+/**
+ * Anthropic-style messages API (system prompt is sent separately)
+ */
+class AnthropicProvider {
+    name = 'anthropic';
+
+    get baseUrl() {
+        return trimUrl(process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com');
+    }
+
+    get defaultModel() {
+        return process.env.ANTHROPIC_MODEL || 'claude-3-haiku-20240307';
+    }
+
+    get isConfigured() {
+        return Boolean(process.env.ANTHROPIC_API_KEY);
+    }
+
+    async complete(messages, { model, timeoutMs, signal }) {
+        const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n');
+        const conversation = messages.filter(m => m.role !== 'system');
+
+        const data = await postJson(`${this.baseUrl}/v1/messages`, {
+            'x-api-key': process.env.ANTHROPIC_API_KEY || '',
+            'anthropic-version': '2023-06-01'
+        }, {
+            model,
+            max_tokens: 1024,
+            temperature: 0,
+            ...(system && { system }),
+            messages: conversation
+        }, timeoutMs, signal);
+
+        const text = (data?.content || [])
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+
+        const promptTokens = data.usage?.input_tokens || 0;
+        const completionTokens = data.usage?.output_tokens || 0;
+
+        return {
+            content: requireContent(text),
+            usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+        };
+    }
+}
+
+/**
+ * Local Ollama-style HTTP server
+ */
+class OllamaProvider {
+    name = 'ollama';
+
+    get baseUrl() {
+        return trimUrl(process.env.OLLAMA_BASE_URL || 'http://localhost:11434');
+    }
+
+    get defaultModel() {
+        return process.env.OLLAMA_MODEL || 'llama3';
+    }
+
+    get isConfigured() {
+        return true;
+    }
+
+    async complete(messages, { model, timeoutMs, signal }) {
+        const data = await postJson(`${this.baseUrl}/api/chat`, {}, {
+            model,
+            messages,
+            stream: false,
+            format: 'json',
+            options: { temperature: 0 }
+        }, timeoutMs, signal);
+
+        const promptTokens = data.prompt_eval_count || 0;
+        const completionTokens = data.eval_count || 0;
+
+        return {
+            content: requireContent(data?.message?.content),
+            usage: { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+        };
+    }
+}
+
+const registry = new Map();
+
+export const registerProvider = (provider) => {
+    registry.set(provider.name, provider);
+};
+
+export const getProvider = (name) => {
+    const provider = registry.get(name);
+    if (!provider) {
+        throw new Error(`Unknown LLM provider: ${name}`);
+    }
+    return provider;
+};
+
+export const hasProvider = (name) => registry.has(name);
+
+export const listProviders = () => [...registry.values()].map(provider => ({
+    name: provider.name,
+    defaultModel: provider.defaultModel,
+    configured: provider.isConfigured
+}));
+
+registerProvider(new StubProvider());
+registerProvider(new OpenAICompatibleProvider());
+registerProvider(new AnthropicProvider());
+registerProvider(new OllamaProvider());
+
+export { emptyUsage, postJson };
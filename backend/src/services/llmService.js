@@ -1,8 +1,46 @@
+import { z } from 'zod';
 import { logger } from '../utils/logger.js';
+import { emptyUsage, getProvider, hasProvider } from './llmProviders.js';
+
+// Shape the model must return for each task
+const classificationResponseSchema = z.object({
+    predictedCategory: z.enum(['billing', 'tech', 'shipping', 'other']),
+    confidence: z.number().min(0).max(1)
+});
+
+const priorityResponseSchema = z.object({
+    priority: z.enum(['low', 'medium', 'high', 'urgent']),
+    confidence: z.number().min(0).max(1),
+    reasons: z.array(z.string().max(200)).max(10).default([])
+});
+
+// Stub priority scoring: urgency cues, customer tier and category add up to a score
+const PRIORITY_CUES = {
+    urgent: { weight: 4, cues: ['urgent', 'asap', 'immediately', 'emergency', 'outage', 'security breach', 'hacked', 'fraud', 'data loss', 'production down'] },
+    high: { weight: 2, cues: ['cannot', "can't", 'unable', 'not working', 'broken', 'failed', 'locked out', 'charged twice', 'double charge'] },
+    low: { weight: -1, cues: ['question', 'wondering', 'how do i', 'curious', 'feature request', 'suggestion', 'no rush', 'when you get a chance'] }
+};
+const TIER_WEIGHTS = { standard: 0, premium: 0.5, enterprise: 1 };
+const CATEGORY_WEIGHTS = { billing: 1, tech: 0.5, shipping: 0, other: -0.5 };
+// Lowest score for each priority, most urgent first
+const PRIORITY_BANDS = [['urgent', 4], ['high', 2], ['medium', 0], ['low', -Infinity]];
+
+const draftResponseSchema = z.object({
+    draftReply: z.string().min(1).max(5000),
+    citations: z.array(z.number().int().min(1)).default([])
+});
+
+// Passage text shown to the model, and quoted by the stub
+const MAX_PROMPT_PASSAGE_CHARS = 800;
+const MAX_QUOTE_CHARS = 200;
+// Inline citation markers: [1] or [1, 3]
+const CITATION_MARKER = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
 
 /**
  * LLM Provider Interface
- * Supports both real LLM APIs and deterministic stub mode
+ * Supports both real LLM APIs and deterministic stub mode.
+ * Each call may select its own provider and model; anything not selected
+ * falls back to the environment default (STUB_MODE / LLM_PROVIDER).
  */
 class LLMProvider {
     constructor() {
@@ -10,20 +48,27 @@ class LLMProvider {
         this._initialized = false;
         this._stubMode = null;
         this._provider = null;
-        this._model = null;
+        this._timeoutMs = null;
         this._promptVersion = 'v1.0';
     }
 
     _ensureInitialized() {
         if (!this._initialized) {
             this._stubMode = process.env.STUB_MODE === 'true';
-            this._provider = this._stubMode ? 'stub' : 'openai';
-            this._model = this._stubMode ? 'deterministic-v1' : 'gpt-3.5-turbo';
+            this._provider = this._stubMode ? 'stub' : (process.env.LLM_PROVIDER || 'openai');
+            this._timeoutMs = parseInt(process.env.LLM_TIMEOUT_MS) || 30000;
+
+            if (!hasProvider(this._provider)) {
+                logger.warn(`Unknown LLM_PROVIDER "${this._provider}", falling back to openai`);
+                this._provider = 'openai';
+            }
+            this._stubMode = this._provider === 'stub';
 
             logger.info(`LLM Service initialized`, {
                 stubMode: this._stubMode,
                 STUB_MODE_ENV: process.env.STUB_MODE,
-                provider: this._provider
+                provider: this._provider,
+                model: getProvider(this._provider).defaultModel
             });
 
             this._initialized = true;
@@ -41,8 +86,7 @@ class LLMProvider {
     }
 
     get model() {
-        this._ensureInitialized();
-        return this._model;
+        return getProvider(this.provider).defaultModel;
     }
 
     get promptVersion() {
@@ -50,21 +94,38 @@ class LLMProvider {
     }
 
     /**
-     * Classify ticket category with confidence score
+     * Resolve a { provider, model } selection against the environment defaults
+     */
+    resolveSelection(selection = {}) {
+        const provider = selection?.provider || this.provider;
+        const model = selection?.model || getProvider(provider).defaultModel;
+        return { provider, model };
+    }
+
+    /**
+     * Classify ticket category with confidence score. An aborted signal
+     * cancels the provider request.
      */
-    async classify(ticketText) {
+    async classify(ticketText, selection = {}, { signal } = {}) {
         const startTime = Date.now();
+        const { provider, model } = this.resolveSelection(selection);
 
         try {
-            logger.info(`Classifying with stubMode: ${this.stubMode}`);
-            if (this.stubMode) {
+            logger.info(`Classifying with provider: ${provider}`, { model });
+            if (provider === 'stub') {
                 logger.info('Using stub classification');
-                return this._stubClassify(ticketText);
+                return {
+                    ...this._stubClassify(ticketText),
+                    provider,
+                    model,
+                    latencyMs: Date.now() - startTime,
+                    usage: emptyUsage()
+                };
             }
 
             logger.info('Using real LLM classification');
-            // Real LLM implementation would go here
-            return await this._realClassify(ticketText);
+            const { result, usage } = await this._realClassify(ticketText, { provider, model, signal });
+            return { ...result, provider, model, latencyMs: Date.now() - startTime, usage };
         } catch (error) {
             logger.error('Classification failed:', error);
             throw new Error('Classification service unavailable');
@@ -77,16 +138,23 @@ class LLMProvider {
     /**
      * Generate draft reply with citations
      */
-    async draft(ticketText, relevantArticles) {
+    async draft(ticketText, relevantArticles, selection = {}, { signal } = {}) {
         const startTime = Date.now();
+        const { provider, model } = this.resolveSelection(selection);
 
         try {
-            if (this.stubMode) {
-                return this._stubDraft(ticketText, relevantArticles);
+            if (provider === 'stub') {
+                return {
+                    ...this._stubDraft(ticketText, relevantArticles),
+                    provider,
+                    model,
+                    latencyMs: Date.now() - startTime,
+                    usage: emptyUsage()
+                };
             }
 
-            // Real LLM implementation would go here
-            return await this._realDraft(ticketText, relevantArticles);
+            const { result, usage } = await this._realDraft(ticketText, relevantArticles || [], { provider, model, signal });
+            return { ...result, provider, model, latencyMs: Date.now() - startTime, usage };
         } catch (error) {
             logger.error('Draft generation failed:', error);
             throw new Error('Draft generation service unavailable');
@@ -96,6 +164,78 @@ class LLMProvider {
         }
     }
 
+    /**
+     * Predict ticket priority from urgency cues, customer tier and category
+     */
+    async predictPriority(ticketText, { category = 'other', customerTier = 'standard' } = {}, selection = {}, { signal } = {}) {
+        const startTime = Date.now();
+        const { provider, model } = this.resolveSelection(selection);
+
+        try {
+            if (provider === 'stub') {
+                return {
+                    ...this._stubPredictPriority(ticketText, { category, customerTier }),
+                    provider,
+                    model,
+                    latencyMs: Date.now() - startTime,
+                    usage: emptyUsage()
+                };
+            }
+
+            const { result, usage } = await this._realPredictPriority(ticketText, { category, customerTier }, { provider, model, signal });
+            return { ...result, provider, model, latencyMs: Date.now() - startTime, usage };
+        } catch (error) {
+            logger.error('Priority prediction failed:', error);
+            throw new Error('Priority prediction service unavailable');
+        }
+    }
+
+    /**
+     * Deterministic stub priority prediction
+     */
+    _stubPredictPriority(text, { category, customerTier }) {
+        const lowerText = text.toLowerCase();
+        const reasons = [];
+        let score = 0;
+        let cueCount = 0;
+
+        for (const [level, { weight, cues }] of Object.entries(PRIORITY_CUES)) {
+            const found = cues.filter(cue => lowerText.includes(cue));
+            if (found.length > 0) {
+                // Repeated cues of one level count once so long rants don't snowball
+                score += weight;
+                cueCount += found.length;
+                reasons.push(`${level} cues: ${found.join(', ')}`);
+            }
+        }
+
+        const tierWeight = TIER_WEIGHTS[customerTier] || 0;
+        if (tierWeight) {
+            score += tierWeight;
+            reasons.push(`${customerTier} customer`);
+        }
+
+        const categoryWeight = CATEGORY_WEIGHTS[category] || 0;
+        if (categoryWeight) {
+            score += categoryWeight;
+            reasons.push(`${category} category`);
+        }
+
+        const bandIndex = PRIORITY_BANDS.findIndex(([, min]) => score >= min);
+        const [priority, min] = PRIORITY_BANDS[bandIndex];
+
+        // More cues and a score further inside its band mean more confidence
+        const upper = bandIndex > 0 ? PRIORITY_BANDS[bandIndex - 1][1] : Infinity;
+        const margin = Math.min(score - min, upper - score, 2);
+        const confidence = Math.min(0.95, 0.5 + cueCount * 0.1 + (Number.isFinite(margin) ? margin : 2) * 0.1);
+
+        return {
+            priority,
+            confidence: Math.round(confidence * 100) / 100,
+            reasons
+        };
+    }
+
     /**
      * Deterministic stub classification
      */
@@ -158,30 +298,87 @@ class LLMProvider {
 
         let draftReply = templates[predictedCategory] || templates.other;
 
-        // Add relevant article information
-        if (articles && articles.length > 0) {
-            draftReply += "\n\nBased on our knowledge base, here are some relevant resources that may help:\n\n";
-
-            articles.slice(0, 3).forEach((article, index) => {
-                draftReply += `${index + 1}. ${article.title}\n`;
+        // Quote the best passage of each of the top articles, with citations
+        const passages = this.numberPassages((articles || []).slice(0, 3).map(article => ({
+            ...article,
+            passages: this._passagesOf(article).slice(0, 1)
+        })));
+        if (passages.length > 0) {
+            draftReply += "\n\nHere is what our knowledge base says:\n\n";
+            passages.forEach(passage => {
+                draftReply += `- "${this._quote(passage.text)}" [${passage.number}]\n`;
             });
 
             draftReply += "\nPlease review these resources, and if you need further assistance, don't hesitate to reply to this ticket.";
+            draftReply += `\n\nSources:\n${passages.map(p => `[${p.number}] ${p.articleTitle}`).join('\n')}`;
         }
 
         draftReply += "\n\nBest regards,\nSupport Team";
 
         return {
             draftReply,
-            citations: articles ? articles.slice(0, 3).map(a => a._id.toString()) : []
+            citations: passages
         };
     }
 
     /**
-     * Real LLM classification (placeholder)
+     * Number the passages of the retrieved articles for citation, in article
+     * order. Each resolves to an article ID and the passage's offsets in its body.
+     */
+    numberPassages(articles) {
+        return articles.flatMap(article => this._passagesOf(article).map(passage => ({
+            articleId: article._id.toString(),
+            articleTitle: article.title,
+            passageIndex: passage.index,
+            start: passage.start,
+            end: passage.end,
+            text: passage.text
+        }))).map((passage, i) => ({ number: i + 1, ...passage }));
+    }
+
+    /**
+     * The passages retrieval picked, or the whole body as one passage
+     */
+    _passagesOf(article) {
+        if (article.passages?.length > 0) {
+            return article.passages;
+        }
+        return [{ index: 0, start: 0, end: article.body.length, text: article.body }];
+    }
+
+    /**
+     * Citation numbers used inline in the reply or listed by the model,
+     * resolved to passages; numbers that match no passage are dropped
+     */
+    _resolveCitations(draftReply, listed, passages) {
+        const inline = [...draftReply.matchAll(CITATION_MARKER)]
+            .flatMap(match => match[1].split(',').map(n => parseInt(n)));
+        const numbers = [...new Set([...inline, ...listed])].sort((a, b) => a - b);
+
+        return numbers
+            .filter(n => n >= 1 && n <= passages.length)
+            .map(n => passages[n - 1]);
+    }
+
+    /**
+     * First sentence of a passage as plain text, without markdown headings
+     */
+    _quote(text) {
+        const plain = text
+            .split('\n')
+            .filter(line => !/^\s*#/.test(line))
+            .map(line => line.replace(/^\s*(?:[-*]|\d+\.)\s+/, '').replace(/[*_`]/g, '').trim())
+            .filter(Boolean)
+            .join(' ');
+        const sentence = plain.match(/^.+?[.!?](?=\s|$)/)?.[0] || plain;
+
+        return sentence.length > MAX_QUOTE_CHARS ? `${sentence.slice(0, MAX_QUOTE_CHARS - 3)}...` : sentence;
+    }
+
+    /**
+     * Real LLM classification through the selected provider
      */
-    async _realClassify(text) {
-        // This would implement actual OpenAI API calls
+    async _realClassify(text, selection) {
         const prompt = `
     Classify the following support ticket into one of these categories: billing, tech, shipping, other.
     Provide a confidence score between 0 and 1.
@@ -191,39 +388,150 @@ class LLMProvider {
     Respond with JSON: {"predictedCategory": "category", "confidence": 0.95}
     `;
 
-        // Implementation would use OpenAI API here
-        throw new Error('Real LLM not implemented - use STUB_MODE=true');
+        const { content, usage } = await this._chatCompletion([
+            { role: 'system', content: 'You are a support ticket triage assistant. Respond with JSON only.' },
+            { role: 'user', content: prompt }
+        ], selection);
+
+        const result = this._parseJsonResponse(content, classificationResponseSchema);
+        result.confidence = Math.round(result.confidence * 100) / 100;
+
+        return { result, usage };
     }
 
     /**
-     * Real LLM draft generation (placeholder)
+     * Real LLM draft generation through the selected provider
      */
-    async _realDraft(text, articles) {
+    async _realDraft(text, articles, selection) {
+        const passages = this.numberPassages(articles);
         const prompt = `
     Generate a professional support response for this ticket.
-    Use the provided knowledge base articles as references.
-    Include numbered citations to the articles.
+    Base it on the knowledge base passages below: quote or paraphrase them, and
+    cite each passage you use inline with its number in square brackets, e.g. [1].
     
     Ticket: ${text}
     
-    Knowledge Base Articles:
-    ${articles.map((a, i) => `${i + 1}. ${a.title}: ${a.body.substring(0, 200)}...`).join('\n')}
+    Knowledge Base Passages:
+    ${passages.map(p => `[${p.number}] ${p.articleTitle}: "${p.text.substring(0, MAX_PROMPT_PASSAGE_CHARS)}"`).join('\n')}
     
-    Generate a helpful, professional response with citations.
+    Respond with JSON: {"draftReply": "response text", "citations": [1, 2]}
+    where "citations" lists the numbers of the passages you cited.
     `;
 
-        // Implementation would use OpenAI API here
-        throw new Error('Real LLM not implemented - use STUB_MODE=true');
+        const { content, usage } = await this._chatCompletion([
+            { role: 'system', content: 'You are a helpful, professional customer support agent. Respond with JSON only.' },
+            { role: 'user', content: prompt }
+        ], selection);
+
+        const { draftReply, citations } = this._parseJsonResponse(content, draftResponseSchema);
+
+        return {
+            result: { draftReply, citations: this._resolveCitations(draftReply, citations, passages) },
+            usage
+        };
+    }
+
+    /**
+     * Real LLM priority prediction through the selected provider
+     */
+    async _realPredictPriority(text, { category, customerTier }, selection) {
+        const prompt = `
+    Predict the priority of this support ticket: low, medium, high or urgent.
+    Weigh urgency cues in the text (outages, security, money lost, blocked work),
+    the customer's support tier and the ticket category.
+    Provide a confidence score between 0 and 1 and up to three short reasons.
+    
+    Category: ${category}
+    Customer tier: ${customerTier}
+    Ticket: ${text}
+    
+    Respond with JSON: {"priority": "high", "confidence": 0.8, "reasons": ["customer cannot log in"]}
+    `;
+
+        const { content, usage } = await this._chatCompletion([
+            { role: 'system', content: 'You are a support ticket triage assistant. Respond with JSON only.' },
+            { role: 'user', content: prompt }
+        ], selection);
+
+        const result = this._parseJsonResponse(content, priorityResponseSchema);
+        result.confidence = Math.round(result.confidence * 100) / 100;
+
+        return { result, usage };
+    }
+
+    /**
+     * Send chat messages to the selected provider and return the content plus token usage
+     */
+    async _chatCompletion(messages, { provider, model, signal }) {
+        this._ensureInitialized();
+        return await getProvider(provider).complete(messages, { model, timeoutMs: this._timeoutMs, signal });
     }
 
-    getModelInfo(latencyMs = 0) {
+    /**
+     * Extract the JSON object from a model response and validate it against a schema
+     */
+    _parseJsonResponse(content, schema) {
+        // Some models wrap JSON in markdown fences or add prose around it
+        const match = content.match(/\{[\s\S]*\}/);
+        if (!match) {
+            throw new Error('LLM response was not valid JSON');
+        }
+
+        let parsed;
+        try {
+            parsed = JSON.parse(match[0]);
+        } catch (error) {
+            throw new Error('LLM response was not valid JSON');
+        }
+
+        const validated = schema.safeParse(parsed);
+        if (!validated.success) {
+            throw new Error(`LLM response failed validation: ${validated.error.errors.map(e => `${e.path.join('.')} ${e.message}`).join(', ')}`);
+        }
+
+        return validated.data;
+    }
+
+    /**
+     * Build AgentSuggestion.modelInfo from the per-step results returned by
+     * classify() and draft(). Top-level provider/model describe the
+     * classification step, which drives the triage decision.
+     */
+    getModelInfo(steps = {}) {
+        const stepInfo = {};
+        let latencyMs = 0;
+        const usage = emptyUsage();
+
+        for (const [step, result] of Object.entries(steps)) {
+            if (!result) continue;
+
+            stepInfo[step] = {
+                provider: result.provider,
+                model: result.model,
+                latencyMs: result.latencyMs || 0,
+                promptTokens: result.usage?.promptTokens || 0,
+                completionTokens: result.usage?.completionTokens || 0,
+                totalTokens: result.usage?.totalTokens || 0
+            };
+
+            latencyMs += stepInfo[step].latencyMs;
+            usage.promptTokens += stepInfo[step].promptTokens;
+            usage.completionTokens += stepInfo[step].completionTokens;
+            usage.totalTokens += stepInfo[step].totalTokens;
+        }
+
+        const primary = stepInfo.classify || Object.values(stepInfo)[0];
+
         return {
-            provider: this.provider,
-            model: this.model,
+            provider: primary?.provider || this.provider,
+            model: primary?.model || this.model,
             promptVersion: this.promptVersion,
-            latencyMs
+            latencyMs,
+            ...usage,
+            steps: stepInfo
         };
     }
 }
 
+export { LLMProvider };
 export default new LLMProvider();
@@ -0,0 +1,341 @@
+import mongoose from 'mongoose';
+import os from 'os';
+import { v4 as uuidv4 } from 'uuid';
+import { QueueJob } from '../models/QueueJob.js';
+import { logger } from '../utils/logger.js';
+
+const MAX_STACKTRACE_LINES = 10;
+
+/**
+ * A job stored in MongoDB, shaped like the BullMQ job fields the admin
+ * endpoints read.
+ */
+class MongoJob {
+    constructor(doc) {
+        this.id = doc._id.toString();
+        this.name = doc.name;
+        this.data = doc.data || {};
+        this.status = doc.status;
+        this.runAt = doc.runAt;
+        this.attemptsMade = doc.attemptsMade;
+        this.opts = { attempts: doc.maxAttempts };
+        this.failedReason = doc.failedReason;
+        this.stacktrace = doc.stacktrace || [];
+        this.timestamp = doc.createdAt?.getTime();
+        this.processedOn = doc.processedOn?.getTime();
+        this.finishedOn = doc.finishedOn?.getTime();
+    }
+
+    async getState() {
+        if (this.status === 'waiting' && this.runAt > new Date()) {
+            return 'delayed';
+        }
+        return this.status;
+    }
+
+    /**
+     * Put a failed job back in the wait list with a fresh set of attempts
+     */
+    async retry() {
+        await QueueJob.updateOne(
+            { _id: this.id, status: 'failed' },
+            {
+                $set: { status: 'waiting', runAt: new Date(), attemptsMade: 0 },
+                $unset: { failedReason: 1, finishedOn: 1 }
+            }
+        );
+    }
+
+    async remove() {
+        await QueueJob.deleteOne({ _id: this.id });
+    }
+}
+
+/**
+ * MongoDB-backed job queue, used for triage when Redis is not configured.
+ *
+ * Workers poll for due jobs and claim one with an atomic update that sets a
+ * lease (lockedBy/lockedUntil), so several API instances can share the queue
+ * without processing a job twice. The lease is renewed while the job runs; a
+ * job whose lease runs out, because its process crashed or restarted, is
+ * picked up again by the next poll. Failures are retried with exponential
+ * backoff and end up `failed` once attempts run out.
+ *
+ * It implements the subset of the BullMQ Queue and Worker API the rest of
+ * the app uses, so queueService and the admin endpoints treat both the same.
+ */
+export class MongoQueue {
+    constructor(name, processor, {
+        concurrency = 2,
+        pollIntervalMs = 1000,
+        leaseMs = 60000,
+        attempts = 3,
+        backoffMs = 2000
+    } = {}) {
+        this.name = name;
+        this.processor = processor;
+        this.concurrency = concurrency;
+        this.pollIntervalMs = pollIntervalMs;
+        this.leaseMs = leaseMs;
+        this.attempts = attempts;
+        this.backoffMs = backoffMs;
+        this.workerId = `${os.hostname()}:${process.pid}:${uuidv4()}`;
+
+        this._running = false;
+        this._polling = false;
+        this._timer = null;
+        this._active = new Set();
+    }
+
+    async add(name, data, { delay = 0, attempts = this.attempts } = {}) {
+        const doc = await QueueJob.create({
+            queue: this.name,
+            name,
+            data,
+            maxAttempts: attempts,
+            runAt: new Date(Date.now() + delay)
+        });
+        return new MongoJob(doc);
+    }
+
+    /**
+     * Start polling. Jobs left active by a stopped process are reclaimed
+     * once their lease expires.
+     */
+    async start() {
+        if (this._running) return;
+        this._running = true;
+
+        const orphaned = await QueueJob.countDocuments({ queue: this.name, status: 'active', lockedUntil: { $lt: new Date() } });
+        if (orphaned > 0) {
+            logger.warn(`Recovering ${orphaned} unfinished ${this.name} jobs`);
+        }
+
+        this._timer = setInterval(() => this._poll(), this.pollIntervalMs);
+        this._poll();
+    }
+
+    /**
+     * Stop polling and wait for running jobs to finish
+     */
+    async close() {
+        this._running = false;
+        clearInterval(this._timer);
+        this._timer = null;
+        await Promise.allSettled([...this._active]);
+    }
+
+    isRunning() {
+        return this._running;
+    }
+
+    async _poll() {
+        if (!this._running || this._polling || mongoose.connection.readyState !== 1) return;
+        this._polling = true;
+
+        try {
+            await this._failExhausted();
+            while (this._running && this._active.size < this.concurrency) {
+                const doc = await this._claim();
+                if (!doc) break;
+
+                const run = this._process(doc).finally(() => this._active.delete(run));
+                this._active.add(run);
+            }
+        } catch (error) {
+            logger.error(`${this.name} queue poll failed:`, error);
+        } finally {
+            this._polling = false;
+        }
+    }
+
+    /**
+     * Atomically lease the next due job: a waiting one, or an active one
+     * whose worker let the lease expire
+     */
+    _claim() {
+        const now = new Date();
+        return QueueJob.findOneAndUpdate(
+            {
+                queue: this.name,
+                runAt: { $lte: now },
+                $or: [
+                    { status: 'waiting' },
+                    { status: 'active', lockedUntil: { $lt: now } }
+                ],
+                $expr: { $lt: ['$attemptsMade', '$maxAttempts'] }
+            },
+            {
+                $set: {
+                    status: 'active',
+                    lockedBy: this.workerId,
+                    lockedUntil: new Date(now.getTime() + this.leaseMs),
+                    processedOn: now
+                },
+                $inc: { attemptsMade: 1 }
+            },
+            { sort: { runAt: 1 }, new: true }
+        );
+    }
+
+    /**
+     * Jobs whose last attempt died with its worker can't be claimed again
+     */
+    async _failExhausted() {
+        const now = new Date();
+        await QueueJob.updateMany(
+            {
+                queue: this.name,
+                status: 'active',
+                lockedUntil: { $lt: now },
+                $expr: { $gte: ['$attemptsMade', '$maxAttempts'] }
+            },
+            {
+                $set: { status: 'failed', failedReason: 'Worker stopped before the job finished', finishedOn: now },
+                $unset: { lockedBy: 1, lockedUntil: 1 }
+            }
+        );
+    }
+
+    async _process(doc) {
+        const job = new MongoJob(doc);
+        const owned = { _id: doc._id, lockedBy: this.workerId };
+
+        const heartbeat = setInterval(() => {
+            QueueJob.updateOne(owned, { lockedUntil: new Date(Date.now() + this.leaseMs) })
+                .catch(error => logger.warn(`Failed to extend lease on ${this.name} job ${job.id}:`, error.message));
+        }, Math.max(this.leaseMs / 3, 1000));
+
+        try {
+            await this.processor(job);
+            await QueueJob.updateOne(owned, {
+                $set: { status: 'completed', finishedOn: new Date() },
+                $unset: { lockedBy: 1, lockedUntil: 1 }
+            });
+        } catch (error) {
+            const exhausted = doc.attemptsMade >= doc.maxAttempts;
+            const stacktrace = (error.stack || '').split('\n').slice(0, MAX_STACKTRACE_LINES);
+
+            await QueueJob.updateOne(owned, {
+                $set: exhausted
+                    ? { status: 'failed', failedReason: error.message, stacktrace, finishedOn: new Date() }
+                    : {
+                        status: 'waiting',
+                        failedReason: error.message,
+                        stacktrace,
+                        runAt: new Date(Date.now() + this.backoffMs * 2 ** (doc.attemptsMade - 1))
+                    },
+                $unset: { lockedBy: 1, lockedUntil: 1 }
+            });
+
+            logger.error(`${this.name} job ${job.id} failed (attempt ${doc.attemptsMade}/${doc.maxAttempts})`, {
+                traceId: job.data.traceId,
+                error: error.message
+            });
+        } finally {
+            clearInterval(heartbeat);
+        }
+    }
+
+    // BullMQ-compatible reads used by the admin endpoints
+
+    async getJob(id) {
+        if (!mongoose.isValidObjectId(id)) return null;
+        const doc = await QueueJob.findOne({ _id: id, queue: this.name });
+        return doc ? new MongoJob(doc) : null;
+    }
+
+    async getJobs(types = ['waiting'], start = 0, end = -1, asc = false) {
+        const query = QueueJob.find({ queue: this.name, status: { $in: [].concat(types) } })
+            .sort({ createdAt: asc ? 1 : -1 })
+            .skip(start);
+        if (end >= start) {
+            query.limit(end - start + 1);
+        }
+        return (await query).map(doc => new MongoJob(doc));
+    }
+
+    async getFailed(start = 0, end = -1) {
+        const query = QueueJob.find({ queue: this.name, status: 'failed' })
+            .sort({ finishedOn: -1 })
+            .skip(start);
+        if (end >= start) {
+            query.limit(end - start + 1);
+        }
+        return (await query).map(doc => new MongoJob(doc));
+    }
+
+    getFailedCount() {
+        return QueueJob.countDocuments({ queue: this.name, status: 'failed' });
+    }
+
+    getActive() {
+        return this.getJobs(['active']);
+    }
+
+    async getJobCounts(...types) {
+        const now = new Date();
+        const filters = {
+            waiting: { status: 'waiting', runAt: { $lte: now } },
+            delayed: { status: 'waiting', runAt: { $gt: now } },
+            active: { status: 'active' },
+            completed: { status: 'completed' },
+            failed: { status: 'failed' }
+        };
+
+        const counts = await Promise.all(types.map(type => filters[type]
+            ? QueueJob.countDocuments({ queue: this.name, ...filters[type] })
+            : 0
+        ));
+        return Object.fromEntries(types.map((type, index) => [type, counts[index]]));
+    }
+
+    /**
+     * Finished jobs per minute, newest minute first, like BullMQ metrics
+     */
+    async getMetrics(type, start = 0, end = 59) {
+        const minutes = end - start + 1;
+        const now = Date.now();
+        const buckets = await QueueJob.aggregate([
+            {
+                $match: {
+                    queue: this.name,
+                    status: type,
+                    finishedOn: { $gt: new Date(now - (end + 1) * 60000) }
+                }
+            },
+            {
+                $group: {
+                    _id: { $floor: { $divide: [{ $subtract: [new Date(now), '$finishedOn'] }, 60000] } },
+                    count: { $sum: 1 }
+                }
+            }
+        ]);
+
+        const data = new Array(minutes).fill(0);
+        buckets.forEach(({ _id, count }) => {
+            if (_id >= start && _id <= end) {
+                data[_id - start] = count;
+            }
+        });
+        return { meta: { count: data.reduce((sum, count) => sum + count, 0) }, data, count: minutes };
+    }
+
+    /**
+     * Delete finished jobs older than grace ms; returns their IDs
+     */
+    async clean(grace, limit, type = 'completed') {
+        const query = QueueJob.find({
+            queue: this.name,
+            status: type,
+            finishedOn: { $lte: new Date(Date.now() - grace) }
+        }).select('_id');
+        if (limit > 0) {
+            query.limit(limit);
+        }
+
+        const ids = (await query).map(doc => doc._id);
+        await QueueJob.deleteMany({ _id: { $in: ids } });
+        return ids.map(id => id.toString());
+    }
+}
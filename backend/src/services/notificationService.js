@@ -0,0 +1,163 @@
+import nodemailer from 'nodemailer';
+import { v4 as uuidv4 } from 'uuid';
+import { Ticket } from '../models/Ticket.js';
+import { User } from '../models/User.js';
+import { renderNotification } from '../utils/emailTemplates.js';
+import { buildMessageId, TICKET_HEADER } from '../utils/emailThreading.js';
+import { logger } from '../utils/logger.js';
+import { addNotificationJob } from './queueService.js';
+
+// Events sent to the customer who opened the ticket
+const CUSTOMER_EVENTS = ['ticket_created', 'agent_replied', 'auto_resolved'];
+
+/**
+ * Notification Service
+ * Emails users about ticket lifecycle events. notify() picks recipients and
+ * queues one delivery per user; deliver() renders and sends over SMTP.
+ */
+class NotificationService {
+    constructor() {
+        this.transport = null;
+    }
+
+    get isConfigured() {
+        return Boolean(this.transport || process.env.SMTP_HOST || process.env.EMAIL_TRANSPORT === 'json');
+    }
+
+    /**
+     * Replace the mail transport (tests use nodemailer's jsonTransport)
+     */
+    setTransport(transport) {
+        this.transport = transport;
+    }
+
+    _getTransport() {
+        if (!this.transport) {
+            this.transport = process.env.EMAIL_TRANSPORT === 'json'
+                ? nodemailer.createTransport({ jsonTransport: true })
+                : nodemailer.createTransport({
+                    host: process.env.SMTP_HOST,
+                    port: parseInt(process.env.SMTP_PORT) || 587,
+                    secure: process.env.SMTP_SECURE === 'true',
+                    ...(process.env.SMTP_USER && {
+                        auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                    })
+                });
+        }
+        return this.transport;
+    }
+
+    _getFrom() {
+        const name = process.env.EMAIL_FROM_NAME || 'Helpdesk Support';
+        const address = process.env.EMAIL_FROM_ADDRESS || 'support@helpdesk.local';
+        return { name, address };
+    }
+
+    /**
+     * Queue an event for everyone who should hear about it. Never throws:
+     * a failed notification must not fail the ticket operation.
+     */
+    async notify(event, { ticket, actorId = null, context = {} }) {
+        if (!this.isConfigured) {
+            logger.debug(`Email not configured, skipping ${event} notification for ticket ${ticket._id}`);
+            return [];
+        }
+
+        const queued = [];
+
+        try {
+            const recipients = await this._getRecipients(event, ticket, actorId);
+
+            for (const user of recipients) {
+                if (!this.wantsEmail(user, event)) continue;
+
+                try {
+                    await addNotificationJob({
+                        event,
+                        ticketId: ticket._id.toString(),
+                        userId: user._id.toString(),
+                        context
+                    });
+                    queued.push(user._id);
+                } catch (error) {
+                    logger.error(`Failed to queue ${event} notification for user ${user._id}:`, error.message);
+                }
+            }
+        } catch (error) {
+            logger.error(`Failed to prepare ${event} notifications for ticket ${ticket._id}:`, error);
+        }
+
+        return queued;
+    }
+
+    /**
+     * Render and send one notification. Throws on SMTP errors so the queue retries.
+     */
+    async deliver({ event, ticketId, userId, context = {} }) {
+        const [ticket, user] = await Promise.all([
+            Ticket.findById(ticketId),
+            User.findById(userId)
+        ]);
+
+        // Preferences may have changed while the job waited in the queue
+        if (!ticket || !user || !user.isActive || !this.wantsEmail(user, event)) {
+            logger.info(`Skipping ${event} notification for user ${userId}`);
+            return { skipped: true };
+        }
+
+        const { subject, text, html } = renderNotification(event, { recipient: user, ticket, context });
+        const from = this._getFrom();
+        const threadRoot = buildMessageId(ticket._id, 'thread');
+
+        const info = await this._getTransport().sendMail({
+            from,
+            replyTo: from.address,
+            to: { name: user.name, address: user.email },
+            subject,
+            text,
+            html,
+            messageId: buildMessageId(ticket._id, `${event}.${uuidv4()}`),
+            inReplyTo: threadRoot,
+            references: [threadRoot],
+            headers: {
+                [TICKET_HEADER]: ticket._id.toString(),
+                // RFC 3834: stops auto-responders replying to us
+                'Auto-Submitted': 'auto-generated'
+            }
+        });
+
+        logger.info(`Sent ${event} notification for ticket ${ticketId} to ${user.email}`, {
+            messageId: info.messageId
+        });
+
+        return { skipped: false, messageId: info.messageId, message: info.message };
+    }
+
+    wantsEmail(user, event) {
+        return user.notificationPreferences?.email?.[event] !== false;
+    }
+
+    async _getRecipients(event, ticket, actorId) {
+        let ids;
+
+        if (CUSTOMER_EVENTS.includes(event)) {
+            ids = [ticket.createdBy];
+        } else if (event === 'reopened') {
+            ids = [ticket.createdBy, ticket.assignee];
+        } else if (event === 'sla_breached') {
+            ids = ticket.assignee
+                ? [ticket.assignee]
+                : (await User.find({ role: 'admin', isActive: true }).select('_id')).map(u => u._id);
+        } else {
+            throw new Error(`Unknown notification event: ${event}`);
+        }
+
+        const unique = [...new Set(ids.filter(Boolean).map(id => (id._id || id).toString()))]
+            .filter(id => !actorId || id !== actorId.toString());
+
+        if (unique.length === 0) return [];
+        return User.find({ _id: { $in: unique }, isActive: true });
+    }
+}
+
+export default new NotificationService();
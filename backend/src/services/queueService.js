@@ -1,10 +1,30 @@
-import { Queue, Worker } from 'bullmq';
+import { MetricsTime, Queue, Worker } from 'bullmq';
 import { getRedisClient } from '../config/redis.js';
 import { logger } from '../utils/logger.js';
 import { triageTicket } from './agentService.js';
+import kbWorkflowService from './kbWorkflowService.js';
+import { MongoQueue } from './mongoQueue.js';
+import notificationService from './notificationService.js';
+import slaService from './slaService.js';
+import webhookService from './webhookService.js';
 
 let triageQueue;
 let triageWorker;
+let slaQueue;
+let slaWorker;
+let slaTimer;
+let notificationQueue;
+let notificationWorker;
+let webhookQueue;
+let webhookWorker;
+let kbScheduleQueue;
+let kbScheduleWorker;
+
+// A kb-schedule job applies every scheduled KB change that is due, not just its own
+const runKbSchedule = async (job) => {
+    const { published, archived } = await kbWorkflowService.runDueSchedules();
+    logger.info(`KB schedule job ran: ${job.id}`, { articleId: job.data.articleId, action: job.data.action, published, archived });
+};
 
 export const initializeQueues = async () => {
     const redisConnection = getRedisClient();
@@ -14,12 +34,13 @@ export const initializeQueues = async () => {
         return;
     }
 
-    // Initialize triage queue
+    // Initialize triage queue. Failed jobs are the dead-letter queue: they are
+    // kept for admins to inspect and replay through /api/queues/triage.
     triageQueue = new Queue('triage', {
         connection: redisConnection,
         defaultJobOptions: {
             removeOnComplete: 100,
-            removeOnFail: 50,
+            removeOnFail: parseInt(process.env.TRIAGE_FAILED_JOBS_KEPT) || 1000,
             attempts: 3,
             backoff: {
                 type: 'exponential',
@@ -31,11 +52,11 @@ export const initializeQueues = async () => {
     // Initialize triage worker
     triageWorker = new Worker('triage',
         async (job) => {
-            const { ticketId, traceId } = job.data;
-            logger.info(`Processing triage job for ticket ${ticketId}`, { traceId });
+            const { ticketId, traceId, mode } = job.data;
+            logger.info(`Processing triage job for ticket ${ticketId}`, { traceId, mode });
 
             try {
-                await triageTicket(ticketId, traceId);
+                await triageTicket(ticketId, traceId, { mode });
                 logger.info(`Triage completed for ticket ${ticketId}`, { traceId });
             } catch (error) {
                 logger.error(`Triage failed for ticket ${ticketId}`, { traceId, error: error.message });
@@ -45,6 +66,8 @@ export const initializeQueues = async () => {
         {
             connection: redisConnection,
             concurrency: 5,
+            // Per-minute completed/failed counts for the queue health summary
+            metrics: { maxDataPoints: MetricsTime.ONE_WEEK },
         }
     );
 
@@ -54,23 +77,205 @@ export const initializeQueues = async () => {
     });
 
     triageWorker.on('failed', (job, err) => {
-        logger.error(`Triage job failed: ${job.id}`, { error: err.message });
+        logger.error(`Triage job failed: ${job.id}`, { traceId: job?.data?.traceId, error: err.message });
+    });
+
+    triageWorker.on('stalled', (jobId) => {
+        logger.warn(`Triage job stalled: ${jobId}`);
     });
 
     triageWorker.on('error', (err) => {
         logger.error('Triage worker error:', err);
     });
 
+    // SLA breach checker runs as a repeatable job
+    slaQueue = new Queue('sla', {
+        connection: redisConnection,
+        defaultJobOptions: {
+            removeOnComplete: 10,
+            removeOnFail: 50
+        },
+    });
+
+    slaWorker = new Worker('sla',
+        async () => await slaService.checkBreaches(),
+        {
+            connection: redisConnection,
+            concurrency: 1,
+        }
+    );
+
+    slaWorker.on('failed', (job, err) => {
+        logger.error(`SLA check job failed: ${job?.id}`, { error: err.message });
+    });
+
+    slaWorker.on('error', (err) => {
+        logger.error('SLA worker error:', err);
+    });
+
+    const slaCheckIntervalMs = parseInt(process.env.SLA_CHECK_INTERVAL_MS) || 60000;
+    await slaQueue.add('check-breaches', {}, {
+        repeat: { every: slaCheckIntervalMs },
+        jobId: 'sla-check',
+    });
+
+    // Email notifications, retried with backoff while SMTP is unavailable
+    notificationQueue = new Queue('notifications', {
+        connection: redisConnection,
+        defaultJobOptions: {
+            removeOnComplete: 100,
+            removeOnFail: 200,
+            attempts: parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5,
+            backoff: {
+                type: 'exponential',
+                delay: 5000,
+            },
+        },
+    });
+
+    notificationWorker = new Worker('notifications',
+        async (job) => await notificationService.deliver(job.data),
+        {
+            connection: redisConnection,
+            concurrency: 5,
+        }
+    );
+
+    notificationWorker.on('failed', (job, err) => {
+        logger.error(`Notification job failed: ${job?.id}`, {
+            event: job?.data?.event,
+            attempts: job?.attemptsMade,
+            error: err.message
+        });
+    });
+
+    notificationWorker.on('error', (err) => {
+        logger.error('Notification worker error:', err);
+    });
+
+    // Outbound webhooks: the delivery record tracks each attempt
+    webhookQueue = new Queue('webhooks', {
+        connection: redisConnection,
+        defaultJobOptions: {
+            removeOnComplete: 100,
+            removeOnFail: 200,
+            attempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+            backoff: {
+                type: 'exponential',
+                delay: 10000,
+            },
+        },
+    });
+
+    webhookWorker = new Worker('webhooks',
+        async (job) => await webhookService.deliver(job.data.deliveryId, {
+            attempt: job.attemptsMade + 1,
+            maxAttempts: job.opts.attempts
+        }),
+        {
+            connection: redisConnection,
+            concurrency: 5,
+        }
+    );
+
+    webhookWorker.on('error', (err) => {
+        logger.error('Webhook worker error:', err);
+    });
+
+    // Scheduled KB publishing, one delayed job per scheduled date
+    kbScheduleQueue = new Queue('kb-schedule', {
+        connection: redisConnection,
+        defaultJobOptions: {
+            removeOnComplete: 100,
+            removeOnFail: 200,
+            attempts: 3,
+            backoff: {
+                type: 'exponential',
+                delay: 5000,
+            },
+        },
+    });
+
+    kbScheduleWorker = new Worker('kb-schedule', runKbSchedule, {
+        connection: redisConnection,
+        concurrency: 1,
+    });
+
+    kbScheduleWorker.on('failed', (job, err) => {
+        logger.error(`KB schedule job failed: ${job?.id}`, { articleId: job?.data?.articleId, error: err.message });
+    });
+
+    kbScheduleWorker.on('error', (err) => {
+        logger.error('KB schedule worker error:', err);
+    });
+
     logger.info('Job queues initialized successfully');
 };
 
-export const addTriageJob = async (ticketId, traceId) => {
+/**
+ * Without Redis, triage jobs go to a MongoDB-backed queue instead, so ticket
+ * creation doesn't wait on the LLM, and so do scheduled KB changes. SLA
+ * breaches are checked on a timer. The other queues stay synchronous.
+ */
+export const initializeLocalQueues = async () => {
+    const localQueue = new MongoQueue('triage',
+        async (job) => await triageTicket(job.data.ticketId, job.data.traceId, { mode: job.data.mode }),
+        {
+            concurrency: parseInt(process.env.LOCAL_QUEUE_CONCURRENCY) || 2,
+            pollIntervalMs: parseInt(process.env.LOCAL_QUEUE_POLL_INTERVAL_MS) || 1000,
+            leaseMs: parseInt(process.env.LOCAL_QUEUE_LEASE_MS) || 60000,
+            attempts: 3,
+            backoffMs: 2000,
+        }
+    );
+    await localQueue.start();
+
+    // One object plays both parts, like a BullMQ Queue and its Worker
+    triageQueue = localQueue;
+    triageWorker = localQueue;
+    logger.info('MongoDB triage queue initialized', { workerId: localQueue.workerId });
+
+    const localKbQueue = new MongoQueue('kb-schedule', runKbSchedule, {
+        concurrency: 1,
+        pollIntervalMs: parseInt(process.env.LOCAL_QUEUE_POLL_INTERVAL_MS) || 1000,
+        leaseMs: parseInt(process.env.LOCAL_QUEUE_LEASE_MS) || 60000,
+        attempts: 3,
+        backoffMs: 5000,
+    });
+    await localKbQueue.start();
+
+    kbScheduleQueue = localKbQueue;
+    kbScheduleWorker = localKbQueue;
+
+    // checkBreaches claims each ticket atomically, so every instance can run it
+    const slaCheckIntervalMs = parseInt(process.env.SLA_CHECK_INTERVAL_MS) || 60000;
+    let checking = false;
+    slaTimer = setInterval(async () => {
+        if (checking) return;
+        checking = true;
+        try {
+            await slaService.checkBreaches();
+        } catch (error) {
+            logger.error('SLA check failed:', error);
+        } finally {
+            checking = false;
+        }
+    }, slaCheckIntervalMs);
+    slaTimer.unref();
+    logger.info('SLA breach checks scheduled', { intervalMs: slaCheckIntervalMs });
+};
+
+/**
+ * Queue a triage. mode 'replace' re-triages a ticket that already has a
+ * suggestion; the default 'initial' run skips it.
+ */
+export const addTriageJob = async (ticketId, traceId, { mode = 'initial' } = {}) => {
     if (!triageQueue) {
-        logger.info('Redis queue not available, processing ticket synchronously', { ticketId, traceId });
+        logger.info('Job queue not available, processing ticket synchronously', { ticketId, traceId });
         // Process ticket immediately without queue
         try {
-            logger.info(`Starting synchronous triage for ticket ${ticketId}`, { ticketId, traceId });
-            await triageTicket(ticketId, traceId);
+            logger.info(`Starting synchronous triage for ticket ${ticketId}`, { ticketId, traceId, mode });
+            await triageTicket(ticketId, traceId, { mode });
             logger.info(`✅ Ticket triaged synchronously: ${ticketId}`, { ticketId, traceId });
         } catch (error) {
             logger.error(`❌ Synchronous triage failed for ticket ${ticketId}:`, { error: error.message, ticketId, traceId });
@@ -82,17 +287,62 @@ export const addTriageJob = async (ticketId, traceId) => {
     const job = await triageQueue.add('process-ticket', {
         ticketId,
         traceId,
+        mode,
     }, {
         jobId: `triage-${ticketId}-${Date.now()}`,
         delay: 1000, // Small delay to ensure ticket is fully saved
     });
 
-    logger.info(`Triage job queued: ${job.id}`, { ticketId, traceId });
+    logger.info(`Triage job queued: ${job.id}`, { ticketId, traceId, mode });
+    return job;
+};
+
+export const addNotificationJob = async (data) => {
+    if (!notificationQueue) {
+        // No Redis: send right away, without retries
+        return await notificationService.deliver(data);
+    }
+
+    const job = await notificationQueue.add(data.event, data);
+    logger.info(`Notification job queued: ${job.id}`, { event: data.event, ticketId: data.ticketId });
+    return job;
+};
+
+export const addWebhookJob = async (data) => {
+    if (!webhookQueue) {
+        // No Redis: a single attempt, recorded on the delivery
+        return await webhookService.deliver(data.deliveryId);
+    }
+
+    const job = await webhookQueue.add('deliver', data, { jobId: `webhook-${data.deliveryId}` });
+    logger.info(`Webhook job queued: ${job.id}`, { deliveryId: data.deliveryId });
+    return job;
+};
+
+/**
+ * Queue the scheduled publish or unpublish of an article for when it is due
+ */
+export const addKbScheduleJob = async (articleId, action, runAt) => {
+    if (!kbScheduleQueue) {
+        logger.warn('KB schedule queue not available, scheduled change will not run', { articleId, action });
+        return;
+    }
+
+    const job = await kbScheduleQueue.add(action, { articleId: articleId.toString(), action }, {
+        jobId: `kb-${action}-${articleId}-${runAt.getTime()}`,
+        delay: Math.max(0, runAt.getTime() - Date.now()),
+    });
+
+    logger.info(`KB schedule job queued: ${job.id}`, { articleId, action, runAt });
     return job;
 };
 
 export const getTriageQueue = () => triageQueue;
 export const getTriageWorker = () => triageWorker;
+export const getSlaQueue = () => slaQueue;
+export const getNotificationQueue = () => notificationQueue;
+export const getWebhookQueue = () => webhookQueue;
+export const getKbScheduleQueue = () => kbScheduleQueue;
 
 // Graceful shutdown
 export const shutdownQueues = async () => {
@@ -105,4 +355,50 @@ export const shutdownQueues = async () => {
         await triageQueue.close();
         logger.info('Triage queue shut down');
     }
+
+    if (slaTimer) {
+        clearInterval(slaTimer);
+        slaTimer = undefined;
+        logger.info('SLA breach checks stopped');
+    }
+
+    if (slaWorker) {
+        await slaWorker.close();
+        logger.info('SLA worker shut down');
+    }
+
+    if (slaQueue) {
+        await slaQueue.close();
+        logger.info('SLA queue shut down');
+    }
+
+    if (notificationWorker) {
+        await notificationWorker.close();
+        logger.info('Notification worker shut down');
+    }
+
+    if (notificationQueue) {
+        await notificationQueue.close();
+        logger.info('Notification queue shut down');
+    }
+
+    if (webhookWorker) {
+        await webhookWorker.close();
+        logger.info('Webhook worker shut down');
+    }
+
+    if (webhookQueue) {
+        await webhookQueue.close();
+        logger.info('Webhook queue shut down');
+    }
+
+    if (kbScheduleWorker) {
+        await kbScheduleWorker.close();
+        logger.info('KB schedule worker shut down');
+    }
+
+    if (kbScheduleQueue && kbScheduleQueue !== kbScheduleWorker) {
+        await kbScheduleQueue.close();
+        logger.info('KB schedule queue shut down');
+    }
 };
@@ -0,0 +1,166 @@
+import { logger } from '../utils/logger.js';
+
+// Redis channel shared by every API instance
+const CHANNEL = 'helpdesk:ticket-events';
+
+// Comment line that keeps idle connections open through proxies
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+const toId = (value) => (value?._id || value)?.toString();
+
+/**
+ * Realtime Service
+ * Pushes ticket events to browsers over Server-Sent Events. Events go through
+ * Redis pub/sub when it is available so every instance delivers them to its
+ * own connections; otherwise they are delivered in-process.
+ */
+class RealtimeService {
+    constructor() {
+        this.clients = new Set();
+        this.publisher = null;
+        this.subscriber = null;
+        this.heartbeat = null;
+    }
+
+    /**
+     * Subscribe to the shared channel. Without Redis, events stay local.
+     */
+    async start(redisClient) {
+        if (!redisClient || this.subscriber) return;
+
+        // A subscribed connection cannot run other commands, so use a second one
+        this.publisher = redisClient;
+        this.subscriber = redisClient.duplicate();
+
+        this.subscriber.on('message', (channel, message) => {
+            if (channel !== CHANNEL) return;
+            try {
+                this._broadcast(JSON.parse(message));
+            } catch (error) {
+                logger.error('Invalid realtime event from Redis:', error.message);
+            }
+        });
+
+        await this.subscriber.subscribe(CHANNEL);
+        logger.info('Realtime events fanned out through Redis pub/sub');
+    }
+
+    async stop() {
+        for (const client of this.clients) {
+            client.res.end();
+        }
+        this.clients.clear();
+        this._stopHeartbeat();
+
+        if (this.subscriber) {
+            await this.subscriber.quit();
+            this.subscriber = null;
+            this.publisher = null;
+        }
+    }
+
+    /**
+     * Publish an event about a ticket. Customers only receive events for their
+     * own tickets, and never staffOnly ones (internal notes). Never throws.
+     */
+    async publish(type, ticket, data = {}, { staffOnly = false } = {}) {
+        const event = {
+            type,
+            ticketId: toId(ticket),
+            createdBy: toId(ticket.createdBy),
+            staffOnly,
+            data,
+            timestamp: new Date().toISOString()
+        };
+
+        if (this.publisher) {
+            try {
+                await this.publisher.publish(CHANNEL, JSON.stringify(event));
+                return;
+            } catch (error) {
+                logger.warn(`Realtime publish through Redis failed, delivering locally: ${error.message}`);
+            }
+        }
+
+        this._broadcast(event);
+    }
+
+    /**
+     * Turn a request into an event stream for the authenticated user,
+     * optionally limited to one ticket
+     */
+    addClient(req, res, { ticketId } = {}) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            Connection: 'keep-alive',
+            // Stop nginx buffering the stream
+            'X-Accel-Buffering': 'no'
+        });
+        this._write(res, 'retry: 5000\n\n');
+
+        const client = { res, user: req.user, ticketId };
+        this.clients.add(client);
+        this._startHeartbeat();
+
+        req.on('close', () => {
+            this.clients.delete(client);
+            if (this.clients.size === 0) {
+                this._stopHeartbeat();
+            }
+        });
+
+        logger.debug(`Realtime client connected: ${req.user._id}`, { ticketId, clients: this.clients.size });
+        return client;
+    }
+
+    canReceive(client, event) {
+        if (client.ticketId && client.ticketId !== event.ticketId) return false;
+
+        const { role, _id } = client.user;
+        if (role === 'admin' || role === 'agent') return true;
+
+        return !event.staffOnly && event.createdBy === _id.toString();
+    }
+
+    _broadcast(event) {
+        const frame = `event: ${event.type}\ndata: ${JSON.stringify({
+            ticketId: event.ticketId,
+            ...event.data,
+            timestamp: event.timestamp
+        })}\n\n`;
+
+        for (const client of this.clients) {
+            if (this.canReceive(client, event)) {
+                this._write(client.res, frame);
+            }
+        }
+    }
+
+    _write(res, chunk) {
+        res.write(chunk);
+        // compression() buffers responses until flushed
+        if (typeof res.flush === 'function') {
+            res.flush();
+        }
+    }
+
+    _startHeartbeat() {
+        if (this.heartbeat) return;
+        this.heartbeat = setInterval(() => {
+            for (const client of this.clients) {
+                this._write(client.res, ': ping\n\n');
+            }
+        }, HEARTBEAT_INTERVAL_MS);
+        this.heartbeat.unref();
+    }
+
+    _stopHeartbeat() {
+        if (this.heartbeat) {
+            clearInterval(this.heartbeat);
+            this.heartbeat = null;
+        }
+    }
+}
+
+export default new RealtimeService();
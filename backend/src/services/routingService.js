@@ -0,0 +1,149 @@
+import { Ticket } from '../models/Ticket.js';
+import { SYSTEM_USER_EMAIL, User } from '../models/User.js';
+
+// Ticket statuses that count against an agent's concurrent ticket limit
+export const ACTIVE_STATUSES = ['triaged', 'waiting_human'];
+
+const DEFAULT_ROUTING = {
+    allowGeneralists: true,
+    defaultMaxConcurrentTickets: 10,
+    fallbackQueue: 'general'
+};
+
+/**
+ * Routing Service
+ * Picks the agent for a triaged ticket. An agent qualifies when they are
+ * active, available, have a matching skill (or no skills, if generalists are
+ * allowed), speak the ticket's language and are under their ticket limit.
+ * The best skill level wins, then the lowest load.
+ */
+class RoutingService {
+    getSettings(config) {
+        const routing = config?.routing || {};
+        return {
+            allowGeneralists: routing.allowGeneralists ?? DEFAULT_ROUTING.allowGeneralists,
+            defaultMaxConcurrentTickets: routing.defaultMaxConcurrentTickets || DEFAULT_ROUTING.defaultMaxConcurrentTickets,
+            fallbackQueue: routing.fallbackQueue || DEFAULT_ROUTING.fallbackQueue
+        };
+    }
+
+    /**
+     * Return { agent, queue }: the chosen agent, or the fallback queue when nobody qualifies.
+     * Pass userIds to pick among a team's members; ignoreSkills ranks on load alone.
+     */
+    async route(ticket, config, { userIds, ignoreSkills = false } = {}) {
+        const settings = this.getSettings(config);
+        const [agent] = await User.aggregate(this.buildPipeline(ticket, settings, { userIds, ignoreSkills }));
+
+        if (agent) {
+            return { agent, queue: null };
+        }
+        return { agent: null, queue: settings.fallbackQueue };
+    }
+
+    skillFilter(settings, ignoreSkills) {
+        if (ignoreSkills) {
+            return {};
+        }
+        return settings.allowGeneralists
+            ? { $or: [{ skillLevel: { $ne: null } }, { isGeneralist: true }] }
+            : { skillLevel: { $ne: null } };
+    }
+
+    /**
+     * One aggregation over agents: filter, join open ticket counts, rank
+     */
+    buildPipeline(ticket, settings, { userIds, ignoreSkills = false } = {}) {
+        const skills = { $ifNull: ['$agentProfile.skills', []] };
+        const languages = { $ifNull: ['$agentProfile.languages', []] };
+
+        const match = {
+            role: { $in: ['agent', 'admin'] },
+            isActive: true,
+            email: { $ne: SYSTEM_USER_EMAIL },
+            // Missing availability predates profiles and counts as available
+            'agentProfile.availability': { $in: ['available', null] }
+        };
+
+        if (userIds) {
+            match._id = { $in: userIds };
+        }
+
+        if (ticket.language) {
+            match.$or = [
+                { 'agentProfile.languages': ticket.language },
+                { 'agentProfile.languages.0': { $exists: false } }
+            ];
+        }
+
+        return [
+            { $match: match },
+            {
+                $addFields: {
+                    skillLevel: {
+                        $max: {
+                            $map: {
+                                input: { $filter: { input: skills, cond: { $eq: ['$$this.category', ticket.category] } } },
+                                in: '$$this.level'
+                            }
+                        }
+                    },
+                    isGeneralist: { $eq: [{ $size: skills }, 0] },
+                    speaksLanguage: ticket.language ? { $in: [ticket.language, languages] } : { $literal: false }
+                }
+            },
+            { $match: this.skillFilter(settings, ignoreSkills) },
+            {
+                $lookup: {
+                    from: Ticket.collection.name,
+                    let: { agentId: '$_id' },
+                    pipeline: [
+                        {
+                            $match: {
+                                $expr: {
+                                    $and: [
+                                        { $eq: ['$assignee', '$$agentId'] },
+                                        { $in: ['$status', ACTIVE_STATUSES] }
+                                    ]
+                                }
+                            }
+                        },
+                        { $count: 'count' }
+                    ],
+                    as: 'load'
+                }
+            },
+            {
+                $addFields: {
+                    openTickets: { $ifNull: [{ $first: '$load.count' }, 0] },
+                    capacity: { $ifNull: ['$agentProfile.maxConcurrentTickets', settings.defaultMaxConcurrentTickets] }
+                }
+            },
+            { $match: { $expr: { $lt: ['$openTickets', '$capacity'] } } },
+            {
+                $addFields: {
+                    loadRatio: { $divide: ['$openTickets', '$capacity'] },
+                    skillLevel: { $ifNull: ['$skillLevel', 0] }
+                }
+            },
+            {
+                $sort: ignoreSkills
+                    ? { loadRatio: 1, openTickets: 1, speaksLanguage: -1, _id: 1 }
+                    : { skillLevel: -1, speaksLanguage: -1, loadRatio: 1, openTickets: 1, _id: 1 }
+            },
+            { $limit: 1 },
+            {
+                $project: {
+                    name: 1,
+                    email: 1,
+                    role: 1,
+                    skillLevel: 1,
+                    openTickets: 1,
+                    capacity: 1
+                }
+            }
+        ];
+    }
+}
+
+export default new RoutingService();
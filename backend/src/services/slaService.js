@@ -0,0 +1,210 @@
+import { v4 as uuidv4 } from 'uuid';
+import { AuditLog } from '../models/AuditLog.js';
+import { Config } from '../models/Config.js';
+import { Ticket } from '../models/Ticket.js';
+import { addBusinessTime, businessTimeBetween } from '../utils/businessTime.js';
+import { logger } from '../utils/logger.js';
+import notificationService from './notificationService.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Statuses where the SLA clock is running
+const ACTIVE_STATUSES = ['open', 'triaged', 'waiting_human'];
+
+// Status where the ticket waits on the customer and the clock is paused
+const PAUSED_STATUS = 'waiting_customer';
+
+// Statuses where the ticket is done; leaving them starts a new clock
+const FINISHED_STATUSES = ['resolved', 'closed'];
+
+const PRIORITY_LADDER = ['low', 'medium', 'high', 'urgent'];
+
+/**
+ * SLA Service
+ * Computes ticket deadlines, pauses the clock while waiting on the customer
+ * and flags tickets whose deadline has passed. All durations count business
+ * time according to Config.businessCalendar when it is enabled.
+ */
+class SLAService {
+    /**
+     * Resolve the SLA target in hours for a ticket.
+     * Precedence: priority policy, then category policy, then global slaHours.
+     */
+    resolveSlaHours(config, category, priority) {
+        const priorityHours = config.slaPolicies?.priorities?.[priority];
+        if (typeof priorityHours === 'number') {
+            return { hours: priorityHours, source: `priority:${priority}` };
+        }
+
+        const categoryHours = config.slaPolicies?.categories?.[category];
+        if (typeof categoryHours === 'number') {
+            return { hours: categoryHours, source: `category:${category}` };
+        }
+
+        return { hours: config.slaHours || 24, source: 'global' };
+    }
+
+    /**
+     * Set slaDeadline on a new or reopened ticket (does not save)
+     */
+    async applyDeadline(ticket, from = new Date()) {
+        const config = await this._getConfig();
+        const { hours, source } = this.resolveSlaHours(config, ticket.category, ticket.priority);
+
+        ticket.slaDeadline = addBusinessTime(from, hours * HOUR_MS, config.businessCalendar);
+        ticket.slaBreached = false;
+        ticket.slaPausedAt = undefined;
+        ticket.slaPausedMs = 0;
+
+        return { hours, source, deadline: ticket.slaDeadline };
+    }
+
+    /**
+     * Move the deadline after a priority change by the difference between the
+     * old and new SLA targets. Time already spent and a paused clock are kept;
+     * a breached ticket keeps its deadline. Does not save.
+     */
+    async retarget(ticket, previousPriority, now = new Date()) {
+        if (!ticket.slaDeadline) {
+            return this.applyDeadline(ticket, ticket.createdAt || now);
+        }
+
+        const config = await this._getConfig();
+        const previous = this.resolveSlaHours(config, ticket.category, previousPriority);
+        const next = this.resolveSlaHours(config, ticket.category, ticket.priority);
+
+        if (!ticket.slaBreached && previous.hours !== next.hours) {
+            // A paused clock measures from the pause, so resumeClock still lines up
+            const reference = ticket.slaPausedAt || now;
+            const remainingMs = Math.max(0, businessTimeBetween(reference, ticket.slaDeadline, config.businessCalendar));
+            const retargetedMs = Math.max(0, remainingMs + (next.hours - previous.hours) * HOUR_MS);
+            ticket.slaDeadline = addBusinessTime(reference, retargetedMs, config.businessCalendar);
+        }
+
+        return { hours: next.hours, source: next.source, deadline: ticket.slaDeadline };
+    }
+
+    /**
+     * Pause or resume the SLA clock after a status change, and restart it
+     * when a resolved or closed ticket is reopened. Resolving records the
+     * business-time resolution duration for analytics. Does not save.
+     */
+    async handleStatusChange(ticket, previousStatus, now = new Date()) {
+        if (ticket.status === previousStatus) return;
+
+        // The old deadline has usually passed by now and would breach at once
+        if (FINISHED_STATUSES.includes(previousStatus) && !FINISHED_STATUSES.includes(ticket.status)) {
+            await this.applyDeadline(ticket, now);
+            ticket.resolutionMs = undefined;
+        }
+
+        if (ticket.status === 'resolved') {
+            const config = await this._getConfig();
+            ticket.resolutionMs = businessTimeBetween(ticket.createdAt || now, now, config.businessCalendar);
+        }
+
+        if (ticket.status === PAUSED_STATUS) {
+            this.pauseClock(ticket, now);
+        } else if (previousStatus === PAUSED_STATUS) {
+            const config = await this._getConfig();
+            this.resumeClock(ticket, now, config.businessCalendar);
+        }
+    }
+
+    pauseClock(ticket, now = new Date()) {
+        if (!ticket.slaDeadline || ticket.slaPausedAt) return;
+        ticket.slaPausedAt = now;
+    }
+
+    /**
+     * Restart the clock with the business time that was left when it was paused
+     */
+    resumeClock(ticket, now = new Date(), calendar = null) {
+        if (!ticket.slaPausedAt) return;
+
+        const pausedMs = Math.max(0, now.getTime() - ticket.slaPausedAt.getTime());
+        if (ticket.slaDeadline && !ticket.slaBreached) {
+            const remainingMs = businessTimeBetween(ticket.slaPausedAt, ticket.slaDeadline, calendar);
+            ticket.slaDeadline = addBusinessTime(now, remainingMs, calendar);
+        }
+        ticket.slaPausedMs = (ticket.slaPausedMs || 0) + pausedMs;
+        ticket.slaPausedAt = undefined;
+    }
+
+    /**
+     * Find tickets past their deadline, flag them, escalate priority and audit.
+     * Safe to run concurrently: each ticket is claimed with a conditional update.
+     */
+    async checkBreaches(now = new Date()) {
+        const overdue = await Ticket.find({
+            status: { $in: ACTIVE_STATUSES },
+            slaBreached: false,
+            slaPausedAt: null,
+            slaDeadline: { $lte: now }
+        }).select('_id priority slaDeadline status createdBy assignee').lean();
+
+        let breached = 0;
+
+        for (const ticket of overdue) {
+            const newPriority = this.escalatePriority(ticket.priority);
+
+            const { modifiedCount } = await Ticket.updateOne(
+                { _id: ticket._id, slaBreached: false },
+                { $set: { slaBreached: true, priority: newPriority } }
+            );
+
+            // Another worker got there first
+            if (modifiedCount === 0) continue;
+
+            breached++;
+
+            await AuditLog.create({
+                ticketId: ticket._id,
+                traceId: uuidv4(),
+                actor: 'system',
+                action: 'SLA_BREACHED',
+                meta: {
+                    slaDeadline: ticket.slaDeadline,
+                    detectedAt: now,
+                    status: ticket.status,
+                    oldPriority: ticket.priority,
+                    newPriority
+                }
+            });
+
+            await notificationService.notify('sla_breached', {
+                ticket,
+                context: { slaDeadline: ticket.slaDeadline, newPriority }
+            });
+
+            logger.warn(`SLA breached for ticket ${ticket._id}`, {
+                ticketId: ticket._id,
+                slaDeadline: ticket.slaDeadline,
+                newPriority
+            });
+        }
+
+        if (breached > 0) {
+            logger.info(`SLA check flagged ${breached} breached tickets`);
+        }
+
+        return { checked: overdue.length, breached };
+    }
+
+    escalatePriority(priority) {
+        const index = PRIORITY_LADDER.indexOf(priority);
+        if (index === -1) return 'high';
+        return PRIORITY_LADDER[Math.min(index + 1, PRIORITY_LADDER.length - 1)];
+    }
+
+    async _getConfig() {
+        let config = await Config.findOne();
+        if (!config) {
+            config = new Config();
+            await config.save();
+        }
+        return config;
+    }
+}
+
+export default new SLAService();
@@ -0,0 +1,88 @@
+import { createReadStream } from 'fs';
+import fs from 'fs/promises';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Storage Registry
+ * Attachment bytes live behind a storage driver so the backend can be swapped
+ * (local disk today, an S3-compatible bucket later) without touching routes.
+ * Every driver implements put(key, buffer, meta), getStream(key), delete(key).
+ */
+
+/**
+ * Files on the local filesystem under STORAGE_DIR
+ */
+class LocalDiskStorage {
+    name = 'local';
+
+    get rootDir() {
+        return path.resolve(process.env.STORAGE_DIR || 'uploads');
+    }
+
+    /**
+     * Absolute path for a key, refusing anything that escapes the root
+     */
+    _resolve(key) {
+        const root = this.rootDir;
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return filePath;
+    }
+
+    async put(key, buffer) {
+        const filePath = this._resolve(key);
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, buffer, { flag: 'wx' });
+        return { key, size: buffer.length };
+    }
+
+    async getStream(key) {
+        const filePath = this._resolve(key);
+        // Fail before the response starts if the file is gone
+        await fs.access(filePath);
+        return createReadStream(filePath);
+    }
+
+    async delete(key) {
+        try {
+            await fs.unlink(this._resolve(key));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+}
+
+const registry = new Map();
+
+export const registerStorage = (driver) => {
+    registry.set(driver.name, driver);
+};
+
+export const getStorage = (name = process.env.STORAGE_DRIVER || 'local') => {
+    const driver = registry.get(name);
+    if (!driver) {
+        throw new Error(`Unknown storage driver: ${name}`);
+    }
+    return driver;
+};
+
+export const listStorageDrivers = () => [...registry.keys()];
+
+/**
+ * Remove stored objects, logging instead of throwing (used for cleanup paths)
+ */
+export const deleteQuietly = async (driverName, keys) => {
+    const driver = getStorage(driverName);
+    for (const key of keys) {
+        try {
+            await driver.delete(key);
+        } catch (error) {
+            logger.warn(`Failed to delete stored object ${key}:`, error.message);
+        }
+    }
+};
+
+registerStorage(new LocalDiskStorage());
@@ -0,0 +1,202 @@
+import { v4 as uuidv4 } from 'uuid';
+import { AuditLog } from '../models/AuditLog.js';
+import { Config } from '../models/Config.js';
+import { Team } from '../models/Team.js';
+import { Ticket } from '../models/Ticket.js';
+import { User } from '../models/User.js';
+import { logger } from '../utils/logger.js';
+import realtimeService from './realtimeService.js';
+import routingService from './routingService.js';
+
+// Tickets in these statuses can no longer be picked up from a queue
+const FINISHED_STATUSES = ['resolved', 'closed'];
+
+/**
+ * Team Service
+ * Team queues: sending a ticket to a team, routing it by the team's
+ * strategy and letting members claim what is left in the queue.
+ */
+class TeamService {
+    /**
+     * Return the ids from userIds that are not active agents or admins
+     */
+    async findInvalidMembers(userIds) {
+        const staff = await User.find({
+            _id: { $in: userIds },
+            role: { $in: ['agent', 'admin'] },
+            isActive: true
+        }).select('_id').lean();
+
+        const valid = new Set(staff.map(user => user._id.toString()));
+        return userIds.filter(id => !valid.has(id.toString()));
+    }
+
+    isMember(team, user) {
+        return team.members.some(member => member.equals(user._id));
+    }
+
+    /**
+     * Pick a member by the team's strategy. Manual teams never pick anyone.
+     */
+    async routeWithinTeam(ticket, team, config) {
+        if (team.strategy === 'manual' || team.members.length === 0) {
+            return { agent: null, queue: null };
+        }
+
+        const { agent } = await routingService.route(ticket, config, {
+            userIds: team.members,
+            ignoreSkills: team.strategy === 'least_loaded'
+        });
+        return { agent, queue: null };
+    }
+
+    /**
+     * Move a ticket into a team's queue (or out of any team when team is null)
+     * and assign it straight away when the team's strategy finds a member
+     */
+    async assignToTeam(ticket, team, user) {
+        const oldStatus = ticket.status;
+        const previousTeam = ticket.team || null;
+
+        ticket.team = team?._id;
+        ticket.assignee = undefined;
+        ticket.queue = undefined;
+
+        let agent = null;
+        if (team) {
+            const config = await Config.findOne();
+            ({ agent } = await this.routeWithinTeam(ticket, team, config));
+            if (agent) {
+                ticket.assignee = agent._id;
+            }
+        }
+
+        if (ticket.status === 'open') {
+            ticket.status = 'triaged';
+        }
+
+        await ticket.save();
+
+        await AuditLog.create({
+            ticketId: ticket._id,
+            traceId: uuidv4(),
+            actor: 'agent',
+            actorId: user._id,
+            action: 'TEAM_ASSIGNED',
+            meta: {
+                teamId: team?._id || null,
+                teamName: team?.name || null,
+                previousTeamId: previousTeam,
+                strategy: team?.strategy || null,
+                assigneeId: agent?._id || null,
+                assigneeName: agent?.name || null,
+                assignedBy: user.name
+            }
+        });
+
+        await realtimeService.publish('assignment', ticket, {
+            team: team ? { _id: team._id, name: team.name } : null,
+            assignee: agent ? { _id: agent._id, name: agent.name, email: agent.email } : null
+        });
+        if (oldStatus !== ticket.status) {
+            await realtimeService.publish('status', ticket, { oldStatus, newStatus: ticket.status });
+        }
+
+        logger.info(`Ticket ${ticket._id} sent to team queue`, {
+            ticketId: ticket._id,
+            teamId: team?._id,
+            assigneeId: agent?._id,
+            assignedBy: user._id
+        });
+
+        return { ticket, agent };
+    }
+
+    /**
+     * Give an unassigned team ticket to the user. The update only matches while
+     * the ticket is still unassigned, so two members claiming at once cannot
+     * both win. Returns null when someone else got there first.
+     */
+    async claim(ticket, team, user) {
+        const claimed = await Ticket.findOneAndUpdate(
+            {
+                _id: ticket._id,
+                team: team._id,
+                assignee: null,
+                status: { $nin: FINISHED_STATUSES }
+            },
+            [
+                {
+                    $set: {
+                        assignee: user._id,
+                        status: { $cond: [{ $eq: ['$status', 'open'] }, 'triaged', '$status'] }
+                    }
+                },
+                { $unset: 'queue' }
+            ],
+            { new: true }
+        );
+
+        if (!claimed) {
+            return null;
+        }
+
+        await AuditLog.create({
+            ticketId: claimed._id,
+            traceId: uuidv4(),
+            actor: 'agent',
+            actorId: user._id,
+            action: 'TICKET_CLAIMED',
+            meta: {
+                teamId: team._id,
+                teamName: team.name,
+                assigneeId: user._id,
+                assigneeName: user.name
+            }
+        });
+
+        await realtimeService.publish('assignment', claimed, {
+            team: { _id: team._id, name: team.name },
+            assignee: { _id: user._id, name: user.name, email: user.email }
+        });
+        if (ticket.status !== claimed.status) {
+            await realtimeService.publish('status', claimed, { oldStatus: ticket.status, newStatus: claimed.status });
+        }
+
+        logger.info(`Ticket ${claimed._id} claimed from team queue`, {
+            ticketId: claimed._id,
+            teamId: team._id,
+            userId: user._id
+        });
+
+        return claimed;
+    }
+
+    /**
+     * Unassigned, unfinished tickets waiting in each team's queue
+     */
+    async getQueueSizes(teamIds) {
+        const counts = await Ticket.aggregate([
+            {
+                $match: {
+                    team: { $in: teamIds },
+                    assignee: null,
+                    status: { $nin: FINISHED_STATUSES }
+                }
+            },
+            { $group: { _id: '$team', count: { $sum: 1 } } }
+        ]);
+
+        return new Map(counts.map(({ _id, count }) => [_id.toString(), count]));
+    }
+
+    /**
+     * Ids of the active teams the user belongs to
+     */
+    async getTeamIdsForUser(user) {
+        const teams = await Team.find({ members: user._id, isActive: true }).select('_id').lean();
+        return teams.map(team => team._id);
+    }
+}
+
+export default new TeamService();
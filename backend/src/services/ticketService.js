@@ -0,0 +1,165 @@
+import { v4 as uuidv4 } from 'uuid';
+import { AuditLog } from '../models/AuditLog.js';
+import { Ticket } from '../models/Ticket.js';
+import { logger } from '../utils/logger.js';
+import notificationService from './notificationService.js';
+import { addTriageJob } from './queueService.js';
+import realtimeService from './realtimeService.js';
+import slaService from './slaService.js';
+
+/**
+ * Ticket Service
+ * Ticket lifecycle operations shared by the web API and the email channel.
+ */
+class TicketService {
+    /**
+     * Create a ticket for a user, audit it and queue it for triage
+     */
+    async createTicket({ title, description, category, attachments, user, source = 'web', meta = {} }) {
+        const ticket = new Ticket({
+            title,
+            description,
+            category: category || 'other',
+            createdBy: user._id,
+            attachments: attachments || []
+        });
+
+        await slaService.applyDeadline(ticket);
+        await ticket.save();
+
+        // Generate trace ID for this ticket's workflow
+        const traceId = uuidv4();
+
+        await AuditLog.create({
+            ticketId: ticket._id,
+            traceId,
+            actor: 'user',
+            actorId: user._id,
+            action: 'TICKET_CREATED',
+            meta: {
+                title: ticket.title,
+                category: ticket.category,
+                slaDeadline: ticket.slaDeadline,
+                source,
+                ...meta
+            }
+        });
+
+        await notificationService.notify('ticket_created', { ticket, actorId: null });
+
+        // Queue for triage. The ticket exists by now, so a failed synchronous
+        // triage is logged rather than failing the request and inviting a resubmit.
+        try {
+            await addTriageJob(ticket._id.toString(), traceId);
+        } catch (error) {
+            logger.error(`Triage could not run for new ticket ${ticket._id}:`, { error: error.message, traceId });
+        }
+
+        logger.info(`Ticket created: ${title}`, {
+            ticketId: ticket._id,
+            userId: user._id,
+            source,
+            traceId
+        });
+
+        return { ticket, traceId };
+    }
+
+    /**
+     * Add a reply from the ticket's customer. A resolved or waiting ticket
+     * goes back to an agent. Throws if the ticket is closed.
+     */
+    async addCustomerReply(ticket, user, content, { source = 'web', attachments = [] } = {}) {
+        if (ticket.status === 'closed') {
+            throw new Error('Ticket is closed. Reopen it to continue the conversation');
+        }
+
+        ticket.replies.push({
+            author: user._id,
+            content,
+            isInternal: false,
+            attachments
+        });
+
+        // The customer has answered, so the ticket needs an agent again
+        const oldStatus = ticket.status;
+        if (oldStatus === 'resolved' || oldStatus === 'waiting_customer') {
+            ticket.status = 'waiting_human';
+            ticket.resolvedAt = undefined;
+        }
+        await slaService.handleStatusChange(ticket, oldStatus);
+
+        await ticket.save();
+
+        const traceId = uuidv4();
+        await AuditLog.create({
+            ticketId: ticket._id,
+            traceId,
+            actor: 'user',
+            actorId: user._id,
+            action: 'CUSTOMER_REPLIED',
+            meta: {
+                replyLength: content.length,
+                oldStatus,
+                newStatus: ticket.status,
+                source
+            }
+        });
+
+        if (oldStatus === 'resolved') {
+            await AuditLog.create({
+                ticketId: ticket._id,
+                traceId,
+                actor: 'user',
+                actorId: user._id,
+                action: 'TICKET_REOPENED',
+                meta: {
+                    reopenedBy: user.name,
+                    reason: 'Customer replied'
+                }
+            });
+
+            await notificationService.notify('reopened', {
+                ticket,
+                actorId: user._id,
+                context: { reopenedBy: user.name, reason: 'Customer replied' }
+            });
+        } else if (oldStatus !== ticket.status) {
+            await AuditLog.create({
+                ticketId: ticket._id,
+                traceId,
+                actor: 'user',
+                actorId: user._id,
+                action: 'STATUS_CHANGED',
+                meta: {
+                    oldStatus,
+                    newStatus: ticket.status,
+                    changedBy: user.name,
+                    reason: 'Customer replied'
+                }
+            });
+        }
+
+        await realtimeService.publish('reply', ticket, {
+            reply: ticket.replies[ticket.replies.length - 1]
+        });
+        if (oldStatus !== ticket.status) {
+            await realtimeService.publish('status', ticket, { oldStatus, newStatus: ticket.status });
+        }
+
+        logger.info(`Customer reply added to ticket ${ticket._id}`, {
+            ticketId: ticket._id,
+            userId: user._id,
+            oldStatus,
+            newStatus: ticket.status,
+            source
+        });
+
+        return {
+            reply: ticket.replies[ticket.replies.length - 1],
+            oldStatus
+        };
+    }
+}
+
+export default new TicketService();
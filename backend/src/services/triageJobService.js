@@ -0,0 +1,288 @@
+import mongoose from 'mongoose';
+import { v4 as uuidv4 } from 'uuid';
+import { AuditLog } from '../models/AuditLog.js';
+import { Ticket } from '../models/Ticket.js';
+import { TriageRequest } from '../models/TriageRequest.js';
+import { logger } from '../utils/logger.js';
+import { MongoQueue } from './mongoQueue.js';
+import { addTriageJob, getTriageQueue, getTriageWorker } from './queueService.js';
+
+// An active job running longer than this is reported as stalled
+const STALLED_AFTER_MS = parseInt(process.env.TRIAGE_STALLED_AFTER_MS) || 5 * 60 * 1000;
+const THROUGHPUT_WINDOW_MINUTES = 60;
+const MAX_BULK_RETRY = 500;
+
+/**
+ * Triage Job Service
+ * Admin view of the triage queue: failed jobs form the dead-letter queue and
+ * can be inspected, retried or purged. Works with the BullMQ queue and the
+ * MongoDB fallback queue; without either, triage runs synchronously and there
+ * are no jobs to manage.
+ */
+class TriageJobService {
+    get available() {
+        return Boolean(getTriageQueue());
+    }
+
+    /**
+     * Failed or stalled jobs, newest first, with the ticket each one is for
+     */
+    async listJobs({ state = 'failed', page = 1, limit = 20 } = {}) {
+        const queue = getTriageQueue();
+        const start = (page - 1) * limit;
+
+        let jobs;
+        let total;
+        if (state === 'stalled') {
+            const stalled = await this._getStalledJobs(queue);
+            total = stalled.length;
+            jobs = stalled.slice(start, start + limit);
+        } else {
+            [jobs, total] = await Promise.all([
+                queue.getFailed(start, start + limit - 1),
+                queue.getFailedCount()
+            ]);
+        }
+
+        const tickets = await this._loadTickets(jobs);
+        return {
+            jobs: jobs.filter(Boolean).map(job => this.describe(job, tickets)),
+            total
+        };
+    }
+
+    async getJob(jobId) {
+        const job = await getTriageQueue().getJob(jobId);
+        if (!job) return null;
+
+        const tickets = await this._loadTickets([job]);
+        return {
+            ...this.describe(job, tickets),
+            state: await job.getState(),
+            stacktrace: job.stacktrace || []
+        };
+    }
+
+    /**
+     * Move a failed job back to the wait list. Returns null when the job is
+     * missing and false when it is not in the failed state.
+     */
+    async retry(jobId, user) {
+        const job = await getTriageQueue().getJob(jobId);
+        if (!job) return null;
+        if (await job.getState() !== 'failed') return false;
+
+        await job.retry();
+        await this._audit(job.data, user, { jobId: job.id, reason: 'retry', error: job.failedReason });
+
+        logger.info(`Triage job ${job.id} retried`, { traceId: job.data.traceId, userId: user._id });
+        return true;
+    }
+
+    /**
+     * Retry the given failed jobs, or every failed job when no IDs are given
+     */
+    async retryMany(jobIds, user) {
+        const ids = jobIds?.length
+            ? jobIds
+            : (await getTriageQueue().getFailed(0, MAX_BULK_RETRY - 1)).map(job => job.id);
+
+        const results = [];
+        for (const jobId of ids) {
+            try {
+                const retried = await this.retry(jobId, user);
+                results.push({
+                    jobId,
+                    retried: retried === true,
+                    error: retried === null ? 'Job not found' : retried === false ? 'Job is not failed' : undefined
+                });
+            } catch (error) {
+                logger.error(`Failed to retry triage job ${jobId}:`, error);
+                results.push({ jobId, retried: false, error: error.message });
+            }
+        }
+
+        return {
+            retried: results.filter(result => result.retried).length,
+            failed: results.filter(result => !result.retried).length,
+            results
+        };
+    }
+
+    /**
+     * Queue a fresh triage for a ticket under a new trace ID, replacing its
+     * current suggestion
+     */
+    async retriage(ticket, user, { idempotencyKey = null } = {}) {
+        return await this.request(ticket, user, { mode: 'replace', idempotencyKey, reason: 'retriage' });
+    }
+
+    /**
+     * Queue a triage on a user's behalf. With an idempotency key, a repeat of
+     * the same request returns the first one ({ replayed: true }) instead of
+     * queuing another triage. A reason audits the request as TRIAGE_REQUEUED.
+     */
+    async request(ticket, user, { mode = 'initial', idempotencyKey = null, reason = null } = {}) {
+        const traceId = uuidv4();
+
+        let record = null;
+        if (idempotencyKey) {
+            try {
+                record = await TriageRequest.create({
+                    key: idempotencyKey,
+                    requestedBy: user._id,
+                    ticketId: ticket._id,
+                    mode,
+                    traceId
+                });
+            } catch (error) {
+                // Another request with this key got in first
+                const replay = error.code === 11000 && await this.findReplay(user, idempotencyKey, ticket, mode);
+                if (!replay) throw error;
+                return replay;
+            }
+        }
+
+        try {
+            if (reason) {
+                await this._audit({ ticketId: ticket._id, traceId }, user, { reason, mode });
+            }
+
+            const job = await addTriageJob(ticket._id.toString(), traceId, { mode });
+            if (record && job) {
+                record.jobId = job.id;
+                await record.save();
+            }
+            return { jobId: job?.id || null, traceId, replayed: false };
+        } catch (error) {
+            // Let the client retry with the same key
+            if (record) {
+                await TriageRequest.deleteOne({ _id: record._id });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * The answer to an earlier request the user made with this idempotency
+     * key, or null. A key reused for a different request is an error.
+     */
+    async findReplay(user, idempotencyKey, ticket, mode) {
+        const record = await TriageRequest.findOne({ requestedBy: user._id, key: idempotencyKey });
+        if (!record) return null;
+
+        if (!record.ticketId.equals(ticket._id) || record.mode !== mode) {
+            throw new Error('Idempotency key already used for a different request');
+        }
+        return { jobId: record.jobId || null, traceId: record.traceId, replayed: true };
+    }
+
+    /**
+     * Remove one job. Active jobs are left alone since a worker holds them.
+     */
+    async remove(jobId) {
+        const job = await getTriageQueue().getJob(jobId);
+        if (!job) return null;
+        if (await job.getState() === 'active') return false;
+
+        await job.remove();
+        return true;
+    }
+
+    /**
+     * Remove failed (or completed) jobs that finished more than olderThanMs ago
+     */
+    async purge({ state = 'failed', olderThanMs = 0 } = {}) {
+        const removed = await getTriageQueue().clean(olderThanMs, 0, state);
+        logger.info(`Purged ${removed.length} ${state} triage jobs`, { olderThanMs });
+        return removed.length;
+    }
+
+    /**
+     * Queue depth, throughput over the last hour and failure rate
+     */
+    async health() {
+        const queue = getTriageQueue();
+        if (!queue) {
+            return { available: false, mode: 'synchronous' };
+        }
+
+        const lastPoint = THROUGHPUT_WINDOW_MINUTES - 1;
+        const [counts, completed, failed, stalled, oldestWaiting] = await Promise.all([
+            queue.getJobCounts('waiting', 'active', 'delayed', 'failed', 'completed', 'paused'),
+            queue.getMetrics('completed', 0, lastPoint),
+            queue.getMetrics('failed', 0, lastPoint),
+            this._getStalledJobs(queue),
+            queue.getJobs(['waiting'], 0, 0, true)
+        ]);
+
+        const sum = (metrics) => (metrics.data || []).reduce((total, count) => total + Number(count || 0), 0);
+        const completedCount = sum(completed);
+        const failedCount = sum(failed);
+        const finished = completedCount + failedCount;
+        const worker = getTriageWorker();
+
+        return {
+            available: true,
+            mode: queue instanceof MongoQueue ? 'mongo' : 'redis',
+            workerRunning: Boolean(worker?.isRunning()),
+            depth: counts.waiting + counts.delayed + counts.paused,
+            counts: { ...counts, stalled: stalled.length },
+            oldestWaitingMs: oldestWaiting[0] ? Date.now() - oldestWaiting[0].timestamp : null,
+            throughput: {
+                windowMinutes: THROUGHPUT_WINDOW_MINUTES,
+                completed: completedCount,
+                failed: failedCount,
+                perMinute: Math.round((finished / THROUGHPUT_WINDOW_MINUTES) * 100) / 100
+            },
+            failureRate: finished > 0 ? Math.round((failedCount / finished) * 1000) / 1000 : 0
+        };
+    }
+
+    describe(job, tickets = new Map()) {
+        const ticket = tickets.get(job.data?.ticketId);
+        return {
+            id: job.id,
+            ticketId: job.data?.ticketId,
+            traceId: job.data?.traceId,
+            ticket: ticket ? { _id: ticket._id, title: ticket.title, status: ticket.status } : null,
+            error: job.failedReason || null,
+            attemptsMade: job.attemptsMade,
+            maxAttempts: job.opts?.attempts || 1,
+            createdAt: job.timestamp ? new Date(job.timestamp) : null,
+            processedAt: job.processedOn ? new Date(job.processedOn) : null,
+            finishedAt: job.finishedOn ? new Date(job.finishedOn) : null
+        };
+    }
+
+    async _getStalledJobs(queue) {
+        const active = await queue.getActive();
+        const cutoff = Date.now() - STALLED_AFTER_MS;
+        return active.filter(job => job?.processedOn && job.processedOn < cutoff);
+    }
+
+    async _loadTickets(jobs) {
+        const ids = jobs
+            .map(job => job?.data?.ticketId)
+            .filter(id => mongoose.isValidObjectId(id));
+        if (ids.length === 0) return new Map();
+
+        const tickets = await Ticket.find({ _id: { $in: ids } }).select('title status').lean();
+        return new Map(tickets.map(ticket => [ticket._id.toString(), ticket]));
+    }
+
+    async _audit({ ticketId, traceId }, user, meta) {
+        if (!mongoose.isValidObjectId(ticketId)) return;
+
+        await AuditLog.create({
+            ticketId,
+            traceId: traceId || uuidv4(),
+            actor: 'agent',
+            actorId: user._id,
+            action: 'TRIAGE_REQUEUED',
+            meta: { ...meta, requeuedBy: user.name }
+        });
+    }
+}
+
+export default new TriageJobService();
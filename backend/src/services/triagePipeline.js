@@ -0,0 +1,199 @@
+import { logger } from '../utils/logger.js';
+
+// Used when the config has no pipeline for the ticket's category
+export const DEFAULT_PIPELINE = ['classify', 'predict_priority', 'retrieve', 'draft', 'verify_citations', 'decide'];
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_RETRIES = 3;
+const RETRY_DELAY_MS = 250;
+
+class StepTimeoutError extends Error {
+    constructor(step, timeoutMs) {
+        super(`Step ${step} timed out after ${timeoutMs}ms`);
+        this.name = 'StepTimeoutError';
+    }
+}
+
+/**
+ * Triage Pipeline
+ * A registry of triage steps and the per-category order they run in.
+ *
+ * A step is { description, required, after, retryable, llmTask, run(ctx) }.
+ * run reads and writes the shared triage context ({ ticket, traceId, config,
+ * text, classification, articles, draft, grounding, decision, llmSelection, log }).
+ * Steps with an llmTask call the LLM and honour ctx.llmSelection, which the
+ * fallback chain sets to swap the provider. Retryable steps also get
+ * ctx.signal, aborted when the attempt times out: pass it to the LLM call and
+ * check it before saving the ticket. Required steps can't be
+ * skipped and fail the triage when they fail; optional steps are skipped.
+ * `after` lists steps that must come earlier when both are in a pipeline.
+ * The core steps are registered by AgentService, the optional ones in triageSteps.js.
+ */
+class TriagePipeline {
+    constructor() {
+        this.steps = new Map();
+    }
+
+    register(name, definition) {
+        this.steps.set(name, {
+            required: false,
+            after: [],
+            retryable: true,
+            ...definition,
+            name
+        });
+    }
+
+    listSteps() {
+        return [...this.steps.values()].map(({ name, description, required, after, retryable }) => ({
+            name,
+            description,
+            required,
+            after,
+            retryable
+        }));
+    }
+
+    /**
+     * Stored pipeline for a category, falling back to the default pipeline
+     */
+    getDefinition(config, category) {
+        const pipelines = config?.triagePipeline;
+        const entries = pipelines?.categories?.[category]?.length
+            ? pipelines.categories[category]
+            : pipelines?.default;
+
+        if (!entries?.length) {
+            return DEFAULT_PIPELINE.map(step => ({ step, enabled: true }));
+        }
+        return entries.map(entry => ({
+            step: entry.step,
+            enabled: entry.enabled !== false,
+            timeoutMs: entry.timeoutMs ?? undefined,
+            maxRetries: entry.maxRetries ?? undefined
+        }));
+    }
+
+    /**
+     * Return the problems with a pipeline definition, empty when it is valid
+     */
+    validate(entries) {
+        const errors = [];
+        const names = entries.map(entry => entry.step);
+
+        names.forEach((name, index) => {
+            if (!this.steps.has(name)) {
+                errors.push(`Unknown step: ${name}`);
+            } else if (names.indexOf(name) !== index) {
+                errors.push(`Step listed more than once: ${name}`);
+            }
+        });
+
+        for (const step of this.steps.values()) {
+            const entry = entries.find(e => e.step === step.name);
+            if (step.required && (!entry || entry.enabled === false)) {
+                errors.push(`Step ${step.name} is required and cannot be skipped`);
+            }
+
+            if (!entry) continue;
+            step.after
+                .filter(earlier => names.includes(earlier) && names.indexOf(earlier) > names.indexOf(step.name))
+                .forEach(earlier => errors.push(`Step ${earlier} must run before ${step.name}`));
+        }
+
+        if (names.length && names[names.length - 1] !== 'decide') {
+            errors.push('Step decide must be last');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Enabled steps for the ticket's category with their timeout and retry policy
+     */
+    resolve(config, category) {
+        const settings = config?.agentSettings || {};
+
+        return this.getDefinition(config, category)
+            .filter(entry => entry.enabled && this.steps.has(entry.step))
+            .map(entry => {
+                const step = this.steps.get(entry.step);
+                return {
+                    ...step,
+                    timeoutMs: entry.timeoutMs || settings.timeoutMs || DEFAULT_TIMEOUT_MS,
+                    maxRetries: step.retryable ? (entry.maxRetries ?? settings.maxRetries ?? DEFAULT_MAX_RETRIES) : 0
+                };
+            });
+    }
+
+    /**
+     * Run one resolved step with its timeout and retries. Non-retryable steps
+     * run once with no timeout, since giving up on them halfway is unsafe.
+     * Each attempt writes to its own view of ctx, copied back only when the
+     * attempt succeeds, so one that finishes after its timeout changes nothing.
+     */
+    async runStep(step, ctx) {
+        if (!step.retryable) {
+            return step.run(ctx);
+        }
+
+        let lastError;
+        for (let attempt = 1; attempt <= step.maxRetries + 1; attempt++) {
+            const controller = new AbortController();
+            const attemptCtx = this._attemptContext(ctx, controller.signal);
+            try {
+                const result = await this._withTimeout(step.run(attemptCtx), step.name, step.timeoutMs, controller);
+                this._applyAttempt(attemptCtx, ctx);
+                return result;
+            } catch (error) {
+                controller.abort(error);
+                lastError = error;
+                logger.warn(`Triage step ${step.name} failed (attempt ${attempt})`, {
+                    traceId: ctx.traceId,
+                    error: error.message
+                });
+                if (attempt <= step.maxRetries) {
+                    await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS * 2 ** (attempt - 1)));
+                }
+            }
+        }
+        throw lastError;
+    }
+
+    /**
+     * Attempt view of ctx: reads fall through to ctx, writes stay on the view,
+     * and log refuses to write once the attempt is aborted
+     */
+    _attemptContext(ctx, signal) {
+        const attemptCtx = Object.create(ctx);
+        attemptCtx.signal = signal;
+        attemptCtx.log = (action, meta) => {
+            signal.throwIfAborted();
+            return ctx.log(action, meta);
+        };
+        return attemptCtx;
+    }
+
+    _applyAttempt(attemptCtx, ctx) {
+        for (const [key, value] of Object.entries(attemptCtx)) {
+            if (key !== 'signal' && key !== 'log') {
+                ctx[key] = value;
+            }
+        }
+    }
+
+    _withTimeout(promise, name, timeoutMs, controller) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+                const error = new StepTimeoutError(name, timeoutMs);
+                // Abort before the race settles so the attempt can't slip a write in
+                controller.abort(error);
+                reject(error);
+            }, timeoutMs);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+}
+
+export default new TriagePipeline();
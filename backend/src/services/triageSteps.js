@@ -0,0 +1,187 @@
+import { Ticket } from '../models/Ticket.js';
+import { detectLanguage } from '../utils/languageDetection.js';
+import { redactPii } from '../utils/piiRedaction.js';
+import groundingService, { MIN_CITED_SHARE } from './groundingService.js';
+import llmService from './llmService.js';
+import slaService from './slaService.js';
+import triagePipeline from './triagePipeline.js';
+
+/**
+ * Optional triage steps. Admins add them to a pipeline through the config.
+ */
+
+const DUPLICATE_WINDOW_DAYS = 7;
+const DUPLICATE_SIMILARITY = 0.6;
+
+const tokenize = (text) => new Set(
+    (text || '').toLowerCase().match(/\p{L}{3,}|\d+/gu) || []
+);
+
+const jaccard = (a, b) => {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    a.forEach(token => {
+        if (b.has(token)) shared++;
+    });
+    return shared / (a.size + b.size - shared);
+};
+
+triagePipeline.register('redact_pii', {
+    description: 'Mask emails, phone numbers, card numbers and other PII before the text reaches the LLM',
+    run: async (ctx) => {
+        const { text, counts } = redactPii(ctx.text);
+        ctx.text = text;
+
+        const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+        if (total > 0) {
+            await ctx.log('PII_REDACTED', { counts, total });
+        }
+    }
+});
+
+triagePipeline.register('detect_language', {
+    description: 'Detect the customer\'s language so routing can match it',
+    after: ['redact_pii'],
+    run: async (ctx) => {
+        const detected = detectLanguage(ctx.text);
+        if (!detected) return;
+
+        ctx.language = detected.language;
+        // A language set by an agent or channel wins over detection
+        if (!ctx.ticket.language) {
+            ctx.ticket.language = detected.language;
+            await ctx.ticket.save();
+        }
+
+        await ctx.log('LANGUAGE_DETECTED', {
+            language: detected.language,
+            confidence: detected.confidence,
+            applied: ctx.ticket.language === detected.language
+        });
+    }
+});
+
+triagePipeline.register('predict_priority', {
+    description: 'Predict priority from urgency cues, customer tier and category',
+    after: ['redact_pii', 'classify'],
+    llmTask: 'priority',
+    run: async (ctx) => {
+        const { ticket } = ctx;
+        const category = ctx.classification?.predictedCategory || ticket.category;
+        const customerTier = ticket.createdBy?.customerTier || 'standard';
+
+        const prediction = await llmService.predictPriority(
+            ctx.text,
+            { category, customerTier },
+            ctx.llmSelection || ctx.config?.llmSettings?.priority,
+            { signal: ctx.signal }
+        );
+        ctx.signal?.throwIfAborted();
+        ctx.priorityPrediction = prediction;
+
+        const previousPriority = ticket.priority;
+        // An agent's override sticks through re-triage
+        const applied = ticket.prioritySource !== 'agent';
+
+        ticket.priorityPrediction = {
+            priority: prediction.priority,
+            confidence: prediction.confidence,
+            reasons: prediction.reasons,
+            provider: prediction.provider,
+            model: prediction.model,
+            predictedAt: new Date()
+        };
+        if (applied) {
+            ticket.priority = prediction.priority;
+            ticket.prioritySource = 'predicted';
+            if (previousPriority !== prediction.priority) {
+                await slaService.retarget(ticket, previousPriority);
+            }
+        }
+        ctx.signal?.throwIfAborted();
+        await ticket.save();
+
+        await ctx.log('PRIORITY_PREDICTED', {
+            previousPriority,
+            predictedPriority: prediction.priority,
+            confidence: prediction.confidence,
+            reasons: prediction.reasons,
+            customerTier,
+            category,
+            applied,
+            provider: prediction.provider,
+            model: prediction.model,
+            slaDeadline: ticket.slaDeadline
+        });
+    }
+});
+
+triagePipeline.register('verify_citations', {
+    description: 'Drop citations to articles retrieval didn\'t return and score how well the cited passages support the draft',
+    after: ['draft'],
+    run: async (ctx) => {
+        if (!ctx.draft) return;
+
+        const { citations, report } = await groundingService.verify(ctx.draft, ctx.articles || []);
+        const threshold = ctx.config?.groundingThreshold ?? 0.5;
+
+        ctx.draft = { ...ctx.draft, citations };
+        // Without retrieved articles there is nothing to ground on: passed stays null
+        const passed = report.score === null
+            ? null
+            : report.score >= threshold && report.citedShare >= MIN_CITED_SHARE;
+        ctx.grounding = { ...report, threshold, passed };
+
+        await ctx.log('GROUNDING_VERIFIED', {
+            score: report.score,
+            threshold,
+            passed: ctx.grounding.passed,
+            citedSentences: report.citedSentences,
+            uncitedSentences: report.uncitedSentences,
+            citedShare: report.citedShare,
+            sentences: report.sentences.map(sentence => ({
+                ...sentence,
+                text: sentence.text.substring(0, 200)
+            })),
+            rejectedCitations: report.rejectedCitations
+        });
+    }
+});
+
+triagePipeline.register('check_duplicates', {
+    description: `Flag tickets that repeat one the same customer opened in the last ${DUPLICATE_WINDOW_DAYS} days`,
+    run: async (ctx) => {
+        const { ticket } = ctx;
+        const since = new Date(Date.now() - DUPLICATE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+        const candidates = await Ticket.find({
+            _id: { $ne: ticket._id },
+            createdBy: ticket.createdBy._id || ticket.createdBy,
+            createdAt: { $gte: since },
+            status: { $ne: 'closed' }
+        }).select('title description').sort({ createdAt: -1 }).limit(20).lean();
+
+        const tokens = tokenize(`${ticket.title} ${ticket.description}`);
+        const best = candidates
+            .map(candidate => ({
+                candidate,
+                similarity: jaccard(tokens, tokenize(`${candidate.title} ${candidate.description}`))
+            }))
+            .sort((a, b) => b.similarity - a.similarity)[0];
+
+        if (!best || best.similarity < DUPLICATE_SIMILARITY) return;
+
+        ctx.signal?.throwIfAborted();
+        ctx.duplicateOf = best.candidate._id;
+        if (!ticket.tags.includes('possible_duplicate')) {
+            ticket.tags.push('possible_duplicate');
+            await ticket.save();
+        }
+
+        await ctx.log('DUPLICATE_DETECTED', {
+            duplicateOfId: best.candidate._id,
+            duplicateOfTitle: best.candidate.title,
+            similarity: Math.round(best.similarity * 100) / 100
+        });
+    }
+});
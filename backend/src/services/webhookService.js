@@ -0,0 +1,200 @@
+import crypto from 'crypto';
+import { auditEvents } from '../models/AuditLog.js';
+import { WebhookDelivery } from '../models/WebhookDelivery.js';
+import { WebhookSubscription } from '../models/WebhookSubscription.js';
+import { logger } from '../utils/logger.js';
+import { addWebhookJob } from './queueService.js';
+
+export const SIGNATURE_HEADER = 'X-Helpdesk-Signature';
+
+// Keep enough of the receiver's response to debug a failure
+const MAX_RESPONSE_BODY = 1000;
+
+/**
+ * Signature over "<timestamp>.<body>". Receivers recompute it with their
+ * secret and reject stale timestamps to stop replays.
+ */
+export const signPayload = (secret, timestamp, body) => {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+};
+
+export const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Webhook Service
+ * Sends audit events to admin-registered URLs. Every saved AuditLog entry is
+ * matched against active subscriptions; each match becomes a WebhookDelivery
+ * that the webhooks queue sends and retries.
+ */
+class WebhookService {
+    constructor() {
+        auditEvents.on('created', (auditLog) => {
+            this.dispatch(auditLog).catch(error => {
+                logger.error(`Failed to dispatch webhooks for audit log ${auditLog._id}:`, error);
+            });
+        });
+    }
+
+    /**
+     * Create and queue a delivery for every subscription listening to this action
+     */
+    async dispatch(auditLog) {
+        const subscriptions = await WebhookSubscription.find({
+            isActive: true,
+            actions: auditLog.action
+        }).lean();
+
+        if (subscriptions.length === 0) return [];
+
+        const payload = JSON.stringify(this.buildPayload(auditLog));
+
+        const deliveries = await WebhookDelivery.insertMany(subscriptions.map(subscription => ({
+            subscriptionId: subscription._id,
+            auditLogId: auditLog._id,
+            action: auditLog.action,
+            url: subscription.url,
+            payload
+        })));
+
+        for (const delivery of deliveries) {
+            await this._enqueue(delivery);
+        }
+
+        return deliveries;
+    }
+
+    buildPayload(auditLog) {
+        return {
+            id: auditLog._id.toString(),
+            event: auditLog.action,
+            occurredAt: auditLog.timestamp,
+            traceId: auditLog.traceId,
+            data: {
+                ticketId: auditLog.ticketId,
+                targetUserId: auditLog.targetUserId,
+                actor: auditLog.actor,
+                actorId: auditLog.actorId,
+                meta: auditLog.meta
+            }
+        };
+    }
+
+    /**
+     * Send a copy of an earlier delivery as a new delivery
+     */
+    async redeliver(original, user) {
+        const subscription = await WebhookSubscription.findById(original.subscriptionId);
+        if (!subscription) {
+            throw new Error(`Webhook ${original.subscriptionId} no longer exists`);
+        }
+
+        const delivery = await WebhookDelivery.create({
+            subscriptionId: subscription._id,
+            auditLogId: original.auditLogId,
+            action: original.action,
+            url: subscription.url,
+            payload: original.payload,
+            redeliveryOf: original._id,
+            triggeredBy: user._id
+        });
+
+        await this._enqueue(delivery);
+
+        logger.info(`Webhook delivery ${original._id} redelivered as ${delivery._id}`, {
+            subscriptionId: subscription._id,
+            userId: user._id
+        });
+
+        return WebhookDelivery.findById(delivery._id);
+    }
+
+    async _enqueue(delivery) {
+        try {
+            await addWebhookJob({ deliveryId: delivery._id.toString() });
+        } catch (error) {
+            // Without a queue a failed send is final; it stays in the log for redelivery
+            logger.error(`Webhook delivery ${delivery._id} failed:`, error.message);
+        }
+    }
+
+    /**
+     * POST one delivery and record the attempt. Throws on failure so the
+     * queue retries; the last attempt marks the delivery failed.
+     */
+    async deliver(deliveryId, { attempt = 1, maxAttempts = 1 } = {}) {
+        const delivery = await WebhookDelivery.findById(deliveryId);
+        if (!delivery) {
+            logger.warn(`Webhook delivery ${deliveryId} not found`);
+            return { skipped: true };
+        }
+        if (delivery.status === 'succeeded') {
+            return { skipped: true };
+        }
+
+        const subscription = await WebhookSubscription.findById(delivery.subscriptionId).select('+secret');
+        if (!subscription || !subscription.isActive) {
+            delivery.status = 'failed';
+            delivery.attempts.push({ error: 'Subscription is disabled or deleted' });
+            await delivery.save();
+            return { skipped: true };
+        }
+
+        const timestamp = Math.floor(Date.now() / 1000);
+        const startedAt = Date.now();
+        const record = {};
+
+        try {
+            const response = await fetch(delivery.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'Helpdesk-Webhooks/1.0',
+                    'X-Helpdesk-Event': delivery.action,
+                    'X-Helpdesk-Delivery': delivery._id.toString(),
+                    [SIGNATURE_HEADER]: signPayload(subscription.secret, timestamp, delivery.payload)
+                },
+                body: delivery.payload,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000)
+            });
+
+            record.responseStatus = response.status;
+            record.responseBody = (await response.text()).substring(0, MAX_RESPONSE_BODY);
+
+            if (!response.ok) {
+                throw new Error(`Receiver responded with ${response.status}`);
+            }
+        } catch (error) {
+            record.error = error.message;
+        }
+
+        record.durationMs = Date.now() - startedAt;
+        delivery.attempts.push(record);
+
+        if (record.error) {
+            delivery.status = attempt >= maxAttempts ? 'failed' : 'retrying';
+            await delivery.save();
+
+            logger.warn(`Webhook delivery ${delivery._id} attempt ${attempt}/${maxAttempts} failed: ${record.error}`, {
+                subscriptionId: delivery.subscriptionId,
+                action: delivery.action
+            });
+            throw new Error(record.error);
+        }
+
+        delivery.status = 'succeeded';
+        delivery.deliveredAt = new Date();
+        await delivery.save();
+
+        logger.info(`Webhook delivery ${delivery._id} succeeded`, {
+            subscriptionId: delivery.subscriptionId,
+            action: delivery.action,
+            responseStatus: record.responseStatus
+        });
+
+        return { skipped: false, responseStatus: record.responseStatus };
+    }
+}
+
+export default new WebhookService();
@@ -0,0 +1,177 @@
+/**
+ * Business time calculations against a calendar of weekly working hours,
+ * holidays and a timezone. When the calendar is missing or disabled every
+ * function falls back to plain wall-clock time.
+ *
+ * Calendar shape:
+ * {
+ *   enabled: true,
+ *   timezone: 'Europe/London',
+ *   workingHours: [{ day: 1, start: '09:00', end: '17:00' }, ...], // day 0 = Sunday
+ *   holidays: [{ date: '2024-12-25', name: 'Christmas Day' }]
+ * }
+ */
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+// Give up after ten years without finding enough working time
+const MAX_DAYS_SCANNED = 3660;
+
+const formatterCache = new Map();
+
+const getFormatter = (timeZone) => {
+    if (!formatterCache.has(timeZone)) {
+        formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        }));
+    }
+    return formatterCache.get(timeZone);
+};
+
+export const isValidTimeZone = (timeZone) => {
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+const isActive = (calendar) => Boolean(
+    calendar?.enabled && calendar.workingHours?.length > 0
+);
+
+/**
+ * Wall-clock date parts of an instant in a timezone
+ */
+const getZonedParts = (date, timeZone) => {
+    const parts = {};
+    for (const { type, value } of getFormatter(timeZone).formatToParts(date)) {
+        if (type !== 'literal') parts[type] = parseInt(value, 10);
+    }
+    return parts;
+};
+
+/**
+ * Offset of a timezone from UTC at a given instant, in ms
+ */
+const getOffsetMs = (date, timeZone) => {
+    const p = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+    return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Instant at which the wall clock in a timezone shows the given local time
+ */
+const zonedTimeToUtc = (year, month, day, minutesOfDay, timeZone) => {
+    const localAsUtc = Date.UTC(year, month - 1, day, 0, minutesOfDay);
+    // Two passes settle the offset across DST transitions
+    let guess = localAsUtc - getOffsetMs(new Date(localAsUtc), timeZone);
+    guess = localAsUtc - getOffsetMs(new Date(guess), timeZone);
+    return guess;
+};
+
+const parseClock = (value) => {
+    const [hours, minutes] = value.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * Working windows [startMs, endMs] for one local calendar day
+ */
+const getWindowsForDay = (calendar, { year, month, day }) => {
+    const isoDate = `${year}-${pad(month)}-${pad(day)}`;
+    if ((calendar.holidays || []).some(h => h.date === isoDate)) {
+        return [];
+    }
+
+    const weekday = new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+
+    return calendar.workingHours
+        .filter(wh => wh.day === weekday)
+        .map(wh => [
+            zonedTimeToUtc(year, month, day, parseClock(wh.start), calendar.timezone),
+            zonedTimeToUtc(year, month, day, parseClock(wh.end), calendar.timezone)
+        ])
+        .filter(([start, end]) => end > start)
+        .sort((a, b) => a[0] - b[0]);
+};
+
+const nextLocalDay = ({ year, month, day }) => {
+    const next = new Date(Date.UTC(year, month - 1, day) + DAY_MS);
+    return { year: next.getUTCFullYear(), month: next.getUTCMonth() + 1, day: next.getUTCDate() };
+};
+
+/**
+ * Add a duration of business time to a start instant
+ */
+export const addBusinessTime = (start, durationMs, calendar) => {
+    if (!isActive(calendar)) {
+        return new Date(start.getTime() + durationMs);
+    }
+
+    let remaining = durationMs;
+    const cursor = start.getTime();
+    let localDay = getZonedParts(start, calendar.timezone);
+
+    for (let i = 0; i < MAX_DAYS_SCANNED; i++) {
+        for (const [windowStart, windowEnd] of getWindowsForDay(calendar, localDay)) {
+            if (windowEnd <= cursor) continue;
+
+            const segmentStart = Math.max(windowStart, cursor);
+            const available = windowEnd - segmentStart;
+
+            if (remaining <= available) {
+                return new Date(segmentStart + remaining);
+            }
+            remaining -= available;
+        }
+        localDay = nextLocalDay(localDay);
+    }
+
+    throw new Error('Business calendar has no working time within range');
+};
+
+/**
+ * Business time elapsed between two instants, in ms
+ */
+export const businessTimeBetween = (start, end, calendar) => {
+    const startMs = start.getTime();
+    const endMs = end.getTime();
+
+    if (endMs <= startMs) return 0;
+    if (!isActive(calendar)) return endMs - startMs;
+
+    let total = 0;
+    let localDay = getZonedParts(start, calendar.timezone);
+
+    for (let i = 0; i < MAX_DAYS_SCANNED; i++) {
+        const windows = getWindowsForDay(calendar, localDay);
+
+        for (const [windowStart, windowEnd] of windows) {
+            if (windowStart >= endMs) return total;
+            const overlap = Math.min(windowEnd, endMs) - Math.max(windowStart, startMs);
+            if (overlap > 0) total += overlap;
+        }
+
+        // Stop once the local day being scanned starts after the end instant
+        const next = nextLocalDay(localDay);
+        if (zonedTimeToUtc(next.year, next.month, next.day, 0, calendar.timezone) >= endMs) {
+            return total;
+        }
+        localDay = next;
+    }
+
+    return total;
+};
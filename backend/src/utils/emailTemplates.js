@@ -0,0 +1,120 @@
+import { formatSubjectToken } from './emailThreading.js';
+
+/**
+ * Email templates for ticket lifecycle notifications. Each template gets
+ * { recipient, ticket, context } and returns { subject, text, html }.
+ * Subjects carry the thread token so replies land back on the ticket.
+ */
+
+const escapeHtml = (value = '') => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+export const getTicketUrl = (ticketId) => {
+    const base = (process.env.FRONTEND_URL || 'http://localhost:3000').replace(/\/+$/, '');
+    return `${base}/tickets/${ticketId}`;
+};
+
+const subjectFor = (ticket, text) => `${formatSubjectToken(ticket._id)} ${text}: ${ticket.title}`;
+
+/**
+ * Plain-text and HTML bodies from paragraphs and an optional quoted message
+ */
+const layout = ({ recipient, ticket, paragraphs, quote }) => {
+    const url = getTicketUrl(ticket._id);
+    const footer = 'Reply to this email to add to the conversation.';
+
+    const text = [
+        `Hi ${recipient.name},`,
+        '',
+        ...paragraphs.flatMap(p => [p, '']),
+        ...(quote ? [quote.split('\n').map(line => `  ${line}`).join('\n'), ''] : []),
+        `View the ticket: ${url}`,
+        '',
+        footer
+    ].join('\n');
+
+    const html = [
+        `<p>Hi ${escapeHtml(recipient.name)},</p>`,
+        ...paragraphs.map(p => `<p>${escapeHtml(p)}</p>`),
+        quote ? `<blockquote style="border-left:3px solid #ccc;margin:0;padding-left:12px;white-space:pre-wrap">${escapeHtml(quote)}</blockquote>` : '',
+        `<p><a href="${escapeHtml(url)}">View the ticket</a></p>`,
+        `<p style="color:#888;font-size:12px">${escapeHtml(footer)}</p>`
+    ].filter(Boolean).join('\n');
+
+    return { text, html };
+};
+
+export const templates = {
+    ticket_created: ({ recipient, ticket }) => ({
+        subject: subjectFor(ticket, 'We received your request'),
+        ...layout({
+            recipient,
+            ticket,
+            paragraphs: [
+                `Thanks for contacting support. Your ticket "${ticket.title}" has been created and our team will get back to you soon.`
+            ],
+            quote: ticket.description
+        })
+    }),
+
+    agent_replied: ({ recipient, ticket, context }) => ({
+        subject: subjectFor(ticket, 'New reply'),
+        ...layout({
+            recipient,
+            ticket,
+            paragraphs: [`${context.authorName || 'Our support team'} replied to your ticket.`],
+            quote: context.content
+        })
+    }),
+
+    auto_resolved: ({ recipient, ticket, context }) => ({
+        subject: subjectFor(ticket, 'Resolved'),
+        ...layout({
+            recipient,
+            ticket,
+            paragraphs: [
+                'We believe this answer resolves your ticket, so we have marked it as resolved.',
+                'If it does not help, reply to this email and the ticket will be reopened for an agent.'
+            ],
+            quote: context.content
+        })
+    }),
+
+    reopened: ({ recipient, ticket, context }) => ({
+        subject: subjectFor(ticket, 'Reopened'),
+        ...layout({
+            recipient,
+            ticket,
+            paragraphs: [
+                `The ticket was reopened by ${context.reopenedBy || 'the customer'} and is waiting for an agent.`,
+                ...(context.reason ? [`Reason: ${context.reason}`] : [])
+            ]
+        })
+    }),
+
+    sla_breached: ({ recipient, ticket, context }) => ({
+        subject: subjectFor(ticket, 'SLA breached'),
+        ...layout({
+            recipient,
+            ticket,
+            paragraphs: [
+                `The SLA deadline (${new Date(context.slaDeadline || ticket.slaDeadline).toUTCString()}) has passed without a resolution.`,
+                `Priority was raised to ${context.newPriority || ticket.priority}.`
+            ]
+        })
+    })
+};
+
+export const NOTIFICATION_EVENTS = Object.keys(templates);
+
+export const renderNotification = (event, data) => {
+    const template = templates[event];
+    if (!template) {
+        throw new Error(`Unknown notification event: ${event}`);
+    }
+    return template(data);
+};
@@ -0,0 +1,65 @@
+/**
+ * Email threading helpers. Outbound mail carries the ticket ID in three
+ * places so replies can be matched back to their ticket: a token in the
+ * subject ("[HD-<id>]"), an X-Helpdesk-Ticket header and the Message-ID,
+ * which mail clients echo in In-Reply-To/References.
+ */
+
+const OBJECT_ID = '[0-9a-fA-F]{24}';
+
+const SUBJECT_TOKEN = new RegExp(`\\[HD-(${OBJECT_ID})\\]`);
+const MESSAGE_ID_TOKEN = new RegExp(`<ticket\\.(${OBJECT_ID})\\.[^@>]*@[^>]+>`);
+
+export const TICKET_HEADER = 'x-helpdesk-ticket';
+
+export const getEmailDomain = () => process.env.EMAIL_DOMAIN || 'helpdesk.local';
+
+export const formatSubjectToken = (ticketId) => `[HD-${ticketId}]`;
+
+export const buildMessageId = (ticketId, suffix) =>
+    `<ticket.${ticketId}.${suffix}@${getEmailDomain()}>`;
+
+/**
+ * Find the ticket a message refers to. Headers are checked before the
+ * subject because users edit subjects but clients keep references intact.
+ */
+export const findTicketReference = ({ subject = '', headers = new Map(), inReplyTo = '', references = [] }) => {
+    const header = headers.get(TICKET_HEADER);
+    if (typeof header === 'string' && new RegExp(`^${OBJECT_ID}$`).test(header.trim())) {
+        return header.trim();
+    }
+
+    const referenceList = Array.isArray(references) ? references : [references];
+    for (const value of [inReplyTo, ...referenceList]) {
+        const match = value && MESSAGE_ID_TOKEN.exec(value);
+        if (match) return match[1];
+    }
+
+    const subjectMatch = SUBJECT_TOKEN.exec(subject);
+    return subjectMatch ? subjectMatch[1] : null;
+};
+
+/**
+ * Subject without the thread token and reply/forward prefixes
+ */
+export const cleanSubject = (subject = '') => subject
+    .replace(new RegExp(SUBJECT_TOKEN.source, 'g'), '')
+    .replace(/^\s*((re|fw|fwd|aw|sv)\s*:\s*)+/i, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Drop the quoted history below a reply ("On ... wrote:" or ">" lines)
+ */
+export const stripQuotedReply = (text = '') => {
+    const lines = text.replace(/\r\n/g, '\n').split('\n');
+    const kept = [];
+
+    for (const line of lines) {
+        if (/^On .+wrote:\s*$/.test(line) || /^-{2,}\s*Original Message\s*-{2,}/i.test(line)) break;
+        if (/^\s*>/.test(line)) continue;
+        kept.push(line);
+    }
+
+    return kept.join('\n').trim();
+};
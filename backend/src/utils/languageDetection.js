@@ -0,0 +1,48 @@
+/**
+ * Lightweight language detection by stopword frequency.
+ * Good enough to route short support messages; returns null when unsure.
+ */
+
+const STOPWORDS = {
+    en: ['the', 'and', 'is', 'it', 'to', 'my', 'of', 'for', 'you', 'have', 'was', 'not', 'with', 'this', 'that', 'please', 'can', 'order', 'what', 'how'],
+    es: ['el', 'la', 'los', 'las', 'de', 'que', 'y', 'en', 'un', 'una', 'mi', 'por', 'para', 'con', 'no', 'es', 'pedido', 'hola', 'gracias', 'cuenta'],
+    fr: ['le', 'la', 'les', 'de', 'des', 'et', 'est', 'je', 'un', 'une', 'mon', 'ma', 'pour', 'pas', 'que', 'avec', 'bonjour', 'merci', 'commande', 'compte'],
+    de: ['der', 'die', 'das', 'und', 'ist', 'ich', 'nicht', 'mit', 'ein', 'eine', 'mein', 'meine', 'für', 'bitte', 'auf', 'zu', 'hallo', 'danke', 'bestellung', 'konto'],
+    pt: ['o', 'a', 'os', 'as', 'de', 'que', 'e', 'em', 'um', 'uma', 'meu', 'minha', 'para', 'com', 'não', 'por', 'olá', 'obrigado', 'pedido', 'conta'],
+    it: ['il', 'lo', 'la', 'di', 'che', 'e', 'è', 'un', 'una', 'mio', 'mia', 'per', 'con', 'non', 'sono', 'ho', 'ciao', 'grazie', 'ordine', 'conto'],
+    nl: ['de', 'het', 'een', 'en', 'is', 'ik', 'niet', 'met', 'mijn', 'voor', 'van', 'op', 'dat', 'te', 'hallo', 'bedankt', 'bestelling', 'graag', 'account', 'wij']
+};
+
+const STOPWORD_SETS = Object.fromEntries(
+    Object.entries(STOPWORDS).map(([language, words]) => [language, new Set(words)])
+);
+
+// Fewer stopword hits than this, or a winner this close to the runner-up, is a guess
+const MIN_HITS = 3;
+const MIN_MARGIN = 1.5;
+
+/**
+ * Return { language, confidence } with an ISO 639-1 code, or null when the
+ * text is too short or ambiguous to call
+ */
+export const detectLanguage = (text) => {
+    const words = (text || '').toLowerCase().match(/\p{L}+/gu) || [];
+
+    const scores = Object.keys(STOPWORD_SETS).map(language => ({
+        language,
+        hits: words.filter(word => STOPWORD_SETS[language].has(word)).length
+    })).sort((a, b) => b.hits - a.hits);
+
+    const [best, runnerUp] = scores;
+    if (best.hits < MIN_HITS || best.hits < runnerUp.hits * MIN_MARGIN) {
+        return null;
+    }
+
+    const total = scores.reduce((sum, score) => sum + score.hits, 0);
+    return {
+        language: best.language,
+        confidence: Math.round((best.hits / total) * 100) / 100
+    };
+};
+
+export const SUPPORTED_LANGUAGES = Object.keys(STOPWORDS);
@@ -0,0 +1,56 @@
+/**
+ * PII redaction for text sent to the LLM.
+ * Each match is replaced with a typed placeholder such as [EMAIL].
+ */
+
+const PATTERNS = [
+    { type: 'email', placeholder: '[EMAIL]', regex: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g },
+    { type: 'iban', placeholder: '[IBAN]', regex: /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){2,7}(?: ?[A-Z0-9]{1,4})?\b/g },
+    // Candidate card numbers are only redacted when they pass the Luhn check
+    { type: 'card', placeholder: '[CARD]', regex: /\b(?:\d[ -]?){12,18}\d\b/g, check: digits => luhn(digits) },
+    { type: 'ssn', placeholder: '[SSN]', regex: /\b\d{3}-\d{2}-\d{4}\b/g },
+    // Short numbers like order references are left alone
+    {
+        type: 'phone',
+        placeholder: '[PHONE]',
+        regex: /(?:\+\d{1,3}[ .-]?)?(?:\(\d{1,4}\)[ .-]?)?\d{2,4}[ .-]\d{3,4}(?:[ .-]?\d{2,4})?\b/g,
+        check: match => match.replace(/\D/g, '').length >= 7
+    }
+];
+
+const luhn = (value) => {
+    const digits = value.replace(/\D/g, '');
+    if (digits.length < 13 || digits.length > 19) return false;
+
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let digit = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 1) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+    }
+    return sum % 10 === 0;
+};
+
+/**
+ * Return { text, counts } where counts maps each PII type to the number of
+ * redactions. Patterns run in order, so an email is never re-read as a phone.
+ */
+export const redactPii = (text) => {
+    const counts = {};
+    let redacted = text || '';
+
+    for (const { type, placeholder, regex, check } of PATTERNS) {
+        redacted = redacted.replace(regex, (match) => {
+            if (check && !check(match)) {
+                return match;
+            }
+            counts[type] = (counts[type] || 0) + 1;
+            return placeholder;
+        });
+    }
+
+    return { text: redacted, counts };
+};
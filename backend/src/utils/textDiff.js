@@ -0,0 +1,52 @@
+/**
+ * Line diff for article revisions, from the longest common subsequence of
+ * the two texts' lines. Articles are capped at 10000 characters, so the
+ * quadratic table stays small.
+ */
+
+/**
+ * Diff two texts line by line. Returns hunks of consecutive lines, each
+ * `{ type: 'equal' | 'added' | 'removed', lines }`, in reading order.
+ */
+export const diffLines = (before, after) => {
+    const a = (before || '').split('\n');
+    const b = (after || '').split('\n');
+
+    // lengths[i][j]: LCS length of a[i..] and b[j..]
+    const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lengths[i][j] = a[i] === b[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const hunks = [];
+    const push = (type, line) => {
+        const last = hunks[hunks.length - 1];
+        if (last?.type === type) {
+            last.lines.push(line);
+        } else {
+            hunks.push({ type, lines: [line] });
+        }
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            push('equal', a[i]);
+            i++;
+            j++;
+        } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+            push('removed', a[i]);
+            i++;
+        } else {
+            push('added', b[j]);
+            j++;
+        }
+    }
+
+    return hunks;
+};
@@ -0,0 +1,56 @@
+/**
+ * Word tokenizer shared by keyword ranking and the local embedder.
+ * English-only light stemming: enough to match "refunds" with "refunded".
+ */
+
+// Words too common to say anything about what a text is about
+export const STOP_WORDS = new Set([
+    'the', 'a', 'an', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for',
+    'of', 'with', 'by', 'is', 'are', 'was', 'were', 'be', 'been', 'being',
+    'have', 'has', 'had', 'do', 'does', 'did', 'will', 'would', 'could',
+    'should', 'may', 'might', 'must', 'can', 'this', 'that', 'these', 'those',
+    'i', 'me', 'my', 'we', 'our', 'you', 'your', 'it', 'its', 'they', 'them',
+    'there', 'here', 'from', 'as', 'if', 'so', 'not', 'no', 'please', 'hi', 'hello'
+]);
+
+const SUFFIXES = [
+    ['ies', 'y'],
+    ['ing', ''],
+    ['ed', ''],
+    ['es', ''],
+    ['s', '']
+];
+
+/**
+ * Strip the most common English inflections so word forms share a stem
+ */
+export const stem = (word) => {
+    if (word.length <= 3 || word.endsWith('ss')) return word;
+
+    let stemmed = word;
+    for (const [suffix, replacement] of SUFFIXES) {
+        if (word.endsWith(suffix) && word.length - suffix.length >= 3) {
+            stemmed = word.slice(0, -suffix.length) + replacement;
+            break;
+        }
+    }
+
+    // shipped -> ship, charge -> charg (to match charged)
+    if (/([^aeiouls])\1$/.test(stemmed)) {
+        stemmed = stemmed.slice(0, -1);
+    }
+    if (stemmed.endsWith('e') && stemmed.length > 4) {
+        stemmed = stemmed.slice(0, -1);
+    }
+    return stemmed;
+};
+
+/**
+ * Stemmed, lower-case words in text order, without stop words
+ */
+export const tokenize = (text) => {
+    const words = (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    return words
+        .filter(word => word.length > 1 && !STOP_WORDS.has(word))
+        .map(stem);
+};
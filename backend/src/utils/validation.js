@@ -1,4 +1,9 @@
 import { z } from 'zod';
+import { ARTICLE_STATUSES } from '../models/Article.js';
+import { AUDIT_ACTIONS } from '../models/AuditLog.js';
+import { TEAM_STRATEGIES } from '../models/Team.js';
+import { CUSTOMER_TIERS } from '../models/User.js';
+import { isValidTimeZone } from './businessTime.js';
 
 // User validation schemas
 export const registerSchema = z.object({
@@ -28,6 +33,67 @@ export const loginSchema = z.object({
         .min(1, 'Password is required')
 });
 
+export const createUserSchema = registerSchema.extend({
+    role: z.enum(['admin', 'agent', 'user'])
+});
+
+export const updateUserRoleSchema = z.object({
+    role: z.enum(['admin', 'agent', 'user'])
+});
+
+export const updateCustomerTierSchema = z.object({
+    customerTier: z.enum(CUSTOMER_TIERS)
+});
+
+const availabilitySchema = z.enum(['available', 'busy', 'away', 'offline']);
+
+export const agentProfileSchema = z.object({
+    skills: z.array(z.object({
+        category: z.enum(['billing', 'tech', 'shipping', 'other']),
+        level: z.number().int().min(1).max(5).optional().default(3)
+    })).max(4).refine(
+        skills => new Set(skills.map(s => s.category)).size === skills.length,
+        'Each category can only be listed once'
+    ),
+    languages: z.array(z.string().regex(/^[a-zA-Z]{2}$/, 'Use ISO 639-1 codes').toLowerCase()).max(20),
+    maxConcurrentTickets: z.number().int().min(1).max(100).nullable(),
+    availability: availabilitySchema
+}).partial().strict();
+
+export const updateAvailabilitySchema = z.object({
+    availability: availabilitySchema
+});
+
+export const notificationPreferencesSchema = z.object({
+    email: z.object({
+        ticket_created: z.boolean(),
+        agent_replied: z.boolean(),
+        auto_resolved: z.boolean(),
+        reopened: z.boolean(),
+        sla_breached: z.boolean()
+    }).partial().strict()
+}).strict();
+
+// Webhook validation schemas
+const webhookUrl = z.string()
+    .url('Invalid URL')
+    .max(2000)
+    .refine(url => /^https?:\/\//i.test(url), 'URL must use http or https');
+
+export const createWebhookSchema = z.object({
+    name: z.string().min(1).max(100).trim(),
+    url: webhookUrl,
+    actions: z.array(z.enum(AUDIT_ACTIONS)).min(1, 'Select at least one action'),
+    isActive: z.boolean().optional().default(true)
+});
+
+export const updateWebhookSchema = z.object({
+    name: z.string().min(1).max(100).trim(),
+    url: webhookUrl,
+    actions: z.array(z.enum(AUDIT_ACTIONS)).min(1, 'Select at least one action'),
+    isActive: z.boolean()
+}).partial();
+
 // Article validation schemas
 export const createArticleSchema = z.object({
     title: z.string()
@@ -40,12 +106,44 @@ export const createArticleSchema = z.object({
     tags: z.array(z.string().trim().toLowerCase().max(50))
         .max(10, 'Maximum 10 tags allowed')
         .optional()
-        .default([]),
-    status: z.enum(['draft', 'published']).optional().default('draft')
+        .default([])
 });
 
 export const updateArticleSchema = createArticleSchema.partial();
 
+const revisionNumber = z.coerce.number().int().min(1);
+
+export const articleDiffQuerySchema = z.object({
+    from: revisionNumber,
+    to: revisionNumber
+});
+
+export const rollbackArticleSchema = z.object({
+    revision: revisionNumber
+});
+
+// Status only changes through the review workflow
+export const articleTransitionSchema = z.object({
+    status: z.enum(ARTICLE_STATUSES),
+    comment: z.string().trim().min(1).max(2000).optional()
+});
+
+export const articleReviewersSchema = z.object({
+    reviewers: z.array(z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid user ID format'))
+        .max(10, 'Maximum 10 reviewers allowed')
+        .transform(ids => [...new Set(ids)])
+});
+
+export const articleCommentSchema = z.object({
+    body: z.string().trim().min(1, 'Comment is required').max(2000, 'Comment must be less than 2000 characters')
+});
+
+// null clears a scheduled date
+export const articleScheduleSchema = z.object({
+    publishAt: z.coerce.date().nullable().optional(),
+    unpublishAt: z.coerce.date().nullable().optional()
+}).refine(data => data.publishAt !== undefined || data.unpublishAt !== undefined, 'Nothing to schedule');
+
 // Ticket validation schemas
 export const createTicketSchema = z.object({
     title: z.string()
@@ -70,23 +168,157 @@ export const replySchema = z.object({
     isInternal: z.boolean().optional().default(false)
 });
 
+// Customers may only send content; isInternal and other fields are rejected
+export const customerReplySchema = z.object({
+    content: z.string()
+        .min(1, 'Reply content is required')
+        .max(5000, 'Reply must be less than 5000 characters')
+}).strict();
+
 export const assignTicketSchema = z.object({
     assigneeId: z.string()
         .regex(/^[0-9a-fA-F]{24}$/, 'Invalid user ID format')
         .optional()
 });
 
+export const overridePrioritySchema = z.object({
+    priority: z.enum(['low', 'medium', 'high', 'urgent']),
+    reason: z.string().max(500).trim().optional()
+});
+
+export const assignTeamSchema = z.object({
+    teamId: z.string()
+        .regex(/^[0-9a-fA-F]{24}$/, 'Invalid team ID format')
+        .nullable()
+});
+
+// Team validation schemas
+const memberIdsSchema = z.array(z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid user ID format'))
+    .max(200)
+    .transform(ids => [...new Set(ids)]);
+
+export const createTeamSchema = z.object({
+    name: z.string().min(1, 'Name is required').max(100).trim(),
+    description: z.string().max(500).trim().optional(),
+    members: memberIdsSchema.optional().default([]),
+    strategy: z.enum(TEAM_STRATEGIES).optional(),
+    isActive: z.boolean().optional()
+});
+
+export const updateTeamSchema = createTeamSchema.partial().strict();
+
+export const teamMembersSchema = z.object({
+    userIds: memberIdsSchema.refine(ids => ids.length > 0, 'At least one user is required')
+});
+
 // Config validation schemas
+const llmStepSchema = z.object({
+    provider: z.enum(['stub', 'openai', 'anthropic', 'ollama']).nullable().optional(),
+    model: z.string().trim().max(100).nullable().optional()
+});
+
+export const llmSettingsSchema = z.object({
+    classify: llmStepSchema.optional(),
+    draft: llmStepSchema.optional(),
+    priority: llmStepSchema.optional(),
+    fallback: llmStepSchema.optional()
+});
+
+const clockTime = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Time must be HH:mm');
+
+export const businessCalendarSchema = z.object({
+    enabled: z.boolean().optional(),
+    timezone: z.string()
+        .refine(isValidTimeZone, 'Unknown timezone')
+        .optional(),
+    workingHours: z.array(z.object({
+        day: z.number().int().min(0).max(6),
+        start: clockTime,
+        end: z.union([clockTime, z.literal('24:00')])
+    }).refine(wh => wh.end === '24:00' || wh.end > wh.start, 'End must be after start'))
+        .max(21, 'Maximum 21 working-hour ranges allowed')
+        .optional(),
+    holidays: z.array(z.object({
+        date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be YYYY-MM-DD'),
+        name: z.string().trim().max(100).optional()
+    }))
+        .max(366, 'Maximum 366 holidays allowed')
+        .optional()
+});
+
+export const routingSettingsSchema = z.object({
+    allowGeneralists: z.boolean(),
+    defaultMaxConcurrentTickets: z.number().int().min(1).max(100),
+    fallbackQueue: z.string().min(1).max(50).trim()
+}).partial();
+
+export const agentSettingsSchema = z.object({
+    maxRetries: z.number().int().min(1).max(5),
+    timeoutMs: z.number().int().min(5000).max(120000),
+    enableFallback: z.boolean()
+}).partial();
+
+const pipelineDefinitionSchema = z.array(z.object({
+    step: z.string().min(1).max(50).trim(),
+    enabled: z.boolean().optional().default(true),
+    timeoutMs: z.number().int().min(1000).max(120000).optional(),
+    maxRetries: z.number().int().min(0).max(5).optional()
+})).min(1).max(20);
+
+// A null category pipeline removes the override so the default applies
+export const triagePipelineSchema = z.object({
+    default: pipelineDefinitionSchema.optional(),
+    categories: z.object({
+        billing: pipelineDefinitionSchema.nullable(),
+        tech: pipelineDefinitionSchema.nullable(),
+        shipping: pipelineDefinitionSchema.nullable(),
+        other: pipelineDefinitionSchema.nullable()
+    }).partial().optional()
+});
+
 export const updateConfigSchema = z.object({
     autoCloseEnabled: z.boolean().optional(),
     confidenceThreshold: z.number().min(0).max(1).optional(),
+    groundingThreshold: z.number().min(0).max(1).optional(),
     slaHours: z.number().min(1).max(168).optional(),
     categoryThresholds: z.object({
         billing: z.number().min(0).max(1).optional(),
         tech: z.number().min(0).max(1).optional(),
         shipping: z.number().min(0).max(1).optional(),
         other: z.number().min(0).max(1).optional()
+    }).optional(),
+    priorityThresholds: z.object({
+        low: z.number().min(0).max(1).nullable().optional(),
+        medium: z.number().min(0).max(1).nullable().optional(),
+        high: z.number().min(0).max(1).nullable().optional(),
+        urgent: z.number().min(0).max(1).nullable().optional()
+    }).optional(),
+    llmSettings: llmSettingsSchema.optional(),
+    businessCalendar: businessCalendarSchema.optional(),
+    routing: routingSettingsSchema.optional(),
+    agentSettings: agentSettingsSchema.optional()
+});
+
+const slaHoursValue = z.number().min(1).max(168).nullable().optional();
+
+export const updateSlaSchema = z.object({
+    slaHours: z.number().min(1).max(168).optional(),
+    policies: z.object({
+        priorities: z.object({
+            low: slaHoursValue,
+            medium: slaHoursValue,
+            high: slaHoursValue,
+            urgent: slaHoursValue
+        }).optional(),
+        categories: z.object({
+            billing: slaHoursValue,
+            tech: slaHoursValue,
+            shipping: slaHoursValue,
+            other: slaHoursValue
+        }).optional()
     }).optional()
+}).refine(data => data.slaHours !== undefined || data.policies !== undefined, {
+    message: 'Provide slaHours or policies'
 });
 
 // Query validation schemas
@@ -98,16 +330,62 @@ export const paginationSchema = z.object({
 });
 
 export const ticketQuerySchema = paginationSchema.extend({
-    status: z.enum(['open', 'triaged', 'waiting_human', 'resolved', 'closed']).optional(),
+    status: z.enum(['open', 'triaged', 'waiting_human', 'waiting_customer', 'resolved', 'closed']).optional(),
     category: z.enum(['billing', 'tech', 'shipping', 'other']).optional(),
     assignee: z.string().regex(/^[0-9a-fA-F]{24}$/).optional(),
     createdBy: z.string().regex(/^[0-9a-fA-F]{24}$/).optional(),
+    queue: z.string().max(50).optional(),
+    team: z.string().regex(/^([0-9a-fA-F]{24}|mine)$/, 'Use a team ID or "mine"').optional(),
+    unassigned: z.string().transform(val => val === 'true').pipe(z.boolean()).optional(),
     my: z.string().transform(val => val === 'true').pipe(z.boolean()).optional()
 });
 
 export const kbQuerySchema = paginationSchema.extend({
-    status: z.enum(['draft', 'published']).optional(),
-    tags: z.string().optional()
+    status: z.enum(ARTICLE_STATUSES).optional(),
+    tags: z.string().optional(),
+    // Search ranking; defaults to KB_SEARCH_MODE or hybrid
+    mode: z.enum(['hybrid', 'vector', 'keyword']).optional()
+});
+
+export const userQuerySchema = paginationSchema.extend({
+    role: z.enum(['admin', 'agent', 'user']).optional(),
+    isActive: z.enum(['true', 'false']).transform(val => val === 'true').optional()
+});
+
+export const inboundEmailQuerySchema = paginationSchema.extend({
+    status: z.enum(['processing', 'processed', 'ignored', 'failed']).optional(),
+    source: z.enum(['webhook', 'maildir']).optional()
+});
+
+export const eventStreamQuerySchema = z.object({
+    ticketId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid ticket ID').optional()
+});
+
+export const webhookDeliveryQuerySchema = paginationSchema.extend({
+    status: z.enum(['pending', 'retrying', 'succeeded', 'failed']).optional(),
+    action: z.enum(AUDIT_ACTIONS).optional()
+});
+
+export const triggerTriageSchema = z.object({
+    ticketId: z.string().regex(/^[0-9a-fA-F]{24}$/, 'Invalid ticket ID'),
+    // 'replace' re-triages a ticket that already has a suggestion
+    mode: z.enum(['initial', 'replace']).optional().default('initial')
+});
+
+const jobIdSchema = z.string().min(1).max(200);
+
+export const triageJobQuerySchema = paginationSchema.extend({
+    state: z.enum(['failed', 'stalled']).optional().default('failed')
+});
+
+export const retryTriageJobsSchema = z.object({
+    // Omit to retry every failed job
+    jobIds: z.array(jobIdSchema).min(1).max(500).optional()
+});
+
+export const purgeTriageJobsQuerySchema = z.object({
+    state: z.enum(['failed', 'completed']).optional().default('failed'),
+    olderThanHours: z.string().optional().transform(val => parseFloat(val) || 0).pipe(z.number().min(0).max(24 * 90))
 });
 
 // Validation middleware
@@ -7,10 +7,12 @@ import { AITestPage } from './pages/AITestPage'
 import { DashboardPage } from './pages/DashboardPage'
 import { KnowledgeBasePage } from './pages/KnowledgeBasePage'
 import { LoginPage } from './pages/LoginPage'
+import { NotificationSettingsPage } from './pages/NotificationSettingsPage'
 import { RegisterPage } from './pages/RegisterPage'
 import { SettingsPage } from './pages/SettingsPage'
 import { TicketDetailsPage } from './pages/TicketDetailsPage'
 import { TicketsPage } from './pages/TicketsPage'
+import { TriageQueuePage } from './pages/TriageQueuePage'
 import { UsersPage } from './pages/UsersPage'
 import { useAuthStore } from './stores/authStore'
 
@@ -89,6 +91,7 @@ const App: React.FC = () => {
                         <Route path="tickets/:id" element={<TicketDetailsPage />} />
                         <Route path="kb" element={<KnowledgeBasePage />} />
                         <Route path="ai-test" element={<AITestPage />} />
+                        <Route path="notifications" element={<NotificationSettingsPage />} />
 
                         <Route path="analytics" element={
                             <ProtectedRoute requiredRoles={['admin', 'agent']}>
@@ -107,6 +110,12 @@ const App: React.FC = () => {
                             </ProtectedRoute>
                         } />
 
+                        <Route path="triage-queue" element={
+                            <ProtectedRoute requiredRoles={['admin']}>
+                                <TriageQueuePage />
+                            </ProtectedRoute>
+                        } />
+
                         <Route path="settings" element={
                             <ProtectedRoute requiredRoles={['admin']}>
                                 <SettingsPage />
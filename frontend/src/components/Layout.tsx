@@ -20,7 +20,9 @@ export const Layout: React.FC = () => {
         { name: 'Knowledge Base', href: '/kb', roles: ['admin', 'agent', 'user'] },
         { name: '🤖 AI Test', href: '/ai-test', roles: ['admin', 'agent'] },
         { name: 'Analytics', href: '/analytics', roles: ['admin', 'agent'] },
+        { name: 'Notifications', href: '/notifications', roles: ['admin', 'agent', 'user'] },
         { name: 'Users', href: '/users', roles: ['admin'] },
+        { name: 'Triage Queue', href: '/triage-queue', roles: ['admin'] },
         { name: 'Settings', href: '/settings', roles: ['admin'] },
     ]
 
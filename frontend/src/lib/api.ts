@@ -87,6 +87,27 @@ class ApiClient {
         return response.data
     }
 
+    // Multipart upload of files under the "files" field
+    public async upload<T>(url: string, files: File[]): Promise<T> {
+        const formData = new FormData()
+        files.forEach(file => formData.append('files', file))
+        const response = await this.client.post(url, formData, {
+            headers: { 'Content-Type': 'multipart/form-data' },
+        })
+        return response.data
+    }
+
+    // Fetch a file with the auth header and hand it to the browser
+    public async download(url: string, filename: string) {
+        const response = await this.client.get(url, { responseType: 'blob' })
+        const objectUrl = URL.createObjectURL(response.data)
+        const link = document.createElement('a')
+        link.href = objectUrl
+        link.download = filename
+        link.click()
+        URL.revokeObjectURL(objectUrl)
+    }
+
     // Set auth token
     public setAuthToken(token: string) {
         this.client.defaults.headers.common['Authorization'] = `Bearer ${token}`
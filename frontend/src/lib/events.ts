@@ -0,0 +1,90 @@
+import type { TicketEvent, TicketEventType } from '../types'
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:8080/api'
+const RECONNECT_DELAY_MS = 5000
+
+const EVENT_TYPES: TicketEventType[] = ['triage', 'reply', 'status', 'assignment']
+
+interface SubscribeOptions {
+    ticketId?: string
+}
+
+/**
+ * Stream ticket events from /events/stream. Uses fetch rather than
+ * EventSource so the auth token goes in a header, not the URL.
+ * Reconnects until the returned function is called.
+ */
+export function subscribeToTicketEvents(
+    onEvent: (event: TicketEvent) => void,
+    { ticketId }: SubscribeOptions = {}
+): () => void {
+    const controller = new AbortController()
+    let reconnectTimer: ReturnType<typeof setTimeout> | undefined
+
+    const handleFrame = (frame: string) => {
+        let type = 'message'
+        const data: string[] = []
+
+        for (const line of frame.split('\n')) {
+            if (line.startsWith('event:')) type = line.slice(6).trim()
+            else if (line.startsWith('data:')) data.push(line.slice(5).trim())
+        }
+
+        if (data.length === 0 || !EVENT_TYPES.includes(type as TicketEventType)) return
+
+        try {
+            onEvent({ type: type as TicketEventType, ...JSON.parse(data.join('\n')) })
+        } catch (error) {
+            console.error('Invalid ticket event:', error)
+        }
+    }
+
+    const connect = async () => {
+        const token = localStorage.getItem('token')
+        const query = ticketId ? `?ticketId=${encodeURIComponent(ticketId)}` : ''
+
+        try {
+            const response = await fetch(`${API_URL}/events/stream${query}`, {
+                headers: {
+                    Accept: 'text/event-stream',
+                    ...(token && { Authorization: `Bearer ${token}` }),
+                },
+                signal: controller.signal,
+            })
+
+            // Auth and permission errors will not fix themselves
+            if (response.status === 401 || response.status === 403 || response.status === 404) return
+            if (!response.ok || !response.body) throw new Error(`Event stream failed: ${response.status}`)
+
+            const reader = response.body.pipeThrough(new TextDecoderStream()).getReader()
+            let buffer = ''
+
+            while (true) {
+                const { value, done } = await reader.read()
+                if (done) break
+
+                buffer += value.replace(/\r\n/g, '\n')
+                let boundary = buffer.indexOf('\n\n')
+                while (boundary !== -1) {
+                    handleFrame(buffer.slice(0, boundary))
+                    buffer = buffer.slice(boundary + 2)
+                    boundary = buffer.indexOf('\n\n')
+                }
+            }
+        } catch (error) {
+            if (controller.signal.aborted) return
+            console.warn('Event stream disconnected:', error)
+        }
+
+        if (!controller.signal.aborted) {
+            reconnectTimer = setTimeout(connect, RECONNECT_DELAY_MS)
+        }
+    }
+
+    connect()
+
+    return () => {
+        controller.abort()
+        clearTimeout(reconnectTimer)
+    }
+}
@@ -1,13 +1,64 @@
-import React, { useState } from 'react'
+import React, { useEffect, useRef, useState } from 'react'
 import toast from 'react-hot-toast'
 import { Button, Card, CardContent, CardHeader } from '../components/ui'
 import { apiClient } from '../lib/api'
+import { subscribeToTicketEvents } from '../lib/events'
 import { useAuthStore } from '../stores/authStore'
+import type { TicketEvent, TriageStep } from '../types'
+
+const STEP_LABELS: Record<TriageStep, string> = {
+    started: 'Triage started',
+    classified: 'Ticket classified',
+    knowledge_retrieved: 'Knowledge base searched',
+    drafted: 'Reply drafted',
+    completed: 'Decision made',
+    failed: 'Triage failed',
+}
 
 export const AITestPage: React.FC = () => {
     const { user } = useAuthStore()
     const [isCreating, setIsCreating] = useState(false)
     const [aiResult, setAiResult] = useState<any>(null)
+    const [progress, setProgress] = useState<TicketEvent[]>([])
+    const unsubscribeRef = useRef<(() => void) | null>(null)
+
+    // Close the event stream when leaving the page
+    useEffect(() => () => unsubscribeRef.current?.(), [])
+
+    const showResult = async (ticketId: string) => {
+        const ticketDetails: any = await apiClient.get(`/tickets/${ticketId}`)
+        const suggestion: any = await apiClient.get(`/agent/suggestion/${ticketId}`)
+        setAiResult({
+            ticket: ticketDetails,
+            suggestion: suggestion.suggestion
+        })
+        toast.success('AI processing completed! Check the results below.')
+    }
+
+    const stopWatching = () => {
+        unsubscribeRef.current?.()
+        unsubscribeRef.current = null
+    }
+
+    const watchTriage = (ticketId: string) => {
+        stopWatching()
+        unsubscribeRef.current = subscribeToTicketEvents((event) => {
+            if (event.type !== 'triage') return
+
+            setProgress(previous => [...previous, event])
+
+            if (event.step === 'completed') {
+                stopWatching()
+                showResult(ticketId).catch(error => {
+                    console.error('Error fetching AI result:', error)
+                    toast.error('Could not fetch AI results')
+                })
+            } else if (event.step === 'failed') {
+                stopWatching()
+                toast.error(`AI processing failed: ${event.error}`)
+            }
+        }, { ticketId })
+    }
 
     const createTestTicket = async () => {
         if (!user) return
@@ -15,12 +66,13 @@ export const AITestPage: React.FC = () => {
         try {
             setIsCreating(true)
             setAiResult(null)
+            setProgress([])
 
             // Create a test ticket that should trigger AI processing
             const testTicket = {
                 title: "Password reset email not received",
                 description: "I requested a password reset 30 minutes ago but haven't received the email yet. I checked my spam folder too. My email is working fine for other messages. Can you help me reset my password?",
-                category: "Account Issues",
+                category: "tech",
                 priority: "medium"
             }
 
@@ -29,39 +81,15 @@ export const AITestPage: React.FC = () => {
 
             toast.success('Test ticket created! AI processing should start automatically...')
 
-            // Wait for AI processing and check for results
-            setTimeout(async () => {
-                try {
-                    console.log('Checking for AI suggestion...')
-                    const ticketDetails: any = await apiClient.get(`/tickets/${ticket._id}`)
-
-                    if (ticketDetails.agentSuggestionId) {
-                        const suggestion: any = await apiClient.get(`/agent/suggestion/${ticket._id}`)
-                        setAiResult({
-                            ticket: ticketDetails,
-                            suggestion: suggestion.suggestion
-                        })
-                        toast.success('AI processing completed! Check the results below.')
-                    } else {
-                        toast('AI is still processing... This may take a moment.')
-                        // Try again in a few seconds
-                        setTimeout(async () => {
-                            const updatedTicket: any = await apiClient.get(`/tickets/${ticket._id}`)
-                            if (updatedTicket.agentSuggestionId) {
-                                const suggestion: any = await apiClient.get(`/agent/suggestion/${ticket._id}`)
-                                setAiResult({
-                                    ticket: updatedTicket,
-                                    suggestion: suggestion.suggestion
-                                })
-                                toast.success('AI processing completed!')
-                            }
-                        }, 3000)
-                    }
-                } catch (error) {
-                    console.error('Error checking AI result:', error)
-                    toast.error('Could not fetch AI results')
-                }
-            }, 2000)
+            // Listen for triage progress; without a queue triage has already finished
+            const ticketId = ticket.ticket?._id || ticket._id
+            watchTriage(ticketId)
+
+            const ticketDetails: any = await apiClient.get(`/tickets/${ticketId}`)
+            if (ticketDetails.agentSuggestionId) {
+                stopWatching()
+                await showResult(ticketId)
+            }
 
         } catch (error) {
             console.error('Failed to create test ticket:', error)
@@ -142,6 +170,31 @@ export const AITestPage: React.FC = () => {
                     </CardContent>
                 </Card>
 
+                {progress.length > 0 && (
+                    <Card className="mb-6">
+                        <CardHeader>
+                            <h2 className="text-xl font-semibold">Live Progress</h2>
+                        </CardHeader>
+                        <CardContent>
+                            <ul className="space-y-2 text-sm">
+                                {progress.map((event, index) => (
+                                    <li key={index} className="flex items-center justify-between">
+                                        <span className={event.step === 'failed' ? 'text-red-600' : 'text-gray-800'}>
+                                            {event.step ? STEP_LABELS[event.step] : event.type}
+                                            {event.predictedCategory && ` as ${event.predictedCategory} (${((event.confidence || 0) * 100).toFixed(0)}%)`}
+                                            {event.articlesFound !== undefined && ` (${event.articlesFound} articles)`}
+                                            {event.action && `: ${event.action.replace(/_/g, ' ')}`}
+                                        </span>
+                                        <span className="text-xs text-gray-500">
+                                            {new Date(event.timestamp).toLocaleTimeString()}
+                                        </span>
+                                    </li>
+                                ))}
+                            </ul>
+                        </CardContent>
+                    </Card>
+                )}
+
                 {aiResult && (
                     <Card>
                         <CardHeader>
@@ -0,0 +1,107 @@
+import React, { useEffect, useState } from 'react'
+import toast from 'react-hot-toast'
+import { Card, CardContent, CardHeader, Loading } from '../components/ui'
+import { apiClient } from '../lib/api'
+import { useAuthStore } from '../stores/authStore'
+import type { NotificationEvent, NotificationPreferences } from '../types'
+
+const EVENTS: { event: NotificationEvent; label: string; description: string; staffOnly?: boolean }[] = [
+    { event: 'ticket_created', label: 'Ticket received', description: 'Confirmation when you open a ticket' },
+    { event: 'agent_replied', label: 'New reply', description: 'An agent replies to your ticket' },
+    { event: 'auto_resolved', label: 'Ticket resolved', description: 'Your ticket is answered and resolved automatically' },
+    { event: 'reopened', label: 'Ticket reopened', description: 'A ticket you are involved in is reopened' },
+    { event: 'sla_breached', label: 'SLA breached', description: 'A ticket assigned to you misses its deadline', staffOnly: true },
+]
+
+export const NotificationSettingsPage: React.FC = () => {
+    const { user } = useAuthStore()
+    const [preferences, setPreferences] = useState<NotificationPreferences | null>(null)
+    const [emailEnabled, setEmailEnabled] = useState(true)
+    const [isLoading, setIsLoading] = useState(true)
+
+    useEffect(() => {
+        fetchPreferences()
+    }, [])
+
+    const fetchPreferences = async () => {
+        try {
+            setIsLoading(true)
+            const response = await apiClient.get<{ preferences: NotificationPreferences; emailEnabled: boolean }>(
+                '/notifications/preferences'
+            )
+            setPreferences(response.preferences)
+            setEmailEnabled(response.emailEnabled)
+        } catch (error) {
+            console.error('Failed to fetch notification preferences:', error)
+        } finally {
+            setIsLoading(false)
+        }
+    }
+
+    const handleToggle = async (event: NotificationEvent, enabled: boolean) => {
+        try {
+            const response = await apiClient.put<{ preferences: NotificationPreferences }>(
+                '/notifications/preferences',
+                { email: { [event]: enabled } }
+            )
+            setPreferences(response.preferences)
+            toast.success('Preferences saved')
+        } catch (error) {
+            console.error('Failed to update notification preferences:', error)
+            toast.error('Failed to save preferences')
+        }
+    }
+
+    if (isLoading || !preferences) {
+        return (
+            <div className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
+                <Loading size="lg" text="Loading preferences..." />
+            </div>
+        )
+    }
+
+    const visibleEvents = EVENTS.filter(item => !item.staffOnly || user?.role !== 'user')
+
+    return (
+        <div className="max-w-3xl mx-auto py-6 sm:px-6 lg:px-8">
+            <div className="px-4 py-6 sm:px-0">
+                <div className="mb-8">
+                    <h1 className="text-2xl font-bold text-gray-900">Notifications</h1>
+                    <p className="mt-1 text-sm text-gray-600">
+                        Choose which ticket updates are emailed to {user?.email}
+                    </p>
+                </div>
+
+                {!emailEnabled && (
+                    <div className="mb-6 rounded-md bg-yellow-50 p-4 text-sm text-yellow-800">
+                        Email delivery is not configured on this server, so no emails will be sent.
+                    </div>
+                )}
+
+                <Card>
+                    <CardHeader>
+                        <h3 className="text-lg font-medium text-gray-900">Email</h3>
+                    </CardHeader>
+                    <CardContent>
+                        <div className="divide-y divide-gray-200">
+                            {visibleEvents.map(({ event, label, description }) => (
+                                <label key={event} className="flex items-center justify-between py-4 cursor-pointer">
+                                    <div>
+                                        <p className="text-sm font-medium text-gray-900">{label}</p>
+                                        <p className="text-sm text-gray-500">{description}</p>
+                                    </div>
+                                    <input
+                                        type="checkbox"
+                                        checked={preferences.email[event]}
+                                        onChange={(e) => handleToggle(event, e.target.checked)}
+                                        className="h-4 w-4 rounded border-gray-300 text-blue-600"
+                                    />
+                                </label>
+                            ))}
+                        </div>
+                    </CardContent>
+                </Card>
+            </div>
+        </div>
+    )
+}
@@ -5,6 +5,7 @@ import { apiClient } from '../lib/api'
 interface SystemConfig {
     autoCloseEnabled: boolean
     confidenceThreshold: number
+    groundingThreshold: number
     slaHours: number
     maxTicketsPerUser: number
     categoryThresholds: {
@@ -146,6 +147,20 @@ export const SettingsPage: React.FC = () => {
                                         className="w-full border border-gray-300 rounded-md px-3 py-2"
                                     />
                                 </div>
+
+                                <div>
+                                    <label className="block text-sm font-medium text-gray-700">Grounding Threshold</label>
+                                    <p className="text-sm text-gray-500 mb-2">Minimum support from cited passages required for auto-closing (0-1)</p>
+                                    <input
+                                        type="number"
+                                        min="0"
+                                        max="1"
+                                        step="0.01"
+                                        value={config.groundingThreshold}
+                                        onChange={(e) => updateConfig('groundingThreshold', parseFloat(e.target.value))}
+                                        className="w-full border border-gray-300 rounded-md px-3 py-2"
+                                    />
+                                </div>
                             </div>
                         </CardContent>
                     </Card>
@@ -277,7 +292,7 @@ export const SettingsPage: React.FC = () => {
                                 <div className="flex items-center justify-between">
                                     <div>
                                         <label className="text-sm font-medium text-gray-700">Enable Fallback</label>
-                                        <p className="text-sm text-gray-500">Use fallback responses when AI fails</p>
+                                        <p className="text-sm text-gray-500">Try the fallback provider, then the keyword stub, then route to a human when AI fails</p>
                                     </div>
                                     <label className="relative inline-flex items-center cursor-pointer">
                                         <input
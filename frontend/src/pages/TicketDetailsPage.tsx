@@ -3,8 +3,9 @@ import toast from 'react-hot-toast'
 import { Link, useParams } from 'react-router-dom'
 import { Button, Card, CardContent, CardHeader, Loading } from '../components/ui'
 import { apiClient } from '../lib/api'
+import { subscribeToTicketEvents } from '../lib/events'
 import { useAuthStore } from '../stores/authStore'
-import type { AgentSuggestion, Ticket } from '../types'
+import type { AgentSuggestion, Attachment, Reply, Ticket } from '../types'
 
 export const TicketDetailsPage: React.FC = () => {
     const { id } = useParams<{ id: string }>()
@@ -14,8 +15,12 @@ export const TicketDetailsPage: React.FC = () => {
     const [isLoading, setIsLoading] = useState(true)
     const [error, setError] = useState<string | null>(null)
     const [newReply, setNewReply] = useState('')
+    const [isInternalReply, setIsInternalReply] = useState(false)
+    const [replyFiles, setReplyFiles] = useState<File[]>([])
+    const [isUploading, setIsUploading] = useState(false)
     const [isAddingReply, setIsAddingReply] = useState(false)
     const [isResolvingTicket, setIsResolvingTicket] = useState(false)
+    const [isUpdatingPriority, setIsUpdatingPriority] = useState(false)
     const [isAssigningTicket, setIsAssigningTicket] = useState(false)
     const [isTriggeringAI, setIsTriggeringAI] = useState(false)
 
@@ -25,15 +30,25 @@ export const TicketDetailsPage: React.FC = () => {
         }
     }, [id])
 
-    const fetchTicketDetails = async () => {
+    // Refresh when someone replies, changes status or assigns, or triage finishes
+    useEffect(() => {
+        if (!id) return
+
+        return subscribeToTicketEvents((event) => {
+            if (event.type === 'triage' && event.step !== 'completed' && event.step !== 'failed') return
+            fetchTicketDetails(false)
+        }, { ticketId: id })
+    }, [id])
+
+    const fetchTicketDetails = async (showLoading = true) => {
         try {
-            setIsLoading(true)
+            if (showLoading) setIsLoading(true)
             setError(null)
             const ticket = await apiClient.get<Ticket>(`/tickets/${id}`)
             setTicket(ticket)
 
-            // Fetch agent suggestion if exists
-            if (ticket.agentSuggestionId) {
+            // Fetch agent suggestion if exists (agents and admins only)
+            if (ticket.agentSuggestionId && user?.role !== 'user') {
                 try {
                     const suggestionResponse = await apiClient.get<{ suggestion: AgentSuggestion }>(`/agent/suggestion/${id}`)
                     setAgentSuggestion(suggestionResponse.suggestion)
@@ -45,21 +60,32 @@ export const TicketDetailsPage: React.FC = () => {
             console.error('Failed to fetch ticket details:', error)
             setError(error?.message || 'Failed to load ticket details')
         } finally {
-            setIsLoading(false)
+            if (showLoading) setIsLoading(false)
         }
     }
 
+    const isCustomer = user?.role === 'user'
+
     const handleAddReply = async (e: React.FormEvent) => {
         e.preventDefault()
         if (!newReply.trim()) return
 
         try {
             setIsAddingReply(true)
-            await apiClient.post(`/tickets/${id}/replies`, {
-                content: newReply.trim(),
-                isInternal: false
-            })
+            const { reply } = isCustomer
+                ? await apiClient.post<{ reply: Reply }>(`/tickets/${id}/customer-reply`, {
+                    content: newReply.trim()
+                })
+                : await apiClient.post<{ reply: Reply }>(`/tickets/${id}/reply`, {
+                    content: newReply.trim(),
+                    isInternal: isInternalReply
+                })
+            if (replyFiles.length > 0) {
+                await apiClient.upload(`/tickets/${id}/replies/${reply._id}/attachments`, replyFiles)
+            }
             setNewReply('')
+            setIsInternalReply(false)
+            setReplyFiles([])
             // Refresh ticket to get updated replies
             await fetchTicketDetails()
         } catch (error) {
@@ -69,6 +95,57 @@ export const TicketDetailsPage: React.FC = () => {
         }
     }
 
+    const handleUploadTicketFiles = async (files: File[]) => {
+        if (files.length === 0) return
+
+        try {
+            setIsUploading(true)
+            await apiClient.upload(`/tickets/${id}/attachments`, files)
+            toast.success('Files attached')
+            await fetchTicketDetails()
+        } catch (error: any) {
+            console.error('Failed to upload attachments:', error)
+            toast.error(error.response?.data?.error || 'Failed to upload attachments')
+        } finally {
+            setIsUploading(false)
+        }
+    }
+
+    const handleOpenAttachment = async (attachment: Attachment) => {
+        if (!attachment.attachmentId) {
+            window.open(attachment.url, '_blank', 'noopener,noreferrer')
+            return
+        }
+
+        try {
+            await apiClient.download(
+                `/attachments/${attachment.attachmentId}/download`,
+                attachment.filename || 'attachment'
+            )
+        } catch (error) {
+            console.error('Failed to download attachment:', error)
+        }
+    }
+
+    const renderAttachments = (attachments: Attachment[]) => (
+        <div className="mt-2">
+            <p className="text-xs text-gray-500 mb-1">Attachments:</p>
+            {attachments.map((attachment, index) => (
+                <button
+                    key={index}
+                    type="button"
+                    onClick={() => handleOpenAttachment(attachment)}
+                    className="inline-flex items-center text-xs text-blue-600 hover:text-blue-800 mr-3"
+                >
+                    📎 {attachment.filename || 'Attachment'}
+                    {attachment.size !== undefined && (
+                        <span className="ml-1 text-gray-400">({Math.ceil(attachment.size / 1024)} KB)</span>
+                    )}
+                </button>
+            ))}
+        </div>
+    )
+
     const handleResolveTicket = async () => {
         if (!ticket || !id) return
 
@@ -107,12 +184,51 @@ export const TicketDetailsPage: React.FC = () => {
         }
     }
 
+    const handlePriorityChange = async (priority: Ticket['priority']) => {
+        if (!ticket || !id || priority === ticket.priority) return
+
+        try {
+            setIsUpdatingPriority(true)
+            await apiClient.patch(`/tickets/${id}/priority`, { priority })
+
+            toast.success(`Priority set to ${priority}`)
+
+            await fetchTicketDetails(false)
+        } catch (error) {
+            console.error('Failed to update priority:', error)
+            toast.error('Failed to update priority')
+        } finally {
+            setIsUpdatingPriority(false)
+        }
+    }
+
+    const handleClaim = async () => {
+        if (!ticket || !id) return
+
+        try {
+            setIsAssigningTicket(true)
+            await apiClient.post(`/tickets/${id}/claim`)
+
+            toast.success('Ticket claimed from the team queue')
+
+            await fetchTicketDetails()
+        } catch (error: any) {
+            console.error('Failed to claim ticket:', error)
+            toast.error(error.response?.data?.error || 'Failed to claim ticket')
+            // Someone else may have claimed it first
+            await fetchTicketDetails(false)
+        } finally {
+            setIsAssigningTicket(false)
+        }
+    }
+
     const handleTriggerAI = async () => {
         if (!ticket || !id || !user) return
 
         try {
             setIsTriggeringAI(true)
-            await apiClient.post('/agent/triage', { ticketId: id })
+            // Triaging again replaces the current suggestion and its reply
+            await apiClient.post('/agent/triage', { ticketId: id, mode: agentSuggestion ? 'replace' : 'initial' })
 
             toast.success('AI processing triggered! Refreshing ticket...')
 
@@ -136,6 +252,8 @@ export const TicketDetailsPage: React.FC = () => {
                 return 'bg-blue-100 text-blue-800'
             case 'waiting_human':
                 return 'bg-orange-100 text-orange-800'
+            case 'waiting_customer':
+                return 'bg-purple-100 text-purple-800'
             case 'resolved':
                 return 'bg-green-100 text-green-800'
             case 'closed':
@@ -153,6 +271,8 @@ export const TicketDetailsPage: React.FC = () => {
                 return 'bg-yellow-100 text-yellow-800'
             case 'high':
                 return 'bg-red-100 text-red-800'
+            case 'urgent':
+                return 'bg-red-200 text-red-900'
             default:
                 return 'bg-gray-100 text-gray-800'
         }
@@ -240,8 +360,19 @@ export const TicketDetailsPage: React.FC = () => {
                             <div className="flex space-x-3">
                                 {ticket.status !== 'resolved' && ticket.status !== 'closed' && (
                                     <>
+                                        {/* Unassigned team tickets are claimed from the team queue */}
+                                        {ticket.team && !ticket.assignee && (
+                                            <Button
+                                                variant="outline"
+                                                size="sm"
+                                                onClick={handleClaim}
+                                                disabled={isAssigningTicket}
+                                            >
+                                                {isAssigningTicket ? 'Claiming...' : `Claim from ${ticket.team.name}`}
+                                            </Button>
+                                        )}
                                         {/* Show "Assign to Me" only if not already assigned to current user */}
-                                        {(!ticket.assignee || ticket.assignee._id !== user._id) && (
+                                        {!(ticket.team && !ticket.assignee) && (!ticket.assignee || ticket.assignee._id !== user._id) && (
                                             <Button
                                                 variant="outline"
                                                 size="sm"
@@ -296,6 +427,22 @@ export const TicketDetailsPage: React.FC = () => {
                             <p className="text-gray-700 whitespace-pre-wrap">
                                 {ticket.description}
                             </p>
+                            {ticket.attachments && ticket.attachments.length > 0 && renderAttachments(ticket.attachments)}
+                            {(!isCustomer || ticket.status !== 'closed') && (
+                                <label className="mt-3 inline-flex items-center text-sm text-blue-600 hover:text-blue-800 cursor-pointer">
+                                    <input
+                                        type="file"
+                                        multiple
+                                        className="hidden"
+                                        disabled={isUploading}
+                                        onChange={(e) => {
+                                            handleUploadTicketFiles(Array.from(e.target.files || []))
+                                            e.target.value = ''
+                                        }}
+                                    />
+                                    {isUploading ? 'Uploading...' : '+ Attach files'}
+                                </label>
+                            )}
                         </CardContent>
                     </Card>
 
@@ -324,6 +471,36 @@ export const TicketDetailsPage: React.FC = () => {
                                         {ticket.createdBy?.name || 'Unknown'} ({ticket.createdBy?.email || 'N/A'})
                                     </dd>
                                 </div>
+                                {!isCustomer && (
+                                    <div>
+                                        <dt className="text-sm font-medium text-gray-500">Priority</dt>
+                                        <dd className="text-sm text-gray-900">
+                                            <select
+                                                value={ticket.priority}
+                                                onChange={(e) => handlePriorityChange(e.target.value as Ticket['priority'])}
+                                                disabled={isUpdatingPriority}
+                                                className="mt-1 block w-full border-gray-300 rounded-md shadow-sm focus:ring-blue-500 focus:border-blue-500 text-sm"
+                                            >
+                                                <option value="low">Low</option>
+                                                <option value="medium">Medium</option>
+                                                <option value="high">High</option>
+                                                <option value="urgent">Urgent</option>
+                                            </select>
+                                            {ticket.priorityPrediction && (
+                                                <p className="mt-1 text-xs text-gray-500" title={ticket.priorityPrediction.reasons.join('; ')}>
+                                                    Predicted {ticket.priorityPrediction.priority} ({Math.round(ticket.priorityPrediction.confidence * 100)}% confidence)
+                                                    {ticket.prioritySource === 'agent' && ', overridden'}
+                                                </p>
+                                            )}
+                                        </dd>
+                                    </div>
+                                )}
+                                {ticket.team && (
+                                    <div>
+                                        <dt className="text-sm font-medium text-gray-500">Team</dt>
+                                        <dd className="text-sm text-gray-900">{ticket.team.name}</dd>
+                                    </div>
+                                )}
                                 {ticket.assignee && (
                                     <div>
                                         <dt className="text-sm font-medium text-gray-500">Assigned To</dt>
@@ -332,6 +509,16 @@ export const TicketDetailsPage: React.FC = () => {
                                         </dd>
                                     </div>
                                 )}
+                                {ticket.slaDeadline && (
+                                    <div>
+                                        <dt className="text-sm font-medium text-gray-500">SLA Deadline</dt>
+                                        <dd className={`text-sm ${ticket.slaBreached ? 'text-red-600 font-medium' : 'text-gray-900'}`}>
+                                            {new Date(ticket.slaDeadline).toLocaleString()}
+                                            {ticket.slaBreached && ' (breached)'}
+                                            {!ticket.slaBreached && ticket.slaPausedAt && ' (paused, waiting on customer)'}
+                                        </dd>
+                                    </div>
+                                )}
                                 {ticket.resolvedAt && (
                                     <div>
                                         <dt className="text-sm font-medium text-gray-500">Resolved</dt>
@@ -365,9 +552,21 @@ export const TicketDetailsPage: React.FC = () => {
                                             <p className="mt-1 text-sm text-blue-700 whitespace-pre-wrap">
                                                 {agentSuggestion.draftReply}
                                             </p>
+                                            {agentSuggestion.passages && agentSuggestion.passages.length > 0 && (
+                                                <div className="mt-3 space-y-2">
+                                                    <h5 className="text-xs font-medium text-blue-800">Cited passages</h5>
+                                                    {agentSuggestion.passages.map(passage => (
+                                                        <blockquote key={passage.number} className="border-l-2 border-blue-300 pl-2 text-xs text-blue-700">
+                                                            <span className="font-medium">[{passage.number}] {passage.articleTitle}</span>
+                                                            <p className="mt-0.5 whitespace-pre-wrap">{passage.text}</p>
+                                                        </blockquote>
+                                                    ))}
+                                                </div>
+                                            )}
                                             <div className="mt-2 flex items-center space-x-4 text-xs text-blue-600">
                                                 <span>Confidence: {(agentSuggestion.confidence * 100).toFixed(0)}%</span>
                                                 <span>Category: {agentSuggestion.predictedCategory}</span>
+                                                {agentSuggestion.version > 1 && <span>Version {agentSuggestion.version}</span>}
                                                 {agentSuggestion.autoClosed && <span>Auto-closed</span>}
                                             </div>
                                         </div>
@@ -385,53 +584,48 @@ export const TicketDetailsPage: React.FC = () => {
                         <CardContent>
                             {ticket.replies && ticket.replies.length > 0 ? (
                                 <div className="space-y-4">
-                                    {ticket.replies.map((reply, index) => (
-                                        <div key={reply._id || index} className="border-l-4 border-gray-200 pl-4">
-                                            <div className="flex items-start space-x-3">
-                                                <div className="flex-shrink-0">
-                                                    <div className="h-8 w-8 rounded-full bg-gray-200 flex items-center justify-center">
-                                                        <span className="text-sm font-medium text-gray-600">
-                                                            {reply.author?.name?.charAt(0) || 'U'}
-                                                        </span>
-                                                    </div>
-                                                </div>
-                                                <div className="flex-1">
-                                                    <div className="flex items-center space-x-2">
-                                                        <span className="text-sm font-medium text-gray-900">
-                                                            {reply.author?.name || 'Unknown'}
-                                                        </span>
-                                                        <span className="text-xs text-gray-500">
-                                                            {new Date(reply.createdAt).toLocaleString()}
-                                                        </span>
-                                                        {reply.isInternal && (
-                                                            <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
-                                                                Internal
+                                    {ticket.replies.map((reply, index) => {
+                                        const fromCustomer = reply.author?._id === ticket.createdBy?._id
+                                        const borderColor = reply.isInternal
+                                            ? 'border-yellow-300'
+                                            : fromCustomer ? 'border-blue-300' : 'border-green-300'
+
+                                        return (
+                                            <div key={reply._id || index} className={`border-l-4 ${borderColor} pl-4`}>
+                                                <div className="flex items-start space-x-3">
+                                                    <div className="flex-shrink-0">
+                                                        <div className="h-8 w-8 rounded-full bg-gray-200 flex items-center justify-center">
+                                                            <span className="text-sm font-medium text-gray-600">
+                                                                {reply.author?.name?.charAt(0) || 'U'}
                                                             </span>
-                                                        )}
+                                                        </div>
                                                     </div>
-                                                    <p className="mt-1 text-sm text-gray-700 whitespace-pre-wrap">
-                                                        {reply.content}
-                                                    </p>
-                                                    {reply.attachments && reply.attachments.length > 0 && (
-                                                        <div className="mt-2">
-                                                            <p className="text-xs text-gray-500 mb-1">Attachments:</p>
-                                                            {reply.attachments.map((attachment, attIndex) => (
-                                                                <a
-                                                                    key={attIndex}
-                                                                    href={attachment.url}
-                                                                    target="_blank"
-                                                                    rel="noopener noreferrer"
-                                                                    className="inline-flex items-center text-xs text-blue-600 hover:text-blue-800 mr-3"
-                                                                >
-                                                                    📎 {attachment.filename || 'Attachment'}
-                                                                </a>
-                                                            ))}
+                                                    <div className="flex-1">
+                                                        <div className="flex items-center space-x-2">
+                                                            <span className="text-sm font-medium text-gray-900">
+                                                                {reply.author?._id === user?._id ? 'You' : reply.author?.name || 'Unknown'}
+                                                            </span>
+                                                            <span className={`inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium ${fromCustomer ? 'bg-blue-100 text-blue-800' : 'bg-green-100 text-green-800'}`}>
+                                                                {fromCustomer ? 'Customer' : 'Support'}
+                                                            </span>
+                                                            <span className="text-xs text-gray-500">
+                                                                {new Date(reply.createdAt).toLocaleString()}
+                                                            </span>
+                                                            {reply.isInternal && (
+                                                                <span className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                                                                    Internal
+                                                                </span>
+                                                            )}
                                                         </div>
-                                                    )}
+                                                        <p className="mt-1 text-sm text-gray-700 whitespace-pre-wrap">
+                                                            {reply.content}
+                                                        </p>
+                                                        {reply.attachments && reply.attachments.length > 0 && renderAttachments(reply.attachments)}
+                                                    </div>
                                                 </div>
                                             </div>
-                                        </div>
-                                    ))}
+                                        )
+                                    })}
                                 </div>
                             ) : (
                                 <p className="text-sm text-gray-500">No replies yet.</p>
@@ -439,32 +633,57 @@ export const TicketDetailsPage: React.FC = () => {
 
                             {/* Add Reply Form */}
                             <div className="mt-6 pt-6 border-t border-gray-200">
-                                <form onSubmit={handleAddReply}>
-                                    <div>
-                                        <label htmlFor="reply" className="block text-sm font-medium text-gray-700">
-                                            Add a reply
-                                        </label>
-                                        <div className="mt-1">
-                                            <textarea
-                                                id="reply"
-                                                name="reply"
-                                                rows={3}
-                                                value={newReply}
-                                                onChange={(e) => setNewReply(e.target.value)}
-                                                className="shadow-sm focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 rounded-md"
-                                                placeholder="Enter your reply..."
-                                            />
+                                {isCustomer && ticket.status === 'closed' ? (
+                                    <p className="text-sm text-gray-500">
+                                        This ticket is closed. Reopen it to continue the conversation.
+                                    </p>
+                                ) : (
+                                    <form onSubmit={handleAddReply}>
+                                        <div>
+                                            <label htmlFor="reply" className="block text-sm font-medium text-gray-700">
+                                                Add a reply
+                                            </label>
+                                            <div className="mt-1">
+                                                <textarea
+                                                    id="reply"
+                                                    name="reply"
+                                                    rows={3}
+                                                    value={newReply}
+                                                    onChange={(e) => setNewReply(e.target.value)}
+                                                    className="shadow-sm focus:ring-blue-500 focus:border-blue-500 block w-full sm:text-sm border-gray-300 rounded-md"
+                                                    placeholder="Enter your reply..."
+                                                />
+                                                <input
+                                                    type="file"
+                                                    multiple
+                                                    onChange={(e) => setReplyFiles(Array.from(e.target.files || []))}
+                                                    className="mt-2 block text-sm text-gray-600"
+                                                />
+                                            </div>
                                         </div>
-                                    </div>
-                                    <div className="mt-3 flex justify-end">
-                                        <Button
-                                            type="submit"
-                                            disabled={!newReply.trim() || isAddingReply}
-                                        >
-                                            {isAddingReply ? 'Adding...' : 'Add Reply'}
-                                        </Button>
-                                    </div>
-                                </form>
+                                        <div className="mt-3 flex items-center justify-between">
+                                            {!isCustomer ? (
+                                                <label className="inline-flex items-center text-sm text-gray-700">
+                                                    <input
+                                                        type="checkbox"
+                                                        checked={isInternalReply}
+                                                        onChange={(e) => setIsInternalReply(e.target.checked)}
+                                                        className="mr-2 rounded border-gray-300"
+                                                    />
+                                                    Internal note (hidden from customer)
+                                                </label>
+                                            ) : (
+                                                <span />
+                                            )}
+                                            <Button
+                                                type="submit"
+                                                disabled={!newReply.trim() || isAddingReply}
+                                            >
+                                                {isAddingReply ? 'Adding...' : 'Add Reply'}
+                                            </Button>
+                                        </div>
+                                    </form>
+                                )}
                             </div>
                         </CardContent>
                     </Card>
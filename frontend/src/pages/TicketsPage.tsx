@@ -1,12 +1,21 @@
 import React, { useEffect, useState } from 'react'
-import { Link } from 'react-router-dom'
+import { Link, useSearchParams } from 'react-router-dom'
 import { Button, Card, CardContent, CardHeader, Loading } from '../components/ui'
 import { apiClient } from '../lib/api'
 import { useAuthStore } from '../stores/authStore'
 import type { Ticket } from '../types'
 
+// Query string for each of the quick filters in the header
+const FILTER_QUERIES: Record<string, string> = {
+    assigned_to_me: '&my=true',
+    unassigned: '&unassigned=true',
+    team_queues: '&team=mine&unassigned=true'
+}
+
 export const TicketsPage: React.FC = () => {
     const { user } = useAuthStore()
+    const [searchParams] = useSearchParams()
+    const filter = searchParams.get('filter') || ''
     const [tickets, setTickets] = useState<Ticket[]>([])
     const [isLoading, setIsLoading] = useState(true)
     const [isCreatingTicket, setIsCreatingTicket] = useState(false)
@@ -19,12 +28,12 @@ export const TicketsPage: React.FC = () => {
 
     useEffect(() => {
         fetchTickets()
-    }, [])
+    }, [filter])
 
     const fetchTickets = async () => {
         try {
             setIsLoading(true)
-            const response = await apiClient.get<{ tickets: Ticket[] }>('/tickets?page=1&limit=50')
+            const response = await apiClient.get<{ tickets: Ticket[] }>(`/tickets?page=1&limit=50${FILTER_QUERIES[filter] || ''}`)
             setTickets(response.tickets)
         } catch (error) {
             console.error('Failed to fetch tickets:', error)
@@ -53,6 +62,8 @@ export const TicketsPage: React.FC = () => {
                 return 'bg-blue-100 text-blue-800'
             case 'waiting_human':
                 return 'bg-orange-100 text-orange-800'
+            case 'waiting_customer':
+                return 'bg-purple-100 text-purple-800'
             case 'resolved':
                 return 'bg-green-100 text-green-800'
             case 'closed':
@@ -70,6 +81,8 @@ export const TicketsPage: React.FC = () => {
                 return 'bg-yellow-100 text-yellow-800'
             case 'high':
                 return 'bg-red-100 text-red-800'
+            case 'urgent':
+                return 'bg-red-200 text-red-900'
             default:
                 return 'bg-gray-100 text-gray-800'
         }
@@ -117,6 +130,9 @@ export const TicketsPage: React.FC = () => {
                                 <Button variant="outline" onClick={() => window.location.href = '/tickets?filter=unassigned'}>
                                     Unassigned
                                 </Button>
+                                <Button variant="outline" onClick={() => window.location.href = '/tickets?filter=team_queues'}>
+                                    Team Queues
+                                </Button>
                             </>
                         )}
 
@@ -244,6 +260,7 @@ export const TicketsPage: React.FC = () => {
                                             <div className="mt-3 flex items-center text-sm text-gray-500 space-x-4">
                                                 <span>#{ticket._id.slice(-6)}</span>
                                                 <span>Category: {ticket.category}</span>
+                                                {ticket.team && <span>Team: {ticket.team.name}</span>}
                                                 <span>Created: {new Date(ticket.createdAt).toLocaleDateString()}</span>
                                                 {ticket.resolvedAt && (
                                                     <span>Resolved: {new Date(ticket.resolvedAt).toLocaleDateString()}</span>
@@ -0,0 +1,255 @@
+import React, { useEffect, useState } from 'react'
+import toast from 'react-hot-toast'
+import { Link } from 'react-router-dom'
+import { Button, Card, CardContent, Loading } from '../components/ui'
+import { apiClient } from '../lib/api'
+import type { Pagination, TriageJob, TriageQueueHealth } from '../types'
+
+type JobState = 'failed' | 'stalled'
+
+export const TriageQueuePage: React.FC = () => {
+    const [health, setHealth] = useState<TriageQueueHealth | null>(null)
+    const [jobs, setJobs] = useState<TriageJob[]>([])
+    const [pagination, setPagination] = useState<Pagination | null>(null)
+    const [state, setState] = useState<JobState>('failed')
+    const [page, setPage] = useState(1)
+    const [isLoading, setIsLoading] = useState(true)
+
+    useEffect(() => {
+        fetchHealth()
+    }, [])
+
+    useEffect(() => {
+        if (health?.available) {
+            fetchJobs()
+        }
+    }, [health?.available, state, page])
+
+    const fetchHealth = async () => {
+        try {
+            const response = await apiClient.get<{ health: TriageQueueHealth }>('/queues/triage/health')
+            setHealth(response.health)
+        } catch (error) {
+            console.error('Failed to fetch queue health:', error)
+        } finally {
+            setIsLoading(false)
+        }
+    }
+
+    const fetchJobs = async () => {
+        try {
+            const response = await apiClient.get<{ jobs: TriageJob[]; pagination: Pagination }>(
+                '/queues/triage/jobs',
+                { state, page, limit: 20 }
+            )
+            setJobs(response.jobs)
+            setPagination(response.pagination)
+        } catch (error) {
+            console.error('Failed to fetch triage jobs:', error)
+        }
+    }
+
+    const refresh = () => {
+        fetchHealth()
+        fetchJobs()
+    }
+
+    const handleRetry = async (jobId: string) => {
+        try {
+            await apiClient.post(`/queues/triage/jobs/${jobId}/retry`)
+            toast.success('Job retried')
+            refresh()
+        } catch (error) {
+            console.error('Failed to retry job:', error)
+        }
+    }
+
+    const handleRetryAll = async () => {
+        try {
+            const response = await apiClient.post<{ retried: number }>('/queues/triage/jobs/retry', {})
+            toast.success(`${response.retried} jobs retried`)
+            refresh()
+        } catch (error) {
+            console.error('Failed to retry jobs:', error)
+        }
+    }
+
+    const handleRetriage = async (ticketId: string) => {
+        try {
+            await apiClient.post(`/queues/triage/tickets/${ticketId}/retriage`)
+            toast.success('Ticket queued for triage')
+            refresh()
+        } catch (error) {
+            console.error('Failed to re-triage ticket:', error)
+        }
+    }
+
+    const handleRemove = async (jobId: string) => {
+        try {
+            await apiClient.delete(`/queues/triage/jobs/${jobId}`)
+            refresh()
+        } catch (error) {
+            console.error('Failed to remove job:', error)
+        }
+    }
+
+    const handlePurge = async () => {
+        if (!window.confirm('Remove every failed triage job?')) return
+        try {
+            const response = await apiClient.delete<{ removed: number }>('/queues/triage/jobs?state=failed')
+            toast.success(`${response.removed} jobs purged`)
+            setPage(1)
+            refresh()
+        } catch (error) {
+            console.error('Failed to purge jobs:', error)
+        }
+    }
+
+    if (isLoading) {
+        return (
+            <div className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
+                <Loading size="lg" text="Loading triage queue..." />
+            </div>
+        )
+    }
+
+    return (
+        <div className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
+            <div className="px-4 py-6 sm:px-0">
+                <div className="flex justify-between items-center mb-8">
+                    <div>
+                        <h1 className="text-2xl font-bold text-gray-900">Triage Queue</h1>
+                        <p className="mt-1 text-sm text-gray-600">
+                            Inspect, retry and purge failed triage jobs
+                            {health?.available && ` · ${health.mode === 'mongo' ? 'MongoDB' : 'Redis'} queue`}
+                        </p>
+                    </div>
+                    {health?.available && (
+                        <div className="flex space-x-2">
+                            <Button variant="outline" onClick={refresh}>Refresh</Button>
+                            <Button variant="outline" onClick={handlePurge} className="text-red-600 hover:text-red-700">
+                                Purge Failed
+                            </Button>
+                            <Button onClick={handleRetryAll}>Retry All Failed</Button>
+                        </div>
+                    )}
+                </div>
+
+                {!health?.available ? (
+                    <Card>
+                        <CardContent className="p-6 text-sm text-gray-600">
+                            No job queue is running, so tickets are triaged synchronously and there are no queued jobs.
+                        </CardContent>
+                    </Card>
+                ) : (
+                    <>
+                        {/* Health summary */}
+                        <div className="grid grid-cols-2 md:grid-cols-5 gap-4 mb-6">
+                            {[
+                                { label: 'Depth', value: health.depth },
+                                { label: 'Active', value: health.counts?.active },
+                                { label: 'Failed', value: health.counts?.failed },
+                                { label: 'Per minute', value: health.throughput?.perMinute },
+                                { label: 'Failure rate', value: `${Math.round((health.failureRate || 0) * 100)}%` }
+                            ].map(stat => (
+                                <Card key={stat.label}>
+                                    <CardContent className="p-4">
+                                        <p className="text-sm text-gray-500">{stat.label}</p>
+                                        <p className="text-2xl font-semibold text-gray-900">{stat.value ?? 0}</p>
+                                    </CardContent>
+                                </Card>
+                            ))}
+                        </div>
+                        {!health.workerRunning && (
+                            <p className="mb-4 text-sm text-red-600">The triage worker is not running.</p>
+                        )}
+
+                        <div className="flex space-x-2 mb-4">
+                            {(['failed', 'stalled'] as JobState[]).map(option => (
+                                <Button
+                                    key={option}
+                                    variant={state === option ? 'primary' : 'outline'}
+                                    size="sm"
+                                    onClick={() => { setState(option); setPage(1) }}
+                                >
+                                    {option === 'failed' ? 'Failed' : 'Stalled'} ({health.counts?.[option] ?? 0})
+                                </Button>
+                            ))}
+                        </div>
+
+                        <div className="space-y-4">
+                            {jobs.map(job => (
+                                <Card key={job.id}>
+                                    <CardContent className="p-6">
+                                        <div className="flex items-start justify-between">
+                                            <div className="min-w-0">
+                                                <h3 className="text-lg font-medium text-gray-900">
+                                                    {job.ticket ? (
+                                                        <Link to={`/tickets/${job.ticketId}`} className="hover:underline">
+                                                            {job.ticket.title}
+                                                        </Link>
+                                                    ) : `Ticket ${job.ticketId}`}
+                                                </h3>
+                                                {job.error && <p className="mt-1 text-sm text-red-600 break-words">{job.error}</p>}
+                                                <p className="mt-1 text-xs text-gray-500">
+                                                    Job {job.id} · Trace {job.traceId} · Attempts {job.attemptsMade}/{job.maxAttempts}
+                                                    {job.finishedAt && ` · Failed ${new Date(job.finishedAt).toLocaleString()}`}
+                                                    {state === 'stalled' && job.processedAt && ` · Running since ${new Date(job.processedAt).toLocaleString()}`}
+                                                </p>
+                                            </div>
+                                            <div className="flex items-center space-x-2 ml-4">
+                                                {state === 'failed' && (
+                                                    <>
+                                                        <Button variant="outline" size="sm" onClick={() => handleRetry(job.id)}>
+                                                            Retry
+                                                        </Button>
+                                                        <Button
+                                                            variant="outline"
+                                                            size="sm"
+                                                            onClick={() => handleRemove(job.id)}
+                                                            className="text-red-600 hover:text-red-700"
+                                                        >
+                                                            Remove
+                                                        </Button>
+                                                    </>
+                                                )}
+                                                <Button variant="outline" size="sm" onClick={() => handleRetriage(job.ticketId)}>
+                                                    Re-triage
+                                                </Button>
+                                            </div>
+                                        </div>
+                                    </CardContent>
+                                </Card>
+                            ))}
+                        </div>
+
+                        {jobs.length === 0 && (
+                            <div className="text-center py-12 text-sm text-gray-500">No {state} triage jobs.</div>
+                        )}
+
+                        {pagination && pagination.pages > 1 && (
+                            <div className="flex justify-between items-center mt-6">
+                                <p className="text-sm text-gray-600">
+                                    Page {pagination.page} of {pagination.pages} ({pagination.total} jobs)
+                                </p>
+                                <div className="flex space-x-2">
+                                    <Button variant="outline" size="sm" disabled={page <= 1} onClick={() => setPage(page - 1)}>
+                                        Previous
+                                    </Button>
+                                    <Button
+                                        variant="outline"
+                                        size="sm"
+                                        disabled={page >= pagination.pages}
+                                        onClick={() => setPage(page + 1)}
+                                    >
+                                        Next
+                                    </Button>
+                                </div>
+                            </div>
+                        )}
+                    </>
+                )}
+            </div>
+        </div>
+    )
+}
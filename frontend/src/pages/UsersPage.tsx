@@ -1,10 +1,13 @@
 import React, { useEffect, useState } from 'react'
 import { Button, Card, CardContent, Loading } from '../components/ui'
 import { apiClient } from '../lib/api'
-import type { User } from '../types'
+import type { AgentWorkload, Pagination, User, UserFilters } from '../types'
 
 export const UsersPage: React.FC = () => {
     const [users, setUsers] = useState<User[]>([])
+    const [pagination, setPagination] = useState<Pagination | null>(null)
+    const [workloads, setWorkloads] = useState<Record<string, AgentWorkload>>({})
+    const [filters, setFilters] = useState<UserFilters>({ page: 1, limit: 20, sort: 'name' })
     const [isLoading, setIsLoading] = useState(true)
     const [isCreatingUser, setIsCreatingUser] = useState(false)
     const [newUser, setNewUser] = useState({
@@ -16,13 +19,18 @@ export const UsersPage: React.FC = () => {
 
     useEffect(() => {
         fetchUsers()
+    }, [filters])
+
+    useEffect(() => {
+        fetchWorkload()
     }, [])
 
     const fetchUsers = async () => {
         try {
             setIsLoading(true)
-            const response = await apiClient.get<{ users: User[] }>('/admin/users')
+            const response = await apiClient.get<{ users: User[]; pagination: Pagination }>('/users', filters)
             setUsers(response.users)
+            setPagination(response.pagination)
         } catch (error) {
             console.error('Failed to fetch users:', error)
         } finally {
@@ -30,10 +38,23 @@ export const UsersPage: React.FC = () => {
         }
     }
 
+    const fetchWorkload = async () => {
+        try {
+            const response = await apiClient.get<{ agents: AgentWorkload[] }>('/users/workload')
+            setWorkloads(Object.fromEntries(response.agents.map(agent => [agent._id, agent])))
+        } catch (error) {
+            console.error('Failed to fetch workload:', error)
+        }
+    }
+
+    const updateFilters = (changes: Partial<UserFilters>) => {
+        setFilters({ ...filters, ...changes, page: changes.page ?? 1 })
+    }
+
     const handleCreateUser = async (e: React.FormEvent) => {
         e.preventDefault()
         try {
-            const response = await apiClient.post<{ user: User }>('/admin/users', newUser)
+            const response = await apiClient.post<{ user: User }>('/users', newUser)
             setUsers([...users, response.user])
             setNewUser({ name: '', email: '', role: 'user', password: '' })
             setIsCreatingUser(false)
@@ -44,15 +65,24 @@ export const UsersPage: React.FC = () => {
 
     const handleToggleUserStatus = async (userId: string, isActive: boolean) => {
         try {
-            await apiClient.patch(`/admin/users/${userId}`, { isActive: !isActive })
-            setUsers(users.map(user =>
-                user._id === userId ? { ...user, isActive: !isActive } : user
-            ))
+            const action = isActive ? 'deactivate' : 'reactivate'
+            const response = await apiClient.post<{ user: User }>(`/users/${userId}/${action}`)
+            setUsers(users.map(user => user._id === userId ? response.user : user))
         } catch (error) {
             console.error('Failed to update user status:', error)
         }
     }
 
+    const handleChangeRole = async (userId: string, role: User['role']) => {
+        try {
+            const response = await apiClient.patch<{ user: User }>(`/users/${userId}/role`, { role })
+            setUsers(users.map(user => user._id === userId ? response.user : user))
+            fetchWorkload()
+        } catch (error) {
+            console.error('Failed to update user role:', error)
+        }
+    }
+
     const getRoleBadgeColor = (role: string) => {
         switch (role) {
             case 'admin':
@@ -66,7 +96,7 @@ export const UsersPage: React.FC = () => {
         }
     }
 
-    if (isLoading) {
+    if (isLoading && users.length === 0) {
         return (
             <div className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
                 <Loading size="lg" text="Loading users..." />
@@ -158,6 +188,38 @@ export const UsersPage: React.FC = () => {
                     </div>
                 )}
 
+                {/* Filters */}
+                <div className="flex flex-wrap gap-3 mb-6">
+                    <input
+                        type="search"
+                        placeholder="Search by name or email"
+                        defaultValue={filters.search}
+                        onKeyDown={(e) => {
+                            if (e.key === 'Enter') updateFilters({ search: e.currentTarget.value || undefined })
+                        }}
+                        className="flex-1 min-w-[200px] border border-gray-300 rounded-md px-3 py-2 text-sm"
+                    />
+                    <select
+                        value={filters.role || ''}
+                        onChange={(e) => updateFilters({ role: (e.target.value || undefined) as User['role'] | undefined })}
+                        className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+                    >
+                        <option value="">All roles</option>
+                        <option value="user">User</option>
+                        <option value="agent">Agent</option>
+                        <option value="admin">Admin</option>
+                    </select>
+                    <select
+                        value={filters.isActive === undefined ? '' : String(filters.isActive)}
+                        onChange={(e) => updateFilters({ isActive: e.target.value === '' ? undefined : e.target.value === 'true' })}
+                        className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+                    >
+                        <option value="">All statuses</option>
+                        <option value="true">Active</option>
+                        <option value="false">Inactive</option>
+                    </select>
+                </div>
+
                 {/* Users List */}
                 <div className="space-y-4">
                     <div className="grid gap-6">
@@ -183,10 +245,30 @@ export const UsersPage: React.FC = () => {
                                                     <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${user.isActive ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
                                                         {user.isActive ? 'Active' : 'Inactive'}
                                                     </span>
+                                                    {workloads[user._id] && (
+                                                        <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-800">
+                                                            {workloads[user._id].workload.open}/{workloads[user._id].capacity} open
+                                                            {workloads[user._id].workload.slaBreached > 0 && ` · ${workloads[user._id].workload.slaBreached} breached`}
+                                                        </span>
+                                                    )}
+                                                    {workloads[user._id]?.agentProfile?.availability && workloads[user._id].agentProfile?.availability !== 'available' && (
+                                                        <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+                                                            {workloads[user._id].agentProfile?.availability}
+                                                        </span>
+                                                    )}
                                                 </div>
                                             </div>
                                         </div>
                                         <div className="flex items-center space-x-2">
+                                            <select
+                                                value={user.role}
+                                                onChange={(e) => handleChangeRole(user._id, e.target.value as User['role'])}
+                                                className="border border-gray-300 rounded-md px-2 py-1 text-sm"
+                                            >
+                                                <option value="user">User</option>
+                                                <option value="agent">Agent</option>
+                                                <option value="admin">Admin</option>
+                                            </select>
                                             <Button
                                                 variant="outline"
                                                 size="sm"
@@ -195,13 +277,6 @@ export const UsersPage: React.FC = () => {
                                             >
                                                 {user.isActive ? 'Deactivate' : 'Activate'}
                                             </Button>
-                                            <Button
-                                                variant="outline"
-                                                size="sm"
-                                                onClick={() => console.log('Edit user:', user._id)}
-                                            >
-                                                Edit
-                                            </Button>
                                         </div>
                                     </div>
                                     <div className="mt-4 text-sm text-gray-500">
@@ -214,6 +289,32 @@ export const UsersPage: React.FC = () => {
                     </div>
                 </div>
 
+                {pagination && pagination.pages > 1 && (
+                    <div className="flex justify-between items-center mt-6">
+                        <p className="text-sm text-gray-600">
+                            Page {pagination.page} of {pagination.pages} ({pagination.total} users)
+                        </p>
+                        <div className="flex space-x-2">
+                            <Button
+                                variant="outline"
+                                size="sm"
+                                disabled={pagination.page <= 1}
+                                onClick={() => updateFilters({ page: pagination.page - 1 })}
+                            >
+                                Previous
+                            </Button>
+                            <Button
+                                variant="outline"
+                                size="sm"
+                                disabled={pagination.page >= pagination.pages}
+                                onClick={() => updateFilters({ page: pagination.page + 1 })}
+                            >
+                                Next
+                            </Button>
+                        </div>
+                    </div>
+                )}
+
                 {users.length === 0 && (
                     <div className="text-center py-12">
                         <svg className="mx-auto h-12 w-12 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
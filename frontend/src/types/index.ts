@@ -4,10 +4,93 @@ export interface User {
     email: string
     role: 'admin' | 'agent' | 'user'
     isActive: boolean
+    customerTier?: CustomerTier
+    agentProfile?: AgentProfile
     createdAt: string
     updatedAt: string
 }
 
+export type CustomerTier = 'standard' | 'premium' | 'enterprise'
+
+export type AgentAvailability = 'available' | 'busy' | 'away' | 'offline'
+
+// Routing profile for agents and admins
+export interface AgentProfile {
+    skills: { category: 'billing' | 'tech' | 'shipping' | 'other'; level: number }[]
+    languages: string[]
+    maxConcurrentTickets?: number
+    availability: AgentAvailability
+}
+
+export interface UserWorkload {
+    open: number
+    slaBreached: number
+    byStatus: Partial<Record<'open' | 'triaged' | 'waiting_human' | 'waiting_customer', number>>
+}
+
+export interface AgentWorkload extends Pick<User, '_id' | 'name' | 'email' | 'role' | 'agentProfile'> {
+    capacity: number
+    workload: UserWorkload
+}
+
+export type TeamStrategy = 'manual' | 'least_loaded' | 'skill_based'
+
+// A group of agents with its own ticket queue
+export interface Team {
+    _id: string
+    name: string
+    description?: string
+    members: Pick<User, '_id' | 'name' | 'email' | 'role'>[]
+    strategy: TeamStrategy
+    isActive: boolean
+    queueSize?: number
+    createdAt: string
+    updatedAt: string
+}
+
+export interface UserFilters {
+    search?: string
+    role?: User['role']
+    isActive?: boolean
+    page?: number
+    limit?: number
+    sort?: string
+}
+
+export type NotificationEvent = 'ticket_created' | 'agent_replied' | 'auto_resolved' | 'reopened' | 'sla_breached'
+
+export interface NotificationPreferences {
+    email: Record<NotificationEvent, boolean>
+}
+
+// Realtime ticket events from /events/stream
+export type TicketEventType = 'triage' | 'reply' | 'status' | 'assignment'
+
+export type TriageStep = 'started' | 'classified' | 'knowledge_retrieved' | 'drafted' | 'completed' | 'failed'
+
+export interface TicketEvent {
+    type: TicketEventType
+    ticketId: string
+    timestamp: string
+    // triage
+    step?: TriageStep
+    traceId?: string
+    predictedCategory?: string
+    confidence?: number
+    articlesFound?: number
+    action?: 'auto_closed' | 'assigned_to_human'
+    suggestionId?: string
+    error?: string
+    // reply
+    reply?: Reply
+    // status
+    oldStatus?: Ticket['status']
+    newStatus?: Ticket['status']
+    status?: Ticket['status']
+    // assignment
+    assignee?: Pick<User, '_id' | 'name' | 'email'> | null
+}
+
 // Authentication types
 export interface LoginRequest {
     email: string
@@ -26,13 +109,56 @@ export interface AuthResponse {
     token: string
 }
 
+export type ArticleStatus = 'draft' | 'in_review' | 'approved' | 'published' | 'archived'
+
+export interface ArticleReviewer {
+    user: User | string
+    decision: 'pending' | 'approved' | 'changes_requested'
+    decidedAt?: string
+}
+
+export interface ArticleComment {
+    _id: string
+    author: User | string
+    body: string
+    createdAt: string
+}
+
+export interface ArticleStatusChange {
+    from: ArticleStatus
+    to: ArticleStatus
+    by?: User | string
+    at: string
+    scheduled?: boolean
+    revisionDraft?: boolean
+}
+
+export interface ArticleRevisionDraft {
+    title: string
+    body: string
+    tags: string[]
+    status: 'draft' | 'in_review' | 'approved'
+    author: User | string
+    basedOn?: number
+    updatedAt: string
+}
+
 export interface Article {
     _id: string
     title: string
     body: string
     tags: string[]
-    status: 'draft' | 'published'
+    status: ArticleStatus
     author: User
+    revision: number
+    reviewers?: ArticleReviewer[]
+    comments?: ArticleComment[]
+    statusHistory?: ArticleStatusChange[]
+    revisionDraft?: ArticleRevisionDraft
+    publishAt?: string
+    unpublishAt?: string
+    publishedAt?: string
+    archivedAt?: string
     views: number
     helpful: number
     notHelpful: number
@@ -40,6 +166,31 @@ export interface Article {
     updatedAt: string
 }
 
+export interface ArticleRevision {
+    _id: string
+    articleId: string
+    revision: number
+    title: string
+    body?: string
+    tags: string[]
+    status: Article['status']
+    author: User
+    restoredFrom?: number
+    createdAt: string
+}
+
+export interface ArticleRevisionDiff {
+    articleId: string
+    from: Pick<ArticleRevision, 'revision' | 'author' | 'createdAt' | 'restoredFrom'>
+    to: Pick<ArticleRevision, 'revision' | 'author' | 'createdAt' | 'restoredFrom'>
+    changes: {
+        title?: { from: string; to: string }
+        status?: { from: string; to: string }
+        tags?: { added: string[]; removed: string[] }
+    }
+    body: { type: 'equal' | 'added' | 'removed'; lines: string[] }[]
+}
+
 export interface Reply {
     _id: string
     author: User
@@ -50,9 +201,21 @@ export interface Reply {
 }
 
 export interface Attachment {
+    attachmentId?: string
     url: string
     filename?: string
     contentType?: string
+    size?: number
+}
+
+// Priority suggested during triage; kept after an agent overrides it
+export interface PriorityPrediction {
+    priority: 'low' | 'medium' | 'high' | 'urgent'
+    confidence: number
+    reasons: string[]
+    provider?: string
+    model?: string
+    predictedAt: string
 }
 
 export interface Ticket {
@@ -60,22 +223,54 @@ export interface Ticket {
     title: string
     description: string
     category: 'billing' | 'tech' | 'shipping' | 'other'
-    status: 'open' | 'triaged' | 'waiting_human' | 'resolved' | 'closed'
+    status: 'open' | 'triaged' | 'waiting_human' | 'waiting_customer' | 'resolved' | 'closed'
     priority: 'low' | 'medium' | 'high' | 'urgent'
+    prioritySource?: 'default' | 'predicted' | 'agent'
+    priorityPrediction?: PriorityPrediction
     createdBy: User
     assignee?: User
+    language?: string
+    queue?: string
+    team?: Pick<Team, '_id' | 'name'> & Partial<Pick<Team, 'strategy'>>
     agentSuggestionId?: string
     replies: Reply[]
     attachments: Attachment[]
     tags: string[]
     slaBreached: boolean
     slaDeadline?: string
+    slaPausedAt?: string
+    slaPausedMs?: number
     resolvedAt?: string
+    resolutionMs?: number
     closedAt?: string
     createdAt: string
     updatedAt: string
 }
 
+export type LLMStep = 'classify' | 'draft' | 'priority'
+
+export type LLMProviderName = 'stub' | 'openai' | 'anthropic' | 'ollama'
+
+export interface StepModelInfo {
+    provider: string
+    model: string
+    latencyMs: number
+    promptTokens: number
+    completionTokens: number
+    totalTokens: number
+}
+
+export interface CitedPassage {
+    number: number
+    articleId: string
+    articleTitle?: string
+    articleRevision?: number
+    passageIndex?: number
+    start: number
+    end: number
+    text: string
+}
+
 export interface AgentSuggestion {
     _id: string
     ticketId: string
@@ -83,13 +278,23 @@ export interface AgentSuggestion {
     predictedCategory: 'billing' | 'tech' | 'shipping' | 'other'
     articleIds: Article[]
     draftReply: string
+    passages?: CitedPassage[]
     confidence: number
     autoClosed: boolean
+    version: number
+    previousSuggestionId?: string
+    supersededBy?: string
+    supersededAt?: string | null
+    replyId?: string
     modelInfo: {
         provider: string
         model: string
         promptVersion: string
         latencyMs: number
+        promptTokens?: number
+        completionTokens?: number
+        totalTokens?: number
+        steps?: Partial<Record<LLMStep, StepModelInfo>>
     }
     accepted?: boolean
     acceptedBy?: User
@@ -108,10 +313,25 @@ export interface AuditLog {
     timestamp: string
 }
 
+export interface BusinessCalendar {
+    enabled: boolean
+    timezone: string
+    workingHours: {
+        day: number // 0 = Sunday
+        start: string // HH:mm
+        end: string
+    }[]
+    holidays: {
+        date: string // YYYY-MM-DD
+        name?: string
+    }[]
+}
+
 export interface Config {
     _id: string
     autoCloseEnabled: boolean
     confidenceThreshold: number
+    groundingThreshold: number
     slaHours: number
     maxTicketsPerUser: number
     categoryThresholds: {
@@ -120,11 +340,21 @@ export interface Config {
         shipping: number
         other: number
     }
+    priorityThresholds?: Partial<Record<Ticket['priority'], number>>
+    businessCalendar?: BusinessCalendar
+    slaPolicies?: {
+        priorities?: Partial<Record<Ticket['priority'], number>>
+        categories?: Partial<Record<Ticket['category'], number>>
+    }
     agentSettings: {
         maxRetries: number
         timeoutMs: number
         enableFallback: boolean
     }
+    llmSettings?: Record<LLMStep | 'fallback', {
+        provider?: LLMProviderName
+        model?: string
+    }>
     createdAt: string
     updatedAt: string
 }
@@ -148,6 +378,9 @@ export interface TicketFilters {
     category?: Ticket['category']
     assignee?: string
     createdBy?: string
+    queue?: string
+    team?: string
+    unassigned?: boolean
     my?: boolean
     search?: string
     page?: number
@@ -188,6 +421,7 @@ export interface CreateArticleData {
 export interface UpdateConfigData {
     autoCloseEnabled?: boolean
     confidenceThreshold?: number
+    groundingThreshold?: number
     slaHours?: number
     categoryThresholds?: Partial<Config['categoryThresholds']>
 }
@@ -215,3 +449,32 @@ export interface AgentStats {
         avgResponseTimeHours: number
     }
 }
+
+export interface TriageJob {
+    id: string
+    ticketId: string
+    traceId: string
+    ticket: Pick<Ticket, '_id' | 'title' | 'status'> | null
+    error: string | null
+    attemptsMade: number
+    maxAttempts: number
+    createdAt: string | null
+    processedAt: string | null
+    finishedAt: string | null
+}
+
+export interface TriageQueueHealth {
+    available: boolean
+    mode: 'redis' | 'mongo' | 'synchronous'
+    workerRunning?: boolean
+    depth?: number
+    counts?: Record<'waiting' | 'active' | 'delayed' | 'failed' | 'completed' | 'paused' | 'stalled', number>
+    oldestWaitingMs?: number | null
+    throughput?: {
+        windowMinutes: number
+        completed: number
+        failed: number
+        perMinute: number
+    }
+    failureRate?: number
+}